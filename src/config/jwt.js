@@ -6,6 +6,27 @@ export const generateToken = (payload) => {
   });
 };
 
+// Short-lived access token bound to a session (payload should include sid)
+export const generateAccessToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
+  });
+};
+
+// Short-lived token for the second login step (2FA challenge / mandatory setup)
+export const generateTwoFactorToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_2FA_EXPIRES_IN || "10m",
+  });
+};
+
+// Short-lived token for an admin acting as another user (payload includes imp and impId)
+export const generateImpersonationToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_IMPERSONATION_EXPIRES_IN || "15m",
+  });
+};
+
 export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
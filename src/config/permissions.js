@@ -0,0 +1,59 @@
+/**
+ * Admin Permission Catalogue
+ * Permissions stored in Admin.permissions and checked by requirePermission.
+ * Admins holding SUPER_ADMIN_PERMISSION pass every check and can grant/revoke permissions.
+ */
+
+// Wildcard permission held by super admins (matches the seed data)
+export const SUPER_ADMIN_PERMISSION = "all";
+
+export const PERMISSIONS = {
+  USERS_VIEW: "users.view",
+  USERS_MANAGE: "users.manage",
+  USERS_IMPERSONATE: "users.impersonate",
+  ARTISTS_APPROVE: "artists.approve",
+  ARTISTS_VERIFY: "artists.verify",
+  BOOKINGS_VIEW: "bookings.view",
+  BOOKINGS_MANAGE: "bookings.manage",
+  PAYMENTS_VIEW: "payments.view",
+  PAYMENTS_REFUND: "payments.refund",
+  CATEGORIES_MANAGE: "categories.manage",
+  COUPONS_MANAGE: "coupons.manage",
+  SUBSCRIPTIONS_MANAGE: "subscriptions.manage",
+  FEATURED_MANAGE: "featured.manage",
+  DISPUTES_RESOLVE: "disputes.resolve",
+  REVIEWS_MODERATE: "reviews.moderate",
+  ANALYTICS_VIEW: "analytics.view",
+  AUDIT_VIEW: "audit.view",
+};
+
+// Human-readable descriptions (returned by GET /api/admin/permissions)
+export const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.USERS_VIEW]: "View customers, artists and login history",
+  [PERMISSIONS.USERS_MANAGE]: "Unlock, suspend and otherwise manage user accounts",
+  [PERMISSIONS.USERS_IMPERSONATE]: "Act as a customer or artist for support (audited)",
+  [PERMISSIONS.ARTISTS_APPROVE]: "Approve or reject artist applications and profile changes",
+  [PERMISSIONS.ARTISTS_VERIFY]: "Review artist identity documents (KYC)",
+  [PERMISSIONS.BOOKINGS_VIEW]: "View all bookings",
+  [PERMISSIONS.BOOKINGS_MANAGE]: "Force-cancel bookings",
+  [PERMISSIONS.PAYMENTS_VIEW]: "View all payments",
+  [PERMISSIONS.PAYMENTS_REFUND]: "Issue payment refunds",
+  [PERMISSIONS.CATEGORIES_MANAGE]: "Create, update and delete categories",
+  [PERMISSIONS.COUPONS_MANAGE]: "Create, update and deactivate coupon codes",
+  [PERMISSIONS.SUBSCRIPTIONS_MANAGE]: "Manage artist subscription plans and view subscribers",
+  [PERMISSIONS.FEATURED_MANAGE]: "Feature and promote artists and view placement stats",
+  [PERMISSIONS.DISPUTES_RESOLVE]: "Resolve booking disputes",
+  [PERMISSIONS.REVIEWS_MODERATE]: "Delete reviews",
+  [PERMISSIONS.ANALYTICS_VIEW]: "View dashboard, analytics and artist performance",
+  [PERMISSIONS.AUDIT_VIEW]: "View impersonation sessions and audit logs",
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Check whether a permission list grants a permission
+ * @param {string[]} granted - Admin.permissions
+ * @param {string} permission - Permission to check
+ */
+export const hasPermission = (granted = [], permission) =>
+  granted.includes(SUPER_ADMIN_PERMISSION) || granted.includes(permission);
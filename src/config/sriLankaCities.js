@@ -0,0 +1,71 @@
+/**
+ * Sri Lankan Cities
+ * Offline gazetteer used by the default geocoder (utils/geocoder.js).
+ * [name, district, latitude, longitude, aliases]
+ */
+export const SRI_LANKA_CITIES = [
+  ["Colombo", "Colombo", 6.9271, 79.8612, ["colombo city", "cmb"]],
+  ["Dehiwala-Mount Lavinia", "Colombo", 6.8403, 79.8712, ["dehiwala", "mount lavinia", "mt lavinia"]],
+  ["Sri Jayawardenepura Kotte", "Colombo", 6.8868, 79.9187, ["kotte", "sri jayawardenapura"]],
+  ["Moratuwa", "Colombo", 6.773, 79.8816, []],
+  ["Nugegoda", "Colombo", 6.8649, 79.8997, []],
+  ["Maharagama", "Colombo", 6.848, 79.9265, []],
+  ["Battaramulla", "Colombo", 6.8964, 79.9181, []],
+  ["Homagama", "Colombo", 6.8441, 80.0024, []],
+  ["Kaduwela", "Colombo", 6.9335, 79.9844, ["malabe"]],
+  ["Piliyandala", "Colombo", 6.8018, 79.9227, []],
+  ["Kolonnawa", "Colombo", 6.9329, 79.8848, []],
+  ["Avissawella", "Colombo", 6.9553, 80.2044, []],
+  ["Negombo", "Gampaha", 7.2083, 79.8358, ["meegamuwa"]],
+  ["Gampaha", "Gampaha", 7.0873, 79.999, []],
+  ["Wattala", "Gampaha", 6.9897, 79.8917, []],
+  ["Ja-Ela", "Gampaha", 7.0744, 79.8919, ["ja ela", "jaela"]],
+  ["Kelaniya", "Gampaha", 6.9553, 79.922, []],
+  ["Kiribathgoda", "Gampaha", 6.98, 79.9298, []],
+  ["Katunayake", "Gampaha", 7.1725, 79.8853, []],
+  ["Minuwangoda", "Gampaha", 7.1663, 79.9533, []],
+  ["Kalutara", "Kalutara", 6.5854, 79.9607, []],
+  ["Panadura", "Kalutara", 6.7132, 79.9026, []],
+  ["Horana", "Kalutara", 6.7159, 80.0626, []],
+  ["Beruwala", "Kalutara", 6.4788, 79.9828, []],
+  ["Kandy", "Kandy", 7.2906, 80.6337, ["mahanuwara"]],
+  ["Peradeniya", "Kandy", 7.269, 80.597, []],
+  ["Gampola", "Kandy", 7.1643, 80.5696, []],
+  ["Matale", "Matale", 7.4675, 80.6234, []],
+  ["Dambulla", "Matale", 7.8742, 80.6511, []],
+  ["Sigiriya", "Matale", 7.957, 80.7603, []],
+  ["Nuwara Eliya", "Nuwara Eliya", 6.9497, 80.7891, ["nuwaraeliya"]],
+  ["Hatton", "Nuwara Eliya", 6.8916, 80.5955, []],
+  ["Galle", "Galle", 6.0535, 80.221, []],
+  ["Hikkaduwa", "Galle", 6.1395, 80.1063, []],
+  ["Unawatuna", "Galle", 6.01, 80.2492, []],
+  ["Bentota", "Galle", 6.421, 79.9989, []],
+  ["Matara", "Matara", 5.9549, 80.555, []],
+  ["Weligama", "Matara", 5.975, 80.4297, []],
+  ["Hambantota", "Hambantota", 6.1241, 81.1185, []],
+  ["Tangalle", "Hambantota", 6.024, 80.7941, []],
+  ["Jaffna", "Jaffna", 9.6615, 80.0255, ["yalpanam"]],
+  ["Point Pedro", "Jaffna", 9.8167, 80.2333, []],
+  ["Kilinochchi", "Kilinochchi", 9.3803, 80.377, []],
+  ["Mannar", "Mannar", 8.981, 79.9044, []],
+  ["Vavuniya", "Vavuniya", 8.7514, 80.4971, []],
+  ["Mullaitivu", "Mullaitivu", 9.2671, 80.8142, []],
+  ["Trincomalee", "Trincomalee", 8.5874, 81.2152, ["trinco"]],
+  ["Batticaloa", "Batticaloa", 7.731, 81.6747, []],
+  ["Ampara", "Ampara", 7.2975, 81.682, []],
+  ["Arugam Bay", "Ampara", 6.8406, 81.8368, ["arugambay", "pottuvil"]],
+  ["Kurunegala", "Kurunegala", 7.4863, 80.3623, []],
+  ["Kuliyapitiya", "Kurunegala", 7.4688, 80.0401, []],
+  ["Puttalam", "Puttalam", 8.0362, 79.8283, []],
+  ["Chilaw", "Puttalam", 7.5758, 79.7953, []],
+  ["Anuradhapura", "Anuradhapura", 8.3114, 80.4037, []],
+  ["Polonnaruwa", "Polonnaruwa", 7.9403, 81.0188, []],
+  ["Badulla", "Badulla", 6.9934, 81.055, []],
+  ["Bandarawela", "Badulla", 6.8259, 80.9982, []],
+  ["Ella", "Badulla", 6.8667, 81.0466, []],
+  ["Monaragala", "Monaragala", 6.8728, 81.3507, ["moneragala"]],
+  ["Kataragama", "Monaragala", 6.4134, 81.3346, []],
+  ["Ratnapura", "Ratnapura", 6.6828, 80.3992, []],
+  ["Embilipitiya", "Ratnapura", 6.3439, 80.849, []],
+  ["Kegalle", "Kegalle", 7.2513, 80.3464, []],
+];
@@ -1,8 +1,9 @@
 /**
  * Admin Controller
- * Handles admin operations: user approval, user management, dashboard stats
+ * Handles admin operations: user approval, user management, dashboard stats, coupons, identity verification, subscriptions
  */
 
+import mongoose from "mongoose";
 import Artist from "../models/Artist.js";
 import Customer from "../models/Customer.js";
 import User from "../models/User.js";
@@ -11,20 +12,59 @@ import Category from "../models/Category.js";
 import Payment from "../models/Payment.js";
 import Review from "../models/Review.js";
 import PendingArtist from "../models/PendingArtist.js";
-import { NotFoundError, BadRequestError } from "../utils/errors.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import Admin from "../models/Admin.js";
+import Impersonation from "../models/Impersonation.js";
+import AuditLog from "../models/AuditLog.js";
+import Coupon from "../models/Coupon.js";
+import IdentityVerification from "../models/IdentityVerification.js";
+import SubscriptionPlan from "../models/SubscriptionPlan.js";
+import ProfileRevision from "../models/ProfileRevision.js";
+import FeaturedPlacement from "../models/FeaturedPlacement.js";
+import { NotFoundError, BadRequestError, ForbiddenError } from "../utils/errors.js";
 import { asyncHandler } from "../middleware/authMiddleware.js";
 import { formatPaginationResponse } from "../utils/paginate.js";
+import { clearFailedLogins } from "../utils/loginSecurity.js";
+import { escapeRegex } from "../utils/artistSearch.js";
+import {
+  getDocumentLinks,
+  findDuplicateSubmissions,
+  reviewVerification,
+} from "../utils/identityVerificationService.js";
+import {
+  DEFAULT_PLANS,
+  PAID_PLAN_KEYS,
+  EDITABLE_PLAN_FIELDS,
+  getPlans,
+  getPlan,
+} from "../utils/subscriptionService.js";
+import { startImpersonation, endImpersonation } from "../utils/impersonationService.js";
+import { setAccessTokenCookie } from "../utils/sessionService.js";
+import { buildRevisionDiff, reviewProfileRevision } from "../utils/profileRevisionService.js";
+import { PLACEMENT_SLOTS, activePlacementQuery, formatPlacement } from "../utils/featuredService.js";
+import {
+  findModeratableUser,
+  suspendUser,
+  reactivateUser,
+  banUser,
+} from "../utils/moderationService.js";
+import {
+  ALL_PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  SUPER_ADMIN_PERMISSION,
+} from "../config/permissions.js";
 
 /**
  * Get users by role with search and filtering (Admin only)
  * @route GET /api/admin/users
- * Query params: role, search, isApproved, isActive, category, minRating, maxHourlyRate, page, limit, sortBy, sortOrder
+ * Query params: role, search, isApproved, isActive, emailVerified, category, minRating, maxHourlyRate, page, limit, sortBy, sortOrder
  *
  * EXPLANATION:
  * - role: REQUIRED - "artist" or "customer"
  * - search: Searches in name, email, bio (artists), skills (artists) - case-insensitive
  * - isApproved: Filter by approval status (true/false)
  * - isActive: Filter by active status (true/false)
+ * - emailVerified: Filter by email verification state (true/false)
  * - category: Filter artists by category ID
  * - minRating: Minimum rating for artists (0-5)
  * - maxHourlyRate: Maximum hourly rate for artists
@@ -36,6 +76,7 @@ export const getUsersByRole = asyncHandler(async (req, res) => {
     search, // Text search across multiple fields
     isApproved, // Approval status filter
     isActive, // Active status filter
+    emailVerified, // Email verification filter
     category, // Category filter (artists only)
     minRating, // Minimum rating (artists only)
     maxHourlyRate, // Maximum hourly rate (artists only)
@@ -92,6 +133,18 @@ export const getUsersByRole = asyncHandler(async (req, res) => {
     }
   }
 
+  // EMAIL VERIFICATION FILTER
+  // Verification state lives on the User document, so resolve matching user IDs first
+  // Legacy accounts without the flag count as verified
+  if (emailVerified !== undefined) {
+    const verificationQuery =
+      emailVerified === "true"
+        ? { isEmailVerified: { $ne: false } }
+        : { isEmailVerified: false };
+    const matchingUsers = await User.find({ role, ...verificationQuery }).select("_id");
+    query.userId = { $in: matchingUsers.map((u) => u._id) };
+  }
+
   // ARTIST-SPECIFIC FILTERS
   // Only apply these filters when role is "artist"
   if (role === "artist") {
@@ -127,13 +180,17 @@ export const getUsersByRole = asyncHandler(async (req, res) => {
     .limit(limitNum)
     .sort(sort);
 
-  // Get user emails for each profile
+  // Get user emails and verification state for each profile
   const formattedUsers = await Promise.all(
     profiles.map(async (profile) => {
-      const user = await User.findById(profile.userId).select("email");
+      const user = await User.findById(profile.userId).select(
+        "email isEmailVerified emailVerifiedAt"
+      );
       return {
         ...profile.toObject(),
         email: user?.email || "",
+        isEmailVerified: user ? user.isEmailVerified !== false : false,
+        emailVerifiedAt: user?.emailVerifiedAt || null,
       };
     })
   );
@@ -173,7 +230,9 @@ export const getUserById = asyncHandler(async (req, res) => {
   }
 
   // Get user email from User collection
-  const userDoc = await User.findById(profile.userId).select("email");
+  const userDoc = await User.findById(profile.userId).select(
+    "email isActive isEmailVerified emailVerifiedAt failedLoginAttempts lockUntil suspension ban"
+  );
 
   res.json({
     success: true,
@@ -181,6 +240,14 @@ export const getUserById = asyncHandler(async (req, res) => {
       user: {
         ...profile.toObject(),
         email: userDoc?.email || "",
+        isEmailVerified: userDoc ? userDoc.isEmailVerified !== false : false,
+        emailVerifiedAt: userDoc?.emailVerifiedAt || null,
+        isLocked: userDoc ? userDoc.isLocked() : false,
+        lockUntil: userDoc?.isLocked() ? userDoc.lockUntil : null,
+        failedLoginAttempts: userDoc?.failedLoginAttempts || 0,
+        isActive: userDoc ? userDoc.isActive !== false : false,
+        suspension: userDoc?.isSuspended() ? userDoc.suspension : null,
+        ban: userDoc?.isBanned() ? userDoc.ban : null,
       },
     },
   });
@@ -404,7 +471,7 @@ export const getProfile = asyncHandler(async (req, res) => {
   // This prevents race conditions when multiple requests try to create the profile simultaneously
   const admin = await Admin.findOneAndUpdate(
     { userId: req.userId },
-    { userId: req.userId, permissions: [] },
+    { $setOnInsert: { userId: req.userId } }, // Never overwrite granted permissions
     { upsert: true, new: true, setDefaultsOnInsert: true }
   );
   
@@ -428,7 +495,6 @@ export const updateProfile = asyncHandler(async (req, res) => {
   const {
     name,
     phone,
-    permissions,
     profileImage,
     bio,
     department,
@@ -456,7 +522,6 @@ export const updateProfile = asyncHandler(async (req, res) => {
       adminUpdateData.phone = normalizeSriLankanPhone(phone);
     }
   }
-  if (permissions !== undefined) adminUpdateData.permissions = permissions;
   if (profileImage !== undefined) adminUpdateData.profileImage = profileImage;
   if (bio !== undefined) adminUpdateData.bio = bio;
   if (department !== undefined) adminUpdateData.department = department;
@@ -502,10 +567,11 @@ export const getDashboardStatus = asyncHandler(async (req, res) => {
     totalPayments,
     totalReviews,
   ] = await Promise.all([
-    // Count Users with artist role (source of truth for user counts)
-    User.countDocuments({ role: "artist" }),
-    // Count Users with customer role (source of truth for user counts)
-    User.countDocuments({ role: "customer" }),
+    // Count Users holding the artist role (source of truth for user counts)
+    // A customer + artist account counts in both; legacy accounts only have `role`
+    User.countDocuments({ $or: [{ roles: "artist" }, { role: "artist" }] }),
+    // Count Users holding the customer role (source of truth for user counts)
+    User.countDocuments({ $or: [{ roles: "customer" }, { role: "customer" }] }),
     Booking.countDocuments(),
     Booking.countDocuments({ status: "pending" }),
     Payment.aggregate([
@@ -766,3 +832,1080 @@ export const getAnalytics = asyncHandler(async (req, res) => {
     }
   });
 });
+
+/**
+ * Unlock an account locked after too many failed logins (Admin only)
+ * @route PUT /api/admin/users/:userId/unlock
+ * @param userId - User ID (Users collection)
+ */
+export const unlockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await User.findById(userId).select("email role lockUntil");
+  if (!user) {
+    throw new NotFoundError("User");
+  }
+
+  const wasLocked = user.isLocked();
+  await clearFailedLogins(user._id);
+
+  res.json({
+    success: true,
+    message: wasLocked
+      ? "Account unlocked successfully"
+      : "Account was not locked; failed login counters have been reset",
+    data: {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      wasLocked,
+    },
+  });
+});
+
+/**
+ * Get login attempt history (Admin only)
+ * @route GET /api/admin/login-attempts
+ * Query params: user, email, ipAddress, outcome, suspicious, startDate, endDate, page, limit
+ */
+export const getLoginAttempts = asyncHandler(async (req, res) => {
+  const {
+    user,
+    email,
+    ipAddress,
+    outcome,
+    suspicious,
+    startDate,
+    endDate,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const query = {};
+
+  if (user) {
+    if (!mongoose.Types.ObjectId.isValid(user)) {
+      throw new BadRequestError("Invalid user id");
+    }
+    query.user = user;
+  }
+  if (email) {
+    query.email = email.toLowerCase().trim();
+  }
+  if (ipAddress) {
+    query.ipAddress = ipAddress;
+  }
+  if (outcome) {
+    query.outcome = outcome;
+  }
+  if (suspicious !== undefined) {
+    query.suspicious = suspicious === "true";
+  }
+
+  // Date range filter
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) {
+      query.createdAt.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      query.createdAt.$lte = new Date(endDate);
+    }
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const limitNum = parseInt(limit);
+
+  const attempts = await LoginAttempt.find(query)
+    .populate("user", "email role")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await LoginAttempt.countDocuments(query);
+
+  const response = formatPaginationResponse(attempts, total, page, limit);
+
+  res.json({
+    success: true,
+    data: response.data,
+    pagination: response.pagination,
+  });
+});
+
+/**
+ * Get the admin permission catalogue and the current admin's permissions
+ * @route GET /api/admin/permissions
+ */
+export const getPermissionCatalogue = asyncHandler(async (req, res) => {
+  const granted = req.user.profile?.permissions || [];
+
+  res.json({
+    success: true,
+    data: {
+      permissions: ALL_PERMISSIONS.map((key) => ({
+        key,
+        description: PERMISSION_DESCRIPTIONS[key],
+      })),
+      superAdminPermission: SUPER_ADMIN_PERMISSION,
+      granted,
+      isSuperAdmin: granted.includes(SUPER_ADMIN_PERMISSION),
+    },
+  });
+});
+
+/**
+ * Get all admins with their permissions (Super admin only)
+ * @route GET /api/admin/admins
+ */
+export const getAdmins = asyncHandler(async (req, res) => {
+  const adminUsers = await User.find({ role: "admin" }).select("email isActive createdAt");
+  const profiles = await Admin.find({
+    userId: { $in: adminUsers.map((user) => user._id) },
+  }).select("userId name department position permissions");
+
+  const profileMap = new Map(profiles.map((profile) => [profile.userId.toString(), profile]));
+
+  const admins = adminUsers.map((user) => {
+    const profile = profileMap.get(user._id.toString());
+    const permissions = profile?.permissions || [];
+    return {
+      userId: user._id,
+      email: user.email,
+      isActive: user.isActive,
+      name: profile?.name || "",
+      department: profile?.department || "",
+      position: profile?.position || "",
+      permissions,
+      isSuperAdmin: permissions.includes(SUPER_ADMIN_PERMISSION),
+      createdAt: user.createdAt,
+    };
+  });
+
+  res.json({
+    success: true,
+    data: admins,
+  });
+});
+
+/**
+ * Grant and/or revoke permissions for an admin (Super admin only)
+ * @route PATCH /api/admin/admins/:userId/permissions
+ * @body grant - Permissions to add (catalogue keys, or "all" for super admin)
+ * @body revoke - Permissions to remove
+ */
+export const updateAdminPermissions = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { grant = [], revoke = [] } = req.body;
+
+  if (!Array.isArray(grant) || !Array.isArray(revoke)) {
+    throw new BadRequestError("grant and revoke must be arrays of permissions");
+  }
+
+  if (grant.length === 0 && revoke.length === 0) {
+    throw new BadRequestError("Please provide permissions to grant or revoke");
+  }
+
+  // Step 1: Validate against the catalogue
+  const validPermissions = [...ALL_PERMISSIONS, SUPER_ADMIN_PERMISSION];
+  const unknown = [...grant, ...revoke].filter((p) => !validPermissions.includes(p));
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown permission(s): ${unknown.join(", ")}`);
+  }
+
+  // Step 2: Super admins cannot remove their own super admin access
+  if (
+    userId === req.userId.toString() &&
+    revoke.includes(SUPER_ADMIN_PERMISSION)
+  ) {
+    throw new BadRequestError("You cannot revoke your own super admin permission");
+  }
+
+  const user = await User.findOne({ _id: userId, role: "admin" }).select("email");
+  if (!user) {
+    throw new NotFoundError("Admin");
+  }
+
+  // Step 3: Apply the changes
+  const admin = await Admin.findOneAndUpdate(
+    { userId: user._id },
+    { $setOnInsert: { userId: user._id } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const permissions = new Set(admin.permissions);
+  grant.forEach((permission) => permissions.add(permission));
+  revoke.forEach((permission) => permissions.delete(permission));
+  admin.permissions = [...permissions];
+  await admin.save();
+
+  res.json({
+    success: true,
+    message: "Admin permissions updated successfully",
+    data: {
+      userId: user._id,
+      email: user.email,
+      permissions: admin.permissions,
+      isSuperAdmin: admin.permissions.includes(SUPER_ADMIN_PERMISSION),
+    },
+  });
+});
+
+/**
+ * Start acting as a customer or artist (Admin only, audited)
+ * Returns a short-lived impersonation token and sets it as the access token cookie.
+ * End it with POST /api/auth/impersonation/end to switch back to the admin account.
+ * @route POST /api/admin/users/:userId/impersonate
+ * @param userId - User ID (Users collection)
+ * @body reason - Why support needs to act as the user (required)
+ * @body role - customer or artist (optional, defaults to the user's default role)
+ */
+export const impersonateUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { reason, role } = req.body;
+
+  const { token, impersonation, targetUser, role: actingRole } = await startImpersonation(
+    req,
+    userId,
+    reason,
+    role
+  );
+
+  setAccessTokenCookie(res, token);
+
+  res.status(201).json({
+    success: true,
+    message: `You are now acting as ${targetUser.email}. Money-moving actions are disabled.`,
+    data: {
+      token,
+      impersonationId: impersonation._id,
+      expiresAt: impersonation.expiresAt,
+      targetUser: {
+        id: targetUser._id,
+        email: targetUser.email,
+        role: actingRole,
+        roles: targetUser.getRoles(),
+      },
+      redirectPath: actingRole === "artist" ? "/artist/dashboard" : "/",
+    },
+  });
+});
+
+/**
+ * Get impersonation sessions (Admin only)
+ * @route GET /api/admin/impersonations
+ * Query params: impersonator, targetUser, active, page, limit
+ */
+export const getImpersonations = asyncHandler(async (req, res) => {
+  const { impersonator, targetUser, active, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+
+  if (impersonator) {
+    query.impersonator = impersonator;
+  }
+  if (targetUser) {
+    query.targetUser = targetUser;
+  }
+  if (active === "true") {
+    query.endedAt = { $exists: false };
+    query.expiresAt = { $gt: new Date() };
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const limitNum = parseInt(limit);
+
+  const impersonations = await Impersonation.find(query)
+    .populate("impersonator", "email")
+    .populate("targetUser", "email role")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Impersonation.countDocuments(query);
+
+  const response = formatPaginationResponse(impersonations, total, page, limit);
+
+  res.json({
+    success: true,
+    data: response.data,
+    pagination: response.pagination,
+  });
+});
+
+/**
+ * Get an impersonation session with its full audit trail (Admin only)
+ * @route GET /api/admin/impersonations/:impersonationId
+ */
+export const getImpersonationById = asyncHandler(async (req, res) => {
+  const impersonation = await Impersonation.findById(req.params.impersonationId)
+    .populate("impersonator", "email")
+    .populate("targetUser", "email role");
+
+  if (!impersonation) {
+    throw new NotFoundError("Impersonation");
+  }
+
+  const auditLog = await AuditLog.find({ impersonation: impersonation._id }).sort({
+    createdAt: 1,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      impersonation,
+      isActive: impersonation.isActive(),
+      auditLog,
+    },
+  });
+});
+
+/**
+ * Force-end an impersonation session (its own admin or a super admin)
+ * @route POST /api/admin/impersonations/:impersonationId/end
+ */
+export const endImpersonationById = asyncHandler(async (req, res) => {
+  const impersonation = await Impersonation.findById(req.params.impersonationId);
+
+  if (!impersonation) {
+    throw new NotFoundError("Impersonation");
+  }
+
+  const granted = req.user.profile?.permissions || [];
+  const isOwner = impersonation.impersonator.toString() === req.userId.toString();
+  if (!isOwner && !granted.includes(SUPER_ADMIN_PERMISSION)) {
+    throw new ForbiddenError("Only the impersonating admin or a super admin can end this session");
+  }
+
+  const ended = await endImpersonation(impersonation._id, req.userId, "ended_by_admin");
+
+  res.json({
+    success: true,
+    message: ended ? "Impersonation ended" : "Impersonation had already ended",
+    data: ended || impersonation,
+  });
+});
+
+/**
+ * Suspend a customer or artist (Admin only)
+ * Suspended artists are hidden from listings; customers on their open bookings
+ * are notified and can cancel for a full refund
+ * @route PUT /api/admin/users/:userId/suspend
+ * @body reason - Shown to the user (required)
+ * @body until - Optional end date; without it the suspension lasts until reactivated
+ */
+export const suspendUserAccount = asyncHandler(async (req, res) => {
+  const { reason, until } = req.body;
+
+  if (!reason || !reason.trim()) {
+    throw new BadRequestError("Please provide a reason for the suspension");
+  }
+
+  let suspendedUntil = null;
+  if (until) {
+    suspendedUntil = new Date(until);
+    if (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+      throw new BadRequestError("Suspension end date must be a valid future date");
+    }
+  }
+
+  const user = await findModeratableUser(req.params.userId, req.userId);
+
+  if (user.isBanned()) {
+    throw new BadRequestError("This account is banned");
+  }
+
+  const summary = await suspendUser(user, {
+    reason: reason.trim(),
+    until: suspendedUntil,
+    adminId: req.userId,
+  });
+
+  res.json({
+    success: true,
+    message: "User suspended successfully",
+    data: {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      suspension: user.suspension,
+      ...summary,
+    },
+  });
+});
+
+/**
+ * Reactivate a suspended customer or artist (Admin only)
+ * @route PUT /api/admin/users/:userId/reactivate
+ */
+export const reactivateUserAccount = asyncHandler(async (req, res) => {
+  const user = await findModeratableUser(req.params.userId, req.userId);
+
+  if (user.isBanned()) {
+    throw new BadRequestError("Banned accounts cannot be reactivated");
+  }
+
+  if (user.isActive !== false) {
+    throw new BadRequestError("This account is already active");
+  }
+
+  await reactivateUser(user);
+
+  res.json({
+    success: true,
+    message: "User reactivated successfully",
+    data: {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      isActive: user.isActive,
+    },
+  });
+});
+
+/**
+ * Permanently ban a customer or artist (Admin only)
+ * @route PUT /api/admin/users/:userId/ban
+ * @body reason - Shown to the user (required)
+ */
+export const banUserAccount = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason || !reason.trim()) {
+    throw new BadRequestError("Please provide a reason for the ban");
+  }
+
+  const user = await findModeratableUser(req.params.userId, req.userId);
+
+  if (user.isBanned()) {
+    throw new BadRequestError("This account is already banned");
+  }
+
+  const summary = await banUser(user, { reason: reason.trim(), adminId: req.userId });
+
+  res.json({
+    success: true,
+    message: "User banned permanently",
+    data: {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      ban: user.ban,
+      ...summary,
+    },
+  });
+});
+
+// Coupon fields an admin can set (usedCount is maintained by bookings)
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "value",
+  "maxDiscount",
+  "minSubtotal",
+  "startsAt",
+  "expiresAt",
+  "usageLimit",
+  "perCustomerLimit",
+  "artist",
+  "isActive",
+];
+
+const pickCouponFields = (body) =>
+  Object.fromEntries(
+    COUPON_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field] === "" ? null : body[field],
+    ])
+  );
+
+/**
+ * Get coupons (Admin only)
+ * @route GET /api/admin/coupons
+ * Query params: search (code), active, page, limit
+ */
+export const getCoupons = asyncHandler(async (req, res) => {
+  const { search, active, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (search) {
+    query.code = { $regex: escapeRegex(search.trim()), $options: "i" };
+  }
+  if (active === "true") {
+    query.isActive = true;
+    query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  } else if (active === "false") {
+    query.isActive = false;
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const limitNum = parseInt(limit);
+
+  const coupons = await Coupon.find(query)
+    .populate("artist", "email")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Coupon.countDocuments(query);
+
+  const response = formatPaginationResponse(coupons, total, page, limit);
+
+  res.json({
+    success: true,
+    data: response.data,
+    pagination: response.pagination,
+  });
+});
+
+/**
+ * Create a coupon (Admin only)
+ * @route POST /api/admin/coupons
+ * @body code, discountType (percent/fixed), value, maxDiscount, minSubtotal, startsAt, expiresAt, usageLimit, perCustomerLimit, artist
+ */
+export const createCoupon = asyncHandler(async (req, res) => {
+  const data = pickCouponFields(req.body);
+
+  if (!data.code || !data.discountType || data.value === undefined) {
+    throw new BadRequestError("code, discountType and value are required");
+  }
+
+  const coupon = await Coupon.create({ ...data, createdBy: req.userId });
+
+  res.status(201).json({
+    success: true,
+    message: "Coupon created successfully",
+    data: { coupon },
+  });
+});
+
+/**
+ * Update a coupon (Admin only)
+ * @route PUT /api/admin/coupons/:couponId
+ */
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.couponId);
+  if (!coupon) {
+    throw new NotFoundError("Coupon not found");
+  }
+
+  const data = pickCouponFields(req.body);
+  if (Object.keys(data).length === 0) {
+    throw new BadRequestError("No valid fields provided for update");
+  }
+
+  // save() (not findByIdAndUpdate) so the percent/date checks run
+  coupon.set(data);
+  await coupon.save();
+
+  res.json({
+    success: true,
+    message: "Coupon updated successfully",
+    data: { coupon },
+  });
+});
+
+/**
+ * Deactivate a coupon (Admin only)
+ * Coupons are kept so bookings that used them still resolve
+ * @route DELETE /api/admin/coupons/:couponId
+ */
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndUpdate(
+    req.params.couponId,
+    { isActive: false },
+    { new: true }
+  );
+  if (!coupon) {
+    throw new NotFoundError("Coupon not found");
+  }
+
+  res.json({
+    success: true,
+    message: "Coupon deactivated successfully",
+    data: { coupon },
+  });
+});
+
+const PLACEMENT_FIELDS = ["artist", "slot", "category", "startDate", "endDate", "priority", "notes", "isActive"];
+
+const pickPlacementFields = (body) =>
+  Object.fromEntries(
+    PLACEMENT_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field] === "" ? null : body[field],
+    ])
+  );
+
+// Only approved artists can be featured
+const assertFeaturableArtist = async (artistId) => {
+  const artist = await Artist.findById(artistId).select("status");
+  if (!artist) {
+    throw new NotFoundError("Artist not found");
+  }
+  if (artist.status !== "approved") {
+    throw new BadRequestError("Only approved artists can be featured");
+  }
+};
+
+/**
+ * Get featured placements with impressions, clicks and click-through rate (Admin only)
+ * @route GET /api/admin/featured-placements
+ * Query params: slot, category, artist (Artist ID), state (active/scheduled/expired/inactive), page, limit
+ */
+export const getFeaturedPlacements = asyncHandler(async (req, res) => {
+  const { slot, category, artist, state, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (slot) {
+    if (!PLACEMENT_SLOTS.includes(slot)) {
+      throw new BadRequestError(`slot must be one of: ${PLACEMENT_SLOTS.join(", ")}`);
+    }
+    query.slot = slot;
+  }
+  if (category) query.category = category;
+  if (artist) query.artist = artist;
+
+  const now = new Date();
+  if (state === "active") {
+    Object.assign(query, activePlacementQuery(now));
+  } else if (state === "scheduled") {
+    Object.assign(query, { isActive: true, startDate: { $gt: now } });
+  } else if (state === "expired") {
+    Object.assign(query, { isActive: true, endDate: { $lte: now } });
+  } else if (state === "inactive") {
+    query.isActive = false;
+  } else if (state) {
+    throw new BadRequestError("state must be active, scheduled, expired or inactive");
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const limitNum = parseInt(limit);
+
+  const placements = await FeaturedPlacement.find(query)
+    .populate("artist", "name slug profileImage status")
+    .populate("category", "name")
+    .sort({ slot: 1, priority: -1, startDate: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await FeaturedPlacement.countDocuments(query);
+
+  const response = formatPaginationResponse(
+    placements.map((placement) => formatPlacement(placement, now)),
+    total,
+    page,
+    limit
+  );
+
+  res.json({
+    success: true,
+    data: response.data,
+    pagination: response.pagination,
+  });
+});
+
+/**
+ * Feature an artist (Admin only)
+ * @route POST /api/admin/featured-placements
+ * @body artist (Artist ID), slot (homepage/search/category), category, startDate (default now), endDate, priority (0-100), notes
+ */
+export const createFeaturedPlacement = asyncHandler(async (req, res) => {
+  const data = pickPlacementFields(req.body);
+
+  if (!data.artist || !data.slot || !data.endDate) {
+    throw new BadRequestError("artist, slot and endDate are required");
+  }
+  await assertFeaturableArtist(data.artist);
+
+  const placement = await FeaturedPlacement.create({ ...data, createdBy: req.userId });
+
+  res.status(201).json({
+    success: true,
+    message: "Featured placement created successfully",
+    data: { placement: formatPlacement(placement) },
+  });
+});
+
+/**
+ * Update a featured placement (Admin only)
+ * @route PUT /api/admin/featured-placements/:placementId
+ */
+export const updateFeaturedPlacement = asyncHandler(async (req, res) => {
+  const placement = await FeaturedPlacement.findById(req.params.placementId);
+  if (!placement) {
+    throw new NotFoundError("Placement not found");
+  }
+
+  const data = pickPlacementFields(req.body);
+  if (Object.keys(data).length === 0) {
+    throw new BadRequestError("No valid fields provided for update");
+  }
+  if (data.artist && data.artist.toString() !== placement.artist.toString()) {
+    await assertFeaturableArtist(data.artist);
+  }
+
+  // save() (not findByIdAndUpdate) so the slot/category and date checks run
+  placement.set(data);
+  await placement.save();
+
+  res.json({
+    success: true,
+    message: "Featured placement updated successfully",
+    data: { placement: formatPlacement(placement) },
+  });
+});
+
+/**
+ * Deactivate a featured placement (Admin only)
+ * Placements are kept for their impression and click history
+ * @route DELETE /api/admin/featured-placements/:placementId
+ */
+export const deleteFeaturedPlacement = asyncHandler(async (req, res) => {
+  const placement = await FeaturedPlacement.findByIdAndUpdate(
+    req.params.placementId,
+    { isActive: false },
+    { new: true }
+  );
+  if (!placement) {
+    throw new NotFoundError("Placement not found");
+  }
+
+  res.json({
+    success: true,
+    message: "Featured placement deactivated successfully",
+    data: { placement: formatPlacement(placement) },
+  });
+});
+
+/**
+ * Identity verification review queue (Admin only)
+ * Oldest submissions first
+ * @route GET /api/admin/verifications
+ * Query params: status (pending/approved/rejected, default pending), page, limit
+ */
+export const getVerifications = asyncHandler(async (req, res) => {
+  const { status = "pending", page = 1, limit = 20 } = req.query;
+
+  if (!["pending", "approved", "rejected"].includes(status)) {
+    throw new BadRequestError("status must be pending, approved or rejected");
+  }
+  const query = { status };
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const limitNum = parseInt(limit);
+
+  const verifications = await IdentityVerification.find(query)
+    .populate("artist", "name slug profileImage")
+    .populate("user", "email")
+    .populate("reviewedBy", "email")
+    .sort({ createdAt: status === "pending" ? 1 : -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await IdentityVerification.countDocuments(query);
+
+  const response = formatPaginationResponse(verifications, total, page, limit);
+
+  res.json({
+    success: true,
+    data: response.data,
+    pagination: response.pagination,
+  });
+});
+
+/**
+ * Get a verification with signed links to its documents (Admin only)
+ * Links expire after a few minutes; the documents have no public URL
+ * @route GET /api/admin/verifications/:verificationId
+ */
+export const getVerificationById = asyncHandler(async (req, res) => {
+  const verification = await IdentityVerification.findById(req.params.verificationId)
+    .populate("artist", "name slug profileImage identityVerification")
+    .populate("user", "email")
+    .populate("reviewedBy", "email");
+
+  if (!verification) {
+    throw new NotFoundError("Verification");
+  }
+
+  res.json({
+    success: true,
+    data: {
+      verification,
+      documents: getDocumentLinks(verification),
+      // Same document number used by other artists
+      duplicates: await findDuplicateSubmissions(verification._id),
+    },
+  });
+});
+
+/**
+ * Approve an identity verification (Admin only)
+ * @route PUT /api/admin/verifications/:verificationId/approve
+ */
+export const approveVerification = asyncHandler(async (req, res) => {
+  const verification = await reviewVerification(req.params.verificationId, {
+    approve: true,
+    adminId: req.userId,
+  });
+
+  res.json({
+    success: true,
+    message: "Identity verified",
+    data: verification,
+  });
+});
+
+/**
+ * Reject an identity verification (Admin only)
+ * @route PUT /api/admin/verifications/:verificationId/reject
+ * @body reason - shown to the artist
+ */
+export const rejectVerification = asyncHandler(async (req, res) => {
+  const verification = await reviewVerification(req.params.verificationId, {
+    approve: false,
+    reason: req.body.reason,
+    adminId: req.userId,
+  });
+
+  res.json({
+    success: true,
+    message: "Identity verification rejected",
+    data: verification,
+  });
+});
+
+/**
+ * Profile change review queue (Admin only)
+ * Oldest submissions first
+ * @route GET /api/admin/profile-revisions
+ * Query params: status (pending/approved/rejected/withdrawn, default pending), page, limit
+ */
+export const getProfileRevisions = asyncHandler(async (req, res) => {
+  const { status = "pending", page = 1, limit = 20 } = req.query;
+
+  if (!["pending", "approved", "rejected", "withdrawn"].includes(status)) {
+    throw new BadRequestError("status must be pending, approved, rejected or withdrawn");
+  }
+  const query = { status };
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const limitNum = parseInt(limit);
+
+  const revisions = await ProfileRevision.find(query)
+    .populate("artist", "name slug profileImage")
+    .populate("user", "email")
+    .populate("reviewedBy", "email")
+    .sort({ submittedAt: status === "pending" ? 1 : -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await ProfileRevision.countDocuments(query);
+
+  const response = formatPaginationResponse(revisions, total, page, limit);
+
+  res.json({
+    success: true,
+    data: response.data,
+    pagination: response.pagination,
+  });
+});
+
+/**
+ * Get a profile revision with a field-by-field diff against the live profile (Admin only)
+ * @route GET /api/admin/profile-revisions/:revisionId
+ */
+export const getProfileRevisionById = asyncHandler(async (req, res) => {
+  const revision = await ProfileRevision.findById(req.params.revisionId)
+    .populate("user", "email")
+    .populate("reviewedBy", "email");
+
+  if (!revision) {
+    throw new NotFoundError("Profile revision");
+  }
+
+  const artist = await Artist.findById(revision.artist).select(
+    "name slug bio category profileImage hourlyRate pricing services status"
+  );
+
+  res.json({
+    success: true,
+    data: {
+      revision,
+      artist,
+      // Pending revisions are compared with the live profile, closed ones with what it was at submission
+      diff: await buildRevisionDiff(revision, revision.status === "pending" ? artist : null),
+    },
+  });
+});
+
+/**
+ * Approve profile changes and publish them (Admin only)
+ * @route PUT /api/admin/profile-revisions/:revisionId/approve
+ */
+export const approveProfileRevision = asyncHandler(async (req, res) => {
+  const revision = await reviewProfileRevision(req.params.revisionId, {
+    approve: true,
+    adminId: req.userId,
+  });
+
+  res.json({
+    success: true,
+    message: "Profile changes approved and published",
+    data: revision,
+  });
+});
+
+/**
+ * Reject profile changes (Admin only)
+ * The live profile stays as it was
+ * @route PUT /api/admin/profile-revisions/:revisionId/reject
+ * @body reason - shown to the artist
+ */
+export const rejectProfileRevision = asyncHandler(async (req, res) => {
+  const revision = await reviewProfileRevision(req.params.revisionId, {
+    approve: false,
+    reason: req.body.reason,
+    adminId: req.userId,
+  });
+
+  res.json({
+    success: true,
+    message: "Profile changes rejected",
+    data: revision,
+  });
+});
+
+/**
+ * Get subscription plans (Admin only)
+ * @route GET /api/admin/subscription-plans
+ */
+export const getSubscriptionPlans = asyncHandler(async (req, res) => {
+  const plans = await getPlans();
+
+  res.json({
+    success: true,
+    data: plans,
+  });
+});
+
+/**
+ * Update a subscription plan (Admin only)
+ * A new monthly price applies to new subscriptions; existing subscribers keep theirs
+ * @route PUT /api/admin/subscription-plans/:key
+ * @body name, description, monthlyPrice, currency, maxServices, maxPortfolioItems
+ *   (null = unlimited), commissionPercent, searchBoost, isActive
+ */
+export const updateSubscriptionPlan = asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  const current = await getPlan(key);
+
+  const data = {};
+  EDITABLE_PLAN_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  });
+  if (Object.keys(data).length === 0) {
+    throw new BadRequestError("No valid fields provided for update");
+  }
+
+  // Everyone falls back to the free plan, so it must stay free and available
+  if (key === "free" && ((data.monthlyPrice ?? 0) !== 0 || data.isActive === false)) {
+    throw new BadRequestError("The free plan must stay free and active");
+  }
+  if (PAID_PLAN_KEYS.includes(key) && data.monthlyPrice !== undefined && !(data.monthlyPrice > 0)) {
+    throw new BadRequestError("Paid plans need a monthly price above 0");
+  }
+
+  const plan = (await SubscriptionPlan.findOne({ key })) || new SubscriptionPlan({ ...DEFAULT_PLANS[key] });
+  plan.set(data);
+  plan.updatedBy = req.userId;
+
+  // Stripe prices can't change - a new one is created at the next checkout
+  if (data.monthlyPrice !== undefined || data.currency !== undefined) {
+    if (plan.monthlyPrice !== current.monthlyPrice || plan.currency !== current.currency) {
+      plan.stripePriceId = undefined;
+    }
+  }
+  await plan.save();
+
+  res.json({
+    success: true,
+    message: "Subscription plan updated successfully",
+    data: plan,
+  });
+});
+
+/**
+ * Get subscribed artists (Admin only)
+ * @route GET /api/admin/subscribers
+ * Query params: status (active/pending/expired, default active), plan, search, page, limit
+ */
+export const getSubscribers = asyncHandler(async (req, res) => {
+  const { status = "active", plan, search, page = 1, limit = 20 } = req.query;
+
+  if (!["active", "pending", "expired"].includes(status)) {
+    throw new BadRequestError("status must be active, pending or expired");
+  }
+  const query = { "subscription.status": status };
+  if (plan) {
+    if (!PAID_PLAN_KEYS.includes(plan)) {
+      throw new BadRequestError(`plan must be one of: ${PAID_PLAN_KEYS.join(", ")}`);
+    }
+    query[status === "pending" ? "subscription.pendingPlan" : "subscription.plan"] = plan;
+  }
+  if (search) {
+    query.name = { $regex: escapeRegex(search), $options: "i" };
+  }
+
+  // Pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const limitNum = parseInt(limit);
+
+  const artists = await Artist.find(query)
+    .select("name slug profileImage userId subscription")
+    .populate("userId", "email")
+    .sort({ "subscription.expiresAt": 1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Artist.countDocuments(query);
+
+  // Paying artists per plan and the monthly revenue they bring in
+  const [plans, counts] = await Promise.all([
+    getPlans(),
+    Artist.aggregate([
+      { $match: { "subscription.status": "active", "subscription.expiresAt": { $gt: new Date() } } },
+      { $group: { _id: "$subscription.plan", count: { $sum: 1 } } },
+    ]),
+  ]);
+  const summary = plans
+    .filter((p) => PAID_PLAN_KEYS.includes(p.key))
+    .map((p) => {
+      const count = counts.find((c) => c._id === p.key)?.count || 0;
+      return {
+        plan: p.key,
+        subscribers: count,
+        monthlyRevenue: Math.round(count * p.monthlyPrice * 100) / 100,
+        currency: p.currency,
+      };
+    });
+
+  const response = formatPaginationResponse(artists, total, page, limit);
+
+  res.json({
+    success: true,
+    data: response.data,
+    pagination: response.pagination,
+    summary,
+  });
+});
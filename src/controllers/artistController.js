@@ -1,7 +1,8 @@
 /**
  * Artist Controller
- * Handles artist profile management, bookings, reviews, and availability
+ * Handles artist profile management, portfolio, bookings, reviews, availability, earnings and subscriptions
  */
+import mongoose from "mongoose";
 import Artist from "../models/Artist.js";
 import PendingArtist from "../models/PendingArtist.js";
 import User from "../models/User.js";
@@ -9,7 +10,9 @@ import Customer from "../models/Customer.js";
 import Booking from "../models/Booking.js";
 import Review from "../models/Review.js";
 import Category from "../models/Category.js";
-import { isTimeSlotAvailable, createNotification } from "../utils/helpers.js";
+import IdentityVerification from "../models/IdentityVerification.js";
+import ProfileRevision from "../models/ProfileRevision.js";
+import { createNotification } from "../utils/helpers.js";
 import Notification from "../models/Notification.js";
 import { sendApprovalEmail } from "../utils/emailService.js";
 import {
@@ -20,6 +23,64 @@ import {
 } from "../utils/errors.js";
 import { asyncHandler } from "../middleware/authMiddleware.js";
 import { formatPaginationResponse } from "../utils/paginate.js";
+import { resolveArtistLocation } from "../utils/geocoder.js";
+import {
+  DAY_KEYS,
+  toDateKey,
+  addDays,
+  isValidTime,
+  timeToMinutes,
+  getWeekdayHours,
+} from "../utils/availabilityService.js";
+import { OPEN_BOOKING_STATUSES } from "../utils/accountService.js";
+import { normalizeService, findArtistService } from "../utils/servicePackages.js";
+import { uploadPortfolioMedia } from "../utils/cloudinary.js";
+import { submitVerification } from "../utils/identityVerificationService.js";
+import {
+  splitProfileChanges,
+  stageProfileRevision,
+  requiresProfileReview,
+  findPendingRevision,
+  buildServicesDraft,
+  discardStagedPortfolioAssets,
+} from "../utils/profileRevisionService.js";
+import {
+  formatVacation,
+  normalizeVacation,
+  hasVacation,
+  isOnVacation,
+} from "../utils/vacationService.js";
+import { getArtistAnalytics } from "../utils/artistAnalyticsService.js";
+import {
+  getEarningsSummary,
+  getMonthlyStatement,
+  statementToCsv,
+  statementToPdf,
+} from "../utils/earningsService.js";
+import {
+  getPlans,
+  getArtistPlan,
+  isSubscriptionActive,
+  assertPlanLimit,
+  startSubscription,
+  syncSubscription,
+  cancelArtistSubscription,
+  toPublicPlan,
+} from "../utils/subscriptionService.js";
+import {
+  generateUniqueSlug,
+  normalizeVanitySlug,
+  isSlugTaken,
+  changeArtistSlug,
+} from "../utils/slugService.js";
+import {
+  MAX_PORTFOLIO_ITEMS,
+  normalizePortfolioItem,
+  resolveCoverImage,
+  sortPortfolio,
+  getItemAssets,
+  removePortfolioAssets,
+} from "../utils/portfolioService.js";
 
 /**
  * Get artist profile
@@ -48,15 +109,43 @@ export const getProfile = asyncHandler(async (req, res) => {
   // Get user data
   const user = await User.findById(req.userId).select("-password");
 
+  // Profile changes waiting for admin review (the live profile is unchanged until then)
+  const pendingRevision = await ProfileRevision.findOne({ artist: artist._id, status: "pending" });
+
   res.json({
     success: true,
     data: {
       user,
       artist,
+      pendingRevision,
     },
   });
 });
 
+/**
+ * Withdraw profile changes that are waiting for review
+ * @route DELETE /api/artist/profile/revision
+ */
+export const withdrawProfileRevision = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+
+  const revision = await ProfileRevision.findOneAndUpdate(
+    { artist: artist._id, status: "pending" },
+    { status: "withdrawn" },
+    { new: true }
+  );
+  if (!revision) {
+    throw new NotFoundError("Pending profile changes");
+  }
+  await discardStagedPortfolioAssets(revision, artist);
+
+  res.json({
+    success: true,
+    message: "Profile changes withdrawn",
+    data: revision,
+  });
+});
+
 /**
  * Update artist profile
  * @route PUT /api/artist/profile
@@ -71,7 +160,6 @@ export const updateProfile = asyncHandler(async (req, res) => {
     hourlyRate,
     availability,
     profileImage,
-    portfolio,
     website,
     socialLinks,
     experience,
@@ -79,6 +167,7 @@ export const updateProfile = asyncHandler(async (req, res) => {
     certifications,
     languages,
     location,
+    serviceRadiusKm,
     pricing,
     deliveryTime,
   } = req.body;
@@ -101,19 +190,13 @@ export const updateProfile = asyncHandler(async (req, res) => {
     artistUpdateData.phone = normalizeSriLankanPhone(phone);
   }
   if (bio !== undefined) artistUpdateData.bio = bio;
-  if (category) {
-    artistUpdateData.category = category;
-    // Update artistType based on the new category type
-    const categoryDoc = await Category.findById(category);
-    if (categoryDoc && categoryDoc.type) {
-      artistUpdateData.artistType = categoryDoc.type;
-    }
-  }
+  // artistType follows the category once a category change is approved
+  if (category) artistUpdateData.category = category;
   if (skills) artistUpdateData.skills = skills;
   if (hourlyRate !== undefined) artistUpdateData.hourlyRate = hourlyRate;
   if (availability) artistUpdateData.availability = availability;
   if (profileImage !== undefined) artistUpdateData.profileImage = profileImage;
-  if (portfolio !== undefined) artistUpdateData.portfolio = portfolio;
+  // Portfolio items are managed through /api/artist/profile/portfolio
   if (website !== undefined) artistUpdateData.website = website;
   if (socialLinks !== undefined) artistUpdateData.socialLinks = socialLinks;
   if (experience !== undefined) artistUpdateData.experience = experience;
@@ -121,14 +204,34 @@ export const updateProfile = asyncHandler(async (req, res) => {
   if (certifications !== undefined)
     artistUpdateData.certifications = certifications;
   if (languages !== undefined) artistUpdateData.languages = languages;
-  if (location !== undefined) artistUpdateData.location = location;
+  if (location !== undefined) {
+    // Coordinates for radius search - explicit, or geocoded from city/state
+    artistUpdateData.location = await resolveArtistLocation(location);
+  }
+  if (serviceRadiusKm !== undefined) {
+    // null/"" clears the limit
+    if (serviceRadiusKm === null || serviceRadiusKm === "") {
+      artistUpdateData.$unset = { serviceRadiusKm: 1 };
+    } else {
+      artistUpdateData.serviceRadiusKm = serviceRadiusKm;
+    }
+  }
   if (pricing !== undefined) artistUpdateData.pricing = pricing;
   if (deliveryTime !== undefined) artistUpdateData.deliveryTime = deliveryTime;
 
+  // Sensitive fields (name, bio, category, image, prices) wait for admin review;
+  // everything else goes live now. The slug follows the name once it's approved.
+  const current = await loadOwnArtist(req.userId);
+  const { live, staged } = splitProfileChanges(current, artistUpdateData);
+  const hasStagedChanges = Object.keys(staged).length > 0;
+  const pendingRevision = hasStagedChanges
+    ? await stageProfileRevision(current, staged)
+    : await ProfileRevision.findOne({ artist: current._id, status: "pending" });
+
   // Find artist profile by userId (req.userId is the User ID)
   const artist = await Artist.findOneAndUpdate(
     { userId: req.userId },
-    artistUpdateData,
+    live,
     {
       new: true,
       runValidators: true,
@@ -146,10 +249,13 @@ export const updateProfile = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    message: "Profile updated successfully",
+    message: hasStagedChanges
+      ? `Profile updated. Changes to ${Object.keys(staged).join(", ")} will go live once an admin approves them`
+      : "Profile updated successfully",
     data: {
       user,
       artist,
+      pendingRevision,
     },
   });
 });
@@ -239,6 +345,7 @@ export const getBookings = asyncHandler(async (req, res) => {
       query.$or = [
         { location: { $regex: search, $options: "i" } },
         { specialRequests: { $regex: search, $options: "i" } },
+        { "extras.title": { $regex: search, $options: "i" } },
       ];
     }
 
@@ -602,6 +709,844 @@ export const getReviews = asyncHandler(async (req, res) => {
   });
 });
 
+// Calendar fields returned by the availability endpoints
+const calendarResponse = (artist) => ({
+  weeklyHours: Object.fromEntries(
+    DAY_KEYS.map((day) => [day, getWeekdayHours(artist, day)])
+  ),
+  usingDefaultHours: !artist.availability || artist.availability.size === 0,
+  exceptions: [...artist.availabilityExceptions].sort((a, b) => a.date.localeCompare(b.date)),
+  blackouts: [...artist.blackouts].sort((a, b) => a.startDate.localeCompare(b.startDate)),
+  vacation: formatVacation(artist),
+});
+
+const loadOwnArtist = async (userId) => {
+  const artist = await Artist.findOne({ userId });
+  if (!artist) {
+    throw new NotFoundError("Artist");
+  }
+  return artist;
+};
+
+const assertTimeRange = (start, end) => {
+  if (!isValidTime(start) || !isValidTime(end)) {
+    throw new BadRequestError("start and end must be in HH:mm format");
+  }
+  if (timeToMinutes(start) >= timeToMinutes(end)) {
+    throw new BadRequestError("start must be before end");
+  }
+};
+
+/**
+ * Get own availability calendar (weekly hours, exceptions, blackouts)
+ * @route GET /api/artist/availability
+ */
+export const getAvailability = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+
+  res.json({
+    success: true,
+    data: calendarResponse(artist),
+  });
+});
+
+/**
+ * Replace weekly working hours
+ * @route PUT /api/artist/availability/weekly
+ * @body hours - { monday: { start: "09:00", end: "18:00", available: true }, ... }
+ * Days left out are not working days
+ */
+export const updateWeeklyHours = asyncHandler(async (req, res) => {
+  const { hours } = req.body;
+
+  if (!hours || typeof hours !== "object" || Array.isArray(hours)) {
+    throw new BadRequestError("Please provide hours for each working day");
+  }
+
+  const weeklyHours = {};
+  for (const [day, value] of Object.entries(hours)) {
+    if (!DAY_KEYS.includes(day)) {
+      throw new BadRequestError(`Unknown day "${day}". Use: ${DAY_KEYS.join(", ")}`);
+    }
+    const available = value?.available !== false;
+    if (available) {
+      assertTimeRange(value?.start, value?.end);
+    }
+    weeklyHours[day] = {
+      start: value?.start || "09:00",
+      end: value?.end || "18:00",
+      available,
+    };
+  }
+
+  // Days not listed are stored as closed so the default hours no longer apply
+  for (const day of DAY_KEYS) {
+    if (!weeklyHours[day]) {
+      weeklyHours[day] = { start: "09:00", end: "18:00", available: false };
+    }
+  }
+
+  const artist = await loadOwnArtist(req.userId);
+  artist.availability = weeklyHours;
+  await artist.save();
+
+  res.json({
+    success: true,
+    message: "Weekly hours updated",
+    data: calendarResponse(artist),
+  });
+});
+
+/**
+ * Set different hours (or a day off) for one date
+ * @route PUT /api/artist/availability/exceptions/:date
+ * @body { start, end, available, note }
+ */
+export const setAvailabilityException = asyncHandler(async (req, res) => {
+  const date = toDateKey(req.params.date);
+  const { start, end, available = true, note } = req.body;
+
+  if (available !== false) {
+    assertTimeRange(start, end);
+  }
+
+  const artist = await loadOwnArtist(req.userId);
+  const exception = {
+    date,
+    start: available !== false ? start : undefined,
+    end: available !== false ? end : undefined,
+    available: available !== false,
+    note,
+  };
+
+  const existing = artist.availabilityExceptions.find((e) => e.date === date);
+  if (existing) {
+    existing.set(exception);
+  } else {
+    artist.availabilityExceptions.push(exception);
+  }
+  await artist.save();
+
+  res.json({
+    success: true,
+    message: `Availability for ${date} updated`,
+    data: calendarResponse(artist),
+  });
+});
+
+/**
+ * Remove a dated exception (the weekly hours apply again)
+ * @route DELETE /api/artist/availability/exceptions/:date
+ */
+export const deleteAvailabilityException = asyncHandler(async (req, res) => {
+  const date = toDateKey(req.params.date);
+  const artist = await loadOwnArtist(req.userId);
+
+  const exception = artist.availabilityExceptions.find((e) => e.date === date);
+  if (!exception) {
+    throw new NotFoundError("Availability exception");
+  }
+  artist.availabilityExceptions.pull(exception._id);
+  await artist.save();
+
+  res.json({
+    success: true,
+    message: `Availability exception for ${date} removed`,
+    data: calendarResponse(artist),
+  });
+});
+
+/**
+ * Block out one or more whole days
+ * Existing bookings are kept; the response lists any that fall inside the blackout
+ * @route POST /api/artist/availability/blackouts
+ * @body { startDate, endDate, reason }
+ */
+export const addBlackout = asyncHandler(async (req, res) => {
+  const { startDate, endDate, reason } = req.body;
+
+  const startKey = toDateKey(startDate, "startDate");
+  const endKey = endDate ? toDateKey(endDate, "endDate") : startKey;
+  if (endKey < startKey) {
+    throw new BadRequestError("endDate must be on or after startDate");
+  }
+
+  const artist = await loadOwnArtist(req.userId);
+  artist.blackouts.push({ startDate: startKey, endDate: endKey, reason });
+  await artist.save();
+
+  // Bookings already made for these days need to be handled by the artist
+  const conflictingBookings = await Booking.find({
+    artist: req.userId,
+    status: { $in: OPEN_BOOKING_STATUSES },
+    bookingDate: {
+      $gte: new Date(`${startKey}T00:00:00.000Z`),
+      $lt: new Date(`${addDays(endKey, 1)}T00:00:00.000Z`),
+    },
+  }).select("service bookingDate startTime endTime status");
+
+  res.status(201).json({
+    success: true,
+    message: "Blackout added",
+    data: {
+      ...calendarResponse(artist),
+      conflictingBookings,
+    },
+  });
+});
+
+/**
+ * Remove a blackout
+ * @route DELETE /api/artist/availability/blackouts/:blackoutId
+ */
+export const deleteBlackout = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+
+  const blackout = artist.blackouts.id(req.params.blackoutId);
+  if (!blackout) {
+    throw new NotFoundError("Blackout");
+  }
+  artist.blackouts.pull(blackout._id);
+  await artist.save();
+
+  res.json({
+    success: true,
+    message: "Blackout removed",
+    data: calendarResponse(artist),
+  });
+});
+
+/**
+ * Get own vacation mode
+ * A vacation that has ended is switched off here
+ * @route GET /api/artist/vacation
+ */
+export const getVacation = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+
+  if (artist.vacation?.enabled && !hasVacation(artist)) {
+    artist.vacation.enabled = false;
+    await artist.save();
+  }
+
+  res.json({
+    success: true,
+    data: formatVacation(artist),
+  });
+});
+
+/**
+ * Turn on (or change) vacation mode
+ * While away the artist is flagged in search, new bookings are refused and
+ * customer messages get the away message as an automatic reply
+ * @route PUT /api/artist/vacation
+ * @body startDate (YYYY-MM-DD, default today), endDate (last day away), message
+ */
+export const setVacation = asyncHandler(async (req, res) => {
+  const vacation = normalizeVacation(req.body);
+
+  const artist = await loadOwnArtist(req.userId);
+  artist.vacation = vacation;
+  await artist.save();
+
+  // Bookings already made for these days need to be handled by the artist
+  const conflictingBookings = await Booking.find({
+    artist: req.userId,
+    status: { $in: OPEN_BOOKING_STATUSES },
+    bookingDate: {
+      $gte: new Date(`${vacation.startDate}T00:00:00.000Z`),
+      $lt: new Date(`${addDays(vacation.endDate, 1)}T00:00:00.000Z`),
+    },
+  }).select("service bookingDate startTime endTime status");
+
+  res.json({
+    success: true,
+    message: isOnVacation(artist) ? "Vacation mode is on" : "Vacation scheduled",
+    data: {
+      ...formatVacation(artist),
+      conflictingBookings,
+    },
+  });
+});
+
+/**
+ * Turn vacation mode off (ends it early or cancels a scheduled one)
+ * @route DELETE /api/artist/vacation
+ */
+export const endVacation = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  if (!hasVacation(artist)) {
+    throw new BadRequestError("Vacation mode is not on");
+  }
+
+  artist.vacation.enabled = false;
+  await artist.save();
+
+  res.json({
+    success: true,
+    message: "Vacation mode is off",
+    data: formatVacation(artist),
+  });
+});
+
+// Approved artists edit a copy of their services that is staged for review on
+// save (see saveServices); everyone else edits the live profile
+const loadServicesForEdit = async (artist) =>
+  requiresProfileReview(artist) ? buildServicesDraft(artist, await findPendingRevision(artist)) : artist;
+
+/**
+ * Save edited services
+ * @returns {Promise<Object|null>} The pending ProfileRevision, or null if the edit went live
+ */
+const saveServices = async (artist, edited) => {
+  if (edited === artist) {
+    await artist.save();
+    return null;
+  }
+  return stageProfileRevision(artist, { services: edited.services.toObject() });
+};
+
+/**
+ * Get own services with their packages
+ * Changes waiting for review are returned as pendingServices
+ * @route GET /api/artist/services
+ */
+export const getServices = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const pendingRevision = await findPendingRevision(artist);
+
+  res.json({
+    success: true,
+    data: artist.services,
+    pendingServices: pendingRevision?.changes?.services || null,
+  });
+});
+
+/**
+ * Add a service, optionally with basic/standard/premium packages
+ * Approved artists' new services go live once an admin approves them
+ * @route POST /api/artist/services
+ * @body { name, description, currency, price, deliveryTime } or
+ *       { name, description, packages: [{ tier, name, price, deliveryTime, revisions, features }] }
+ */
+export const addService = asyncHandler(async (req, res) => {
+  const service = normalizeService(req.body);
+  const artist = await loadOwnArtist(req.userId);
+  const edited = await loadServicesForEdit(artist);
+  await assertPlanLimit(artist, "maxServices", edited.services.length);
+
+  if (edited.services.some((s) => s.name.toLowerCase() === service.name.toLowerCase())) {
+    throw new ConflictError(`You already have a service named "${service.name}"`);
+  }
+
+  edited.services.push(service);
+  const pendingRevision = await saveServices(artist, edited);
+
+  res.status(201).json({
+    success: true,
+    message: pendingRevision
+      ? "Service submitted. It will go live once an admin approves it"
+      : "Service added",
+    data: edited.services[edited.services.length - 1],
+    pendingRevision,
+  });
+});
+
+/**
+ * Replace a service and its packages
+ * Existing bookings keep the package snapshot they were made with; approved
+ * artists' changes go live once an admin approves them
+ * @route PUT /api/artist/services/:serviceId
+ */
+export const updateService = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const edited = await loadServicesForEdit(artist);
+  const existing = findArtistService(edited, { serviceId: req.params.serviceId });
+  if (!existing) {
+    throw new NotFoundError("Service");
+  }
+
+  const service = normalizeService(req.body);
+  if (
+    edited.services.some(
+      (s) => !s._id.equals(existing._id) && s.name.toLowerCase() === service.name.toLowerCase()
+    )
+  ) {
+    throw new ConflictError(`You already have a service named "${service.name}"`);
+  }
+
+  existing.set(service);
+  const pendingRevision = await saveServices(artist, edited);
+
+  res.json({
+    success: true,
+    message: pendingRevision
+      ? "Service changes submitted. They will go live once an admin approves them"
+      : "Service updated",
+    data: existing,
+    pendingRevision,
+  });
+});
+
+/**
+ * Delete a service
+ * Approved artists' services stay listed until an admin approves the removal
+ * @route DELETE /api/artist/services/:serviceId
+ */
+export const deleteService = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const edited = await loadServicesForEdit(artist);
+  const existing = findArtistService(edited, { serviceId: req.params.serviceId });
+  if (!existing) {
+    throw new NotFoundError("Service");
+  }
+
+  // Remote artists need at least one service to be bookable
+  if (artist.artistType === "remote" && edited.services.length === 1) {
+    throw new BadRequestError("Remote artists must keep at least one service");
+  }
+
+  edited.services.pull(existing._id);
+  const pendingRevision = await saveServices(artist, edited);
+
+  res.json({
+    success: true,
+    message: pendingRevision
+      ? "Service removal submitted. It will take effect once an admin approves it"
+      : "Service deleted",
+    pendingRevision,
+  });
+});
+
+/**
+ * Check whether a slug is free for the current artist
+ * @route GET /api/artist/profile/slug/availability?slug=
+ */
+export const checkSlugAvailability = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+
+  let slug;
+  let reason = null;
+  try {
+    slug = normalizeVanitySlug(req.query.slug);
+  } catch (error) {
+    reason = error.message;
+  }
+  const taken = slug ? await isSlugTaken(slug, artist._id) : false;
+  if (taken) {
+    reason = "Already taken";
+  }
+
+  res.json({
+    success: true,
+    data: {
+      slug: slug || req.query.slug || "",
+      available: !reason,
+      reason,
+      suggestion: reason ? await generateUniqueSlug(req.query.slug || artist.name, { excludeArtistId: artist._id }) : undefined,
+    },
+  });
+});
+
+/**
+ * Set a vanity slug (or go back to a generated one with { slug: null })
+ * The previous slug keeps redirecting to the new one
+ * @route PUT /api/artist/profile/slug
+ * @body slug
+ */
+export const updateSlug = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+
+  if (req.body.slug === null || req.body.slug === "") {
+    await changeArtistSlug(artist, await generateUniqueSlug(artist.name, { excludeArtistId: artist._id }));
+  } else {
+    await changeArtistSlug(artist, normalizeVanitySlug(req.body.slug), { custom: true });
+  }
+  await artist.save();
+
+  res.json({
+    success: true,
+    message: "Profile URL updated",
+    data: {
+      slug: artist.slug,
+      slugIsCustom: artist.slugIsCustom,
+      previousSlugs: artist.slugHistory.map((entry) => entry.slug),
+    },
+  });
+});
+
+/**
+ * Get own identity verification status
+ * @route GET /api/artist/profile/verification
+ */
+export const getIdentityVerification = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const latest = await IdentityVerification.findOne({ artist: artist._id })
+    .sort({ createdAt: -1 })
+    .select("documentType documentNumberLast4 status rejectionReason reviewedAt createdAt");
+
+  res.json({
+    success: true,
+    data: {
+      status: artist.identityVerification?.status || "unverified",
+      verifiedAt: artist.identityVerification?.verifiedAt,
+      rejectionReason: artist.identityVerification?.rejectionReason,
+      latestSubmission: latest,
+    },
+  });
+});
+
+/**
+ * Submit identity documents (NIC front/back or passport, plus a selfie)
+ * Files are stored privately and are only visible to admins reviewing them
+ * @route POST /api/artist/profile/verification
+ * @body documentType (nic/passport), documentNumber
+ * @body {File} documentFront, documentBack (NIC only), selfie - multipart/form-data
+ */
+export const submitIdentityVerification = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const verification = await submitVerification(artist, req.body, req.files);
+
+  res.status(201).json({
+    success: true,
+    message: "Documents submitted. We'll let you know once they have been reviewed.",
+    data: {
+      id: verification._id,
+      documentType: verification.documentType,
+      documentNumberLast4: verification.documentNumberLast4,
+      status: verification.status,
+      createdAt: verification.createdAt,
+    },
+  });
+});
+
+const findPortfolioItem = (artist, itemId) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId) ? artist.portfolio.id(itemId) : null;
+  if (!item) {
+    throw new NotFoundError("Portfolio item");
+  }
+  return item;
+};
+
+/**
+ * Get own portfolio items in display order
+ * @route GET /api/artist/profile/portfolio
+ */
+export const getPortfolio = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  await artist.populate("portfolio.category", "name");
+
+  res.json({
+    success: true,
+    data: sortPortfolio(artist.portfolio),
+  });
+});
+
+/**
+ * Upload a portfolio media file (image, video or audio) to the artist's folder
+ * Returns a media entry to put in a portfolio item's media list
+ * @route POST /api/artist/profile/portfolio/media
+ * @body {File} file - multipart/form-data field "file"
+ */
+export const uploadPortfolioFile = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError("No file provided. Upload it with the field name 'file' as multipart/form-data");
+  }
+
+  const artist = await loadOwnArtist(req.userId);
+
+  let result;
+  try {
+    result = await uploadPortfolioMedia(req.file.buffer, artist._id.toString(), req.file.mimetype);
+  } catch (error) {
+    throw new BadRequestError(error.message);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      type: result.type,
+      url: result.url,
+      publicId: result.public_id,
+      format: result.format,
+      width: result.width,
+      height: result.height,
+      bytes: result.bytes,
+    },
+  });
+});
+
+/**
+ * Add a portfolio item
+ * Approved artists' new items are added once an admin approves them
+ * @route POST /api/artist/profile/portfolio
+ * @body title, description, category, tags, media [{ type, url, publicId, caption }], coverImage
+ */
+export const addPortfolioItem = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const revision = requiresProfileReview(artist) ? await findPendingRevision(artist) : null;
+  const pendingItems = revision?.changes?.portfolioAdditions || [];
+  const itemCount = artist.portfolio.length + pendingItems.length;
+
+  if (itemCount >= MAX_PORTFOLIO_ITEMS) {
+    throw new BadRequestError(`You can have at most ${MAX_PORTFOLIO_ITEMS} portfolio items`);
+  }
+  await assertPlanLimit(artist, "maxPortfolioItems", itemCount);
+
+  const item = await normalizePortfolioItem(req.body, { artistId: artist._id.toString() });
+  item.coverImage = resolveCoverImage(item);
+
+  if (requiresProfileReview(artist)) {
+    const pendingRevision = await stageProfileRevision(artist, {
+      portfolioAdditions: [...pendingItems, item],
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Portfolio item submitted. It will be added once an admin approves it",
+      data: item,
+      pendingRevision,
+    });
+  }
+
+  // New items go to the end
+  item.order = artist.portfolio.reduce((max, existing) => Math.max(max, existing.order ?? 0), -1) + 1;
+
+  artist.portfolio.push(item);
+  await artist.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Portfolio item added",
+    data: artist.portfolio[artist.portfolio.length - 1],
+  });
+});
+
+/**
+ * Update a portfolio item (only the fields sent)
+ * Uploaded files no longer used by the item are deleted from Cloudinary
+ * @route PUT /api/artist/profile/portfolio/:itemId
+ */
+export const updatePortfolioItem = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const item = findPortfolioItem(artist, req.params.itemId);
+
+  const updates = await normalizePortfolioItem(req.body, {
+    artistId: artist._id.toString(),
+    partial: true,
+  });
+  if (Object.keys(updates).length === 0) {
+    throw new BadRequestError("No valid fields provided for update");
+  }
+
+  const previousMedia = item.media.map((media) => media.toObject());
+  const previousAssets = getItemAssets(item);
+
+  item.set(updates);
+  item.coverImage = resolveCoverImage(item, previousMedia);
+  await artist.save();
+
+  const keptIds = new Set(getItemAssets(item).map((asset) => asset.publicId));
+  await removePortfolioAssets(previousAssets.filter((asset) => !keptIds.has(asset.publicId)));
+
+  res.json({
+    success: true,
+    message: "Portfolio item updated",
+    data: item,
+  });
+});
+
+/**
+ * Reorder portfolio items
+ * @route PUT /api/artist/profile/portfolio/order
+ * @body itemIds - every item ID in the new order
+ */
+export const reorderPortfolio = asyncHandler(async (req, res) => {
+  const { itemIds } = req.body;
+  const artist = await loadOwnArtist(req.userId);
+
+  if (
+    !Array.isArray(itemIds) ||
+    itemIds.length !== artist.portfolio.length ||
+    new Set(itemIds.map(String)).size !== itemIds.length
+  ) {
+    throw new BadRequestError("itemIds must list every portfolio item exactly once");
+  }
+
+  itemIds.forEach((itemId, index) => {
+    findPortfolioItem(artist, itemId).order = index;
+  });
+  await artist.save();
+
+  res.json({
+    success: true,
+    message: "Portfolio reordered",
+    data: sortPortfolio(artist.portfolio),
+  });
+});
+
+/**
+ * Delete a portfolio item and its uploaded files
+ * @route DELETE /api/artist/profile/portfolio/:itemId
+ */
+export const deletePortfolioItem = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const item = findPortfolioItem(artist, req.params.itemId);
+  const assets = getItemAssets(item);
+
+  artist.portfolio.pull(item._id);
+  await artist.save();
+  await removePortfolioAssets(assets);
+
+  res.json({
+    success: true,
+    message: "Portfolio item deleted",
+  });
+});
+
+/**
+ * Get own profile analytics: search impressions, profile views, chat starts and
+ * bookings per day, with totals and conversion rates
+ * @route GET /api/artist/analytics
+ * Query params: days (default 30, max 365, including today; UTC days)
+ */
+export const getAnalytics = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const analytics = await getArtistAnalytics(artist._id, { days: req.query.days });
+
+  res.json({
+    success: true,
+    data: analytics,
+  });
+});
+
+/**
+ * Get own earnings: pending (held), available and paid-out funds, commission,
+ * and breakdowns by month and by service
+ * @route GET /api/artist/earnings
+ * Query params: months (monthly breakdown length, default 12, max 36)
+ */
+export const getEarnings = asyncHandler(async (req, res) => {
+  const earnings = await getEarningsSummary(req.userId, { months: req.query.months });
+
+  res.json({
+    success: true,
+    data: earnings,
+  });
+});
+
+/**
+ * Download a monthly earnings statement
+ * Lists the payments released to the artist during the month (UTC)
+ * @route GET /api/artist/earnings/statements/:month
+ * @param month - YYYY-MM
+ * Query params: format (csv/pdf, default pdf)
+ */
+export const downloadEarningsStatement = asyncHandler(async (req, res) => {
+  const { format = "pdf" } = req.query;
+  if (!["csv", "pdf"].includes(format)) {
+    throw new BadRequestError("format must be csv or pdf");
+  }
+
+  const artist = await loadOwnArtist(req.userId);
+  const statement = await getMonthlyStatement(req.userId, req.params.month);
+  const filename = `artzyra-statement-${statement.month}.${format}`;
+
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  if (format === "csv") {
+    res.type("text/csv").send(statementToCsv(statement, artist));
+  } else {
+    res.type("application/pdf").send(await statementToPdf(statement, artist));
+  }
+});
+
+// Current plan, billing state and usage against the plan limits
+const formatSubscription = (artist, plan) => ({
+  plan: toPublicPlan(plan),
+  status: artist.subscription?.status || "inactive",
+  expiresAt: artist.subscription?.expiresAt,
+  cancelAtPeriodEnd: Boolean(artist.subscription?.cancelAtPeriodEnd),
+  pendingPlan: artist.subscription?.pendingPlan,
+  usage: {
+    services: artist.services.length,
+    portfolioItems: artist.portfolio.length,
+  },
+});
+
+/**
+ * Get own subscription and the available plans
+ * @route GET /api/artist/subscription
+ */
+export const getSubscription = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const plan = await getArtistPlan(artist);
+  const plans = await getPlans();
+
+  res.json({
+    success: true,
+    data: {
+      ...formatSubscription(artist, plan),
+      plans: plans.filter((p) => p.isActive || p.key === plan.key).map(toPublicPlan),
+    },
+  });
+});
+
+/**
+ * Subscribe to or switch to a paid plan
+ * New subscriptions return a clientSecret to pay the first invoice with Stripe;
+ * the plan starts once POST /api/artist/subscription/verify confirms the payment.
+ * @route POST /api/artist/subscription
+ * @body plan - pro/premium
+ */
+export const subscribe = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  const { clientSecret } = await startSubscription(artist, req.body.plan);
+  const plan = await getArtistPlan(artist);
+
+  res.status(clientSecret ? 201 : 200).json({
+    success: true,
+    message: clientSecret ? "Subscription created. Complete the payment to activate it" : "Plan changed",
+    data: {
+      ...formatSubscription(artist, plan),
+      clientSecret,
+    },
+  });
+});
+
+/**
+ * Confirm the first payment (or pick up a renewal) from Stripe
+ * @route POST /api/artist/subscription/verify
+ */
+export const verifySubscription = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  await syncSubscription(artist);
+  const plan = await getArtistPlan(artist);
+
+  res.json({
+    success: true,
+    message: isSubscriptionActive(artist) ? `You are on the ${plan.name} plan` : "Payment not completed yet",
+    data: formatSubscription(artist, plan),
+  });
+});
+
+/**
+ * Cancel the subscription at the end of the paid period
+ * @route DELETE /api/artist/subscription
+ */
+export const cancelSubscription = asyncHandler(async (req, res) => {
+  const artist = await loadOwnArtist(req.userId);
+  await cancelArtistSubscription(artist);
+  const plan = await getArtistPlan(artist);
+
+  res.json({
+    success: true,
+    message: isSubscriptionActive(artist)
+      ? "Your subscription will end at the end of the current period"
+      : "Subscription cancelled",
+    data: formatSubscription(artist, plan),
+  });
+});
+
 /**
  * Get all pending artists (admin only)
  * @route GET /api/artists/pending
@@ -706,18 +1651,22 @@ export const approveArtist = asyncHandler(async (req, res) => {
 
   if (existingUser) {
     // User already exists - check their role and profile
-    if (existingUser.role !== "artist") {
-      // User exists with different role (customer/admin)
-      // This means they registered as customer first, then tried to register as artist
-      // We should reject the pending artist and inform admin
+    if (existingUser.hasRole("admin")) {
+      // Admin accounts cannot also be artists
       pendingArtist.status = "rejected";
       await pendingArtist.save();
 
       throw new ConflictError(
-        `User with this email already exists as ${existingUser.role}. Cannot approve as artist. The pending artist registration has been rejected.`
+        "User with this email already exists as admin. Cannot approve as artist. The pending artist registration has been rejected."
       );
     }
 
+    // A customer who applied as an artist keeps one account with both roles
+    if (!existingUser.hasRole("artist")) {
+      existingUser.addRole("artist");
+      await existingUser.save({ validateBeforeSave: false });
+    }
+
     // User exists with artist role - check if they have an Artist profile
     const existingArtist = await Artist.findOne({ userId: existingUser._id });
 
@@ -748,7 +1697,8 @@ export const approveArtist = asyncHandler(async (req, res) => {
       });
     } else {
       // User exists with artist role but no Artist profile - create the profile
-      // This handles edge case where User was created but Artist profile wasn't
+      // This covers customers adding the artist role, and the edge case where
+      // User was created but Artist profile wasn't
       user = existingUser;
 
       // Determine artist type from category
@@ -768,6 +1718,7 @@ export const approveArtist = asyncHandler(async (req, res) => {
         artist = await Artist.create({
           userId: user._id,
           name: pendingArtist.name,
+          slug: await generateUniqueSlug(pendingArtist.name),
           bio: pendingArtist.bio,
           profileImage: pendingArtist.profileImage,
           category: pendingArtist.category?._id || pendingArtist.category,
@@ -803,6 +1754,9 @@ export const approveArtist = asyncHandler(async (req, res) => {
       password: "temp123", // Temporary - will be replaced with hashed password
       role: "artist",
       isActive: true,
+      // Carry over email verification state from registration
+      isEmailVerified: pendingArtist.isEmailVerified,
+      emailVerifiedAt: pendingArtist.emailVerifiedAt,
     });
 
     // Update password directly to bypass pre-save hook (password is already hashed in PendingArtist)
@@ -835,6 +1789,7 @@ export const approveArtist = asyncHandler(async (req, res) => {
       artist = await Artist.create({
         userId: user._id,
         name: pendingArtist.name,
+        slug: await generateUniqueSlug(pendingArtist.name),
         bio: pendingArtist.bio,
         profileImage: pendingArtist.profileImage,
         category: categoryId,
@@ -2,56 +2,67 @@
  * Artist Public Controller
  * Provides read-only access to approved artist data
  */
-import mongoose from "mongoose";
 import Artist from "../models/Artist.js";
 import User from "../models/User.js";
 import { NotFoundError, BadRequestError } from "../utils/errors.js";
 import { asyncHandler } from "../middleware/authMiddleware.js";
+import { formatPaginationResponse } from "../utils/paginate.js";
+import { sortPortfolio } from "../utils/portfolioService.js";
+import { findArtistBySlug } from "../utils/slugService.js";
+import { isIdentityVerified } from "../utils/identityVerificationService.js";
+import { getSearchBoosts } from "../utils/subscriptionService.js";
+import { recordArtistEvent } from "../utils/artistAnalyticsService.js";
+import {
+  findActivePlacements,
+  pickPromotedArtists,
+  recordPlacementImpressions,
+  recordPlacementClick,
+  DEFAULT_FEATURED_LIMIT,
+  MAX_FEATURED_LIMIT,
+} from "../utils/featuredService.js";
+import {
+  resolveNearPoint,
+  buildArtistFilters,
+  buildArtistSort,
+  artistGeoNearStage,
+  artistDerivedFieldStages,
+  artistFacetStages,
+  formatArtistFacets,
+  formatListedArtists,
+  publicVacation,
+} from "../utils/artistSearch.js";
 
 /**
- * Get approved artists with search and filtering
+ * Get approved artists with search, filters, sorting and facets
  * @route GET /api/artists
  * @access Public
- * Query params: category, search, page, limit
- * 
+ * Query params: search, category, artistType, minPrice, maxPrice, minRating, city,
+ * languages, skills, maxDeliveryTime, verified, onVacation, near, radius, sortBy, sortOrder, page, limit
+ *
  * EXPLANATION:
- * - category: Filter by category ID
- * - search: Searches in name, bio, and skills fields (case-insensitive)
- * - page, limit: Pagination parameters
- * - Returns only approved and active artists
+ * - search: Full-text search over name, skills and bio (Artist text index)
+ * - minPrice/maxPrice: Starting price - cheapest service, else pricing.amount/hourlyRate
+ * - languages, skills: Comma-separated, matches artists with any of them
+ * - maxDeliveryTime: Fastest service delivery in days (remote artists)
+ * - verified: "true" returns only identity-verified artists
+ * - onVacation: artists away are flagged (onVacation, vacation); "false" leaves them out
+ * - near, radius: Physical artists within radius km (default 20) of a city or "lat,lng";
+ *   each result gets distanceKm, and artists' own service radius is respected
+ * - sortBy: distance (default with near), relevance (default when searching), rating,
+ *   price, popularity, newest (default); relevance and newest put boosted (paid plan) artists first
+ * - facets: Counts for the filtered result set, for filter sidebars
+ * - promoted: with the first page, up to 2 artists with a running search placement that
+ *   match the filters, marked promoted: true with their placementId. They are listed
+ *   apart from data, which stays the plain paginated results
+ * - Returns only approved artists
  */
 export const getArtists = asyncHandler(async (req, res) => {
-  const { category, search, page = 1, limit = 10 } = req.query;
-
-  // Base query - only approved artists (status="approved")
-  const query = { status: "approved" };
-
-  // CATEGORY FILTER
-  // Filter artists by specific category
-  // Example: ?category=69159852bcea8d9de167502f
-  // Validates that category ID is a valid MongoDB ObjectId
-  if (category) {
-    // Validate MongoDB ObjectId format (24 hex characters)
-    if (!mongoose.Types.ObjectId.isValid(category)) {
-      throw new BadRequestError("Invalid category id");
-    }
-    query.category = category;
-  }
+  const { page = 1, limit = 10 } = req.query;
 
-  // SEARCH FILTER
-  // Searches across multiple fields using $or operator
-  // - bio: Artist biography
-  // - skills: Skills array (uses $in with RegExp for array search)
-  // Note: name is in User model, we'll search by email or populate user data
-  // Example: ?search=photography
-  // Will match artists with "photography" in bio or skills
-  if (search) {
-    const regex = new RegExp(search, "i"); // Case-insensitive regex
-    query.$or = [
-      { bio: regex },
-      { skills: { $in: [new RegExp(search, "i")] } }, // Searches in skills array
-    ];
-  }
+  const geo = await resolveNearPoint(req.query);
+  const { match, derivedMatch, hasText } = buildArtistFilters(req.query, { geo });
+  const sort = buildArtistSort(req.query, hasText, Boolean(geo));
+  const planBoosts = await getSearchBoosts();
 
   // PAGINATION CALCULATION
   // Ensure page is at least 1, limit is between 1-100
@@ -59,75 +70,123 @@ export const getArtists = asyncHandler(async (req, res) => {
   const limitNum = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100);
   const skip = (pageNum - 1) * limitNum;
 
+  // Filter stages for the page and for promoted artists
+  const filterStages = (query) => [
+    geo ? artistGeoNearStage(geo, query) : { $match: query },
+    ...artistDerivedFieldStages(hasText, Boolean(geo), planBoosts),
+    ...(Object.keys(derivedMatch).length > 0 ? [{ $match: derivedMatch }] : []),
+  ];
+
   // EXECUTE QUERY
-  // Use Promise.all to run query and count in parallel for better performance
-  const [artists, total] = await Promise.all([
-    Artist.find(query)
-      .populate("userId", "email")
-      .populate("category", "name description image type")
-      .skip(skip)
-      .limit(limitNum)
-      .sort({ createdAt: -1 }), // Sort by newest first
-    Artist.countDocuments(query), // Get total count for pagination
+  // One aggregation returns the page, the total and the facet counts
+  const [result] = await Artist.aggregate([
+    ...filterStages(match),
+    {
+      $facet: {
+        results: [{ $sort: sort }, { $skip: skip }, { $limit: limitNum }],
+        total: [{ $count: "count" }],
+        ...artistFacetStages(),
+      },
+    },
   ]);
 
-  // Sync artistType with category type for all artists (batch update if needed)
-  // This ensures consistency when categories are updated
-  for (const artist of artists) {
-    if (artist.category && artist.category.type && artist.artistType !== artist.category.type) {
-      artist.artistType = artist.category.type;
-      await artist.save();
-    }
-  }
+  const { results, total: totalResult, ...rawFacets } = result;
+  const total = totalResult[0]?.count || 0;
 
-  // Format response with user email
-  const formattedArtists = artists.map((artist) => {
-    const artistObj = artist.toObject();
-    return {
-      ...artistObj,
-      email: artistObj.userId?.email || "",
-      userId: artistObj.userId?._id || artistObj.userId,
-    };
-  });
+  // PROMOTED ARTISTS
+  // Search placements whose artist matches the filters, returned with the first page
+  const placements =
+    pageNum === 1 ? await findActivePlacements({ slot: "search", category: match.category }) : [];
+  const candidates =
+    placements.length > 0
+      ? await Artist.aggregate(
+          filterStages({ ...match, _id: { $in: placements.map((placement) => placement.artist) } })
+        )
+      : [];
+  const { artists: promoted, placementIds } = pickPromotedArtists(placements, candidates);
+
+  // Each artist shown counts as a search impression (not awaited)
+  const shownIds = new Set([...promoted, ...results].map((artist) => artist._id.toString()));
+  recordArtistEvent([...shownIds], "searchImpressions");
+  recordPlacementImpressions(placementIds);
+
+  const formattedArtists = await formatListedArtists(results);
 
   // RESPONSE
   res.json({
     success: true,
     message: "Artists retrieved successfully",
-    data: formattedArtists,
-    pagination: {
-      currentPage: pageNum,
-      limit: limitNum,
-      totalItems: total,
-      totalPages: Math.ceil(total / limitNum),
-      hasNextPage: skip + artists.length < total,
-      hasPrevPage: pageNum > 1,
-    },
+    ...formatPaginationResponse(formattedArtists, total, pageNum, limitNum),
+    promoted: await formatListedArtists(promoted),
+    facets: formatArtistFacets(rawFacets),
+    ...(geo && { near: { label: geo.label, radiusKm: geo.radiusKm } }),
   });
 });
 
 /**
- * Get approved artist by ID
- * @route GET /api/artists/:id
+ * Get featured artists for the homepage or a category page
+ * @route GET /api/artists/featured
  * @access Public
+ * Query params: slot (homepage/category, default homepage), category (required for
+ * the category slot), limit (default 12, max 24)
  */
-export const getArtistById = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+export const getFeaturedArtists = asyncHandler(async (req, res) => {
+  const { slot = "homepage", category, limit } = req.query;
 
-  if (!/^[0-9a-fA-F]{24}$/.test(id)) {
-    throw new BadRequestError("Invalid artist id");
+  if (!["homepage", "category"].includes(slot)) {
+    throw new BadRequestError("slot must be homepage or category");
   }
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_FEATURED_LIMIT, 1), MAX_FEATURED_LIMIT);
 
-  const artist = await Artist.findOne({
-    _id: id,
-    status: "approved",
-  })
-    .populate("userId", "email phone")
-    .populate("category", "name description image type");
+  // Only approved artists are shown, in placement priority order
+  const placements = await findActivePlacements({ slot, category });
+  const { match } = buildArtistFilters({});
+  const candidates =
+    placements.length > 0
+      ? await Artist.aggregate([
+          { $match: { ...match, _id: { $in: placements.map((placement) => placement.artist) } } },
+          ...artistDerivedFieldStages(false, false, {}),
+        ])
+      : [];
+  const { artists, placementIds } = pickPromotedArtists(placements, candidates, limitNum);
 
-  if (!artist) {
-    throw new NotFoundError("Artist");
-  }
+  recordPlacementImpressions(placementIds);
+
+  res.json({
+    success: true,
+    message: "Featured artists retrieved successfully",
+    data: await formatListedArtists(artists),
+  });
+});
+
+/**
+ * Count a click on a featured or promoted artist
+ * Call when a customer opens an artist shown with a placementId
+ * @route POST /api/artists/featured/:placementId/click
+ * @access Public
+ */
+export const clickFeaturedPlacement = asyncHandler(async (req, res) => {
+  const placement = await recordPlacementClick(req.params.placementId);
+
+  res.json({
+    success: true,
+    data: {
+      artistId: placement.artist?._id || null,
+      slug: placement.artist?.slug || null,
+    },
+  });
+});
+
+// Populate and format an approved artist for the public profile response
+// Counts a profile view (not awaited)
+const sendPublicArtist = async (res, artist) => {
+  recordArtistEvent(artist._id, "profileViews");
+
+  await artist.populate([
+    { path: "userId", select: "email phone" },
+    { path: "category", select: "name description image type" },
+    { path: "portfolio.category", select: "name" },
+  ]);
 
   // Sync artistType with category type if they don't match
   if (artist.category && artist.category.type && artist.artistType !== artist.category.type) {
@@ -136,12 +195,16 @@ export const getArtistById = asyncHandler(async (req, res) => {
   }
 
   // Format response with user email and phone
-  const artistObj = artist.toObject();
+  // (old slugs, verification and billing details are internal; only the badge is public)
+  const { slugHistory, identityVerification, subscription, vacation, ...artistObj } = artist.toObject();
   const formattedArtist = {
     ...artistObj,
     email: artistObj.userId?.email || "",
     phone: artistObj.phone || artistObj.userId?.phone || "",
     userId: artistObj.userId?._id || artistObj.userId,
+    portfolio: sortPortfolio(artistObj.portfolio),
+    verified: isIdentityVerified(artist),
+    ...publicVacation(artist),
   };
 
   res.json({
@@ -149,4 +212,50 @@ export const getArtistById = asyncHandler(async (req, res) => {
     message: "Artist retrieved successfully",
     data: formattedArtist,
   });
+};
+
+/**
+ * Get approved artist by ID
+ * @route GET /api/artists/:id
+ * @access Public
+ */
+export const getArtistById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!/^[0-9a-fA-F]{24}$/.test(id)) {
+    throw new BadRequestError("Invalid artist id");
+  }
+
+  const artist = await Artist.findOne({
+    _id: id,
+    status: "approved",
+  });
+
+  if (!artist) {
+    throw new NotFoundError("Artist");
+  }
+
+  await sendPublicArtist(res, artist);
+});
+
+/**
+ * Get approved artist by slug
+ * Old slugs answer with a 301 redirect to the current slug
+ * @route GET /api/artists/:slug
+ * @access Public
+ */
+export const getArtistBySlug = asyncHandler(async (req, res) => {
+  const { artist, redirectTo } = await findArtistBySlug(req.params.slug);
+
+  if (redirectTo) {
+    const queryIndex = req.originalUrl.indexOf("?");
+    const query = queryIndex === -1 ? "" : req.originalUrl.slice(queryIndex);
+    return res.redirect(301, `${req.baseUrl}/${redirectTo}${query}`);
+  }
+
+  if (!artist) {
+    throw new NotFoundError("Artist");
+  }
+
+  await sendPublicArtist(res, artist);
 });
@@ -10,10 +10,307 @@ import Admin from "../models/Admin.js";
 import CategoryUser from "../models/CategoryUser.js";
 import PendingArtist from "../models/PendingArtist.js";
 import Category from "../models/Category.js";
-import { BadRequestError, UnauthorizedError, ConflictError, NotFoundError } from "../utils/errors.js";
+import {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  ConflictError,
+  NotFoundError,
+} from "../utils/errors.js";
 import { asyncHandler } from "../middleware/authMiddleware.js";
-import { generateToken } from "../config/jwt.js";
-import { sendApprovalEmail } from "../utils/emailService.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  setAuthCookies,
+  clearAuthCookies,
+  signAccessToken,
+  setAccessTokenCookie,
+  switchSessionRole,
+} from "../utils/sessionService.js";
+import { endImpersonation, endImpersonationOnRefresh } from "../utils/impersonationService.js";
+import {
+  buildAccountExport,
+  anonymiseAccount,
+  OPEN_BOOKING_STATUSES,
+} from "../utils/accountService.js";
+import Booking from "../models/Booking.js";
+import {
+  liftExpiredSuspension,
+  getInactiveAccountMessage,
+} from "../utils/moderationService.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import { generateTwoFactorToken, verifyToken as verifyJwtToken } from "../config/jwt.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from "../utils/totp.js";
+import {
+  sendApprovalEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../utils/emailService.js";
+import { hashToken } from "../utils/tokens.js";
+import { normalizeService } from "../utils/servicePackages.js";
+import { formatPaginationResponse } from "../utils/paginate.js";
+import {
+  accountLockedError,
+  recordLoginAttempt,
+  registerFailedLogin,
+  registerUnknownLogin,
+  clearFailedLogins,
+} from "../utils/loginSecurity.js";
+
+// Purposes of the short-lived token issued between the password and 2FA steps
+const TWO_FACTOR_LOGIN = "2fa_login";
+const TWO_FACTOR_SETUP = "2fa_setup";
+const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+/**
+ * Email a verification link for a User or PendingArtist document
+ * Failures are logged but never block the calling request
+ */
+const deliverVerificationEmail = async (account, name) => {
+  const verificationToken = account.createEmailVerificationToken();
+  await account.save({ validateBeforeSave: false });
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+  const verifyUrl = `${clientUrl}/verify-email/${verificationToken}`;
+
+  try {
+    const emailResult = await sendVerificationEmail(account.email, name, verifyUrl);
+    if (!emailResult?.success) {
+      console.error("Failed to send verification email:", emailResult?.error);
+    }
+  } catch (emailError) {
+    console.error("Failed to send verification email:", emailError);
+  }
+};
+
+/**
+ * Check that an existing account may add another role (customer <-> artist)
+ * The caller must prove ownership with the account's password, which counts
+ * towards the same lockout as login
+ */
+const verifyAccountForNewRole = async (req, existingUser, password, role) => {
+  if (existingUser.hasRole("admin") || existingUser.deletedAt) {
+    throw new ConflictError("User with this email already exists");
+  }
+  if (existingUser.hasRole(role)) {
+    throw new ConflictError(`This email is already registered as ${role}`);
+  }
+
+  const account = await User.findById(existingUser._id).select("+password");
+  if (account.isLocked()) {
+    await recordLoginAttempt(req, { user: account, outcome: "locked" });
+    throw accountLockedError(account.lockUntil);
+  }
+
+  if (!(await account.comparePassword(password))) {
+    const lockUntil = await registerFailedLogin(account, req);
+    await recordLoginAttempt(req, { user: account, outcome: "invalid_password", lockedUntil: lockUntil });
+    if (lockUntil) {
+      throw accountLockedError(lockUntil);
+    }
+    throw new ConflictError(
+      "User with this email already exists. Enter your existing password to add this role to your account."
+    );
+  }
+
+  await clearFailedLogins(account._id);
+};
+
+/**
+ * Load the profile for the role the user is logging in as
+ */
+const getLoginProfile = async (user, role = user.role) => {
+  let profile = null;
+  if (role === "customer") {
+    profile = await Customer.findOne({ userId: user._id });
+  } else if (role === "artist") {
+    profile = await Artist.findOne({ userId: user._id })
+      .populate("category", "name description");
+  } else if (role === "admin") {
+    profile = await Admin.findOne({ userId: user._id });
+  } else if (user.profileType === "CategoryUser") {
+    profile = await CategoryUser.findOne({ userId: user._id })
+      .populate("category", "name description");
+  }
+  return profile;
+};
+
+/**
+ * Path the frontend should open for a role
+ */
+const getRedirectPath = (role) => {
+  let redirectPath = "/";
+  switch (role) {
+    case "customer":
+      redirectPath = "/"; // Customers are redirected to home page
+      break;
+    case "artist":
+      redirectPath = "/artist/dashboard";
+      break;
+    case "admin":
+      redirectPath = "/admin/dashboard";
+      break;
+    case "category":
+      redirectPath = "/category/dashboard";
+      break;
+    default:
+      redirectPath = "/";
+  }
+  return redirectPath;
+};
+
+/**
+ * Start a session for a fully authenticated user and send the login response
+ * Shared by password login and the 2FA login step
+ * @param {string} activeRole - Role the session acts as (one of user's roles)
+ */
+const completeLogin = async (req, res, user, activeRole, extraData = {}) => {
+  // Successful sign-in clears the lockout counters
+  await clearFailedLogins(user._id);
+  await recordLoginAttempt(req, { user, outcome: "success" });
+
+  const profile = await getLoginProfile(user, activeRole);
+
+  // Start a new session: short-lived access token + rotating refresh token
+  const { accessToken: token, refreshToken, session } = await createSession(user, req, activeRole);
+
+  // Determine redirect path based on role
+  const redirectPath = getRedirectPath(activeRole);
+
+  // Build user response object
+  const userResponse = {
+    id: user._id,
+    email: user.email,
+    role: activeRole,
+    roles: user.getRoles(),
+    isActive: user.isActive,
+    isEmailVerified: user.isEmailVerified !== false,
+  };
+
+  // Add profile-specific fields
+  if (profile) {
+    if (activeRole === "artist") {
+      userResponse.name = profile.name;
+      userResponse.isApproved = profile.status === "approved";
+      userResponse.status = profile.status;
+    } else if (activeRole === "customer") {
+      userResponse.name = profile.name;
+      userResponse.isApproved = true; // Customers are auto-approved
+    }
+  }
+
+  // Set access and refresh token cookies
+  setAuthCookies(res, { accessToken: token, refreshToken, session });
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: userResponse,
+      profile,
+      token, // Still return token for backward compatibility
+      refreshToken, // For clients that cannot use cookies
+      sessionId: session._id,
+      redirectPath, // Role-based redirection path for frontend
+      ...extraData,
+    },
+  });
+};
+
+/**
+ * Load the user behind a 2FA challenge token
+ * @param {string} twoFactorToken - Token returned by the password login step
+ * @param {string} purpose - TWO_FACTOR_LOGIN or TWO_FACTOR_SETUP
+ */
+const resolveTwoFactorChallenge = async (twoFactorToken, purpose) => {
+  if (!twoFactorToken) {
+    throw new UnauthorizedError("Two-factor token is required. Please log in again.");
+  }
+
+  let decoded;
+  try {
+    decoded = verifyJwtToken(twoFactorToken);
+  } catch (error) {
+    throw new UnauthorizedError("Two-factor token is invalid or expired. Please log in again.");
+  }
+
+  if (decoded.purpose !== purpose) {
+    throw new UnauthorizedError("Invalid two-factor token. Please log in again.");
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!user || user.isActive === false || user.isEmailVerified === false) {
+    throw new UnauthorizedError("Account is not available. Please log in again.");
+  }
+
+  // Role chosen at the password step
+  user.$locals.loginRole = user.hasRole(decoded.role) ? decoded.role : user.role;
+
+  return user;
+};
+
+/**
+ * Load the user enrolling in 2FA - from the admin setup token if one is sent,
+ * otherwise from the logged-in session
+ */
+const loadEnrollingUser = async (req) => {
+  if (req.body.twoFactorToken) {
+    return resolveTwoFactorChallenge(req.body.twoFactorToken, TWO_FACTOR_SETUP);
+  }
+
+  if (!req.userId) {
+    throw new UnauthorizedError("Not authorized. Please log in.");
+  }
+
+  const user = await User.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!user) {
+    throw new NotFoundError("User");
+  }
+  return user;
+};
+
+/**
+ * Check a TOTP code or a recovery code against a user with 2FA enabled
+ * Marks the code as used and saves the user
+ * @returns {string} Method used: "totp" or "recovery_code"
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(code, user.twoFactor.secret, {
+      lastUsedStep: user.twoFactor.lastUsedStep,
+    });
+    if (step === null) {
+      throw new UnauthorizedError("Invalid or expired authentication code");
+    }
+    user.twoFactor.lastUsedStep = step;
+    await user.save({ validateBeforeSave: false });
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const remaining = user.twoFactor.recoveryCodes || [];
+    if (!remaining.includes(codeHash)) {
+      throw new UnauthorizedError("Invalid recovery code");
+    }
+    // Recovery codes are single use
+    user.twoFactor.recoveryCodes = remaining.filter((hash) => hash !== codeHash);
+    await user.save({ validateBeforeSave: false });
+    return "recovery_code";
+  }
+
+  throw new BadRequestError("Please provide an authentication code or a recovery code");
+};
 
 /**
  * Login
@@ -54,53 +351,73 @@ export const login = asyncHandler(async (req, res) => {
     }).select("+password");
 
     if (pendingArtist) {
+      if (pendingArtist.isEmailVerified === false) {
+        throw new ForbiddenError(
+          "Please verify your email address. Your account is also pending admin approval."
+        );
+      }
       throw new UnauthorizedError(
         "Your account is pending approval. Please wait for admin approval before logging in."
       );
     }
 
-    // User doesn't exist in Users or pending tables
+    // User doesn't exist in Users or pending tables (throttled like a real account)
+    const lockUntil = await registerUnknownLogin(req, normalizedEmail);
+    if (lockUntil) {
+      throw accountLockedError(lockUntil);
+    }
     throw new UnauthorizedError("Invalid email or password");
   }
 
-  // If role is provided, validate it matches
-  if (role && user.role !== role) {
+  // Locked accounts are rejected before the password is checked
+  if (user.isLocked()) {
+    await recordLoginAttempt(req, { user, outcome: "locked" });
+    throw accountLockedError(user.lockUntil);
+  }
+
+  // If role is provided, it selects which of the user's roles to act as
+  if (role && !user.hasRole(role)) {
     throw new UnauthorizedError(
-      `Invalid role. This account is registered as ${user.role}`
+      `Invalid role. This account is registered as ${user.getRoles().join(", ")}`
     );
   }
+  const activeRole = role || user.role;
 
   // Check password
   const isPasswordMatch = await user.comparePassword(password);
   if (!isPasswordMatch) {
+    const lockUntil = await registerFailedLogin(user, req);
+    await recordLoginAttempt(req, { user, outcome: "invalid_password", lockedUntil: lockUntil });
+    if (lockUntil) {
+      throw accountLockedError(lockUntil);
+    }
     throw new UnauthorizedError("Invalid email or password");
   }
 
-  // Check if user is active
+  // Timed suspensions end on their own
+  await liftExpiredSuspension(user);
+
+  // Check if user is active (suspended, banned or deactivated)
   if (user.isActive === false) {
-    throw new UnauthorizedError(
-      "Your account has been deactivated. Please contact support."
+    await recordLoginAttempt(req, { user, outcome: "inactive" });
+    throw new UnauthorizedError(getInactiveAccountMessage(user));
+  }
+
+  // Unverified accounts cannot log in (legacy accounts have no flag and are allowed)
+  if (user.isEmailVerified === false) {
+    await recordLoginAttempt(req, { user, outcome: "unverified" });
+    throw new ForbiddenError(
+      "Please verify your email address before logging in. Check your inbox or request a new verification link."
     );
   }
 
   // Get profile data from role-specific collection
-  let profile = null;
-  if (user.role === "customer") {
-    profile = await Customer.findOne({ userId: user._id });
-  } else if (user.role === "artist") {
-    profile = await Artist.findOne({ userId: user._id })
-      .populate("category", "name description");
-  } else if (user.role === "admin") {
-    profile = await Admin.findOne({ userId: user._id });
-  } else if (user.profileType === "CategoryUser") {
-    profile = await CategoryUser.findOne({ userId: user._id })
-      .populate("category", "name description");
-  }
+  const profile = await getLoginProfile(user, activeRole);
 
   // Check if user is approved
   // Customers and admins are auto-approved and get instant access
   // Artists require admin approval - check Artist profile status
-  if (user.role === "artist") {
+  if (activeRole === "artist") {
     if (!profile || profile.status !== "approved") {
       throw new UnauthorizedError(
         "Your account is pending approval. Please wait for admin approval before logging in."
@@ -115,72 +432,29 @@ export const login = asyncHandler(async (req, res) => {
   //   }
   }
 
-  // Generate token using user ID from Users collection
-  const token = generateToken({ id: user._id, role: user.role });
-
-  // Determine redirect path based on role
-  let redirectPath = "/";
-  switch (user.role) {
-    case "customer":
-      redirectPath = "/"; // Customers are redirected to home page
-      break;
-    case "artist":
-      redirectPath = "/artist/dashboard";
-      break;
-    case "admin":
-      redirectPath = "/admin/dashboard";
-      break;
-    case "category":
-      redirectPath = "/category/dashboard";
-      break;
-    default:
-      redirectPath = "/";
-  }
-
-  // Build user response object
-  const userResponse = {
-    id: user._id,
-    email: user.email,
-    role: user.role,
-    isActive: user.isActive,
-  };
+  // Second login step: TOTP is mandatory for admins, optional for other roles
+  if (user.twoFactor?.enabled || user.hasRole("admin")) {
+    const setupRequired = !user.twoFactor?.enabled;
+    const twoFactorToken = generateTwoFactorToken({
+      id: user._id,
+      role: activeRole,
+      purpose: setupRequired ? TWO_FACTOR_SETUP : TWO_FACTOR_LOGIN,
+    });
 
-  // Add profile-specific fields
-  if (profile) {
-    if (user.role === "artist") {
-      userResponse.name = profile.name;
-      userResponse.isApproved = profile.status === "approved";
-      userResponse.status = profile.status;
-    } else if (user.role === "customer") {
-      userResponse.name = profile.name;
-      userResponse.isApproved = true; // Customers are auto-approved
-    }
+    return res.json({
+      success: true,
+      message: setupRequired
+        ? "Two-factor authentication is required for admin accounts. Please set up an authenticator app to continue."
+        : "Enter the code from your authenticator app to complete login",
+      data: {
+        requiresTwoFactor: !setupRequired,
+        requiresTwoFactorSetup: setupRequired,
+        twoFactorToken,
+      },
+    });
   }
 
-  // Set cookie with token
-  // Localhost: secure: false, sameSite: "lax"
-  // Production: secure: true, sameSite: "none"
-  const isProduction = process.env.NODE_ENV === "production";
-  const cookieOptions = {
-    httpOnly: true,
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    path: "/",
-    secure: isProduction, // true in production (HTTPS), false in development (HTTP)
-    sameSite: isProduction ? "none" : "lax", // "none" for production (cross-site), "lax" for localhost
-  };
-
-  res.cookie("token", token, cookieOptions);
-
-  res.json({
-    success: true,
-    message: "Login successful",
-    data: {
-      user: userResponse,
-      profile,
-      token, // Still return token for backward compatibility
-      redirectPath, // Role-based redirection path for frontend
-    },
-  });
+  await completeLogin(req, res, user, activeRole);
 });
 
 /**
@@ -193,14 +467,14 @@ export const getMe = asyncHandler(async (req, res) => {
   const user = await User.findById(req.userId)
     .select("-password");
 
-  // Get profile from role-specific collection based on user.role (not profileType)
+  // Get profile for the session's active role (not profileType)
   let profile = null;
-  if (user.role === "customer") {
+  if (req.userRole === "customer") {
     profile = await Customer.findOne({ userId: user._id });
-  } else if (user.role === "artist") {
+  } else if (req.userRole === "artist") {
     profile = await Artist.findOne({ userId: user._id })
       .populate("category", "name description");
-  } else if (user.role === "admin") {
+  } else if (req.userRole === "admin") {
     profile = await Admin.findOne({ userId: user._id });
     // Auto-create Admin profile if it doesn't exist
     if (!profile) {
@@ -209,7 +483,7 @@ export const getMe = asyncHandler(async (req, res) => {
         permissions: [],
       });
     }
-  } else if (user.role === "category") {
+  } else if (req.userRole === "category") {
     profile = await CategoryUser.findOne({ userId: user._id })
       .populate("category", "name description");
   }
@@ -219,28 +493,58 @@ export const getMe = asyncHandler(async (req, res) => {
     data: {
       user,
       profile,
+      activeRole: req.userRole,
+      roles: user.getRoles(),
+      // Set when an admin is acting as this user (frontend shows a banner)
+      impersonator: req.impersonator || null,
     },
   });
 });
 
 export const getProfile = getMe;
 
+/**
+ * End the current impersonation and switch back to the admin's own session
+ * @returns {Object} The admin's new access token details
+ */
+const restoreImpersonator = async (req, res, reason) => {
+  const { id: adminId, impersonationId } = req.impersonator;
+
+  await endImpersonation(impersonationId, adminId, reason);
+
+  // Impersonation tokens carry the admin's session id, so the admin's session continues
+  const token = signAccessToken({ _id: adminId, role: "admin" }, { _id: req.sessionId });
+  setAccessTokenCookie(res, token);
+
+  return {
+    token,
+    userId: adminId,
+    role: "admin",
+    redirectPath: "/admin/dashboard",
+  };
+};
+
 /**
  * Logout
+ * Revokes the current session server-side and clears auth cookies
  * @route POST /api/auth/logout
  */
 export const logout = asyncHandler(async (req, res) => {
-  // Clear the token cookie
-  const isProduction = process.env.NODE_ENV === "production";
-  const cookieOptions = {
-    httpOnly: true,
-    maxAge: 0, // Immediately expire
-    path: "/",
-    secure: isProduction,
-    sameSite: isProduction ? "none" : "lax",
-  };
+  // Logging out while impersonating only ends the impersonation
+  if (req.impersonator) {
+    const data = await restoreImpersonator(req, res, "logout");
+    return res.json({
+      success: true,
+      message: "Impersonation ended",
+      data,
+    });
+  }
 
-  res.cookie("token", "", cookieOptions);
+  if (req.sessionId) {
+    await revokeSession(req.sessionId, req.userId, "logout");
+  }
+
+  clearAuthCookies(res);
 
   res.json({
     success: true,
@@ -254,7 +558,7 @@ export const logout = asyncHandler(async (req, res) => {
 
 /**
  * Register Customer
- * Customers get instant access (no approval needed)
+ * Customers need no admin approval, but must verify their email before logging in
  * @route POST /api/auth/register/customer
  */
 export const registerCustomer = asyncHandler(async (req, res) => {
@@ -278,19 +582,27 @@ export const registerCustomer = asyncHandler(async (req, res) => {
 
   const normalizedEmail = email.toLowerCase().trim();
 
-  // Check if email already exists in Users collection
+  // An existing artist can add the customer role to the same account
   const existingUser = await User.findOne({ email: normalizedEmail });
   if (existingUser) {
-    throw new ConflictError("User with this email already exists");
+    await verifyAccountForNewRole(req, existingUser, password, "customer");
   }
 
-  // Step 1: Create user in Users collection (auto-approved)
-  const user = await User.create({
-    email: normalizedEmail,
-    password, // Will be hashed by pre-save hook
-    role: "customer",
-    isActive: true,
-  });
+  // Step 1: Create user in Users collection (auto-approved, email unverified)
+  let user;
+  if (existingUser) {
+    user = existingUser;
+    user.addRole("customer");
+    await user.save({ validateBeforeSave: false });
+  } else {
+    user = await User.create({
+      email: normalizedEmail,
+      password, // Will be hashed by pre-save hook
+      role: "customer",
+      isActive: true,
+      isEmailVerified: false,
+    });
+  }
 
   // Step 2: Create Customer profile
   // Validate and normalize phone number if provided
@@ -323,34 +635,29 @@ export const registerCustomer = asyncHandler(async (req, res) => {
     isActive: true,
   });
 
-  // Step 4: Generate token for immediate access
-  const token = generateToken({ id: user._id, role: user.role });
-
-  // Set cookie with token
-  const isProduction = process.env.NODE_ENV === "production";
-  const cookieOptions = {
-    httpOnly: true,
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    path: "/",
-    secure: isProduction,
-    sameSite: isProduction ? "none" : "lax",
-  };
-
-  res.cookie("token", token, cookieOptions);
+  // Step 3: Send email verification link (no token until the email is verified)
+  // Legacy accounts have no flag and count as verified
+  const requiresEmailVerification = user.isEmailVerified === false;
+  if (requiresEmailVerification) {
+    await deliverVerificationEmail(user, customer.name);
+  }
 
   return res.status(201).json({
     success: true,
-    message: "Customer registered successfully. You can now log in.",
+    message: requiresEmailVerification
+      ? "Customer registered successfully. Please check your email to verify your account before logging in."
+      : "Customer role added to your account. Log in with role \"customer\" or switch roles to use it.",
     data: {
       user: {
         id: user._id,
         email: user.email,
         role: user.role,
+        roles: user.getRoles(),
         isActive: user.isActive,
+        isEmailVerified: !requiresEmailVerification,
         profileId: customer._id,
       },
-      token, // Return token for backward compatibility
-      redirectPath: "/customer/dashboard", // Role-based redirection path
+      requiresEmailVerification,
     },
   });
 });
@@ -399,10 +706,10 @@ export const registerArtist = asyncHandler(async (req, res) => {
 
   const normalizedEmail = email.toLowerCase().trim();
 
-  // Check if email already exists in Users collection
+  // An existing customer can apply to add the artist role to the same account
   const existingUser = await User.findOne({ email: normalizedEmail });
   if (existingUser) {
-    throw new ConflictError("User with this email already exists");
+    await verifyAccountForNewRole(req, existingUser, password, "artist");
   }
 
   // Check if email exists in pending artists
@@ -524,19 +831,17 @@ export const registerArtist = asyncHandler(async (req, res) => {
     pricingData = { ...pricingData, ...req.body.pricing };
   }
 
-  // Process services array for remote artists
+  // Process services array for remote artists (optionally with basic/standard/premium packages)
   let servicesArray = [];
   if (req.body.services && Array.isArray(req.body.services)) {
     servicesArray = req.body.services
-      .filter((service) => service && service.name && service.price && service.deliveryTime)
-      .map((service) => ({
-        name: String(service.name).trim(),
-        price: Number(service.price) || 0,
-        deliveryTime: Number(service.deliveryTime) || 1,
-        description: service.description ? String(service.description).trim() : "",
-        currency: service.currency || "LKR",
-      }))
-      .filter((service) => service.name.length > 0 && service.price > 0 && service.deliveryTime > 0);
+      .filter(
+        (service) =>
+          service &&
+          service.name &&
+          ((service.price && service.deliveryTime) || service.packages?.length > 0)
+      )
+      .map(normalizeService);
   }
 
   // For remote artists, services are required if category type is remote
@@ -564,8 +869,15 @@ export const registerArtist = asyncHandler(async (req, res) => {
     deliveryTime: req.body.deliveryTime,
     services: servicesArray,
     status: "pending",
+    // An existing account's email has already been verified (legacy accounts have no flag)
+    isEmailVerified: Boolean(existingUser) && existingUser.isEmailVerified !== false,
   });
 
+  // Send email verification link
+  if (!pendingArtist.isEmailVerified) {
+    await deliverVerificationEmail(pendingArtist, pendingArtist.name);
+  }
+
   // Send registration confirmation email (optional - notifies artist their registration is pending)
   try {
     await sendApprovalEmail(
@@ -581,12 +893,686 @@ export const registerArtist = asyncHandler(async (req, res) => {
   return res.status(201).json({
     success: true,
     message:
-      "Artist registration submitted successfully. Please wait for admin approval.",
+      "Artist registration submitted successfully. Please verify your email and wait for admin approval.",
     data: {
       pendingId: pendingArtist._id,
       name: pendingArtist.name,
       email: pendingArtist.email,
       status: pendingArtist.status,
+      existingAccount: Boolean(existingUser),
+      requiresEmailVerification: !pendingArtist.isEmailVerified,
+    },
+  });
+});
+
+/**
+ * Forgot password
+ * Issues a single-use, expiring reset token and emails the reset link
+ * Always responds with the same message to avoid leaking which emails exist
+ * @route POST /api/auth/forgot-password
+ */
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new BadRequestError("Please provide your email address");
+  }
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    throw new BadRequestError("Please provide a valid email address");
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+  const genericResponse = {
+    success: true,
+    message:
+      "If an account exists for this email, a password reset link has been sent.",
+  };
+
+  const user = await User.findOne({ email: normalizedEmail });
+  if (!user || user.isActive === false) {
+    return res.json(genericResponse);
+  }
+
+  // Issuing a new token replaces any previous one
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+  const resetUrl = `${clientUrl}/reset-password?token=${resetToken}`;
+
+  try {
+    const emailResult = await sendPasswordResetEmail(user.email, resetUrl);
+    if (!emailResult?.success) {
+      console.error("Failed to send password reset email:", emailResult?.error);
+    }
+  } catch (emailError) {
+    // Log error but keep the response generic
+    console.error("Failed to send password reset email:", emailError);
+  }
+
+  res.json(genericResponse);
+});
+
+/**
+ * Reset password
+ * Consumes a reset token, sets the new password and invalidates existing sessions
+ * @route POST /api/auth/reset-password
+ */
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    throw new BadRequestError("Please provide the reset token and a new password");
+  }
+
+  // Validate password strength (minimum 6 characters)
+  if (password.length < 6) {
+    throw new BadRequestError("Password must be at least 6 characters long");
+  }
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  }).select("+passwordResetToken +passwordResetExpires");
+
+  if (!user) {
+    throw new BadRequestError("Password reset token is invalid or has expired");
+  }
+
+  // Setting the password updates passwordChangedAt (pre-save hook),
+  // which makes verifyToken reject every token issued before now
+  user.password = password; // Will be hashed by pre-save hook
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  // Proving control of the mailbox also lifts any login lockout
+  user.failedLoginAttempts = 0;
+  user.lockoutCount = 0;
+  user.lockUntil = undefined;
+  await user.save();
+
+  // Revoke all sessions so refresh tokens stop working too
+  await revokeAllSessions(user._id, "password_reset");
+  clearAuthCookies(res);
+
+  res.json({
+    success: true,
+    message: "Password has been reset successfully. Please log in with your new password.",
+  });
+});
+
+/**
+ * Verify email address
+ * Works for registered users and for artists still awaiting approval
+ * @route GET /api/auth/verify-email/:token
+ */
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  if (!token) {
+    throw new BadRequestError("Verification token is required");
+  }
+
+  const tokenQuery = {
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  };
+
+  let account = await User.findOne(tokenQuery);
+  if (!account) {
+    account = await PendingArtist.findOne(tokenQuery);
+  }
+
+  if (!account) {
+    throw new BadRequestError("Verification link is invalid or has expired");
+  }
+
+  account.isEmailVerified = true;
+  account.emailVerifiedAt = new Date();
+  account.emailVerificationToken = undefined;
+  account.emailVerificationExpires = undefined;
+  await account.save({ validateBeforeSave: false });
+
+  const isPendingArtist = account instanceof PendingArtist;
+
+  res.json({
+    success: true,
+    message: isPendingArtist
+      ? "Email verified successfully. Your artist account is awaiting admin approval."
+      : "Email verified successfully. You can now log in.",
+    data: {
+      email: account.email,
+      isEmailVerified: true,
+      pendingApproval: isPendingArtist,
+    },
+  });
+});
+
+/**
+ * Resend email verification link
+ * Always responds with the same message to avoid leaking which emails exist
+ * @route POST /api/auth/resend-verification
+ */
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new BadRequestError("Please provide your email address");
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+  const genericResponse = {
+    success: true,
+    message:
+      "If an unverified account exists for this email, a new verification link has been sent.",
+  };
+
+  const user = await User.findOne({
+    email: normalizedEmail,
+    isEmailVerified: false,
+  });
+  if (user) {
+    const customer = await Customer.findOne({ userId: user._id }).select("name");
+    await deliverVerificationEmail(user, customer?.name);
+    return res.json(genericResponse);
+  }
+
+  const pendingArtist = await PendingArtist.findOne({
+    email: normalizedEmail,
+    isEmailVerified: false,
+  });
+  if (pendingArtist) {
+    await deliverVerificationEmail(pendingArtist, pendingArtist.name);
+  }
+
+  res.json(genericResponse);
+});
+
+/**
+ * Refresh access token
+ * Rotates the refresh token: the presented token is invalidated and a new pair issued
+ * Refresh token is read from the refreshToken cookie or the request body
+ * @route POST /api/auth/refresh
+ */
+export const refreshToken = asyncHandler(async (req, res) => {
+  const presentedToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+  let result;
+  try {
+    result = await rotateSession(presentedToken, req, (userId) =>
+      User.findById(userId)
+    );
+  } catch (error) {
+    clearAuthCookies(res);
+    throw error;
+  }
+
+  const { accessToken, refreshToken: newRefreshToken, session, user } = result;
+
+  // The new token is the admin's own, so an impersonation in progress ends here
+  const currentAccessToken =
+    req.cookies?.token ||
+    (req.headers.authorization?.startsWith("Bearer") ? req.headers.authorization.split(" ")[1] : null);
+  await endImpersonationOnRefresh(currentAccessToken, session);
+
+  if (user.isEmailVerified === false) {
+    clearAuthCookies(res);
+    throw new ForbiddenError("Please verify your email address to continue.");
+  }
+
+  setAuthCookies(res, { accessToken, refreshToken: newRefreshToken, session });
+
+  res.json({
+    success: true,
+    message: "Token refreshed successfully",
+    data: {
+      token: accessToken,
+      refreshToken: newRefreshToken,
+      sessionId: session._id,
+      activeRole: session.activeRole || user.role,
+    },
+  });
+});
+
+/**
+ * List active sessions (devices) for the current user
+ * @route GET /api/auth/sessions
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  const formattedSessions = sessions.map((session) => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: req.sessionId ? session._id.toString() === req.sessionId.toString() : false,
+  }));
+
+  res.json({
+    success: true,
+    count: formattedSessions.length,
+    data: formattedSessions,
+  });
+});
+
+/**
+ * Revoke a single session
+ * @route DELETE /api/auth/sessions/:sessionId
+ */
+export const revokeSessionById = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+    throw new BadRequestError("Invalid session id");
+  }
+
+  const session = await revokeSession(sessionId, req.userId, "revoked_by_user");
+  if (!session) {
+    throw new NotFoundError("Session");
+  }
+
+  const isCurrent = req.sessionId && sessionId === req.sessionId.toString();
+  if (isCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.json({
+    success: true,
+    message: isCurrent
+      ? "Current session revoked. You have been logged out."
+      : "Session revoked successfully",
+    data: {
+      sessionId,
+      current: !!isCurrent,
+    },
+  });
+});
+
+/**
+ * Revoke all sessions for the current user
+ * Query params: keepCurrent (true/false) - keep the session making this request
+ * @route DELETE /api/auth/sessions
+ */
+export const revokeAllUserSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === "true";
+
+  const revokedCount = await revokeAllSessions(
+    req.userId,
+    "revoked_by_user",
+    keepCurrent ? req.sessionId : null
+  );
+
+  if (!keepCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.json({
+    success: true,
+    message: keepCurrent
+      ? "All other sessions have been revoked"
+      : "All sessions have been revoked. You have been logged out.",
+    data: {
+      revokedCount,
+    },
+  });
+});
+
+/**
+ * Complete login with a TOTP or recovery code (second login step)
+ * @route POST /api/auth/login/2fa
+ */
+export const loginWithTwoFactor = asyncHandler(async (req, res) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  const user = await resolveTwoFactorChallenge(twoFactorToken, TWO_FACTOR_LOGIN);
+
+  if (!user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled for this account");
+  }
+
+  if (user.isLocked()) {
+    await recordLoginAttempt(req, { user, outcome: "locked" });
+    throw accountLockedError(user.lockUntil);
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  let method;
+  try {
+    method = await consumeSecondFactor(user, { code, recoveryCode });
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      const lockUntil = await registerFailedLogin(user, req);
+      await recordLoginAttempt(req, { user, outcome: "invalid_2fa", lockedUntil: lockUntil });
+      if (lockUntil) {
+        throw accountLockedError(lockUntil);
+      }
+    }
+    throw error;
+  }
+
+  await completeLogin(req, res, user, user.$locals.loginRole, {
+    twoFactorMethod: method,
+    ...(method === "recovery_code" && {
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    }),
+  });
+});
+
+/**
+ * Start TOTP enrolment - returns a secret and otpauth URI for the authenticator app
+ * Callable when logged in, or with the setup token admins receive at login
+ * @route POST /api/auth/2fa/setup
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await loadEnrollingUser(req);
+
+  if (user.twoFactor?.enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: "Scan the QR code with your authenticator app, then verify a code to enable two-factor authentication",
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+    },
+  });
+});
+
+/**
+ * Confirm TOTP enrolment with a code from the authenticator app
+ * Returns single-use recovery codes (shown only once). When called with an admin
+ * setup token, also completes the login.
+ * @route POST /api/auth/2fa/verify
+ */
+export const verifyTwoFactorSetup = asyncHandler(async (req, res) => {
+  const { code, twoFactorToken } = req.body;
+  const viaSetupToken = Boolean(twoFactorToken);
+
+  const user = await loadEnrollingUser(req);
+
+  if (user.twoFactor?.enabled) {
+    throw new ConflictError("Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new BadRequestError("Please start two-factor setup first");
+  }
+
+  const step = verifyTotp(code, user.twoFactor.pendingSecret);
+  if (step === null) {
+    throw new BadRequestError("Invalid authentication code. Please try again.");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  if (viaSetupToken) {
+    return completeLogin(req, res, user, user.$locals.loginRole, { recoveryCodes: codes });
+  }
+
+  res.json({
+    success: true,
+    message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+    data: {
+      enabled: true,
+      recoveryCodes: codes,
+    },
+  });
+});
+
+/**
+ * Disable two-factor authentication (not allowed for admins)
+ * @route POST /api/auth/2fa/disable
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (req.userRole === "admin") {
+    throw new ForbiddenError("Two-factor authentication is mandatory for admin accounts");
+  }
+
+  if (!password) {
+    throw new BadRequestError("Please provide your password");
+  }
+
+  const user = await User.findById(req.userId).select(
+    `+password ${TWO_FACTOR_SECRET_FIELDS}`
+  );
+
+  if (!user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled");
+  }
+
+  const isPasswordMatch = await user.comparePassword(password);
+  if (!isPasswordMatch) {
+    throw new UnauthorizedError("Incorrect password");
+  }
+
+  await consumeSecondFactor(user, { code, recoveryCode });
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: "Two-factor authentication disabled",
+    data: {
+      enabled: false,
+    },
+  });
+});
+
+/**
+ * Regenerate recovery codes (invalidates the previous set)
+ * @route POST /api/auth/2fa/recovery-codes
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+  if (!user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled");
+  }
+
+  if (!code) {
+    throw new BadRequestError("Please provide a code from your authenticator app");
+  }
+
+  await consumeSecondFactor(user, { code });
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: "New recovery codes generated. Previous codes no longer work.",
+    data: {
+      recoveryCodes: codes,
+    },
+  });
+});
+
+/**
+ * Get the current user's recent login attempts
+ * @route GET /api/auth/login-history
+ * Query params: page, limit
+ */
+export const getLoginHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const limitNum = parseInt(limit);
+  const query = { user: req.userId };
+
+  const attempts = await LoginAttempt.find(query)
+    .select("outcome ipAddress userAgent suspicious lockedUntil createdAt")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await LoginAttempt.countDocuments(query);
+
+  const response = formatPaginationResponse(attempts, total, page, limit);
+
+  res.json({
+    success: true,
+    data: response.data,
+    pagination: response.pagination,
+  });
+});
+
+/**
+ * Stop impersonating a user and return to the admin account
+ * @route POST /api/auth/impersonation/end
+ */
+export const stopImpersonating = asyncHandler(async (req, res) => {
+  if (!req.impersonator) {
+    throw new BadRequestError("You are not impersonating a user");
+  }
+
+  const data = await restoreImpersonator(req, res, "ended_by_admin");
+
+  res.json({
+    success: true,
+    message: "Impersonation ended",
+    data,
+  });
+});
+
+/**
+ * Download all personal data held about the current user as a JSON archive
+ * @route GET /api/auth/me/export
+ */
+export const exportMyData = asyncHandler(async (req, res) => {
+  const archive = await buildAccountExport(req.userId);
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="artzyra-data-export-${date}.json"`
+  );
+
+  res.json({
+    success: true,
+    data: archive,
+  });
+});
+
+/**
+ * Delete the current user's account
+ * Personal data is anonymised; bookings and payments are kept as financial records
+ * @route DELETE /api/auth/me
+ * @body password - Current password (required)
+ * @body code / recoveryCode - Required when two-factor authentication is enabled
+ */
+export const deleteMyAccount = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (req.userRole === "admin") {
+    throw new ForbiddenError("Admin accounts cannot be self-deleted. Please contact a super admin.");
+  }
+
+  if (!password) {
+    throw new BadRequestError("Please provide your password to delete your account");
+  }
+
+  // Step 1: Re-authenticate
+  const user = await User.findById(req.userId).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+  const isPasswordMatch = await user.comparePassword(password);
+  if (!isPasswordMatch) {
+    throw new UnauthorizedError("Incorrect password");
+  }
+
+  if (user.twoFactor?.enabled) {
+    await consumeSecondFactor(user, { code, recoveryCode });
+  }
+
+  // Step 2: Open bookings must be completed or cancelled first
+  const openBookings = await Booking.countDocuments({
+    $or: [{ customer: user._id }, { artist: user._id }],
+    status: { $in: OPEN_BOOKING_STATUSES },
+  });
+  if (openBookings > 0) {
+    throw new ConflictError(
+      `You have ${openBookings} open booking(s). Please complete or cancel them before deleting your account.`
+    );
+  }
+
+  // Step 3: Anonymise personal data and end all sessions
+  const summary = await anonymiseAccount(user);
+  clearAuthCookies(res);
+
+  res.json({
+    success: true,
+    message: "Your account has been deleted. Booking and payment records are retained in anonymised form.",
+    data: summary,
+  });
+});
+
+/**
+ * Switch the role the current session acts as (e.g. customer <-> artist)
+ * @route POST /api/auth/switch-role
+ * @body role - One of the user's roles
+ */
+export const switchRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!role) {
+    throw new BadRequestError("Please provide the role to switch to");
+  }
+
+  const user = await User.findById(req.userId);
+
+  if (!user.hasRole(role)) {
+    throw new ForbiddenError(
+      `Your account does not have the ${role} role. Available roles: ${user.getRoles().join(", ")}`
+    );
+  }
+
+  // Same checks as login for the target role
+  const profile = await getLoginProfile(user, role);
+  if (role === "artist" && (!profile || profile.status !== "approved")) {
+    throw new ForbiddenError("Your artist profile is not approved yet");
+  }
+  if (role === "admin" && !user.twoFactor?.enabled) {
+    throw new ForbiddenError("Two-factor authentication is required for admin accounts");
+  }
+
+  const { accessToken } = await switchSessionRole(req.sessionId, user, role);
+  setAccessTokenCookie(res, accessToken);
+
+  res.json({
+    success: true,
+    message: `Switched to ${role}`,
+    data: {
+      token: accessToken,
+      activeRole: role,
+      roles: user.getRoles(),
+      profile,
+      redirectPath: getRedirectPath(role),
     },
   });
 });
@@ -2,21 +2,119 @@ import Booking from "../models/Booking.js";
 import Chat from "../models/Chat.js";
 import Notification from "../models/Notification.js";
 import Artist from "../models/Artist.js";
+import Customer from "../models/Customer.js";
 import { createNotification } from "../utils/helpers.js";
+import { isArtistUnavailable, UNAVAILABLE_ARTIST_STATUSES } from "../utils/moderationService.js";
+import {
+  toDateKey,
+  addDays,
+  getFreeSlots,
+  assertSlotAvailable,
+  findEarlierOverlap,
+  getLocalNow,
+} from "../utils/availabilityService.js";
+import { DEFAULT_REVISION_LIMIT } from "../utils/servicePackages.js";
+import { assertNotOnVacation } from "../utils/vacationService.js";
+import { recordArtistEvent } from "../utils/artistAnalyticsService.js";
+import {
+  quotePackage,
+  priceCustomQuote,
+  redeemCoupon,
+  releaseCoupon,
+} from "../utils/pricingEngine.js";
 import { asyncHandler } from "../middleware/authMiddleware.js";
 import {
   NotFoundError,
   BadRequestError,
   ForbiddenError,
+  ConflictError,
 } from "../utils/errors.js";
 
+// Load an artist a customer may book (exists, approved, not themselves, online artist)
+const findBookableArtist = async (artistId, customerId) => {
+  if (!artistId) {
+    throw new BadRequestError("Artist ID is required");
+  }
+
+  // Prevent booking with yourself
+  if (customerId.toString() === artistId) {
+    throw new BadRequestError("You cannot book yourself");
+  }
+
+  const artistProfile = await Artist.findOne({ userId: artistId }).populate("category");
+  if (!artistProfile) {
+    throw new NotFoundError("Artist not found");
+  }
+
+  // Only approved artists take bookings (suspended, banned and deleted ones are hidden from listings)
+  if (artistProfile.status !== "approved") {
+    throw new BadRequestError(
+      UNAVAILABLE_ARTIST_STATUSES.includes(artistProfile.status)
+        ? "This artist is no longer available for bookings"
+        : "This artist is not accepting bookings"
+    );
+  }
+
+  // Artists on vacation don't take new bookings until they are back
+  assertNotOnVacation(artistProfile);
+
+  // Prevent booking physical artists - they should be contacted via chat instead
+  if (artistProfile.artistType === "physical") {
+    throw new BadRequestError(
+      "Physical artists cannot be booked through the platform. Please contact them directly via chat to discuss your requirements."
+    );
+  }
+
+  return artistProfile;
+};
+
+/**
+ * Quote a booking without creating it
+ * Returns the itemised price createBooking will charge for the same request
+ * @route POST /api/bookings/quote
+ * @body artistId, serviceId (or service name), package, urgency, extras, couponCode
+ */
+export const quoteBooking = asyncHandler(async (req, res) => {
+  const { artistId, serviceId, service, package: packageType, urgency, extras, couponCode } = req.body;
+
+  if (!service && !serviceId) {
+    throw new BadRequestError("Artist ID and service are required");
+  }
+
+  const artistProfile = await findBookableArtist(artistId, req.userId);
+  const quote = await quotePackage(artistProfile, {
+    serviceId,
+    service,
+    tier: packageType,
+    urgency: urgency || "normal",
+    extras,
+    couponCode,
+    customerId: req.userId,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      package: quote.packageSnapshot,
+      extras: quote.extras,
+      pricing: quote.pricing,
+    },
+  });
+});
+
 /**
  * Create a new booking
+ * Package bookings are priced by the pricing engine from the artist's service tier
+ * (snapshotted on the booking); client-sent totals are ignored. Custom quotes are
+ * priced when the customer approves the artist's quote
  * @route POST /api/bookings
+ * @body artistId, serviceId (or service name), package (basic/standard/premium), urgency,
+ *   extras ([{ extraId, quantity }]), couponCode
  */
 export const createBooking = asyncHandler(async (req, res) => {
   const {
     artistId,
+    serviceId,
     service,
     package: packageType,
     customRequirements,
@@ -29,8 +127,8 @@ export const createBooking = asyncHandler(async (req, res) => {
     revisionCount,
     emailUpdates,
     pricingType,
-    packagePrice,
-    customQuote,
+    extras,
+    couponCode,
     paymentType,
     advancePercentage,
     // Legacy fields for backward compatibility
@@ -39,41 +137,43 @@ export const createBooking = asyncHandler(async (req, res) => {
     duration,
     location,
     notes,
-    totalAmount,
   } = req.body;
 
   // Required fields validation
-  if (!artistId || !service) {
+  if (!artistId || (!service && !serviceId)) {
     throw new BadRequestError("Artist ID and service are required");
   }
 
-  // Prevent booking with yourself
-  if (req.userId.toString() === artistId) {
-    throw new BadRequestError("You cannot book yourself");
-  }
-
   // Find artist profile to check type, availability, and get delivery time
-  const artistProfile = await Artist.findOne({ userId: artistId }).populate("category");
-  
-  if (!artistProfile) {
-    throw new NotFoundError("Artist not found");
-  }
-
-  // Prevent booking physical artists - they should be contacted via chat instead
-  if (artistProfile.artistType === "physical") {
-    throw new BadRequestError(
-      "Physical artists cannot be booked through the platform. Please contact them directly via chat to discuss your requirements."
-    );
-  }
-
-  // Check artist availability status
-  if (artistProfile.availability && typeof artistProfile.availability === "object") {
-    const availabilityMap = artistProfile.availability instanceof Map 
-      ? Object.fromEntries(artistProfile.availability) 
-      : artistProfile.availability;
-    
-    // Check if artist is marked as busy (you might want to add a status field to Artist model)
-    // For now, we'll allow booking but set the status
+  const artistProfile = await findBookableArtist(artistId, req.userId);
+
+  // Time-based services (a session at a set startTime) must fit the artist's
+  // calendar and not overlap another booking; a duration alone does not make one
+  const isTimeBased = Boolean(startTime);
+  let timeSlot = null;
+  if (isTimeBased) {
+    timeSlot = await assertSlotAvailable(artistProfile, { bookingDate, startTime, duration });
+  }
+
+  // Package bookings take price, delivery days and revisions from the chosen tier and extras
+  const isCustomQuote = pricingType === "custom_quote" || packageType === "custom";
+  let packageSnapshot = null;
+  let extrasSnapshot = [];
+  let pricing = null;
+  if (!isCustomQuote) {
+    ({ packageSnapshot, extras: extrasSnapshot, pricing } = await quotePackage(artistProfile, {
+      serviceId,
+      service,
+      tier: packageType,
+      urgency: urgency || "normal",
+      extras,
+      couponCode,
+      customerId: req.userId,
+    }));
+
+    if (pricing.total <= 0) {
+      throw new BadRequestError("Total amount must be greater than 0");
+    }
   }
 
   // Calculate estimated start date (if not provided, use current date + 1 day)
@@ -81,65 +181,82 @@ export const createBooking = asyncHandler(async (req, res) => {
     ? new Date(expectedDeliveryDate) 
     : new Date(Date.now() + 24 * 60 * 60 * 1000);
 
-  // Calculate total amount based on pricing type
-  let calculatedTotalAmount = totalAmount;
-  if (pricingType === "package" && packagePrice) {
-    calculatedTotalAmount = packagePrice;
-  } else if (pricingType === "custom_quote" && customQuote?.amount) {
-    calculatedTotalAmount = customQuote.amount;
-  }
-
-  if (!calculatedTotalAmount || calculatedTotalAmount <= 0) {
-    throw new BadRequestError("Total amount must be greater than 0");
+  // Count the coupon use before creating the booking so the last use can't be taken twice
+  const couponId = pricing?.coupon?.couponId;
+  if (couponId) {
+    await redeemCoupon(couponId);
+  }
+
+  // Give the coupon use back if the booking can't be saved (validation or database errors)
+  let booking;
+  try {
+    booking = await Booking.create({
+      customer: req.userId,
+      artist: artistId,
+      service: packageSnapshot?.serviceName || service,
+      package: packageSnapshot?.tier || "custom",
+      packageSnapshot: packageSnapshot || undefined,
+      extras: extrasSnapshot,
+      customRequirements,
+      projectTitle,
+      projectDescription,
+      referenceLinks: referenceLinks || [],
+      uploadedFiles: uploadedFiles || [],
+      expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : null,
+      urgency: urgency || "normal",
+      revisionCount: {
+        requested: 0,
+        used: 0,
+        limit: packageSnapshot
+          ? packageSnapshot.revisions + extrasSnapshot.reduce((sum, extra) => sum + extra.revisions, 0)
+          : revisionCount?.limit || DEFAULT_REVISION_LIMIT,
+      },
+      emailUpdates: emailUpdates || false,
+      pricingType: isCustomQuote ? "custom_quote" : "package",
+      packagePrice: packageSnapshot?.price,
+      // The artist sets the amount via set-quote; until it is approved nothing can be paid
+      customQuote: isCustomQuote ? {
+        approved: false,
+        requestedAt: new Date(),
+      } : undefined,
+      paymentType: paymentType || "full",
+      advancePercentage: advancePercentage || 50,
+      estimatedStartDate,
+      artistAvailabilityStatus: "available", // Can be enhanced with actual availability check
+      // Legacy fields
+      bookingDate: timeSlot
+        ? new Date(`${timeSlot.dateKey}T00:00:00.000Z`)
+        : bookingDate ? new Date(bookingDate) : null,
+      startTime,
+      endTime: timeSlot?.endTime,
+      duration,
+      location: location || "Remote",
+      notes: notes || projectDescription,
+      totalAmount: pricing?.total ?? 0,
+      pricing: pricing || undefined,
+      amountPaid: 0,
+      deliveryDays: pricing?.deliveryDays ?? artistProfile.deliveryTime,
+      status: "pending",
+      paymentStatus: "pending",
+    });
+  } catch (error) {
+    if (couponId) {
+      await releaseCoupon(couponId);
+    }
+    throw error;
   }
 
-  // Calculate amount to pay based on payment type
-  let amountToPay = calculatedTotalAmount;
-  if (paymentType === "advance" && advancePercentage) {
-    amountToPay = (calculatedTotalAmount * advancePercentage) / 100;
+  // Two requests can pass the check for the same slot at once - keep the earlier booking
+  if (timeSlot && (await findEarlierOverlap(booking))) {
+    await Booking.deleteOne({ _id: booking._id });
+    if (couponId) {
+      await releaseCoupon(couponId);
+    }
+    throw new ConflictError("This time slot was just booked by someone else. Please pick another slot.");
   }
 
-  const booking = await Booking.create({
-    customer: req.userId,
-    artist: artistId,
-    service,
-    package: packageType || "basic",
-    customRequirements,
-    projectTitle,
-    projectDescription,
-    referenceLinks: referenceLinks || [],
-    uploadedFiles: uploadedFiles || [],
-    expectedDeliveryDate: expectedDeliveryDate ? new Date(expectedDeliveryDate) : null,
-    urgency: urgency || "normal",
-    revisionCount: {
-      requested: 0,
-      used: 0,
-      limit: revisionCount?.limit || 3,
-    },
-    emailUpdates: emailUpdates || false,
-    pricingType: pricingType || "package",
-    packagePrice,
-    customQuote: customQuote ? {
-      amount: customQuote.amount,
-      approved: false,
-      requestedAt: new Date(),
-    } : undefined,
-    paymentType: paymentType || "full",
-    advancePercentage: advancePercentage || 50,
-    estimatedStartDate,
-    artistAvailabilityStatus: "available", // Can be enhanced with actual availability check
-    // Legacy fields
-    bookingDate: bookingDate ? new Date(bookingDate) : null,
-    startTime,
-    duration,
-    location: location || "Remote",
-    notes: notes || projectDescription,
-    totalAmount: calculatedTotalAmount,
-    amountPaid: 0,
-    deliveryDays: artistProfile.deliveryTime,
-    status: "pending",
-    paymentStatus: "pending",
-  });
+  // Count the booking request in the artist's analytics (not awaited)
+  recordArtistEvent(artistProfile._id, "bookings");
 
   // Create notification for artist
   const notificationTargetId = artistProfile ? artistProfile._id : artistId;
@@ -150,7 +267,9 @@ export const createBooking = asyncHandler(async (req, res) => {
     "Artist",
     "new_booking",
     "New Booking Request",
-    `You have a new booking request for ${service}`,
+    `You have a new booking request for ${booking.service}${
+      booking.extras.length > 0 ? ` with extras: ${booking.extras.map((e) => e.title).join(", ")}` : ""
+    }`,
     booking._id,
     "Booking"
   );
@@ -190,6 +309,74 @@ export const getBookingById = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the invoice for a booking
+ * Lines come from the stored pricing breakdown (package, express, extras, discount, tax);
+ * bookings created before itemised pricing get a single line for the total
+ * @route GET /api/bookings/:id/invoice
+ */
+export const getBookingInvoice = asyncHandler(async (req, res) => {
+  const booking = await Booking.findById(req.params.id)
+    .populate("customer", "email")
+    .populate("artist", "email");
+
+  if (!booking) {
+    throw new NotFoundError("Booking not found");
+  }
+
+  const isAuthorized =
+    booking.customer?._id?.toString() === req.userId.toString() ||
+    booking.artist?._id?.toString() === req.userId.toString() ||
+    req.userRole === "admin";
+
+  if (!isAuthorized) {
+    throw new ForbiddenError("Not authorized to view this booking");
+  }
+
+  const [customerProfile, artistProfile] = await Promise.all([
+    Customer.findOne({ userId: booking.customer?._id }).select("name"),
+    Artist.findOne({ userId: booking.artist?._id }).select("name"),
+  ]);
+
+  const pricing = booking.pricing?.lines?.length > 0 ? booking.pricing : null;
+  const lines = pricing
+    ? pricing.lines
+    : [{ type: "base", label: booking.service, quantity: 1, unitPrice: booking.totalAmount, amount: booking.totalAmount }];
+
+  res.json({
+    success: true,
+    data: {
+      invoiceNumber: `INV-${booking._id.toString().slice(-8).toUpperCase()}`,
+      issuedAt: booking.createdAt,
+      bookingId: booking._id,
+      status: booking.status,
+      paymentStatus: booking.paymentStatus,
+      customer: {
+        id: booking.customer?._id,
+        name: customerProfile?.name,
+        email: booking.customer?.email,
+      },
+      artist: {
+        id: booking.artist?._id,
+        name: artistProfile?.name,
+        email: booking.artist?.email,
+      },
+      service: booking.service,
+      package: booking.package,
+      extras: booking.extras,
+      currency: pricing?.currency || booking.packageSnapshot?.currency || "LKR",
+      lines,
+      subtotal: pricing?.subtotal ?? booking.totalAmount,
+      discount: pricing?.discount ?? 0,
+      tax: pricing?.tax ?? 0,
+      total: booking.totalAmount,
+      amountPaid: booking.amountPaid,
+      amountRefunded: booking.amountRefunded,
+      balanceDue: Math.max(0, Math.round((booking.totalAmount - booking.amountPaid) * 100) / 100),
+    },
+  });
+});
+
 /**
  * Update booking status
  * @route PATCH /api/bookings/:id/status
@@ -308,7 +495,7 @@ export const completeBooking = asyncHandler(async (req, res) => {
 });
 
 /**
- * Customer confirms order completion - Releases payment to artist with 15% commission
+ * Customer confirms order completion - Releases payment to artist minus the plan commission
  * @route POST /api/bookings/:id/confirm-completion
  */
 export const confirmOrderCompletion = asyncHandler(async (req, res) => {
@@ -552,8 +739,13 @@ export const cancelBooking = asyncHandler(async (req, res) => {
   const startDate = booking.estimatedStartDate || booking.bookingDate || now;
   const hoursUntilStart = (startDate - now) / (1000 * 60 * 60);
 
-  // Auto-refund for unstarted work
-  if (booking.status === "pending" || (booking.status === "in_progress" && hoursUntilStart > cancellationWindow)) {
+  // Full refund when the artist was suspended or banned, and for unstarted work
+  const artistUnavailable = await isArtistUnavailable(booking.artist);
+  if (
+    artistUnavailable ||
+    booking.status === "pending" ||
+    (booking.status === "in_progress" && hoursUntilStart > cancellationWindow)
+  ) {
     refundAmount = booking.amountPaid || booking.totalAmount;
   } else if (booking.status === "in_progress") {
     // Partial refund if work has started
@@ -636,9 +828,12 @@ export const approveCustomQuote = asyncHandler(async (req, res) => {
     throw new BadRequestError("Quote is already approved");
   }
 
+  const pricing = await priceCustomQuote(booking.customQuote.amount);
+
   booking.customQuote.approved = true;
   booking.customQuote.approvedAt = new Date();
-  booking.totalAmount = booking.customQuote.amount;
+  booking.pricing = pricing;
+  booking.totalAmount = pricing.total;
 
   await booking.save();
 
@@ -681,16 +876,29 @@ export const setCustomQuote = asyncHandler(async (req, res) => {
     throw new ForbiddenError("Only the artist can set a custom quote");
   }
 
+  // Quotes can only be set (or revised) on unpaid custom quote requests
+  if (booking.pricingType !== "custom_quote") {
+    throw new BadRequestError("Only custom quote bookings can be quoted");
+  }
+  if (booking.status !== "pending") {
+    throw new BadRequestError(`Cannot set a quote on a booking that is ${booking.status}`);
+  }
+  if (booking.paymentStatus !== "pending" || booking.amountPaid > 0) {
+    throw new BadRequestError("Cannot change the quote after payment has been made");
+  }
+
   if (!amount || amount <= 0) {
     throw new BadRequestError("Quote amount must be greater than 0");
   }
 
+  // A new quote needs the customer's approval again, which re-prices the booking
   booking.customQuote = {
     amount,
     approved: false,
     requestedAt: new Date(),
   };
-  booking.pricingType = "custom_quote";
+  booking.pricing = undefined;
+  booking.totalAmount = 0;
 
   await booking.save();
 
@@ -715,38 +923,47 @@ export const setCustomQuote = asyncHandler(async (req, res) => {
 
 /**
  * Check artist availability
+ * Returns free time per day from the artist's weekly hours, exceptions,
+ * blackout days and existing time-based bookings
  * @route GET /api/bookings/check-availability/:artistId
+ * Query params: from, to (YYYY-MM-DD, max 31 days), duration (hours), date (single day)
  */
 export const checkArtistAvailability = asyncHandler(async (req, res) => {
   const { artistId } = req.params;
-  const { date } = req.query;
+  const { date, from, to, duration } = req.query;
 
-  const artistProfile = await Artist.findOne({ userId: artistId });
+  const artistProfile = await Artist.findOne({ userId: artistId }).select(
+    "userId availability availabilityExceptions blackouts"
+  );
 
   if (!artistProfile) {
     throw new NotFoundError("Artist not found");
   }
 
-  // Check if artist has active bookings on the date
-  const checkDate = date ? new Date(date) : new Date();
-  const existingBookings = await Booking.find({
-    artist: artistId,
-    status: { $in: ["pending", "in_progress", "review"] },
-    $or: [
-      { estimatedStartDate: { $lte: checkDate } },
-      { bookingDate: { $lte: checkDate } },
-    ],
-  });
+  // ?date= checks a single day; otherwise from/to (default: the next 7 days)
+  const fromKey = from || date ? toDateKey(from || date, "from") : getLocalNow().dateKey;
+  const toKey = to ? toDateKey(to, "to") : date ? fromKey : addDays(fromKey, 6);
+
+  let durationMinutes = 0;
+  if (duration !== undefined && duration !== "") {
+    durationMinutes = Math.round(Number(duration) * 60);
+    if (!durationMinutes || durationMinutes <= 0) {
+      throw new BadRequestError("duration must be a positive number of hours");
+    }
+  }
 
-  const isAvailable = existingBookings.length === 0;
+  const days = await getFreeSlots(artistProfile, fromKey, toKey, { durationMinutes });
 
   res.json({
     success: true,
     data: {
-      available: isAvailable,
+      available: days.some((day) => day.slots.length > 0),
       artistId,
-      date: checkDate,
-      existingBookings: existingBookings.length,
+      from: fromKey,
+      to: toKey,
+      durationMinutes: durationMinutes || null,
+      existingBookings: days.reduce((sum, day) => sum + day.booked, 0),
+      days,
     },
   });
 });
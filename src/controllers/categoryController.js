@@ -7,6 +7,12 @@ import Artist from "../models/Artist.js";
 import { NotFoundError, BadRequestError } from "../utils/errors.js";
 import { asyncHandler } from "../middleware/authMiddleware.js";
 import { formatPaginationResponse } from "../utils/paginate.js";
+import { formatListedArtists } from "../utils/artistSearch.js";
+import {
+  findActivePlacements,
+  pickPromotedArtists,
+  recordPlacementImpressions,
+} from "../utils/featuredService.js";
 
 /**
  * Get all categories with search and filtering
@@ -189,6 +195,8 @@ export const deleteCategory = asyncHandler(async (req, res) => {
  * - minRating: Minimum rating filter (0-5)
  * - maxRate: Maximum hourly rate filter
  * - Returns only approved and active artists in the category
+ * - promoted: with the first page, artists with a running category placement that
+ *   match the filters, marked promoted: true with their placementId (apart from data)
  */
 export const getArtistsByCategory = asyncHandler(async (req, res) => {
   const { categoryId } = req.params;
@@ -233,30 +241,32 @@ export const getArtistsByCategory = asyncHandler(async (req, res) => {
   const limitNum = parseInt(limit);
 
   const artists = await Artist.find(query)
-    .populate("userId", "email")
-    .populate("category", "name description image")
     .skip(skip)
     .limit(limitNum)
-    .sort({ rating: -1, createdAt: -1 }); // Sort by rating first, then creation date
+    .sort({ rating: -1, createdAt: -1 }) // Sort by rating first, then creation date
+    .lean();
 
   const total = await Artist.countDocuments(query);
 
-  // Format response with user email
-  const formattedArtists = artists.map((artist) => {
-    const artistObj = artist.toObject();
-    return {
-      ...artistObj,
-      email: artistObj.userId?.email || "",
-      userId: artistObj.userId?._id || artistObj.userId,
-    };
-  });
+  // PROMOTED ARTISTS
+  // Category placements whose artist matches the filters, returned with the first page
+  const placements =
+    (parseInt(page) || 1) === 1 ? await findActivePlacements({ slot: "category", category: categoryId }) : [];
+  const candidates =
+    placements.length > 0
+      ? await Artist.find({ ...query, _id: { $in: placements.map((placement) => placement.artist) } }).lean()
+      : [];
+  const { artists: promoted, placementIds } = pickPromotedArtists(placements, candidates);
+  recordPlacementImpressions(placementIds);
 
-  const response = formatPaginationResponse(formattedArtists, total, page, limit);
+  // Same public fields as the other artist listings (no billing, KYC or old slugs)
+  const response = formatPaginationResponse(await formatListedArtists(artists), total, page, limit);
 
   res.json({
     success: true,
     data: response.data,
     pagination: response.pagination,
+    promoted: await formatListedArtists(promoted),
   });
 });
 
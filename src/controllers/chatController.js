@@ -5,6 +5,8 @@ import User from "../models/User.js";
 import Payment from "../models/Payment.js";
 import Notification from "../models/Notification.js";
 import { createNotification } from "../utils/helpers.js";
+import { getAutoReply } from "../utils/vacationService.js";
+import { recordArtistEvent } from "../utils/artistAnalyticsService.js";
 import { asyncHandler } from "../middleware/authMiddleware.js";
 import {
   NotFoundError,
@@ -196,6 +198,7 @@ export const createChatWithArtist = asyncHandler(async (req, res) => {
       // Update booking with chat room ID
       booking.chatRoomId = chat._id;
       await booking.save();
+      recordArtistEvent(artistProfile._id, "chatStarts");
 
       // Populate the chat
       chat = await Chat.findById(chat._id)
@@ -226,6 +229,7 @@ export const createChatWithArtist = asyncHandler(async (req, res) => {
       lastMessage: null,
       lastMessageTimestamp: new Date(),
     });
+    recordArtistEvent(artistProfile._id, "chatStarts");
 
     // Populate the chat
     chat = await Chat.findById(chat._id)
@@ -292,13 +296,32 @@ export const sendMessage = asyncHandler(async (req, res) => {
   chat.messages.push(newMessage);
   chat.lastMessage = content;
   chat.lastMessageTimestamp = newMessage.timestamp;
-  await chat.save();
 
   // Notify the other participant
   const recipientId = chat.participants.find(
     (p) => p.toString() !== req.userId.toString()
   );
 
+  // Artists on vacation answer automatically with their away message (once per chat)
+  let autoReply = null;
+  if (recipientId) {
+    const recipientArtist = await Artist.findOne({ userId: recipientId }).select("name vacation");
+    const replyContent = getAutoReply(recipientArtist, chat.messages, recipientId);
+    if (replyContent) {
+      autoReply = {
+        sender: recipientId,
+        content: replyContent,
+        timestamp: new Date(),
+        read: false,
+        autoReply: true,
+      };
+      chat.messages.push(autoReply);
+      chat.lastMessage = replyContent;
+      chat.lastMessageTimestamp = autoReply.timestamp;
+    }
+  }
+  await chat.save();
+
   if (recipientId) {
     // We don't know the role easily here without populating, but we can guess or fetch
     // For simplicity, just use "User" or fetch
@@ -318,5 +341,6 @@ export const sendMessage = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     data: newMessage,
+    ...(autoReply && { autoReply }),
   });
 });
@@ -21,6 +21,13 @@ import {
 } from "../utils/errors.js";
 import { asyncHandler } from "../middleware/authMiddleware.js";
 import { formatPaginationResponse } from "../utils/paginate.js";
+import { getCommissionPercent } from "../utils/subscriptionService.js";
+
+// Commission locked in when the payment intent was created, else the artist's current plan
+const getIntentCommissionPercent = async (paymentIntent, booking) => {
+  const locked = parseFloat(paymentIntent.metadata?.platformCommissionPercent);
+  return Number.isFinite(locked) ? locked : getCommissionPercent(booking.artist._id);
+};
 
 /**
  * Create payment
@@ -48,6 +55,11 @@ export const createPayment = asyncHandler(async (req, res) => {
     throw new NotFoundError("Booking not found");
   }
 
+  // Custom quotes are only payable once the customer has approved the quote
+  if (booking.pricingType === "custom_quote" && !booking.customQuote?.approved) {
+    throw new BadRequestError("The custom quote must be approved before payment");
+  }
+
   // Validate booking has required data
   if (!booking.totalAmount || booking.totalAmount <= 0) {
     console.error("Booking missing totalAmount:", {
@@ -78,6 +90,9 @@ export const createPayment = asyncHandler(async (req, res) => {
     amount: booking.totalAmount,
   });
 
+  // Commission depends on the artist's subscription plan
+  const platformCommissionPercent = await getCommissionPercent(booking.artist._id);
+
   // Process payment
   const paymentResult = await processPayment({
     bookingId: booking._id,
@@ -86,6 +101,7 @@ export const createPayment = asyncHandler(async (req, res) => {
     amount: booking.totalAmount,
     currency: "USD",
     paymentMethodId: paymentMethod,
+    platformFeePercent: platformCommissionPercent,
   });
 
   if (!paymentResult.success) {
@@ -115,8 +131,7 @@ export const createPayment = asyncHandler(async (req, res) => {
   }
 
   // If paymentMethod was provided, create payment record and hold payment in escrow
-  // Calculate commission (15% platform fee)
-  const platformCommissionPercent = 15;
+  // Calculate commission (plan rate, e.g. 15% on the free plan)
   const platformCommissionAmount =
     (booking.totalAmount * platformCommissionPercent) / 100;
   const artistPayoutAmount = booking.totalAmount - platformCommissionAmount;
@@ -641,7 +656,7 @@ export const verifyPaymentIntent = asyncHandler(async (req, res) => {
     console.log("Creating new payment record (held in escrow)...");
     try {
       const totalAmount = paymentIntent.amount / 100;
-      const platformCommissionPercent = 15; // 15% platform commission
+      const platformCommissionPercent = await getIntentCommissionPercent(paymentIntent, booking);
       const platformCommissionAmount =
         (totalAmount * platformCommissionPercent) / 100;
       const artistPayoutAmount = totalAmount - platformCommissionAmount;
@@ -670,7 +685,7 @@ export const verifyPaymentIntent = asyncHandler(async (req, res) => {
     console.log("Updating existing payment record:", payment._id);
     // Calculate commission if not already set
     if (!payment.platformCommissionAmount) {
-      const platformCommissionPercent = 15;
+      const platformCommissionPercent = await getIntentCommissionPercent(paymentIntent, booking);
       payment.platformCommissionPercent = platformCommissionPercent;
       payment.platformCommissionAmount =
         (payment.amount * platformCommissionPercent) / 100;
@@ -9,6 +9,11 @@ import Admin from "../models/Admin.js";
 import Artist from "../models/Artist.js";
 import Customer from "../models/Customer.js";
 import { UnauthorizedError, ForbiddenError } from "../utils/errors.js";
+import { isSessionValid } from "../utils/sessionService.js";
+import {
+  resolveImpersonation,
+  auditImpersonatedRequest,
+} from "../utils/impersonationService.js";
 
 /**
  * Async handler wrapper to catch errors in async route handlers
@@ -19,9 +24,33 @@ export const asyncHandler = (fn) => {
   };
 };
 
+/**
+ * Load the role-specific profile for a user's active role
+ * @param {string} userId - User ID
+ * @param {string} role - Active role
+ */
+const loadRoleProfile = async (userId, role) => {
+  if (role === "customer") {
+    return Customer.findOne({ userId });
+  }
+  if (role === "artist") {
+    return Artist.findOne({ userId }).populate("category", "name description");
+  }
+  if (role === "admin") {
+    // Use findOneAndUpdate with upsert to atomically create Admin profile if it doesn't exist
+    // This prevents race conditions when multiple requests try to create the profile simultaneously
+    return Admin.findOneAndUpdate(
+      { userId },
+      { $setOnInsert: { userId } }, // Never overwrite granted permissions
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+  return null;
+};
+
 /**
  * JWT verification middleware
- * Verifies JWT token and loads user based on role
+ * Verifies JWT token, checks its session is still active, and loads user based on role
  */
 export const verifyToken = asyncHandler(async (req, res, next) => {
   console.log("verifyToken called. Request path:", req.path);
@@ -54,6 +83,12 @@ export const verifyToken = asyncHandler(async (req, res, next) => {
     const decoded = verifyJwtToken(token);
     console.log("Token decoded successfully. User ID:", decoded.id, "Role:", decoded.role);
 
+    // Reject tokens whose session was revoked, expired, or that predate sessions
+    if (!(await isSessionValid(decoded))) {
+      console.error("Session invalid or revoked for token. Session ID:", decoded.sid);
+      throw new UnauthorizedError("Session has expired or was revoked. Please log in again.");
+    }
+
     // Find user in Users collection (central collection)
     const user = await User.findById(decoded.id).select("-password");
     
@@ -62,12 +97,20 @@ export const verifyToken = asyncHandler(async (req, res, next) => {
       throw new UnauthorizedError("User not found. Token may be invalid.");
     }
 
-    // Verify role matches
-    if (user.role !== decoded.role) {
-      console.error("Role mismatch. Token role:", decoded.role, "User role:", user.role);
+    // Verify the user still holds the token's (active) role
+    if (!user.hasRole(decoded.role)) {
+      console.error("Role mismatch. Token role:", decoded.role, "User roles:", user.getRoles());
       throw new UnauthorizedError("Invalid token. Role mismatch.");
     }
 
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      console.error("Token issued before password change for user:", user._id);
+      throw new UnauthorizedError(
+        "Password was changed recently. Please log in again."
+      );
+    }
+
     // Check if user is active
     if (user.isActive === false) {
       console.error("User account is deactivated:", user._id);
@@ -76,35 +119,30 @@ export const verifyToken = asyncHandler(async (req, res, next) => {
       );
     }
 
-    // Get profile from role-specific collection
-    let profile = null;
-    if (user.role === "customer") {
-      profile = await Customer.findOne({ userId: user._id });
-    } else if (user.role === "artist") {
-      console.log("Fetching artist profile for user:", user._id);
-      try {
-        profile = await Artist.findOne({ userId: user._id })
-          .populate("category", "name description");
-        console.log("Artist profile fetched:", profile ? profile._id : "null");
-      } catch (err) {
-        console.error("Error fetching artist profile in verifyToken:", err);
-        throw err;
-      }
-    } else if (user.role === "admin") {
-      // Use findOneAndUpdate with upsert to atomically create Admin profile if it doesn't exist
-      // This prevents race conditions when multiple requests try to create the profile simultaneously
-      profile = await Admin.findOneAndUpdate(
-        { userId: user._id },
-        { userId: user._id, permissions: [] },
-        { upsert: true, new: true, setDefaultsOnInsert: true }
+    // Check if email is verified (legacy accounts have no flag and are allowed)
+    if (user.isEmailVerified === false) {
+      console.error("User email is not verified:", user._id);
+      throw new ForbiddenError(
+        "Please verify your email address to continue."
       );
     }
 
-    // Attach user and profile to request
-    req.user = { ...user.toObject(), profile };
+    // Get profile for the active role
+    const profile = await loadRoleProfile(user._id, decoded.role);
+
+    // Attach user and profile to request - role is the session's active role
+    req.user = { ...user.toObject(), role: decoded.role, roles: user.getRoles(), profile };
     req.userId = user._id;
-    req.userRole = user.role;
-    console.log("Authentication successful for user:", user._id, "Role:", user.role);
+    req.userRole = decoded.role;
+    req.sessionId = decoded.sid;
+
+    // Admin acting as this user: expose the impersonator and audit the request
+    if (decoded.imp) {
+      req.impersonator = await resolveImpersonation(decoded);
+      auditImpersonatedRequest(req, res);
+      console.log("Impersonated request by admin:", req.impersonator.id);
+    }
+    console.log("Authentication successful for user:", user._id, "Role:", decoded.role);
 
     next();
   } catch (error) {
@@ -150,29 +188,25 @@ export const authOptional = asyncHandler(async (req, res, next) => {
 
       // Find user in Users collection
       const user = await User.findById(decoded.id).select("-password");
-      
-      if (user && user.role === decoded.role && user.isActive) {
-        // Get profile from role-specific collection
-        let profile = null;
-        if (user.role === "customer") {
-          profile = await Customer.findOne({ userId: user._id });
-        } else if (user.role === "artist") {
-          profile = await Artist.findOne({ userId: user._id })
-            .populate("category", "name description");
-        } else if (user.role === "admin") {
-          // Use findOneAndUpdate with upsert to atomically create Admin profile if it doesn't exist
-          // This prevents race conditions when multiple requests try to create the profile simultaneously
-          profile = await Admin.findOneAndUpdate(
-            { userId: user._id },
-            { userId: user._id, permissions: [] },
-            { upsert: true, new: true, setDefaultsOnInsert: true }
-          );
-        }
+      const sessionValid = await isSessionValid(decoded);
+
+      // Impersonation tokens are only accepted on routes using verifyToken
+      if (
+        user &&
+        !decoded.imp &&
+        sessionValid &&
+        user.hasRole(decoded.role) &&
+        user.isActive &&
+        user.isEmailVerified !== false &&
+        !user.changedPasswordAfter(decoded.iat)
+      ) {
+        const profile = await loadRoleProfile(user._id, decoded.role);
 
         // Attach user and profile to request
-        req.user = { ...user.toObject(), profile };
+        req.user = { ...user.toObject(), role: decoded.role, roles: user.getRoles(), profile };
         req.userId = user._id;
-        req.userRole = user.role;
+        req.userRole = decoded.role;
+        req.sessionId = decoded.sid;
       }
     } catch (error) {
       // If token is invalid, continue without user (public access)
@@ -182,6 +216,18 @@ export const authOptional = asyncHandler(async (req, res, next) => {
   next();
 });
 
+/**
+ * Block money-moving actions while an admin is impersonating a user
+ * Should be used after verifyToken
+ */
+export const blockImpersonation = asyncHandler(async (req, res, next) => {
+  if (req.impersonator) {
+    req.impersonationBlocked = true;
+    throw new ForbiddenError("This action is not allowed while impersonating a user");
+  }
+  next();
+});
+
 /**
  * Check if user account is approved
  * Should be used after authenticate middleware
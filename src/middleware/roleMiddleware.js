@@ -1,5 +1,6 @@
 import { ForbiddenError } from "../utils/errors.js";
 import { asyncHandler } from "./authMiddleware.js";
+import { hasPermission, SUPER_ADMIN_PERMISSION } from "../config/permissions.js";
 
 /**
  * Role-based Authorization Middleware
@@ -40,3 +41,53 @@ export const adminOnly = requireRole("admin");
 export const artistOnly = requireRole("artist");
 export const customerOnly = requireRole("customer");
 export const artistOrCustomer = requireRole(["artist", "customer"]);
+
+/**
+ * Permission-based Authorization Middleware
+ * Requires an admin whose Admin.permissions include every listed permission
+ * (super admins holding "all" always pass). Must run after verifyToken.
+ * @param {string|string[]} permissions - Required permissions (see config/permissions.js)
+ * @param {Object} options
+ * @param {boolean} options.allowNonAdmin - Let other roles through (for routes shared with
+ *   customers/artists, where verifyRole and ownership checks authorise them)
+ */
+export const requirePermission = (permissions = [], { allowNonAdmin = false } = {}) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+
+  return asyncHandler((req, res, next) => {
+    const userRole = req.userRole ? req.userRole.toLowerCase() : null;
+
+    if (!req.user || !userRole) {
+      throw new ForbiddenError("Not authorized. Please log in.");
+    }
+
+    if (userRole !== "admin") {
+      if (allowNonAdmin) {
+        return next();
+      }
+      throw new ForbiddenError("Access denied. This action requires an admin account.");
+    }
+
+    const granted = req.user.profile?.permissions || [];
+    const missing = required.filter((permission) => !hasPermission(granted, permission));
+
+    if (missing.length > 0) {
+      throw new ForbiddenError(
+        `Access denied. Missing admin permission: ${missing.join(", ")}`
+      );
+    }
+
+    next();
+  });
+};
+
+// Only super admins (permission "all") can manage other admins' permissions
+export const superAdminOnly = asyncHandler((req, res, next) => {
+  const granted = req.user?.profile?.permissions || [];
+
+  if (req.userRole !== "admin" || !granted.includes(SUPER_ADMIN_PERMISSION)) {
+    throw new ForbiddenError("Access denied. This action requires a super admin.");
+  }
+
+  next();
+});
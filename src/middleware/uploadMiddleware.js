@@ -0,0 +1,121 @@
+/**
+ * Upload Middleware
+ * Multer configurations (files are kept in memory and sent to Cloudinary)
+ * and the error handler that turns multer errors into 400 responses
+ */
+import multer from "multer";
+import { BadRequestError } from "../utils/errors.js";
+
+const storage = multer.memoryStorage();
+
+// Profile, category and admin images - field "image"
+export const imageUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept only image files
+    if (file.mimetype.startsWith("image/")) {
+      cb(null, true);
+    } else {
+      cb(new BadRequestError("Only image files are allowed"), false);
+    }
+  },
+});
+
+// Portfolio media - field "file" (images, video and audio)
+export const PORTFOLIO_MAX_FILE_MB = 50;
+export const portfolioUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: PORTFOLIO_MAX_FILE_MB * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    if (/^(image|video|audio)\//.test(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new BadRequestError("Only image, video or audio files are allowed"), false);
+    }
+  },
+});
+
+// Identity documents and selfie - fields "documentFront", "documentBack", "selfie"
+export const kycUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 3,
+  },
+  fileFilter: (req, file, cb) => {
+    if (["image/jpeg", "image/png", "image/webp"].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new BadRequestError("Identity documents must be JPEG, PNG or WebP images"), false);
+    }
+  },
+});
+
+/**
+ * Build an error handler for a multer upload
+ * @param {Object} options - { fieldName, maxSize } used in error messages
+ */
+export const createUploadErrorHandler = ({ fieldName = "image", maxSize = "10MB" } = {}) => (err, req, res, next) => {
+  console.error("Multer error caught:", {
+    name: err.name,
+    code: err.code,
+    message: err.message,
+    field: err.field,
+    stack: err.stack,
+  });
+
+  // Handle multer-specific errors
+  if (err instanceof multer.MulterError) {
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({
+        success: false,
+        message: `File size exceeds the ${maxSize} limit`,
+        error: `File size exceeds the ${maxSize} limit`,
+      });
+    }
+    if (err.code === "LIMIT_FILE_COUNT") {
+      return res.status(400).json({
+        success: false,
+        message: "Too many files uploaded",
+        error: "Too many files uploaded",
+      });
+    }
+    if (err.code === "LIMIT_UNEXPECTED_FILE") {
+      return res.status(400).json({
+        success: false,
+        message: `Unexpected file field '${err.field}'. Expected field name: '${fieldName}'`,
+        error: `Unexpected file field '${err.field}'. Expected field name: '${fieldName}'`,
+      });
+    }
+    if (err.code === "LIMIT_PART_COUNT") {
+      return res.status(400).json({
+        success: false,
+        message: "Too many parts in the multipart request",
+        error: "Too many parts in the multipart request",
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      message: err.message || "File upload error",
+      error: err.message || "File upload error",
+      code: err.code,
+    });
+  }
+
+  // If it's a BadRequestError from fileFilter, handle it
+  if (err instanceof BadRequestError || err.name === "BadRequestError") {
+    return res.status(400).json({
+      success: false,
+      message: err.message || "Bad request",
+      error: err.message || "Bad request",
+    });
+  }
+
+  // For other errors, pass to next error handler
+  next(err);
+};
@@ -15,6 +15,39 @@ const artistSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Identity (KYC) check, separate from profile approval (status/verifiedAt).
+    // Documents live on IdentityVerification; only "verified" is shown publicly
+    identityVerification: {
+      status: {
+        type: String,
+        enum: ["unverified", "pending", "verified", "rejected"],
+        default: "unverified",
+      },
+      submittedAt: Date,
+      verifiedAt: Date,
+      rejectionReason: String,
+    },
+    // Public profile URL (/api/artists/:slug), see utils/slugService.js
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      trim: true,
+    },
+    // true once the artist picks a vanity slug - renaming no longer changes it
+    slugIsCustom: {
+      type: Boolean,
+      default: false,
+    },
+    // Previous slugs, which redirect to the current one
+    slugHistory: [
+      {
+        _id: false,
+        slug: { type: String, lowercase: true, trim: true },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
     phone: {
       type: String,
       trim: true,
@@ -45,14 +78,31 @@ const artistSchema = new mongoose.Schema(
       enum: ["physical", "remote"],
       required: true, // Should be derived from category
     },
+    // Paid plan (utils/subscriptionService.js); no active subscription = free plan
     subscription: {
       status: {
         type: String,
-        enum: ["active", "inactive", "expired"],
+        enum: ["active", "pending", "inactive", "expired"],
         default: "inactive",
       },
       expiresAt: Date,
-      plan: String,
+      plan: {
+        type: String,
+        enum: ["free", "pro", "premium"],
+        default: "free",
+      },
+      // Plan the pending (unpaid) subscription is for
+      pendingPlan: {
+        type: String,
+        enum: ["pro", "premium"],
+      },
+      startedAt: Date,
+      cancelAtPeriodEnd: {
+        type: Boolean,
+        default: false,
+      },
+      stripeCustomerId: String,
+      stripeSubscriptionId: String,
     },
     pricing: {
       amount: { type: Number, default: 0 },
@@ -92,6 +142,34 @@ const artistSchema = new mongoose.Schema(
           type: String,
           default: "LKR",
         },
+        // Up to three tiers (see utils/servicePackages.js); price/deliveryTime
+        // above are then the cheapest/fastest tier
+        packages: [
+          {
+            tier: {
+              type: String,
+              enum: ["basic", "standard", "premium"],
+              required: true,
+            },
+            name: { type: String, trim: true },
+            description: { type: String, trim: true },
+            price: { type: Number, required: true, min: 0 },
+            deliveryTime: { type: Number, required: true, min: 1 }, // Days
+            revisions: { type: Number, default: 3, min: 0 },
+            features: [{ type: String, trim: true }],
+          },
+        ],
+        // Optional paid add-ons ("source files", "extra revision", "24h express")
+        extras: [
+          {
+            title: { type: String, required: true, trim: true },
+            description: { type: String, trim: true },
+            price: { type: Number, required: true, min: 0 },
+            deliveryDays: { type: Number, default: 0 }, // Added to delivery (negative = faster)
+            revisions: { type: Number, default: 0, min: 0 }, // Added to the revision limit
+            maxQuantity: { type: Number, default: 1, min: 1 },
+          },
+        ],
       },
     ],
     skills: [
@@ -113,11 +191,63 @@ const artistSchema = new mongoose.Schema(
       },
       default: {},
     },
+    // Dated overrides of the weekly hours ("YYYY-MM-DD", artist's local time)
+    // available: false closes the whole day
+    availabilityExceptions: [
+      {
+        date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+        start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+        end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/ },
+        available: { type: Boolean, default: true },
+        note: { type: String, trim: true },
+      },
+    ],
+    // Whole days off, inclusive of both dates
+    blackouts: [
+      {
+        startDate: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+        endDate: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+        reason: { type: String, trim: true },
+      },
+    ],
+    // Vacation mode (utils/vacationService.js): away from startDate to endDate
+    // inclusive; ends by itself once endDate has passed
+    vacation: {
+      enabled: { type: Boolean, default: false },
+      startDate: { type: String, match: /^\d{4}-\d{2}-\d{2}$/ },
+      endDate: { type: String, match: /^\d{4}-\d{2}-\d{2}$/ },
+      message: { type: String, trim: true, maxlength: 500 },
+    },
     // Additional profile fields
+    // Portfolio items (see utils/portfolioService.js); media uploaded via
+    // POST /api/artists/profile/portfolio/media lives in artist_portfolio/<artistId>
     portfolio: [
       {
-        type: String,
-        trim: true,
+        title: { type: String, required: true, trim: true },
+        description: { type: String, trim: true },
+        category: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Category",
+        },
+        tags: [{ type: String, trim: true, lowercase: true }],
+        media: [
+          {
+            type: {
+              type: String,
+              enum: ["image", "video", "audio"],
+              required: true,
+            },
+            url: { type: String, required: true, trim: true },
+            publicId: String, // Cloudinary public ID (uploaded media only)
+            caption: { type: String, trim: true },
+          },
+        ],
+        coverImage: {
+          url: { type: String, trim: true },
+          publicId: String,
+        },
+        order: { type: Number, default: 0 },
+        createdAt: { type: Date, default: Date.now },
       },
     ],
     website: {
@@ -167,6 +297,22 @@ const artistSchema = new mongoose.Schema(
       state: { type: String, trim: true },
       country: { type: String, trim: true },
       zipCode: { type: String, trim: true },
+      // GeoJSON point ([lng, lat]) for radius search - set from explicit
+      // coordinates or geocoded from city/state (see utils/geocoder.js)
+      geo: {
+        type: { type: String, enum: ["Point"] },
+        coordinates: { type: [Number], default: undefined },
+      },
+      geoSource: {
+        type: String,
+        enum: ["manual", "geocoded"],
+      },
+    },
+    // How far a physical artist travels for a booking (km); unset = no limit
+    serviceRadiusKm: {
+      type: Number,
+      min: 1,
+      max: 500,
     },
     rating: {
       type: Number,
@@ -181,7 +327,7 @@ const artistSchema = new mongoose.Schema(
     // Approval status
     status: {
       type: String,
-      enum: ["pending", "approved", "rejected", "suspended"],
+      enum: ["pending", "approved", "rejected", "suspended", "banned", "deleted"],
       default: "pending",
     },
     reason: {
@@ -231,6 +377,17 @@ artistSchema.pre("validate", function (next) {
 
 // Indexes for better query performance
 artistSchema.index({ status: 1 });
-artistSchema.index({ bio: "text", skills: "text" });
+// Full-text search used by GET /api/artists (relevance ranking)
+// Replaces the old bio/skills text index - run `npm run sync:artist-indexes` once
+artistSchema.index(
+  { name: "text", skills: "text", bio: "text" },
+  { name: "artist_search_text", weights: { name: 10, skills: 5, bio: 1 } }
+);
+artistSchema.index({ status: 1, rating: -1 });
+artistSchema.index({ status: 1, "location.city": 1 });
+artistSchema.index({ "location.geo": "2dsphere" });
+artistSchema.index({ "slugHistory.slug": 1 });
+artistSchema.index({ status: 1, "identityVerification.status": 1 });
+artistSchema.index({ "subscription.status": 1, "subscription.expiresAt": 1 });
 
 export default mongoose.model("Artist", artistSchema);
@@ -0,0 +1,49 @@
+/**
+ * Artist Daily Stat Model
+ * Profile analytics rolled up per artist per UTC day: one small document holds the
+ * day's counters, incremented in place, so no per-event documents are stored.
+ * See utils/artistAnalyticsService.js.
+ */
+import mongoose from "mongoose";
+
+const artistDailyStatSchema = new mongoose.Schema(
+  {
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      required: true,
+    },
+    // "YYYY-MM-DD" (UTC)
+    date: {
+      type: String,
+      required: true,
+    },
+    // Public profile opened (GET /api/artists/:id or /:slug)
+    profileViews: {
+      type: Number,
+      default: 0,
+    },
+    // Shown on a page of artist search results (GET /api/artists)
+    searchImpressions: {
+      type: Number,
+      default: 0,
+    },
+    // New chats started with the artist
+    chatStarts: {
+      type: Number,
+      default: 0,
+    },
+    // Booking requests created
+    bookings: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+artistDailyStatSchema.index({ artist: 1, date: 1 }, { unique: true });
+
+export default mongoose.model("ArtistDailyStat", artistDailyStatSchema);
@@ -0,0 +1,67 @@
+/**
+ * AuditLog Model
+ * Records every request made while an admin impersonates a user,
+ * plus the start and end of each impersonation
+ */
+import mongoose from "mongoose";
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["impersonation_start", "impersonation_end", "impersonated_request"],
+      required: true,
+    },
+    impersonation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Impersonation",
+    },
+    // Admin who performed the action
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // User the action was performed as / on
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    method: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+    statusCode: {
+      type: Number,
+    },
+    // Request was refused because it is not allowed while impersonating
+    blocked: {
+      type: Boolean,
+      default: false,
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+auditLogSchema.index({ impersonation: 1, createdAt: 1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -22,6 +22,35 @@ const bookingSchema = new mongoose.Schema(
       enum: ["basic", "standard", "premium", "custom"],
       default: "basic",
     },
+    // The artist's service tier as it was when booked (price, delivery, revisions)
+    packageSnapshot: {
+      serviceId: { type: mongoose.Schema.Types.ObjectId },
+      serviceName: String,
+      tier: {
+        type: String,
+        enum: ["basic", "standard", "premium"],
+      },
+      name: String,
+      description: String,
+      price: Number,
+      currency: String,
+      deliveryDays: Number,
+      revisions: Number,
+      features: [String],
+    },
+    // Paid extras picked from the service, snapshotted like the package
+    extras: [
+      {
+        _id: false,
+        extraId: { type: mongoose.Schema.Types.ObjectId },
+        title: String,
+        price: Number,
+        quantity: Number,
+        amount: Number,
+        deliveryDays: Number,
+        revisions: Number,
+      },
+    ],
     customRequirements: {
       type: String,
       trim: true,
@@ -138,6 +167,33 @@ const bookingSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Itemised price computed by the pricing engine (see utils/pricingEngine.js)
+    pricing: {
+      currency: String,
+      lines: [
+        {
+          _id: false,
+          type: {
+            type: String,
+            enum: ["base", "urgency", "extra", "discount", "tax"],
+          },
+          label: String,
+          quantity: Number,
+          unitPrice: Number,
+          amount: Number,
+        },
+      ],
+      subtotal: Number,
+      discount: Number,
+      taxRate: Number,
+      tax: Number,
+      total: Number,
+      coupon: {
+        couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+        code: String,
+      },
+      quotedAt: Date,
+    },
     amountPaid: {
       type: Number,
       default: 0,
@@ -240,10 +296,10 @@ const bookingSchema = new mongoose.Schema(
 // Calculate end time before saving if not provided
 bookingSchema.pre("save", function (next) {
   if (this.startTime && this.duration && !this.endTime) {
-    // Simple calculation assuming HH:mm format
+    // HH:mm plus duration in hours (fractions allowed, e.g. 1.5)
     const [hours, minutes] = this.startTime.split(":").map(Number);
-    const endHour = hours + this.duration;
-    this.endTime = `${endHour.toString().padStart(2, "0")}:${minutes
+    const endMinutes = hours * 60 + minutes + Math.round(this.duration * 60);
+    this.endTime = `${Math.floor(endMinutes / 60).toString().padStart(2, "0")}:${(endMinutes % 60)
       .toString()
       .padStart(2, "0")}`;
   }
@@ -253,6 +309,7 @@ bookingSchema.pre("save", function (next) {
 // Indexes for better query performance
 bookingSchema.index({ customer: 1, status: 1 });
 bookingSchema.index({ artist: 1, status: 1 });
+bookingSchema.index({ artist: 1, bookingDate: 1 });
 bookingSchema.index({ status: 1, createdAt: -1 });
 
 const Booking = mongoose.model("Booking", bookingSchema);
@@ -15,6 +15,11 @@ const messageSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Sent automatically for the sender (e.g. vacation away message)
+    autoReply: {
+      type: Boolean,
+      default: false,
+    },
     timestamp: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,90 @@
+/**
+ * Coupon Model
+ * Discount codes applied by the pricing engine (utils/pricingEngine.js).
+ * usedCount is incremented atomically when a booking is created with the code.
+ */
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Please provide a coupon code"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, "Coupon code must be 3-32 letters, numbers, - or _"],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    discountType: {
+      type: String,
+      enum: ["percent", "fixed"],
+      required: true,
+    },
+    // Percent (1-100) or a fixed LKR amount
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Cap for percent discounts
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    // Smallest subtotal (before discount and tax) the code applies to
+    minSubtotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    startsAt: Date,
+    expiresAt: Date,
+    // Total redemptions allowed (unset = unlimited)
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    perCustomerLimit: {
+      type: Number,
+      min: 1,
+    },
+    // Limit the code to one artist's services (User ID)
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.pre("validate", function (next) {
+  if (this.discountType === "percent" && this.value > 100) {
+    this.invalidate("value", "A percent discount cannot exceed 100");
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate("expiresAt", "expiresAt must be after startsAt");
+  }
+  next();
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+export default mongoose.model("Coupon", couponSchema);
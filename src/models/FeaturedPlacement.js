@@ -0,0 +1,88 @@
+/**
+ * Featured Placement Model
+ * An artist promoted by an admin in a slot for a date range:
+ * - homepage: GET /api/artists/featured
+ * - search: mixed into GET /api/artists (optionally only when filtered by category)
+ * - category: a category page (GET /api/categories/:categoryId/artists and
+ *   GET /api/artists/featured?slot=category)
+ * Higher priority comes first. See utils/featuredService.js.
+ */
+import mongoose from "mongoose";
+
+const featuredPlacementSchema = new mongoose.Schema(
+  {
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      required: [true, "Please provide an artist"],
+    },
+    slot: {
+      type: String,
+      enum: ["homepage", "search", "category"],
+      required: [true, "Please provide a slot"],
+    },
+    // Required for the category slot; limits a search placement to that category
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    startDate: {
+      type: Date,
+      default: Date.now,
+    },
+    endDate: {
+      type: Date,
+      required: [true, "Please provide an end date"],
+    },
+    priority: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    // Internal note, e.g. the invoice for a paid placement
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    impressions: {
+      type: Number,
+      default: 0,
+    },
+    clicks: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+featuredPlacementSchema.pre("validate", function (next) {
+  if (this.slot === "category" && !this.category) {
+    this.invalidate("category", "A category placement needs a category");
+  }
+  if (this.slot === "homepage" && this.category) {
+    this.invalidate("category", "Homepage placements can't have a category");
+  }
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate("endDate", "endDate must be after startDate");
+  }
+  next();
+});
+
+featuredPlacementSchema.index({ slot: 1, isActive: 1, endDate: 1 });
+featuredPlacementSchema.index({ artist: 1, createdAt: -1 });
+
+export default mongoose.model("FeaturedPlacement", featuredPlacementSchema);
@@ -0,0 +1,76 @@
+/**
+ * Identity Verification Model
+ * One document per KYC submission (NIC or passport plus a selfie) by an artist.
+ * Files are stored as private Cloudinary assets - only their public IDs are kept
+ * here and admins view them through short-lived signed URLs.
+ */
+import mongoose from "mongoose";
+
+const documentFileSchema = new mongoose.Schema(
+  {
+    publicId: { type: String, required: true },
+    format: String,
+    bytes: Number,
+  },
+  { _id: false }
+);
+
+const identityVerificationSchema = new mongoose.Schema(
+  {
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    documentType: {
+      type: String,
+      enum: ["nic", "passport"],
+      required: true,
+    },
+    // Only the last 4 characters are kept in clear; the hash spots the same
+    // document being used on more than one account
+    documentNumberLast4: {
+      type: String,
+      required: true,
+    },
+    documentNumberHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    files: {
+      documentFront: { type: documentFileSchema, required: true },
+      documentBack: documentFileSchema, // Required for NIC
+      selfie: { type: documentFileSchema, required: true },
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+identityVerificationSchema.index({ status: 1, createdAt: 1 });
+identityVerificationSchema.index({ artist: 1, createdAt: -1 });
+identityVerificationSchema.index({ documentNumberHash: 1 });
+
+export default mongoose.model("IdentityVerification", identityVerificationSchema);
@@ -0,0 +1,72 @@
+/**
+ * Impersonation Model
+ * One document per "act as user" session started by an admin.
+ * Impersonation tokens carry its id (impId) so the session can be ended early.
+ */
+import mongoose from "mongoose";
+
+const impersonationSchema = new mongoose.Schema(
+  {
+    // Admin acting as the user
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Role the admin acts as (a customer + artist account can be viewed as either)
+    role: {
+      type: String,
+      enum: ["customer", "artist"],
+    },
+    // Admin's own login session - revoking it also ends the impersonation
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, "Please provide a reason for impersonating this user"],
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+    },
+    endedReason: {
+      type: String,
+      trim: true,
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Check whether the impersonation can still be used
+impersonationSchema.methods.isActive = function () {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+// Indexes for better query performance
+impersonationSchema.index({ impersonator: 1, createdAt: -1 });
+impersonationSchema.index({ targetUser: 1, createdAt: -1 });
+
+export default mongoose.model("Impersonation", impersonationSchema);
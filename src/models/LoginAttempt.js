@@ -0,0 +1,63 @@
+/**
+ * LoginAttempt Model
+ * History of login attempts (successful and failed) used for lockout auditing
+ * and spotting suspicious sign-ins. Entries expire after 90 days.
+ */
+import mongoose from "mongoose";
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // Unset when the email does not belong to any account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    outcome: {
+      type: String,
+      enum: [
+        "success",
+        "invalid_password",
+        "invalid_2fa",
+        "unknown_account",
+        "locked",
+        "inactive",
+        "unverified",
+      ],
+      required: true,
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    // Successful login from an IP address not seen before for this account
+    suspicious: {
+      type: Boolean,
+      default: false,
+    },
+    // Set on the attempt that triggered a lockout
+    lockedUntil: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for better query performance
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+// Keep 90 days of history
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
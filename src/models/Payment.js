@@ -33,7 +33,7 @@ const paymentSchema = new mongoose.Schema(
     // Platform commission tracking
     platformCommissionPercent: {
       type: Number,
-      default: 15, // 15% platform commission
+      default: 15, // Set from the artist's subscription plan (15% on the free plan)
     },
     platformCommissionAmount: {
       type: Number,
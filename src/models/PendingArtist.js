@@ -1,6 +1,10 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import Category from "./Category.js";
+import { generateSecureToken, hashToken } from "../utils/tokens.js";
+
+// Email verification tokens expire after 24 hours
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
 
 const pendingArtistSchema = new mongoose.Schema(
   {
@@ -35,6 +39,21 @@ const pendingArtistSchema = new mongoose.Schema(
       minlength: 6,
       select: false, // Don't return password by default
     },
+    // Email verification
+    isEmailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
     // Artist-specific fields
     bio: {
       type: String,
@@ -106,6 +125,34 @@ const pendingArtistSchema = new mongoose.Schema(
           type: String,
           default: "LKR",
         },
+        // Up to three tiers (see utils/servicePackages.js); price/deliveryTime
+        // above are then the cheapest/fastest tier
+        packages: [
+          {
+            tier: {
+              type: String,
+              enum: ["basic", "standard", "premium"],
+              required: true,
+            },
+            name: { type: String, trim: true },
+            description: { type: String, trim: true },
+            price: { type: Number, required: true, min: 0 },
+            deliveryTime: { type: Number, required: true, min: 1 }, // Days
+            revisions: { type: Number, default: 3, min: 0 },
+            features: [{ type: String, trim: true }],
+          },
+        ],
+        // Optional paid add-ons ("source files", "extra revision", "24h express")
+        extras: [
+          {
+            title: { type: String, required: true, trim: true },
+            description: { type: String, trim: true },
+            price: { type: Number, required: true, min: 0 },
+            deliveryDays: { type: Number, default: 0 }, // Added to delivery (negative = faster)
+            revisions: { type: Number, default: 0, min: 0 }, // Added to the revision limit
+            maxQuantity: { type: Number, default: 1, min: 1 },
+          },
+        ],
       },
     ],
     // Status
@@ -153,6 +200,15 @@ pendingArtistSchema.pre("save", async function (next) {
   next();
 });
 
+// Generate an email verification token
+// Returns the raw token (sent by email); only its hash is persisted
+pendingArtistSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = generateSecureToken();
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  return verificationToken;
+};
+
 // Index for search (email already has unique: true which creates an index)
 pendingArtistSchema.index({ name: "text", bio: "text", skills: "text" });
 
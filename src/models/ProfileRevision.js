@@ -0,0 +1,66 @@
+/**
+ * Profile Revision Model
+ * Changes to sensitive fields of an approved artist profile (name, bio, category,
+ * profile image, prices, services) and new portfolio items wait here for admin
+ * approval; the live profile keeps the old values until then. An artist has at most one pending revision - later edits
+ * are merged into it. See utils/profileRevisionService.js.
+ */
+import mongoose from "mongoose";
+
+const profileRevisionSchema = new mongoose.Schema(
+  {
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Artist",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Proposed values, keyed by field (services is the full proposed list;
+    // portfolioAdditions holds items to append to the portfolio)
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Live values when the change was (last) submitted
+    previous: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "withdrawn"],
+      default: "pending",
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    rejectionReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+profileRevisionSchema.index({ status: 1, submittedAt: 1 });
+profileRevisionSchema.index({ artist: 1, createdAt: -1 });
+// One pending revision per artist
+profileRevisionSchema.index(
+  { artist: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" }, name: "artist_pending_revision" }
+);
+
+export default mongoose.model("ProfileRevision", profileRevisionSchema);
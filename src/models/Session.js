@@ -0,0 +1,72 @@
+/**
+ * Session Model
+ * One document per logged-in device. Holds the hashed rotating refresh token;
+ * access tokens carry the session id (sid) so revoked sessions can be rejected.
+ */
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 hash of the current refresh token
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hash of the token it replaced (used to detect refresh token reuse)
+    previousRefreshTokenHash: {
+      type: String,
+      select: false,
+    },
+    // Role the user is acting as on this device (see POST /api/auth/switch-role)
+    activeRole: {
+      type: String,
+      enum: ["customer", "artist", "admin"],
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+// Remove sessions automatically once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", sessionSchema);
@@ -0,0 +1,79 @@
+/**
+ * Subscription Plan Model
+ * Artist plans (free/pro/premium) and the features they unlock.
+ * Plans missing from the collection fall back to the defaults in
+ * utils/subscriptionService.js, so the free plan always exists.
+ */
+import mongoose from "mongoose";
+
+const subscriptionPlanSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      enum: ["free", "pro", "premium"],
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please provide a plan name"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    monthlyPrice: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "usd",
+      lowercase: true,
+    },
+    // Limits (null = unlimited, up to the platform caps)
+    maxServices: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    maxPortfolioItems: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Platform commission on bookings, in percent
+    commissionPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+    // Higher boosts rank first in default search ordering (0 = none)
+    searchBoost: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 10,
+    },
+    // Inactive paid plans can't be subscribed to (existing subscribers keep them)
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Stripe product/price; the price is recreated when monthlyPrice changes
+    stripeProductId: String,
+    stripePriceId: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model("SubscriptionPlan", subscriptionPlanSchema);
@@ -5,6 +5,12 @@
  */
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { generateSecureToken, hashToken } from "../utils/tokens.js";
+
+// Password reset tokens expire after 30 minutes
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+// Email verification tokens expire after 24 hours
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
 
 const userSchema = new mongoose.Schema(
   {
@@ -26,10 +32,107 @@ const userSchema = new mongoose.Schema(
       required: [true, "Please provide a role"],
       enum: ["customer", "artist", "admin"],
     },
+    // Every role profile this user holds (e.g. customer + artist). `role` is the
+    // default role used at login; the active role is chosen per session.
+    // Empty for accounts created before multi-role support (treated as [role])
+    roles: {
+      type: [String],
+      enum: ["customer", "artist", "admin"],
+      default: undefined,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    // Email verification
+    // undefined for accounts created before verification existed (treated as verified)
+    isEmailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    // Password reset (only the SHA-256 hash of the token is stored)
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    // Tokens issued before this date are rejected
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Admin moderation - isActive is false while suspended or banned
+    suspension: {
+      reason: { type: String, trim: true },
+      suspendedAt: { type: Date },
+      // Unset means suspended until an admin reactivates the account
+      suspendedUntil: { type: Date },
+      suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+    ban: {
+      reason: { type: String, trim: true },
+      bannedAt: { type: Date },
+      bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+    // Set when the user deleted their account (PII is anonymised, financial records kept)
+    deletedAt: {
+      type: Date,
+    },
+    // Per-account login lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    // Consecutive lockouts since the last successful login (lock duration doubles each time)
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+    // TOTP two-factor authentication (mandatory for admins)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Base32 secret of the confirmed authenticator
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret issued during enrolment, promoted to `secret` once verified
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Hashes of unused single-use recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step (prevents code replay)
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
   },
   {
     timestamps: true,
@@ -39,6 +142,7 @@ const userSchema = new mongoose.Schema(
 // Indexes for better query performance
 // Note: email already has unique: true which creates an index automatically
 userSchema.index({ role: 1 });
+userSchema.index({ roles: 1 });
 
 // Hash password before saving
 userSchema.pre("save", async function (next) {
@@ -46,6 +150,20 @@ userSchema.pre("save", async function (next) {
     return next();
   }
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    // Backdate by 1s so a token issued right after the change stays valid
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
+  next();
+});
+
+// Keep roles in sync with the default role
+userSchema.pre("save", function (next) {
+  const roles = this.getRoles();
+  if (!roles.includes(this.role)) {
+    roles.unshift(this.role);
+  }
+  this.roles = roles;
   next();
 });
 
@@ -54,4 +172,66 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the password was changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function (jwtIssuedAt) {
+  if (!this.passwordChangedAt || !jwtIssuedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// All roles held by the user (legacy accounts only have `role`)
+userSchema.methods.getRoles = function () {
+  return this.roles?.length ? [...this.roles] : [this.role];
+};
+
+userSchema.methods.hasRole = function (role) {
+  return this.getRoles().includes(role);
+};
+
+// Add a role profile to the user (caller saves)
+userSchema.methods.addRole = function (role) {
+  const roles = this.getRoles();
+  if (!roles.includes(role)) {
+    roles.push(role);
+  }
+  this.roles = roles;
+};
+
+// Check whether the account has been permanently banned
+userSchema.methods.isBanned = function () {
+  return Boolean(this.ban?.bannedAt);
+};
+
+// Check whether the account is suspended (a suspension past its end date no longer counts)
+userSchema.methods.isSuspended = function () {
+  if (!this.suspension?.suspendedAt) {
+    return false;
+  }
+  return !this.suspension.suspendedUntil || this.suspension.suspendedUntil > new Date();
+};
+
+// Check whether the account is currently locked after too many failed logins
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Generate a single-use password reset token
+// Returns the raw token (sent by email); only its hash is persisted
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = generateSecureToken();
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+  return resetToken;
+};
+
+// Generate an email verification token
+// Returns the raw token (sent by email); only its hash is persisted
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = generateSecureToken();
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS);
+  return verificationToken;
+};
+
 export default mongoose.model("User", userSchema);
@@ -12,6 +12,37 @@ import {
   getAnalytics,
   getProfile,
   updateProfile,
+  unlockUser,
+  getLoginAttempts,
+  getPermissionCatalogue,
+  getAdmins,
+  updateAdminPermissions,
+  impersonateUser,
+  getImpersonations,
+  getImpersonationById,
+  endImpersonationById,
+  suspendUserAccount,
+  reactivateUserAccount,
+  banUserAccount,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getFeaturedPlacements,
+  createFeaturedPlacement,
+  updateFeaturedPlacement,
+  deleteFeaturedPlacement,
+  getVerifications,
+  getVerificationById,
+  approveVerification,
+  rejectVerification,
+  getProfileRevisions,
+  getProfileRevisionById,
+  approveProfileRevision,
+  rejectProfileRevision,
+  getSubscriptionPlans,
+  updateSubscriptionPlan,
+  getSubscribers,
 } from "../controllers/adminController.js";
 import {
   approveArtist,
@@ -19,7 +50,12 @@ import {
 } from "../controllers/artistController.js";
 import { getPayments } from "../controllers/paymentController.js";
 import { verifyToken, checkApproval } from "../middleware/authMiddleware.js";
-import { verifyRole } from "../middleware/roleMiddleware.js";
+import {
+  verifyRole,
+  requirePermission,
+  superAdminOnly,
+} from "../middleware/roleMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
@@ -32,14 +68,59 @@ router.use(verifyRole("admin"));
 router.get("/profile", getProfile);
 router.put("/profile", updateProfile);
 
-router.get("/users", getUsersByRole);
-router.get("/users/:role/:userId", getUserById);
-router.get("/pending/artists", getPendingArtists);
-router.put("/artists/:id/approve", approveArtist);
-router.put("/artists/:id/reject", rejectArtist);
-router.get("/bookings", getAllBookings);
-router.get("/payments", getPayments);
-router.get("/dashboard/status", getDashboardStatus);
-router.get("/analytics", getAnalytics);
+router.get("/users", requirePermission(PERMISSIONS.USERS_VIEW), getUsersByRole);
+router.get("/users/:role/:userId", requirePermission(PERMISSIONS.USERS_VIEW), getUserById);
+router.put("/users/:userId/unlock", requirePermission(PERMISSIONS.USERS_MANAGE), unlockUser);
+router.put("/users/:userId/suspend", requirePermission(PERMISSIONS.USERS_MANAGE), suspendUserAccount);
+router.put("/users/:userId/reactivate", requirePermission(PERMISSIONS.USERS_MANAGE), reactivateUserAccount);
+router.put("/users/:userId/ban", requirePermission(PERMISSIONS.USERS_MANAGE), banUserAccount);
+router.get("/login-attempts", requirePermission(PERMISSIONS.USERS_VIEW), getLoginAttempts);
+router.get("/pending/artists", requirePermission(PERMISSIONS.ARTISTS_APPROVE), getPendingArtists);
+router.put("/artists/:id/approve", requirePermission(PERMISSIONS.ARTISTS_APPROVE), approveArtist);
+router.put("/artists/:id/reject", requirePermission(PERMISSIONS.ARTISTS_APPROVE), rejectArtist);
+router.get("/bookings", requirePermission(PERMISSIONS.BOOKINGS_VIEW), getAllBookings);
+router.get("/payments", requirePermission(PERMISSIONS.PAYMENTS_VIEW), getPayments);
+router.get("/dashboard/status", requirePermission(PERMISSIONS.ANALYTICS_VIEW), getDashboardStatus);
+router.get("/analytics", requirePermission(PERMISSIONS.ANALYTICS_VIEW), getAnalytics);
+
+// Impersonation ("act as user") and its audit trail
+router.post("/users/:userId/impersonate", requirePermission(PERMISSIONS.USERS_IMPERSONATE), impersonateUser);
+router.get("/impersonations", requirePermission(PERMISSIONS.AUDIT_VIEW), getImpersonations);
+router.get("/impersonations/:impersonationId", requirePermission(PERMISSIONS.AUDIT_VIEW), getImpersonationById);
+router.post("/impersonations/:impersonationId/end", requirePermission(PERMISSIONS.USERS_IMPERSONATE), endImpersonationById);
+
+// Artist identity verification (KYC) review queue
+router.get("/verifications", requirePermission(PERMISSIONS.ARTISTS_VERIFY), getVerifications);
+router.get("/verifications/:verificationId", requirePermission(PERMISSIONS.ARTISTS_VERIFY), getVerificationById);
+router.put("/verifications/:verificationId/approve", requirePermission(PERMISSIONS.ARTISTS_VERIFY), approveVerification);
+router.put("/verifications/:verificationId/reject", requirePermission(PERMISSIONS.ARTISTS_VERIFY), rejectVerification);
+
+// Artist profile changes waiting for re-approval
+router.get("/profile-revisions", requirePermission(PERMISSIONS.ARTISTS_APPROVE), getProfileRevisions);
+router.get("/profile-revisions/:revisionId", requirePermission(PERMISSIONS.ARTISTS_APPROVE), getProfileRevisionById);
+router.put("/profile-revisions/:revisionId/approve", requirePermission(PERMISSIONS.ARTISTS_APPROVE), approveProfileRevision);
+router.put("/profile-revisions/:revisionId/reject", requirePermission(PERMISSIONS.ARTISTS_APPROVE), rejectProfileRevision);
+
+// Artist subscription plans and subscribers
+router.get("/subscription-plans", requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE), getSubscriptionPlans);
+router.put("/subscription-plans/:key", requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE), updateSubscriptionPlan);
+router.get("/subscribers", requirePermission(PERMISSIONS.SUBSCRIPTIONS_MANAGE), getSubscribers);
+
+// Coupons (discount codes used by the pricing engine)
+router.get("/coupons", requirePermission(PERMISSIONS.COUPONS_MANAGE), getCoupons);
+router.post("/coupons", requirePermission(PERMISSIONS.COUPONS_MANAGE), createCoupon);
+router.put("/coupons/:couponId", requirePermission(PERMISSIONS.COUPONS_MANAGE), updateCoupon);
+router.delete("/coupons/:couponId", requirePermission(PERMISSIONS.COUPONS_MANAGE), deleteCoupon);
+
+// Featured and promoted artist placements
+router.get("/featured-placements", requirePermission(PERMISSIONS.FEATURED_MANAGE), getFeaturedPlacements);
+router.post("/featured-placements", requirePermission(PERMISSIONS.FEATURED_MANAGE), createFeaturedPlacement);
+router.put("/featured-placements/:placementId", requirePermission(PERMISSIONS.FEATURED_MANAGE), updateFeaturedPlacement);
+router.delete("/featured-placements/:placementId", requirePermission(PERMISSIONS.FEATURED_MANAGE), deleteFeaturedPlacement);
+
+// Permission management
+router.get("/permissions", getPermissionCatalogue);
+router.get("/admins", superAdminOnly, getAdmins);
+router.patch("/admins/:userId/permissions", superAdminOnly, updateAdminPermissions);
 
 export default router;
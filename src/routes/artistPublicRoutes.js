@@ -5,7 +5,10 @@
 import express from "express";
 import {
   getArtists,
+  getFeaturedArtists,
+  clickFeaturedPlacement,
   getArtistById,
+  getArtistBySlug,
 } from "../controllers/artistPublicController.js";
 import {
   getPendingArtists,
@@ -13,7 +16,9 @@ import {
   rejectArtist,
 } from "../controllers/artistController.js";
 import { verifyToken, checkApproval } from "../middleware/authMiddleware.js";
-import { verifyRole } from "../middleware/roleMiddleware.js";
+import { verifyRole, requirePermission } from "../middleware/roleMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { isSlugLike, RESERVED_SLUGS } from "../utils/slugService.js";
 
 const router = express.Router();
 
@@ -23,6 +28,7 @@ router.get(
   verifyToken,
   verifyRole("admin"),
   checkApproval,
+  requirePermission(PERMISSIONS.ARTISTS_APPROVE),
   getPendingArtists
 );
 
@@ -31,6 +37,7 @@ router.put(
   verifyToken,
   verifyRole("admin"),
   checkApproval,
+  requirePermission(PERMISSIONS.ARTISTS_APPROVE),
   approveArtist
 );
 
@@ -39,6 +46,7 @@ router.put(
   verifyToken,
   verifyRole("admin"),
   checkApproval,
+  requirePermission(PERMISSIONS.ARTISTS_APPROVE),
   approveArtist
 );
 
@@ -47,6 +55,7 @@ router.delete(
   verifyToken,
   verifyRole("admin"),
   checkApproval,
+  requirePermission(PERMISSIONS.ARTISTS_APPROVE),
   rejectArtist
 );
 
@@ -55,13 +64,17 @@ router.put(
   verifyToken,
   verifyRole("admin"),
   checkApproval,
+  requirePermission(PERMISSIONS.ARTISTS_APPROVE),
   rejectArtist
 );
 
 // Public endpoints for approved artists
 router.get("/", getArtists);
+router.get("/featured", getFeaturedArtists);
+router.post("/featured/:placementId/click", clickFeaturedPlacement);
 // This must be last to avoid catching other routes
-// Only match if it looks like a MongoDB ObjectId (24 hex characters)
+// Matches a MongoDB ObjectId (24 hex characters) or an artist slug; reserved
+// words such as "profile" or "bookings" fall through to the artists routes
 router.get("/:id", (req, res, next) => {
   const { id } = req.params;
   // Check if it's a valid MongoDB ObjectId format
@@ -69,7 +82,12 @@ router.get("/:id", (req, res, next) => {
     // It's a valid ObjectId, proceed to getArtistById
     return getArtistById(req, res, next);
   }
-  // Not a valid ObjectId, skip this route and let other routers handle it
+  const slug = id.toLowerCase();
+  if (isSlugLike(slug) && !RESERVED_SLUGS.has(slug)) {
+    req.params.slug = slug;
+    return getArtistBySlug(req, res, next);
+  }
+  // Not an ID or slug, skip this route and let other routers handle it
   next();
 });
 
@@ -6,13 +6,54 @@ import express from "express";
 import {
   getProfile,
   updateProfile,
+  withdrawProfileRevision,
+  getIdentityVerification,
+  submitIdentityVerification,
+  checkSlugAvailability,
+  updateSlug,
+  getPortfolio,
+  uploadPortfolioFile,
+  addPortfolioItem,
+  updatePortfolioItem,
+  reorderPortfolio,
+  deletePortfolioItem,
   getBookings,
   acceptBooking,
   rejectBooking,
   getReviews,
+  getAvailability,
+  updateWeeklyHours,
+  setAvailabilityException,
+  deleteAvailabilityException,
+  addBlackout,
+  deleteBlackout,
+  getVacation,
+  setVacation,
+  endVacation,
+  getServices,
+  addService,
+  updateService,
+  deleteService,
+  getAnalytics,
+  getEarnings,
+  downloadEarningsStatement,
+  getSubscription,
+  subscribe,
+  verifySubscription,
+  cancelSubscription,
 } from "../controllers/artistController.js";
-import { verifyToken, checkApproval } from "../middleware/authMiddleware.js";
+import {
+  verifyToken,
+  checkApproval,
+  blockImpersonation,
+} from "../middleware/authMiddleware.js";
 import { verifyRole } from "../middleware/roleMiddleware.js";
+import {
+  portfolioUpload,
+  kycUpload,
+  createUploadErrorHandler,
+  PORTFOLIO_MAX_FILE_MB,
+} from "../middleware/uploadMiddleware.js";
 
 const router = express.Router();
 
@@ -23,9 +64,54 @@ router.use(verifyRole("artist"));
 
 router.get("/profile", getProfile);
 router.put("/profile", updateProfile);
+router.delete("/profile/revision", withdrawProfileRevision);
+router.get("/profile/slug/availability", checkSlugAvailability);
+router.put("/profile/slug", updateSlug);
+router.get("/profile/verification", getIdentityVerification);
+router.post(
+  "/profile/verification",
+  kycUpload.fields([
+    { name: "documentFront", maxCount: 1 },
+    { name: "documentBack", maxCount: 1 },
+    { name: "selfie", maxCount: 1 },
+  ]),
+  createUploadErrorHandler({ fieldName: "documentFront, documentBack or selfie", maxSize: "10MB" }),
+  submitIdentityVerification
+);
+router.get("/profile/portfolio", getPortfolio);
+router.post(
+  "/profile/portfolio/media",
+  portfolioUpload.single("file"),
+  createUploadErrorHandler({ fieldName: "file", maxSize: `${PORTFOLIO_MAX_FILE_MB}MB` }),
+  uploadPortfolioFile
+);
+router.post("/profile/portfolio", addPortfolioItem);
+router.put("/profile/portfolio/order", reorderPortfolio);
+router.put("/profile/portfolio/:itemId", updatePortfolioItem);
+router.delete("/profile/portfolio/:itemId", deletePortfolioItem);
 router.get("/bookings", getBookings);
 router.put("/bookings/:bookingId/accept", acceptBooking);
 router.put("/bookings/:bookingId/reject", rejectBooking);
 router.get("/reviews", getReviews);
+router.get("/availability", getAvailability);
+router.put("/availability/weekly", updateWeeklyHours);
+router.put("/availability/exceptions/:date", setAvailabilityException);
+router.delete("/availability/exceptions/:date", deleteAvailabilityException);
+router.post("/availability/blackouts", addBlackout);
+router.delete("/availability/blackouts/:blackoutId", deleteBlackout);
+router.get("/vacation", getVacation);
+router.put("/vacation", setVacation);
+router.delete("/vacation", endVacation);
+router.get("/services", getServices);
+router.post("/services", addService);
+router.put("/services/:serviceId", updateService);
+router.delete("/services/:serviceId", deleteService);
+router.get("/analytics", getAnalytics);
+router.get("/earnings", getEarnings);
+router.get("/earnings/statements/:month", downloadEarningsStatement);
+router.get("/subscription", getSubscription);
+router.post("/subscription", blockImpersonation, subscribe);
+router.post("/subscription/verify", blockImpersonation, verifySubscription);
+router.delete("/subscription", blockImpersonation, cancelSubscription);
 
 export default router;
@@ -1,30 +1,87 @@
 /**
  * Artists Routes (Entity-based)
- * Routes for artist management, profile, bookings, reviews, and admin approval
+ * Routes for artist management, profile, portfolio, bookings, reviews, and admin approval
  */
 import express from "express";
 import {
   getProfile,
   updateProfile,
+  withdrawProfileRevision,
+  getIdentityVerification,
+  submitIdentityVerification,
+  checkSlugAvailability,
+  updateSlug,
+  getPortfolio,
+  uploadPortfolioFile,
+  addPortfolioItem,
+  updatePortfolioItem,
+  reorderPortfolio,
+  deletePortfolioItem,
   getBookings,
   acceptBooking,
   rejectBooking,
   getReviews,
+  getAvailability,
+  updateWeeklyHours,
+  setAvailabilityException,
+  deleteAvailabilityException,
+  addBlackout,
+  deleteBlackout,
+  getVacation,
+  setVacation,
+  endVacation,
+  getServices,
+  addService,
+  updateService,
+  deleteService,
+  getAnalytics,
+  getEarnings,
+  downloadEarningsStatement,
+  getSubscription,
+  subscribe,
+  verifySubscription,
+  cancelSubscription,
   getPendingArtists,
   approveArtist,
   rejectArtist,
 } from "../controllers/artistController.js";
-import { verifyToken, checkApproval } from "../middleware/authMiddleware.js";
-import { requireRole } from "../middleware/roleMiddleware.js";
+import {
+  verifyToken,
+  checkApproval,
+  blockImpersonation,
+} from "../middleware/authMiddleware.js";
+import { requireRole, requirePermission } from "../middleware/roleMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import {
+  portfolioUpload,
+  kycUpload,
+  createUploadErrorHandler,
+  PORTFOLIO_MAX_FILE_MB,
+} from "../middleware/uploadMiddleware.js";
 
 const router = express.Router();
 
+const handlePortfolioUploadError = createUploadErrorHandler({
+  fieldName: "file",
+  maxSize: `${PORTFOLIO_MAX_FILE_MB}MB`,
+});
+const handleKycUploadError = createUploadErrorHandler({
+  fieldName: "documentFront, documentBack or selfie",
+  maxSize: "10MB",
+});
+const KYC_FIELDS = [
+  { name: "documentFront", maxCount: 1 },
+  { name: "documentBack", maxCount: 1 },
+  { name: "selfie", maxCount: 1 },
+];
+
 // Public routes - Get pending artists (for admin viewing)
 router.get(
   "/pending",
   verifyToken,
   requireRole("admin"),
   checkApproval,
+  requirePermission(PERMISSIONS.ARTISTS_APPROVE),
   getPendingArtists
 );
 
@@ -34,6 +91,7 @@ router.put(
   verifyToken,
   requireRole("admin"),
   checkApproval,
+  requirePermission(PERMISSIONS.ARTISTS_APPROVE),
   approveArtist
 );
 router.put(
@@ -41,6 +99,7 @@ router.put(
   verifyToken,
   requireRole("admin"),
   checkApproval,
+  requirePermission(PERMISSIONS.ARTISTS_APPROVE),
   rejectArtist
 );
 
@@ -59,6 +118,93 @@ router.put(
   checkApproval,
   updateProfile
 );
+router.delete(
+  "/profile/revision",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  withdrawProfileRevision
+);
+
+// Artist-only routes - Public profile URL (slug)
+router.get(
+  "/profile/slug/availability",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  checkSlugAvailability
+);
+router.put(
+  "/profile/slug",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  updateSlug
+);
+
+// Artist-only routes - Identity verification (KYC)
+router.get(
+  "/profile/verification",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  getIdentityVerification
+);
+router.post(
+  "/profile/verification",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  kycUpload.fields(KYC_FIELDS),
+  handleKycUploadError,
+  submitIdentityVerification
+);
+
+// Artist-only routes - Portfolio
+router.get(
+  "/profile/portfolio",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  getPortfolio
+);
+router.post(
+  "/profile/portfolio/media",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  portfolioUpload.single("file"),
+  handlePortfolioUploadError,
+  uploadPortfolioFile
+);
+router.post(
+  "/profile/portfolio",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  addPortfolioItem
+);
+router.put(
+  "/profile/portfolio/order",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  reorderPortfolio
+);
+router.put(
+  "/profile/portfolio/:itemId",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  updatePortfolioItem
+);
+router.delete(
+  "/profile/portfolio/:itemId",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  deletePortfolioItem
+);
 
 // Artist-only routes - Bookings
 router.get(
@@ -92,4 +238,159 @@ router.get(
   getReviews
 );
 
+// Artist-only routes - Availability calendar
+router.get(
+  "/availability",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  getAvailability
+);
+router.put(
+  "/availability/weekly",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  updateWeeklyHours
+);
+router.put(
+  "/availability/exceptions/:date",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  setAvailabilityException
+);
+router.delete(
+  "/availability/exceptions/:date",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  deleteAvailabilityException
+);
+router.post(
+  "/availability/blackouts",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  addBlackout
+);
+router.delete(
+  "/availability/blackouts/:blackoutId",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  deleteBlackout
+);
+
+// Artist-only routes - Vacation mode
+router.get(
+  "/vacation",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  getVacation
+);
+router.put(
+  "/vacation",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  setVacation
+);
+router.delete(
+  "/vacation",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  endVacation
+);
+
+// Artist-only routes - Services and packages
+router.get(
+  "/services",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  getServices
+);
+router.post(
+  "/services",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  addService
+);
+router.put(
+  "/services/:serviceId",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  updateService
+);
+router.delete(
+  "/services/:serviceId",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  deleteService
+);
+
+// Artist-only routes - Profile analytics
+router.get(
+  "/analytics",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  getAnalytics
+);
+
+// Artist-only routes - Earnings and monthly statements
+router.get(
+  "/earnings",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  getEarnings
+);
+router.get(
+  "/earnings/statements/:month",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  downloadEarningsStatement
+);
+
+// Artist-only routes - Subscription plans (billing is blocked while impersonating)
+router.get(
+  "/subscription",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  getSubscription
+);
+router.post(
+  "/subscription",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  blockImpersonation,
+  subscribe
+);
+router.post(
+  "/subscription/verify",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  blockImpersonation,
+  verifySubscription
+);
+router.delete(
+  "/subscription",
+  verifyToken,
+  requireRole("artist"),
+  checkApproval,
+  blockImpersonation,
+  cancelSubscription
+);
+
 export default router;
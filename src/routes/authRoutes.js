@@ -4,8 +4,37 @@
  * Protected routes for user profile management
  */
 import express from "express";
-import { login, getMe, logout, registerCustomer, registerArtist } from "../controllers/authController.js";
-import { verifyToken, checkApproval } from "../middleware/authMiddleware.js";
+import {
+  login,
+  getMe,
+  logout,
+  registerCustomer,
+  registerArtist,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshToken,
+  getSessions,
+  revokeSessionById,
+  revokeAllUserSessions,
+  loginWithTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactorSetup,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getLoginHistory,
+  stopImpersonating,
+  exportMyData,
+  deleteMyAccount,
+  switchRole,
+} from "../controllers/authController.js";
+import {
+  verifyToken,
+  checkApproval,
+  authOptional,
+  blockImpersonation,
+} from "../middleware/authMiddleware.js";
 import { verifyRole } from "../middleware/roleMiddleware.js";
 import { authRateLimiter } from "../middleware/rateLimiter.js";
 
@@ -16,6 +45,16 @@ const router = express.Router();
 router.post("/register/customer", authRateLimiter, registerCustomer);
 router.post("/register/artist", authRateLimiter, registerArtist);
 router.post("/login", authRateLimiter, login);
+router.post("/login/2fa", authRateLimiter, loginWithTwoFactor);
+router.post("/refresh", authRateLimiter, refreshToken);
+
+// Public routes - Password reset
+router.post("/forgot-password", authRateLimiter, forgotPassword);
+router.post("/reset-password", authRateLimiter, resetPassword);
+
+// Public routes - Email verification
+router.get("/verify-email/:token", verifyEmail);
+router.post("/resend-verification", authRateLimiter, resendVerificationEmail);
 
 // Debug route to verify routing works
 router.get("/test", (req, res) => {
@@ -26,8 +65,26 @@ router.get("/test", (req, res) => {
       "POST /api/auth/register/customer",
       "POST /api/auth/register/artist",
       "POST /api/auth/login",
+      "POST /api/auth/login/2fa",
+      "POST /api/auth/refresh",
+      "POST /api/auth/forgot-password",
+      "POST /api/auth/reset-password",
+      "GET /api/auth/verify-email/:token",
+      "POST /api/auth/resend-verification",
       "GET /api/auth/me",
-      "POST /api/auth/logout"
+      "POST /api/auth/logout",
+      "GET /api/auth/sessions",
+      "DELETE /api/auth/sessions/:sessionId",
+      "DELETE /api/auth/sessions",
+      "POST /api/auth/2fa/setup",
+      "POST /api/auth/2fa/verify",
+      "POST /api/auth/2fa/disable",
+      "POST /api/auth/2fa/recovery-codes",
+      "GET /api/auth/login-history",
+      "POST /api/auth/impersonation/end",
+      "GET /api/auth/me/export",
+      "DELETE /api/auth/me",
+      "POST /api/auth/switch-role"
     ]
   });
 });
@@ -42,6 +99,28 @@ router.get(
   checkApproval,
   getMe
 );
+router.get(
+  "/me/export",
+  verifyToken,
+  verifyRole(authenticatedRoles),
+  blockImpersonation,
+  exportMyData
+);
+router.delete(
+  "/me",
+  authRateLimiter,
+  verifyToken,
+  verifyRole(authenticatedRoles),
+  blockImpersonation,
+  deleteMyAccount
+);
+router.post(
+  "/switch-role",
+  verifyToken,
+  verifyRole(authenticatedRoles),
+  blockImpersonation,
+  switchRole
+);
 router.post(
   "/logout",
   verifyToken,
@@ -50,4 +129,58 @@ router.post(
   logout
 );
 
+// Session management (devices)
+router.get(
+  "/sessions",
+  verifyToken,
+  verifyRole(authenticatedRoles),
+  getSessions
+);
+router.delete(
+  "/sessions/:sessionId",
+  verifyToken,
+  verifyRole(authenticatedRoles),
+  blockImpersonation,
+  revokeSessionById
+);
+router.delete(
+  "/sessions",
+  verifyToken,
+  verifyRole(authenticatedRoles),
+  blockImpersonation,
+  revokeAllUserSessions
+);
+
+// Two-factor authentication
+// setup/verify also accept the setup token admins receive at login (no session yet)
+router.post("/2fa/setup", authRateLimiter, authOptional, setupTwoFactor);
+router.post("/2fa/verify", authRateLimiter, authOptional, verifyTwoFactorSetup);
+router.post(
+  "/2fa/disable",
+  authRateLimiter,
+  verifyToken,
+  verifyRole(authenticatedRoles),
+  blockImpersonation,
+  disableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  authRateLimiter,
+  verifyToken,
+  verifyRole(authenticatedRoles),
+  blockImpersonation,
+  regenerateRecoveryCodes
+);
+
+// Login history for the current user
+router.get(
+  "/login-history",
+  verifyToken,
+  verifyRole(authenticatedRoles),
+  getLoginHistory
+);
+
+// End an admin impersonation (called with the impersonation token)
+router.post("/impersonation/end", verifyToken, stopImpersonating);
+
 export default router;
@@ -1,7 +1,9 @@
 import express from "express";
 import {
   createBooking,
+  quoteBooking,
   getBookingById,
+  getBookingInvoice,
   updateBookingStatus,
   completeBooking,
   confirmOrderCompletion,
@@ -18,8 +20,9 @@ import {
   adminResolveDispute,
   getArtistPerformance,
 } from "../controllers/bookingController.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
-import { requireRole } from "../middleware/roleMiddleware.js";
+import { verifyToken, blockImpersonation } from "../middleware/authMiddleware.js";
+import { requireRole, requirePermission } from "../middleware/roleMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
@@ -29,23 +32,25 @@ router.use(verifyToken);
 router.get("/check-availability/:artistId", checkArtistAvailability);
 
 // Customer/Artist booking routes
+router.post("/quote", quoteBooking); // Itemised price, nothing is created
 router.post("/", createBooking);
 router.get("/", getBookings);
 router.get("/:id", getBookingById);
+router.get("/:id/invoice", getBookingInvoice);
 router.patch("/:id/status", updateBookingStatus);
 router.post("/:id/complete", completeBooking); // Artist marks work as done
-router.post("/:id/confirm-completion", confirmOrderCompletion); // Customer confirms completion & releases payment
+router.post("/:id/confirm-completion", blockImpersonation, confirmOrderCompletion); // Customer confirms completion & releases payment
 router.post("/:id/revision", requestRevision);
 router.post("/:id/approve", approveBooking);
-router.post("/:id/cancel", cancelBooking);
+router.post("/:id/cancel", blockImpersonation, cancelBooking); // May trigger a refund
 router.post("/:id/approve-quote", approveCustomQuote);
 router.post("/:id/set-quote", setCustomQuote);
 
 // Admin routes
-router.get("/admin/all", requireRole("admin"), getAllBookingsAdmin);
-router.post("/:id/admin/cancel", requireRole("admin"), adminForceCancel);
-router.post("/:id/admin/refund", requireRole("admin"), adminProcessRefund);
-router.post("/:id/admin/resolve-dispute", requireRole("admin"), adminResolveDispute);
-router.get("/admin/artist-performance/:artistId", requireRole("admin"), getArtistPerformance);
+router.get("/admin/all", requireRole("admin"), requirePermission(PERMISSIONS.BOOKINGS_VIEW), getAllBookingsAdmin);
+router.post("/:id/admin/cancel", requireRole("admin"), requirePermission(PERMISSIONS.BOOKINGS_MANAGE), adminForceCancel);
+router.post("/:id/admin/refund", requireRole("admin"), requirePermission(PERMISSIONS.PAYMENTS_REFUND), adminProcessRefund);
+router.post("/:id/admin/resolve-dispute", requireRole("admin"), requirePermission(PERMISSIONS.DISPUTES_RESOLVE), adminResolveDispute);
+router.get("/admin/artist-performance/:artistId", requireRole("admin"), requirePermission(PERMISSIONS.ANALYTICS_VIEW), getArtistPerformance);
 
 export default router;
@@ -13,7 +13,8 @@ import {
   getArtistsByCategory,
 } from "../controllers/categoryController.js";
 import { verifyToken, checkApproval } from "../middleware/authMiddleware.js";
-import { verifyRole } from "../middleware/roleMiddleware.js";
+import { verifyRole, requirePermission } from "../middleware/roleMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
@@ -23,8 +24,8 @@ router.get("/:categoryId", getCategoryById);
 router.get("/:categoryId/artists", getArtistsByCategory);
 
 // Admin only routes - Category management
-router.post("/", verifyToken, verifyRole("admin"), checkApproval, createCategory);
-router.put("/:categoryId", verifyToken, verifyRole("admin"), checkApproval, updateCategory);
-router.delete("/:categoryId", verifyToken, verifyRole("admin"), checkApproval, deleteCategory);
+router.post("/", verifyToken, verifyRole("admin"), checkApproval, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), createCategory);
+router.put("/:categoryId", verifyToken, verifyRole("admin"), checkApproval, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), updateCategory);
+router.delete("/:categoryId", verifyToken, verifyRole("admin"), checkApproval, requirePermission(PERMISSIONS.CATEGORIES_MANAGE), deleteCategory);
 
 export default router;
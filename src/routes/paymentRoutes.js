@@ -10,8 +10,13 @@ import {
   refundPaymentRequest,
   verifyPaymentIntent,
 } from "../controllers/paymentController.js";
-import { verifyToken, checkApproval } from "../middleware/authMiddleware.js";
-import { verifyRole } from "../middleware/roleMiddleware.js";
+import {
+  verifyToken,
+  checkApproval,
+  blockImpersonation,
+} from "../middleware/authMiddleware.js";
+import { verifyRole, requirePermission } from "../middleware/roleMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
@@ -20,18 +25,38 @@ router.use(verifyToken);
 router.use(checkApproval);
 
 // Create payment (customer only)
-router.post("/", verifyRole("customer"), createPayment);
+router.post("/", verifyRole("customer"), blockImpersonation, createPayment);
 
 // Verify payment
-router.post("/verify", verifyRole(["customer", "artist", "admin"]), verifyPaymentIntent);
-
-// Get payments (customer, artist, admin)
-router.get("/", verifyRole(["customer", "artist", "admin"]), getPayments);
+router.post(
+  "/verify",
+  verifyRole(["customer", "artist", "admin"]),
+  blockImpersonation,
+  verifyPaymentIntent
+);
+
+// Get payments (customer, artist, admin) - admins need payments.view
+router.get(
+  "/",
+  verifyRole(["customer", "artist", "admin"]),
+  requirePermission(PERMISSIONS.PAYMENTS_VIEW, { allowNonAdmin: true }),
+  getPayments
+);
 
 // Get payment by ID
-router.get("/:paymentId", verifyRole(["customer", "artist", "admin"]), getPaymentById);
+router.get(
+  "/:paymentId",
+  verifyRole(["customer", "artist", "admin"]),
+  requirePermission(PERMISSIONS.PAYMENTS_VIEW, { allowNonAdmin: true }),
+  getPaymentById
+);
 
 // Refund payment (admin only)
-router.post("/:paymentId/refund", verifyRole("admin"), refundPaymentRequest);
+router.post(
+  "/:paymentId/refund",
+  verifyRole("admin"),
+  requirePermission(PERMISSIONS.PAYMENTS_REFUND),
+  refundPaymentRequest
+);
 
 export default router;
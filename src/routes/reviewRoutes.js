@@ -13,7 +13,8 @@ import {
   deleteReview,
 } from "../controllers/reviewController.js";
 import { verifyToken, checkApproval } from "../middleware/authMiddleware.js";
-import { verifyRole } from "../middleware/roleMiddleware.js";
+import { verifyRole, requirePermission } from "../middleware/roleMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
@@ -39,12 +40,13 @@ router.put(
   updateReview
 );
 
-// Delete review (customer or admin)
+// Delete review (customer or admin with reviews.moderate)
 router.delete(
   "/:reviewId",
   verifyToken,
   verifyRole(["customer", "admin"]),
   checkApproval,
+  requirePermission(PERMISSIONS.REVIEWS_MODERATE, { allowNonAdmin: true }),
   deleteReview
 );
 
@@ -14,6 +14,7 @@ import Booking from "../models/Booking.js";
 import Payment from "../models/Payment.js";
 import Review from "../models/Review.js";
 import Notification from "../models/Notification.js";
+import { SUPER_ADMIN_PERMISSION } from "../config/permissions.js";
 
 // Load environment variables
 dotenv.config();
@@ -53,10 +54,10 @@ const seedDatabase = async () => {
         isActive: true,
       });
 
-      // Step 2: Create Admin profile
+      // Step 2: Create Admin profile (the seeded admin is the super admin)
       admin = await Admin.create({
         userId: adminUser._id,
-        permissions: [],
+        permissions: [SUPER_ADMIN_PERMISSION],
         isApproved: true,
       });
 
@@ -0,0 +1,48 @@
+/**
+ * Generate Artist Slugs Script
+ * Gives every artist without a slug one generated from their name, so all
+ * profiles can be opened at /api/artists/:slug. Safe to run more than once.
+ *
+ * Usage: npm run generate:artist-slugs
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import Artist from "../models/Artist.js";
+import { generateUniqueSlug } from "../utils/slugService.js";
+
+dotenv.config();
+
+const generateArtistSlugs = async () => {
+  let exitCode = 0;
+
+  try {
+    console.log("Connecting to MongoDB...");
+    await connectDB();
+    console.log("MongoDB connected successfully\n");
+
+    // Oldest first, so long-standing artists get the plain slug on collisions
+    const artists = await Artist.find({ $or: [{ slug: { $exists: false } }, { slug: null }] })
+      .sort({ createdAt: 1 })
+      .select("name");
+
+    for (const artist of artists) {
+      const slug = await generateUniqueSlug(artist.name, { excludeArtistId: artist._id });
+      await Artist.updateOne({ _id: artist._id }, { $set: { slug, slugIsCustom: false } });
+      console.log(`- ${artist.name}: ${slug}`);
+    }
+
+    console.log(`\nGenerated ${artists.length} slug(s)`);
+  } catch (error) {
+    console.error("Error generating artist slugs:", error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(exitCode);
+  }
+};
+
+generateArtistSlugs();
+
+export default generateArtistSlugs;
@@ -0,0 +1,61 @@
+/**
+ * Geocode Artists Script
+ * Fills Artist.location.geo for physical artists that have a city but no
+ * coordinates yet, so they show up in radius search. Artists with manually
+ * set coordinates are left alone. Safe to run more than once.
+ *
+ * Usage: npm run geocode:artists
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import Artist from "../models/Artist.js";
+import { resolveArtistLocation } from "../utils/geocoder.js";
+
+dotenv.config();
+
+const geocodeArtists = async () => {
+  let exitCode = 0;
+
+  try {
+    console.log("Connecting to MongoDB...");
+    await connectDB();
+    console.log("MongoDB connected successfully\n");
+
+    const artists = await Artist.find({
+      "location.city": { $nin: [null, ""] },
+      "location.geo.coordinates": { $exists: false },
+    }).select("name location");
+
+    let geocoded = 0;
+    const unresolved = [];
+    for (const artist of artists) {
+      const location = await resolveArtistLocation(artist.location.toObject());
+      if (!location.geo) {
+        unresolved.push(`${artist.name} (${artist.location.city})`);
+        continue;
+      }
+      await Artist.updateOne(
+        { _id: artist._id },
+        { $set: { "location.geo": location.geo, "location.geoSource": location.geoSource } }
+      );
+      geocoded++;
+    }
+
+    console.log(`Geocoded ${geocoded} of ${artists.length} artist(s)`);
+    if (unresolved.length > 0) {
+      console.log(`Unknown cities (set coordinates manually):\n  ${unresolved.join("\n  ")}`);
+    }
+  } catch (error) {
+    console.error("Error geocoding artists:", error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(exitCode);
+  }
+};
+
+geocodeArtists();
+
+export default geocodeArtists;
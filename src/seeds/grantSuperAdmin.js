@@ -0,0 +1,55 @@
+/**
+ * Grant Super Admin Script
+ * Gives an existing admin account the "all" permission so it can manage other
+ * admins' permissions. Needed once after upgrading, since existing admin
+ * profiles were created with an empty permission list.
+ *
+ * Usage: npm run grant:super-admin -- admin@example.com
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import User from "../models/User.js";
+import Admin from "../models/Admin.js";
+import { SUPER_ADMIN_PERMISSION } from "../config/permissions.js";
+
+dotenv.config();
+
+const grantSuperAdmin = async () => {
+  const email = process.argv[2]?.toLowerCase().trim();
+  let exitCode = 0;
+
+  try {
+    if (!email) {
+      throw new Error("Please provide the admin email: npm run grant:super-admin -- admin@example.com");
+    }
+
+    console.log("Connecting to MongoDB...");
+    await connectDB();
+    console.log("MongoDB connected successfully\n");
+
+    const adminUser = await User.findOne({ email, role: "admin" });
+    if (!adminUser) {
+      throw new Error(`No admin account found for ${email}`);
+    }
+
+    const admin = await Admin.findOneAndUpdate(
+      { userId: adminUser._id },
+      { $addToSet: { permissions: SUPER_ADMIN_PERMISSION } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`Super admin granted to ${email}. Permissions: ${admin.permissions.join(", ")}`);
+  } catch (error) {
+    console.error("Error granting super admin:", error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(exitCode);
+  }
+};
+
+grantSuperAdmin();
+
+export default grantSuperAdmin;
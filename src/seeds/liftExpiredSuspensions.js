@@ -0,0 +1,53 @@
+/**
+ * Lift Expired Suspensions Script
+ * Reactivates every account whose timed suspension has ended and emails the
+ * user. Suspended artists go back to approved and reappear in listings without
+ * waiting for their next login. Run it hourly or daily (e.g. from cron).
+ *
+ * Usage: npm run lift:suspensions
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import { findExpiredSuspensions, liftExpiredSuspension } from "../utils/moderationService.js";
+
+dotenv.config();
+
+const liftExpiredSuspensions = async () => {
+  let exitCode = 0;
+
+  try {
+    console.log("Connecting to MongoDB...");
+    await connectDB();
+    console.log("MongoDB connected successfully\n");
+
+    const users = await findExpiredSuspensions();
+
+    let lifted = 0;
+    for (const user of users) {
+      try {
+        if (await liftExpiredSuspension(user, { notify: true })) {
+          lifted++;
+          console.log(`- ${user.email}: reactivated`);
+        }
+      } catch (error) {
+        // Leave it for the next run
+        console.error(`- ${user.email}: ${error.message}`);
+        exitCode = 1;
+      }
+    }
+
+    console.log(`\nChecked ${users.length} suspension(s): ${lifted} lifted`);
+  } catch (error) {
+    console.error("Error lifting suspensions:", error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(exitCode);
+  }
+};
+
+liftExpiredSuspensions();
+
+export default liftExpiredSuspensions;
@@ -0,0 +1,78 @@
+/**
+ * Migrate Portfolio Script
+ * Artist.portfolio used to be a list of URLs. Converts every URL into a
+ * portfolio item (title, one media entry, cover image) so profiles keep their
+ * work after the switch to structured items. Safe to run more than once.
+ *
+ * Usage: npm run migrate:portfolio
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import Artist from "../models/Artist.js";
+
+dotenv.config();
+
+// Guess the media type from the file extension (images are the common case)
+const guessMediaType = (url) => {
+  const extension = url.split("?")[0].split(".").pop().toLowerCase();
+  if (["mp4", "mov", "webm", "mkv", "avi"].includes(extension)) return "video";
+  if (["mp3", "wav", "ogg", "m4a", "aac", "flac"].includes(extension)) return "audio";
+  return "image";
+};
+
+const migratePortfolio = async () => {
+  let exitCode = 0;
+
+  try {
+    console.log("Connecting to MongoDB...");
+    await connectDB();
+    console.log("MongoDB connected successfully\n");
+
+    // Read the raw documents - the schema no longer accepts string items
+    const artists = await Artist.collection
+      .find({ portfolio: { $elemMatch: { $type: "string" } } })
+      .project({ name: 1, portfolio: 1 })
+      .toArray();
+
+    let migratedItems = 0;
+    for (const artist of artists) {
+      const portfolio = artist.portfolio
+        .filter((entry) => typeof entry !== "string" || entry.trim() !== "")
+        .map((entry, index) => {
+          if (typeof entry !== "string") {
+            return { ...entry, order: entry.order ?? index };
+          }
+          migratedItems++;
+          const url = entry.trim();
+          const type = guessMediaType(url);
+          return {
+            _id: new mongoose.Types.ObjectId(),
+            title: `Portfolio item ${index + 1}`,
+            description: "",
+            tags: [],
+            media: [{ _id: new mongoose.Types.ObjectId(), type, url, caption: "" }],
+            coverImage: type === "image" ? { url } : undefined,
+            order: index,
+            createdAt: new Date(),
+          };
+        });
+
+      await Artist.collection.updateOne({ _id: artist._id }, { $set: { portfolio } });
+      console.log(`- ${artist.name}: ${portfolio.length} item(s)`);
+    }
+
+    console.log(`\nMigrated ${migratedItems} portfolio URL(s) on ${artists.length} artist(s)`);
+  } catch (error) {
+    console.error("Error migrating portfolios:", error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(exitCode);
+  }
+};
+
+migratePortfolio();
+
+export default migratePortfolio;
@@ -0,0 +1,62 @@
+/**
+ * Migrate User Roles Script
+ * Backfills User.roles for accounts created before one email could hold both
+ * the customer and artist roles. Roles come from User.role plus any existing
+ * Customer/Artist profile. Safe to run more than once.
+ *
+ * Usage: npm run migrate:user-roles
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import User from "../models/User.js";
+import Customer from "../models/Customer.js";
+import Artist from "../models/Artist.js";
+
+dotenv.config();
+
+const migrateUserRoles = async () => {
+  let exitCode = 0;
+
+  try {
+    console.log("Connecting to MongoDB...");
+    await connectDB();
+    console.log("MongoDB connected successfully\n");
+
+    const [customerUserIds, artistUserIds] = await Promise.all([
+      Customer.distinct("userId"),
+      Artist.distinct("userId"),
+    ]);
+    const customerIds = new Set(customerUserIds.map(String));
+    const artistIds = new Set(artistUserIds.map(String));
+
+    let updated = 0;
+    const cursor = User.find().select("role roles").cursor();
+    for await (const user of cursor) {
+      const roles = new Set(user.getRoles());
+      if (customerIds.has(user._id.toString())) roles.add("customer");
+      if (artistIds.has(user._id.toString())) roles.add("artist");
+
+      const nextRoles = [...roles];
+      if (nextRoles.length === (user.roles?.length || 0)) {
+        continue;
+      }
+
+      await User.updateOne({ _id: user._id }, { $set: { roles: nextRoles } });
+      updated++;
+    }
+
+    console.log(`Roles backfilled for ${updated} user(s)`);
+  } catch (error) {
+    console.error("Error migrating user roles:", error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(exitCode);
+  }
+};
+
+migrateUserRoles();
+
+export default migrateUserRoles;
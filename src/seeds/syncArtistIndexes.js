@@ -0,0 +1,41 @@
+/**
+ * Sync Artist Indexes Script
+ * MongoDB allows one text index per collection, so the search index
+ * (name/skills/bio) cannot be built while the old bio/skills one exists.
+ * syncIndexes() drops indexes no longer declared on the schema and builds the new ones.
+ *
+ * Usage: npm run sync:artist-indexes
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import Artist from "../models/Artist.js";
+
+dotenv.config();
+
+const syncArtistIndexes = async () => {
+  let exitCode = 0;
+
+  try {
+    console.log("Connecting to MongoDB...");
+    await connectDB();
+    console.log("MongoDB connected successfully\n");
+
+    const dropped = await Artist.syncIndexes();
+    console.log(`Dropped indexes: ${dropped.length > 0 ? dropped.join(", ") : "none"}`);
+
+    const indexes = await Artist.listIndexes();
+    console.log(`Artist indexes: ${indexes.map((index) => index.name).join(", ")}`);
+  } catch (error) {
+    console.error("Error syncing artist indexes:", error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(exitCode);
+  }
+};
+
+syncArtistIndexes();
+
+export default syncArtistIndexes;
@@ -0,0 +1,62 @@
+/**
+ * Sync Subscriptions Script
+ * Checks every active subscription whose paid period has ended with Stripe:
+ * renewed subscriptions get their new end date, the rest are marked expired
+ * and the artist falls back to the free plan. Run it daily (e.g. from cron).
+ *
+ * Usage: npm run sync:subscriptions
+ */
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/db.js";
+import Artist from "../models/Artist.js";
+import { refreshSubscription, isSubscriptionActive } from "../utils/subscriptionService.js";
+
+dotenv.config();
+
+const syncSubscriptions = async () => {
+  let exitCode = 0;
+
+  try {
+    console.log("Connecting to MongoDB...");
+    await connectDB();
+    console.log("MongoDB connected successfully\n");
+
+    const artists = await Artist.find({
+      "subscription.status": "active",
+      "subscription.expiresAt": { $lte: new Date() },
+    }).select("name userId subscription");
+
+    let renewed = 0;
+    let expired = 0;
+    for (const artist of artists) {
+      try {
+        await refreshSubscription(artist);
+        if (isSubscriptionActive(artist)) {
+          renewed++;
+          console.log(`- ${artist.name}: renewed until ${artist.subscription.expiresAt.toISOString()}`);
+        } else {
+          expired++;
+          console.log(`- ${artist.name}: expired`);
+        }
+      } catch (error) {
+        // Stripe unreachable - leave it for the next run
+        console.error(`- ${artist.name}: ${error.message}`);
+        exitCode = 1;
+      }
+    }
+
+    console.log(`\nChecked ${artists.length} subscription(s): ${renewed} renewed, ${expired} expired`);
+  } catch (error) {
+    console.error("Error syncing subscriptions:", error.message);
+    exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+    process.exit(exitCode);
+  }
+};
+
+syncSubscriptions();
+
+export default syncSubscriptions;
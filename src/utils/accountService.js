@@ -0,0 +1,225 @@
+/**
+ * Account Service
+ * Personal data export and account deletion (PII anonymisation).
+ * Bookings and payments are kept intact as financial records; they keep
+ * pointing at the anonymised user.
+ */
+import User from "../models/User.js";
+import Customer from "../models/Customer.js";
+import Artist from "../models/Artist.js";
+import Booking from "../models/Booking.js";
+import Payment from "../models/Payment.js";
+import Review from "../models/Review.js";
+import Chat from "../models/Chat.js";
+import Notification from "../models/Notification.js";
+import Session from "../models/Session.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import IdentityVerification from "../models/IdentityVerification.js";
+import { generateSecureToken } from "./tokens.js";
+import { revokeAllSessions } from "./sessionService.js";
+import {
+  getPlan,
+  toPublicPlan,
+  isSubscriptionActive,
+  cancelArtistSubscription,
+} from "./subscriptionService.js";
+import { deleteArtistVerifications } from "./identityVerificationService.js";
+
+// Bookings in these statuses must be finished or cancelled before deleting an account
+export const OPEN_BOOKING_STATUSES = ["pending", "in_progress", "review"];
+
+// A user can hold both the customer and artist roles
+const findProfiles = async (user) => {
+  const [customer, artist] = await Promise.all([
+    user.hasRole("customer") ? Customer.findOne({ userId: user._id }) : null,
+    user.hasRole("artist") ? Artist.findOne({ userId: user._id }) : null,
+  ]);
+  return { customer, artist };
+};
+
+// Artist plan and billing details (Stripe IDs included - they are the user's own)
+const buildBillingExport = async (artist) => {
+  if (!artist) {
+    return null;
+  }
+  const plan = await getPlan(isSubscriptionActive(artist) ? artist.subscription.plan : "free");
+  return {
+    currentPlan: toPublicPlan(plan),
+    subscription: artist.subscription,
+    payoutAccountId: artist.stripeAccountId,
+  };
+};
+
+// Identity verification status and submissions (file IDs and number hashes stay internal)
+const buildVerificationExport = async (artist) => {
+  if (!artist) {
+    return null;
+  }
+  const submissions = await IdentityVerification.find({ artist: artist._id })
+    .select("-files")
+    .sort({ createdAt: -1 });
+  return {
+    status: artist.identityVerification?.status || "unverified",
+    submittedAt: artist.identityVerification?.submittedAt,
+    verifiedAt: artist.identityVerification?.verifiedAt,
+    rejectionReason: artist.identityVerification?.rejectionReason,
+    submissions,
+  };
+};
+
+/**
+ * Assemble a JSON archive of everything stored about a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Export archive
+ */
+export const buildAccountExport = async (userId) => {
+  // select:false fields (password, token hashes, 2FA secrets) are left out
+  const user = await User.findById(userId).select("-password");
+  const profiles = await findProfiles(user);
+
+  // Some collections reference the User ID, others the profile ID
+  const ownerIds = [user._id, profiles.customer?._id, profiles.artist?._id].filter(Boolean);
+
+  const [bookings, payments, reviews, chats, notifications, sessions, loginHistory, billing, identityVerification] =
+    await Promise.all([
+      Booking.find({ $or: [{ customer: user._id }, { artist: user._id }] }).sort({ createdAt: -1 }),
+      Payment.find({ $or: [{ customer: user._id }, { artist: user._id }] }).sort({ createdAt: -1 }),
+      Review.find({
+        $or: [{ customer: { $in: ownerIds } }, { artist: { $in: ownerIds } }],
+      }).sort({ createdAt: -1 }),
+      Chat.find({ participants: user._id }).sort({ updatedAt: -1 }),
+      Notification.find({ user: { $in: ownerIds } }).sort({ createdAt: -1 }),
+      Session.find({ user: user._id }).sort({ createdAt: -1 }),
+      LoginAttempt.find({ user: user._id }).sort({ createdAt: -1 }),
+      buildBillingExport(profiles.artist),
+      buildVerificationExport(profiles.artist),
+    ]);
+
+  return {
+    exportedAt: new Date(),
+    user,
+    profile: profiles.customer || profiles.artist,
+    profiles,
+    billing,
+    identityVerification,
+    bookings,
+    payments,
+    reviews,
+    chats,
+    notifications,
+    sessions,
+    loginHistory,
+  };
+};
+
+/**
+ * Anonymise a user's personal data and close the account
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Summary of what was changed
+ * @throws {BadRequestError} The Stripe subscription could not be cancelled (nothing is changed)
+ */
+export const anonymiseAccount = async (user) => {
+  const anonymisedEmail = `deleted-${user._id}@deleted.artzyra.invalid`;
+
+  // Step 1: Stop billing first so a deleted account is never charged again
+  // (a paid plan ends with the current period, an unpaid checkout is dropped)
+  let subscriptionCancelled = false;
+  if (user.hasRole("artist")) {
+    const artist = await Artist.findOne({ userId: user._id });
+    if (artist?.subscription?.stripeSubscriptionId && !artist.subscription.cancelAtPeriodEnd) {
+      await cancelArtistSubscription(artist);
+      subscriptionCancelled = true;
+    }
+  }
+
+  // Step 2: Profiles - clear every personal field
+  let profileUpdated = false;
+  if (user.hasRole("customer")) {
+    const result = await Customer.updateOne(
+      { userId: user._id },
+      {
+        $set: {
+          name: "Deleted User",
+          phone: "",
+          profileImage: "",
+          isActive: false,
+          favorites: [],
+        },
+        $unset: {
+          address: 1,
+          dateOfBirth: 1,
+          gender: 1,
+          socialLinks: 1,
+          emergencyContact: 1,
+          bio: 1,
+        },
+      }
+    );
+    profileUpdated = result.modifiedCount > 0;
+  }
+  if (user.hasRole("artist")) {
+    const result = await Artist.updateOne(
+      { userId: user._id },
+      {
+        $set: {
+          name: "Deleted Artist",
+          phone: "",
+          bio: "",
+          profileImage: "",
+          portfolio: [],
+          skills: [],
+          status: "deleted", // Hidden from public listings
+          reason: "Account deleted by user",
+          // Name-based and vanity slugs are personal too: use a neutral one
+          // and drop the old ones so they stop redirecting here
+          slug: `deleted-${user._id}`,
+          slugIsCustom: false,
+          slugHistory: [],
+        },
+        $unset: {
+          website: 1,
+          socialLinks: 1,
+          location: 1,
+          education: 1,
+          certifications: 1,
+          stripeAccountId: 1,
+          identityVerification: 1,
+        },
+      }
+    );
+    profileUpdated = profileUpdated || result.modifiedCount > 0;
+  }
+
+  // Step 3: User - replace credentials and identifiers so the account can never sign in again
+  user.email = anonymisedEmail;
+  user.password = generateSecureToken(); // Hashed by pre-save hook, never disclosed
+  user.isActive = false;
+  user.deletedAt = new Date();
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  // Step 4: Drop data that is only useful to the user
+  const profiles = await findProfiles(user);
+  const ownerIds = [user._id, profiles.customer?._id, profiles.artist?._id].filter(Boolean);
+
+  const [notifications, loginHistory, kycSubmissions] = await Promise.all([
+    Notification.deleteMany({ user: { $in: ownerIds } }),
+    LoginAttempt.deleteMany({ user: user._id }),
+    // Identity documents (private Cloudinary files) and their records
+    profiles.artist ? deleteArtistVerifications(profiles.artist._id) : 0,
+  ]);
+  const sessionsRevoked = await revokeAllSessions(user._id, "account_deleted");
+
+  return {
+    profileAnonymised: profileUpdated,
+    subscriptionCancelled,
+    notificationsDeleted: notifications.deletedCount,
+    loginHistoryDeleted: loginHistory.deletedCount,
+    identitySubmissionsDeleted: kycSubmissions,
+    sessionsRevoked,
+  };
+};
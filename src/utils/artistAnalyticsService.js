@@ -0,0 +1,92 @@
+/**
+ * Artist Analytics Service
+ * Counts search impressions, profile views, chat starts and bookings per artist per
+ * UTC day (ArtistDailyStat) and turns them into daily series and conversion rates.
+ * Recording never blocks or fails the request that triggers it.
+ */
+import mongoose from "mongoose";
+import ArtistDailyStat from "../models/ArtistDailyStat.js";
+import { toDateKey, addDays } from "./availabilityService.js";
+
+export const ANALYTICS_METRICS = ["searchImpressions", "profileViews", "chatStarts", "bookings"];
+
+// Days covered by the dashboard by default (and at most)
+export const DEFAULT_ANALYTICS_DAYS = 30;
+export const MAX_ANALYTICS_DAYS = 365;
+
+// Percentage with 2 decimals, or null when nothing to convert from
+const rate = (count, base) => (base > 0 ? Math.round((count / base) * 10000) / 100 : null);
+
+/**
+ * Count an event for one or more artists (fire and forget)
+ * @param {string|ObjectId|Array} artistIds - Artist document IDs
+ * @param {string} metric - One of ANALYTICS_METRICS
+ * @returns {Promise<void>} Resolves once written; errors are logged, not thrown
+ */
+export const recordArtistEvent = (artistIds, metric) => {
+  const ids = [].concat(artistIds).filter(Boolean);
+  if (ids.length === 0 || !ANALYTICS_METRICS.includes(metric)) {
+    return Promise.resolve();
+  }
+
+  const date = toDateKey(new Date());
+  return ArtistDailyStat.bulkWrite(
+    ids.map((artist) => ({
+      updateOne: {
+        filter: { artist, date },
+        update: { $inc: { [metric]: 1 } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  )
+    .then(() => undefined)
+    .catch((error) => {
+      console.error(`Failed to record artist ${metric}:`, error.message);
+    });
+};
+
+/**
+ * Daily series, totals and conversion rates for an artist
+ * @param {string} artistId - Artist document ID
+ * @param {Object} options - { days } - how many days back, including today
+ * @returns {Promise<Object>} { from, to, days, totals, conversion, daily }
+ */
+export const getArtistAnalytics = async (artistId, { days = DEFAULT_ANALYTICS_DAYS } = {}) => {
+  const dayCount = Math.min(Math.max(parseInt(days, 10) || DEFAULT_ANALYTICS_DAYS, 1), MAX_ANALYTICS_DAYS);
+  const to = toDateKey(new Date());
+  const from = addDays(to, -(dayCount - 1));
+
+  const stats = await ArtistDailyStat.find({
+    artist: new mongoose.Types.ObjectId(String(artistId)),
+    date: { $gte: from, $lte: to },
+  }).lean();
+  const byDate = new Map(stats.map((stat) => [stat.date, stat]));
+
+  // One entry per day, zero-filled
+  const totals = Object.fromEntries(ANALYTICS_METRICS.map((metric) => [metric, 0]));
+  const daily = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const stat = byDate.get(date);
+    const day = { date };
+    for (const metric of ANALYTICS_METRICS) {
+      day[metric] = stat?.[metric] || 0;
+      totals[metric] += day[metric];
+    }
+    daily.push(day);
+  }
+
+  return {
+    from,
+    to,
+    days: dayCount,
+    totals,
+    // Percentages: search -> profile, profile -> chat, profile -> booking
+    conversion: {
+      searchToProfile: rate(totals.profileViews, totals.searchImpressions),
+      profileToChat: rate(totals.chatStarts, totals.profileViews),
+      profileToBooking: rate(totals.bookings, totals.profileViews),
+    },
+    daily,
+  };
+};
@@ -0,0 +1,483 @@
+/**
+ * Artist Search
+ * Builds the aggregation used by GET /api/artists: filters, geo-radius search,
+ * sorting and the facet counts the UI renders as filter sidebars. Also formats
+ * artists for every public listing (search, featured and category pages).
+ */
+import mongoose from "mongoose";
+import Artist from "../models/Artist.js";
+import { BadRequestError } from "./errors.js";
+import { geocode, parseCoordinates, toGeoPoint } from "./geocoder.js";
+import { onVacationQuery, formatVacation } from "./vacationService.js";
+import { isIdentityVerified } from "./identityVerificationService.js";
+
+export const SORT_OPTIONS = ["relevance", "rating", "price", "popularity", "newest", "distance"];
+
+// Radius (km) used when ?near= is given without ?radius=
+const DEFAULT_RADIUS_KM = parseFloat(process.env.SEARCH_DEFAULT_RADIUS_KM) || 20;
+const MAX_RADIUS_KM = 500;
+
+// Price buckets (LKR) returned in facets.priceRanges
+const PRICE_BOUNDARIES = [0, 5000, 10000, 25000, 50000, 100000];
+
+// Skills/cities/languages facets are capped to keep the response small
+const FACET_LIMIT = 20;
+
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Accept "a,b" or repeated query params (?skills=a&skills=b)
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values.map((v) => String(v).trim()).filter(Boolean);
+};
+
+// Case-insensitive exact match for free-text profile fields
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value)}$`, "i");
+
+const toNumber = (value, label) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new BadRequestError(`${label} must be a non-negative number`);
+  }
+  return number;
+};
+
+/**
+ * Resolve ?near= ("lat,lng" or a city name) and ?radius= (km)
+ * @param {Object} params - req.query
+ * @returns {Promise<Object|null>} { point, radiusKm, label } or null without ?near=
+ */
+export const resolveNearPoint = async ({ near, radius }) => {
+  if (!near || !String(near).trim()) {
+    if (radius !== undefined && radius !== "") {
+      throw new BadRequestError("radius requires near (a city or \"lat,lng\")");
+    }
+    return null;
+  }
+
+  const radiusKm = radius === undefined || radius === "" ? DEFAULT_RADIUS_KM : Number(radius);
+  if (Number.isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    throw new BadRequestError(`radius must be between 0 and ${MAX_RADIUS_KM} km`);
+  }
+
+  const coordinates = parseCoordinates(near);
+  if (coordinates) {
+    return { point: toGeoPoint(coordinates), radiusKm, label: `${coordinates.lat},${coordinates.lng}` };
+  }
+
+  const place = await geocode(near);
+  if (!place) {
+    throw new BadRequestError(`Could not find a location for "${near}". Try a city name or "lat,lng".`);
+  }
+  return { point: toGeoPoint(place), radiusKm, label: place.label };
+};
+
+/**
+ * Build the $match filter from the query string
+ * @param {Object} params - req.query
+ * @param {Object} options - { geo } - radius search (from resolveNearPoint) is active
+ * @returns {{ match: Object, derivedMatch: Object, hasText: boolean }}
+ *   match runs on stored fields; derivedMatch runs after startingPrice and
+ *   fastestDelivery have been computed
+ */
+export const buildArtistFilters = (params, { geo = null } = {}) => {
+  const {
+    category,
+    search,
+    artistType,
+    minRating,
+    city,
+    languages,
+    skills,
+    minPrice,
+    maxPrice,
+    maxDeliveryTime,
+    verified,
+    onVacation,
+  } = params;
+
+  // Base query - only approved artists (status="approved")
+  const match = { status: "approved" };
+  const derivedMatch = {};
+
+  // $text must be part of the first $match stage, and $geoNear must be the
+  // first stage - so a radius search matches the search term with a regex instead
+  const term = search ? String(search).trim() : "";
+  const hasText = Boolean(term) && !geo;
+  if (hasText) {
+    match.$text = { $search: term };
+  } else if (term) {
+    const regex = new RegExp(escapeRegex(term), "i");
+    match.$or = [{ name: regex }, { skills: regex }, { bio: regex }];
+  }
+
+  if (category) {
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      throw new BadRequestError("Invalid category id");
+    }
+    match.category = new mongoose.Types.ObjectId(category);
+  }
+
+  if (artistType) {
+    if (!["physical", "remote"].includes(artistType)) {
+      throw new BadRequestError("artistType must be physical or remote");
+    }
+    match.artistType = artistType;
+  }
+
+  // Only physical artists travel to the customer
+  if (geo) {
+    if (artistType === "remote") {
+      throw new BadRequestError("Radius search only applies to physical artists");
+    }
+    match.artistType = "physical";
+
+    // Respect each artist's own service radius (null also matches unset)
+    derivedMatch.$or = [
+      { serviceRadiusKm: null },
+      { $expr: { $lte: ["$distanceKm", "$serviceRadiusKm"] } },
+    ];
+  }
+
+  // Identity-verified artists only (KYC approved)
+  if (verified !== undefined && verified !== "") {
+    if (!["true", "false"].includes(String(verified))) {
+      throw new BadRequestError("verified must be true or false");
+    }
+    if (String(verified) === "true") {
+      match["identityVerification.status"] = "verified";
+    }
+  }
+
+  // Artists away on vacation are flagged; onVacation=false leaves them out
+  if (onVacation !== undefined && onVacation !== "") {
+    if (!["true", "false"].includes(String(onVacation))) {
+      throw new BadRequestError("onVacation must be true or false");
+    }
+    if (String(onVacation) === "true") {
+      Object.assign(match, onVacationQuery());
+    } else {
+      match.$nor = [onVacationQuery()];
+    }
+  }
+
+  const rating = toNumber(minRating, "minRating");
+  if (rating !== undefined) {
+    match.rating = { $gte: rating };
+  }
+
+  if (city) {
+    match["location.city"] = exactMatch(String(city).trim());
+  }
+
+  // Any of the listed languages/skills
+  const languageList = toList(languages);
+  if (languageList.length > 0) {
+    match.languages = { $in: languageList.map(exactMatch) };
+  }
+
+  const skillList = toList(skills);
+  if (skillList.length > 0) {
+    match.skills = { $in: skillList.map(exactMatch) };
+  }
+
+  const min = toNumber(minPrice, "minPrice");
+  const max = toNumber(maxPrice, "maxPrice");
+  if (min !== undefined && max !== undefined && min > max) {
+    throw new BadRequestError("minPrice cannot be greater than maxPrice");
+  }
+  if (min !== undefined || max !== undefined) {
+    derivedMatch.startingPrice = {};
+    if (min !== undefined) derivedMatch.startingPrice.$gte = min;
+    if (max !== undefined) derivedMatch.startingPrice.$lte = max;
+  }
+
+  const delivery = toNumber(maxDeliveryTime, "maxDeliveryTime");
+  if (delivery !== undefined) {
+    derivedMatch.fastestDelivery = { $lte: delivery };
+  }
+
+  return { match, derivedMatch, hasText };
+};
+
+/**
+ * Build the $sort stage
+ * Defaults to distance for radius searches, relevance when searching, newest otherwise
+ */
+export const buildArtistSort = ({ sortBy, sortOrder }, hasText, hasGeo = false) => {
+  const sortKey = sortBy || (hasGeo ? "distance" : hasText ? "relevance" : "newest");
+  if (!SORT_OPTIONS.includes(sortKey)) {
+    throw new BadRequestError(`sortBy must be one of: ${SORT_OPTIONS.join(", ")}`);
+  }
+  if (sortKey === "relevance" && !hasText) {
+    throw new BadRequestError(
+      hasGeo
+        ? "sortBy=relevance is not available with a radius search"
+        : "sortBy=relevance requires a search term"
+    );
+  }
+  if (sortKey === "distance" && !hasGeo) {
+    throw new BadRequestError("sortBy=distance requires near");
+  }
+
+  // Cheapest/nearest first is the natural order; everything else is highest first
+  const defaultOrder = ["price", "distance"].includes(sortKey) ? "asc" : "desc";
+  const direction = (sortOrder || defaultOrder) === "asc" ? 1 : -1;
+
+  // Paid plans rank first in the default orderings; explicit sorts stay as asked
+  switch (sortKey) {
+    case "relevance":
+      return { searchBoost: -1, score: { $meta: "textScore" }, rating: -1, _id: 1 };
+    case "rating":
+      return { rating: direction, totalReviews: -1, _id: 1 };
+    case "price":
+      return { startingPrice: direction, rating: -1, _id: 1 };
+    case "distance":
+      return { distanceKm: direction, _id: 1 };
+    case "popularity":
+      // Reviews are only left on completed bookings, so they track bookings made
+      return { totalReviews: direction, rating: -1, _id: 1 };
+    default:
+      return { searchBoost: -1, createdAt: direction, _id: 1 };
+  }
+};
+
+/**
+ * $geoNear stage for a radius search (must be the first pipeline stage)
+ * Adds distanceKm to each artist
+ * @param {Object} geo - From resolveNearPoint
+ * @param {Object} match - Filters from buildArtistFilters
+ */
+export const artistGeoNearStage = (geo, match) => ({
+  $geoNear: {
+    near: geo.point,
+    key: "location.geo",
+    distanceField: "distanceKm",
+    distanceMultiplier: 0.001, // metres -> km
+    maxDistance: geo.radiusKm * 1000,
+    spherical: true,
+    query: match,
+  },
+});
+
+// Active (unexpired) subscriptions get their plan's boost
+const planBoostExpression = (planBoosts) => {
+  const branches = Object.entries(planBoosts)
+    .filter(([, boost]) => boost > 0)
+    .map(([plan, boost]) => ({ case: { $eq: ["$subscription.plan", plan] }, then: boost }));
+  if (branches.length === 0) {
+    return { $literal: 0 };
+  }
+  return {
+    $cond: [
+      {
+        $and: [
+          { $eq: ["$subscription.status", "active"] },
+          { $gt: ["$subscription.expiresAt", "$$NOW"] },
+        ],
+      },
+      { $switch: { branches, default: 0 } },
+      0,
+    ],
+  };
+};
+
+/**
+ * Stages that add the fields filters and sorts use
+ * - startingPrice: cheapest service, else pricing.amount, else hourlyRate
+ * - fastestDelivery: quickest service, else deliveryTime (days)
+ * - searchBoost: boost of the artist's active subscription plan (0 when none)
+ * @param {Object} planBoosts - Boost per paid plan, from getSearchBoosts()
+ */
+export const artistDerivedFieldStages = (hasText, hasGeo = false, planBoosts = {}) => [
+  {
+    $addFields: {
+      ...(hasText ? { score: { $meta: "textScore" } } : {}),
+      searchBoost: planBoostExpression(planBoosts),
+      ...(hasGeo ? { distanceKm: { $round: ["$distanceKm", 1] } } : {}),
+      startingPrice: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ["$services", []] } }, 0] },
+          { $min: "$services.price" },
+          {
+            $cond: [
+              { $gt: [{ $ifNull: ["$pricing.amount", 0] }, 0] },
+              "$pricing.amount",
+              { $ifNull: ["$hourlyRate", 0] },
+            ],
+          },
+        ],
+      },
+      fastestDelivery: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ["$services", []] } }, 0] },
+          { $min: "$services.deliveryTime" },
+          { $ifNull: ["$deliveryTime", null] },
+        ],
+      },
+    },
+  },
+];
+
+const countBy = (field, limit = FACET_LIMIT) => [
+  { $match: { [field]: { $nin: [null, ""] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, value: "$_id", count: 1 } },
+];
+
+const countByArray = (field) => [
+  { $unwind: `$${field}` },
+  ...countBy(field),
+];
+
+/**
+ * Facet pipelines, computed over the filtered result set
+ */
+export const artistFacetStages = () => ({
+  categories: [
+    { $group: { _id: "$category", count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    {
+      $lookup: {
+        from: "categories",
+        localField: "_id",
+        foreignField: "_id",
+        as: "category",
+      },
+    },
+    { $unwind: "$category" },
+    { $project: { _id: 0, value: "$_id", name: "$category.name", count: 1 } },
+  ],
+  artistTypes: countBy("artistType"),
+  cities: countBy("location.city"),
+  languages: countByArray("languages"),
+  skills: countByArray("skills"),
+  verified: [
+    { $match: { "identityVerification.status": "verified" } },
+    { $count: "count" },
+  ],
+  ratings: [
+    {
+      $group: {
+        _id: null,
+        "4": { $sum: { $cond: [{ $gte: ["$rating", 4] }, 1, 0] } },
+        "3": { $sum: { $cond: [{ $gte: ["$rating", 3] }, 1, 0] } },
+        "2": { $sum: { $cond: [{ $gte: ["$rating", 2] }, 1, 0] } },
+        "1": { $sum: { $cond: [{ $gte: ["$rating", 1] }, 1, 0] } },
+      },
+    },
+  ],
+  priceRanges: [
+    // Unpriced artists (no services or pricing) would otherwise land in "above"
+    { $match: { startingPrice: { $type: "number" } } },
+    {
+      $bucket: {
+        groupBy: "$startingPrice",
+        boundaries: PRICE_BOUNDARIES,
+        default: "above",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+  priceStats: [
+    {
+      $group: {
+        _id: null,
+        min: { $min: "$startingPrice" },
+        max: { $max: "$startingPrice" },
+      },
+    },
+  ],
+});
+
+/**
+ * Turn the raw $facet output into the response shape
+ */
+export const formatArtistFacets = (raw = {}) => {
+  const ratingCounts = raw.ratings?.[0] || {};
+  const lastBoundary = PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1];
+
+  return {
+    categories: raw.categories || [],
+    artistTypes: raw.artistTypes || [],
+    cities: raw.cities || [],
+    languages: raw.languages || [],
+    skills: raw.skills || [],
+    // "verified=true" matches this many artists
+    verified: raw.verified?.[0]?.count || 0,
+    // "minRating=4" matches ratings[0].count artists, and so on
+    ratings: [4, 3, 2, 1].map((minRating) => ({
+      minRating,
+      count: ratingCounts[String(minRating)] || 0,
+    })),
+    priceRanges: (raw.priceRanges || []).map((bucket) => {
+      if (bucket._id === "above") {
+        return { min: lastBoundary, max: null, count: bucket.count };
+      }
+      const index = PRICE_BOUNDARIES.indexOf(bucket._id);
+      return { min: bucket._id, max: PRICE_BOUNDARIES[index + 1], count: bucket.count };
+    }),
+    price: {
+      min: raw.priceStats?.[0]?.min ?? null,
+      max: raw.priceStats?.[0]?.max ?? null,
+    },
+  };
+};
+
+/**
+ * Away flag plus the return date and message while (or before) the artist is away
+ */
+export const publicVacation = (artist) => {
+  const { enabled, active, ...vacation } = formatVacation(artist);
+  return {
+    onVacation: active,
+    vacation: enabled ? vacation : null,
+  };
+};
+
+/**
+ * Populate and format artists for public listings (search, featured and category pages)
+ * @param {Array} results - Plain artist objects (aggregate or lean results)
+ * @returns {Promise<Array>} Artists with email, verified badge and public vacation info
+ */
+export const formatListedArtists = async (results) => {
+  const artists = await Artist.populate(results, [
+    { path: "userId", select: "email" },
+    { path: "category", select: "name description image type" },
+  ]);
+
+  // Sync artistType with category type (batch update if needed)
+  // This ensures consistency when categories are updated
+  const outOfSync = artists.filter(
+    (artist) => artist.category?.type && artist.artistType !== artist.category.type
+  );
+  if (outOfSync.length > 0) {
+    await Artist.bulkWrite(
+      outOfSync.map((artist) => ({
+        updateOne: {
+          filter: { _id: artist._id },
+          update: { artistType: artist.category.type },
+        },
+      }))
+    );
+    outOfSync.forEach((artist) => {
+      artist.artistType = artist.category.type;
+    });
+  }
+
+  // Format response with user email and the verified badge
+  // (verification, billing and old slugs are internal)
+  return artists.map(
+    ({ identityVerification, slugHistory, subscription, searchBoost, vacation, ...artist }) => ({
+      ...artist,
+      email: artist.userId?.email || "",
+      userId: artist.userId?._id || artist.userId,
+      verified: isIdentityVerified({ identityVerification }),
+      ...publicVacation({ name: artist.name, vacation }),
+    })
+  );
+};
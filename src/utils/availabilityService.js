@@ -0,0 +1,336 @@
+/**
+ * Availability Service
+ * Works out an artist's bookable hours from their weekly hours
+ * (Artist.availability), dated exceptions, blackout days and vacation, and checks
+ * time-based bookings (bookingDate + startTime + duration) for overlaps.
+ * Dates are "YYYY-MM-DD" and times "HH:mm" in the artist's local time, which is
+ * the platform timezone (BOOKING_TIMEZONE) for every artist.
+ */
+import Booking from "../models/Booking.js";
+import { OPEN_BOOKING_STATUSES } from "./accountService.js";
+import { BadRequestError, ConflictError } from "./errors.js";
+
+export const DAY_KEYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// Hours assumed for artists who never set weekly hours (same as registration)
+const DEFAULT_WEEKLY_HOURS = {
+  monday: { start: "09:00", end: "18:00", available: true },
+  tuesday: { start: "09:00", end: "18:00", available: true },
+  wednesday: { start: "09:00", end: "18:00", available: true },
+  thursday: { start: "09:00", end: "18:00", available: true },
+  friday: { start: "09:00", end: "18:00", available: true },
+  saturday: { start: "09:00", end: "18:00", available: false },
+  sunday: { start: "09:00", end: "18:00", available: false },
+};
+
+// Timezone every booking date and time is read in ("today", "now")
+export const BOOKING_TIMEZONE = process.env.BOOKING_TIMEZONE || "Asia/Colombo";
+
+// Longest range GET /api/bookings/check-availability returns
+export const MAX_RANGE_DAYS = 31;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+/**
+ * Normalise a date (Date, ISO string or "YYYY-MM-DD") to "YYYY-MM-DD"
+ * @throws {BadRequestError}
+ */
+export const toDateKey = (value, label = "date") => {
+  const date = value instanceof Date ? value : new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new BadRequestError(`Please provide a valid ${label} (YYYY-MM-DD)`);
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Current local date and time in the booking timezone
+ * @param {Date} now - Defaults to the current time
+ * @returns {{ dateKey: string, minutes: number }} "YYYY-MM-DD" and minutes from midnight
+ */
+export const getLocalNow = (now = new Date()) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: BOOKING_TIMEZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+export const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+export const isValidTime = (time) => TIME_PATTERN.test(String(time || ""));
+
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+export const minutesToTime = (totalMinutes) =>
+  `${Math.floor(totalMinutes / 60).toString().padStart(2, "0")}:${(totalMinutes % 60)
+    .toString()
+    .padStart(2, "0")}`;
+
+const getWeeklyHours = (artist) => {
+  const availability =
+    artist.availability instanceof Map
+      ? Object.fromEntries(artist.availability)
+      : artist.availability || {};
+  return Object.keys(availability).length > 0 ? availability : DEFAULT_WEEKLY_HOURS;
+};
+
+/**
+ * Weekly hours for a day of the week ("monday"...), falling back to the defaults
+ * @returns {{ start: string, end: string, available: boolean }}
+ */
+export const getWeekdayHours = (artist, dayKey) => {
+  const hours = getWeeklyHours(artist)[dayKey];
+  if (!hours) {
+    return { start: "09:00", end: "18:00", available: false };
+  }
+  return { start: hours.start, end: hours.end, available: hours.available !== false };
+};
+
+/**
+ * Opening hours for one day
+ * Vacation and blackouts win over exceptions, which win over the weekly hours
+ * @param {Object} artist - Artist document
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {{ open: boolean, start?: string, end?: string, source: string, reason?: string }}
+ */
+export const getDayHours = (artist, dateKey) => {
+  const vacation = artist.vacation;
+  if (vacation?.enabled && vacation.startDate <= dateKey && dateKey <= vacation.endDate) {
+    return { open: false, source: "vacation", reason: "On vacation" };
+  }
+
+  const blackout = (artist.blackouts || []).find(
+    (b) => b.startDate <= dateKey && dateKey <= b.endDate
+  );
+  if (blackout) {
+    return { open: false, source: "blackout", reason: blackout.reason || "Unavailable" };
+  }
+
+  const exception = (artist.availabilityExceptions || []).find((e) => e.date === dateKey);
+  if (exception) {
+    if (exception.available === false || !exception.start || !exception.end) {
+      return { open: false, source: "exception", reason: exception.note || "Unavailable" };
+    }
+    return { open: true, start: exception.start, end: exception.end, source: "exception" };
+  }
+
+  const dayKey = DAY_KEYS[new Date(`${dateKey}T00:00:00.000Z`).getUTCDay()];
+  const hours = getWeekdayHours(artist, dayKey);
+  if (!hours.available || !hours.start || !hours.end) {
+    return { open: false, source: "weekly", reason: "Not a working day" };
+  }
+  return { open: true, start: hours.start, end: hours.end, source: "weekly" };
+};
+
+/**
+ * Time-based bookings that block the artist's calendar
+ * @param {string} artistUserId - Booking.artist (User ID)
+ * @param {string} fromKey - First day ("YYYY-MM-DD")
+ * @param {string} toKey - Last day, inclusive
+ * @param {Object} options - { excludeBookingId }
+ * @returns {Promise<Map<string, Array<{ start: number, end: number, bookingId: string }>>>}
+ *   Busy intervals (minutes from midnight) per day
+ */
+export const getBookedIntervals = async (artistUserId, fromKey, toKey, { excludeBookingId } = {}) => {
+  const query = {
+    artist: artistUserId,
+    status: { $in: OPEN_BOOKING_STATUSES },
+    startTime: { $exists: true, $ne: null },
+    bookingDate: {
+      $gte: new Date(`${fromKey}T00:00:00.000Z`),
+      $lt: new Date(`${addDays(toKey, 1)}T00:00:00.000Z`),
+    },
+  };
+  if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  const bookings = await Booking.find(query).select("bookingDate startTime endTime duration");
+
+  const busy = new Map();
+  for (const booking of bookings) {
+    if (!isValidTime(booking.startTime)) continue;
+
+    const start = timeToMinutes(booking.startTime);
+    const end = isValidTime(booking.endTime)
+      ? timeToMinutes(booking.endTime)
+      : start + Math.round((booking.duration || 1) * 60);
+    const dateKey = booking.bookingDate.toISOString().slice(0, 10);
+
+    if (!busy.has(dateKey)) busy.set(dateKey, []);
+    busy.get(dateKey).push({ start, end, bookingId: booking._id });
+  }
+  return busy;
+};
+
+// Subtract busy intervals from an opening window
+const subtractIntervals = (windowStart, windowEnd, busy) => {
+  const free = [];
+  let cursor = windowStart;
+  for (const interval of [...busy].sort((a, b) => a.start - b.start)) {
+    if (interval.end <= cursor || interval.start >= windowEnd) continue;
+    if (interval.start > cursor) {
+      free.push({ start: cursor, end: interval.start });
+    }
+    cursor = Math.max(cursor, interval.end);
+  }
+  if (cursor < windowEnd) {
+    free.push({ start: cursor, end: windowEnd });
+  }
+  return free;
+};
+
+/**
+ * Free time per day for a date range
+ * @param {Object} artist - Artist document
+ * @param {string} fromKey - First day ("YYYY-MM-DD")
+ * @param {string} toKey - Last day, inclusive
+ * @param {Object} options - { durationMinutes } - only return gaps at least this long
+ * @returns {Promise<Array>} [{ date, open, hours, reason, booked, slots: [{ start, end }] }]
+ */
+export const getFreeSlots = async (artist, fromKey, toKey, { durationMinutes = 0 } = {}) => {
+  if (toKey < fromKey) {
+    throw new BadRequestError("'to' must be on or after 'from'");
+  }
+  const rangeDays =
+    (new Date(`${toKey}T00:00:00.000Z`) - new Date(`${fromKey}T00:00:00.000Z`)) / 86400000 + 1;
+  if (rangeDays > MAX_RANGE_DAYS) {
+    throw new BadRequestError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  const busyByDay = await getBookedIntervals(artist.userId, fromKey, toKey);
+  const now = getLocalNow();
+  const todayKey = now.dateKey;
+
+  const days = [];
+  for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+    const hours = getDayHours(artist, dateKey);
+    const busy = busyByDay.get(dateKey) || [];
+
+    if (dateKey < todayKey || !hours.open) {
+      days.push({
+        date: dateKey,
+        open: false,
+        reason: dateKey < todayKey ? "Date has passed" : hours.reason,
+        booked: busy.length,
+        slots: [],
+      });
+      continue;
+    }
+
+    // Today's slots start after the current minute
+    const windowStart =
+      dateKey === todayKey
+        ? Math.max(timeToMinutes(hours.start), now.minutes + 1)
+        : timeToMinutes(hours.start);
+
+    const slots = subtractIntervals(windowStart, timeToMinutes(hours.end), busy)
+      .filter((slot) => slot.end - slot.start >= Math.max(durationMinutes, 1))
+      .map((slot) => ({ start: minutesToTime(slot.start), end: minutesToTime(slot.end) }));
+
+    days.push({
+      date: dateKey,
+      open: true,
+      hours: { start: hours.start, end: hours.end, source: hours.source },
+      booked: busy.length,
+      slots,
+    });
+  }
+  return days;
+};
+
+/**
+ * Check a time-based booking fits the artist's hours and overlaps nothing
+ * @param {Object} artist - Artist document
+ * @param {Object} slot - { bookingDate, startTime, duration (hours), excludeBookingId }
+ * @returns {Promise<{ dateKey: string, startTime: string, endTime: string }>}
+ * @throws {BadRequestError} Outside working hours or invalid input
+ * @throws {ConflictError} Overlaps an existing booking
+ */
+export const assertSlotAvailable = async (artist, { bookingDate, startTime, duration, excludeBookingId }) => {
+  if (!bookingDate || !startTime || !duration) {
+    throw new BadRequestError("bookingDate, startTime and duration are required for time-based bookings");
+  }
+  if (!isValidTime(startTime) || startTime === "24:00") {
+    throw new BadRequestError("startTime must be in HH:mm format");
+  }
+  const durationMinutes = Math.round(Number(duration) * 60);
+  if (!durationMinutes || durationMinutes <= 0) {
+    throw new BadRequestError("duration must be a positive number of hours");
+  }
+
+  const dateKey = toDateKey(bookingDate, "bookingDate");
+  const now = getLocalNow();
+  if (dateKey < now.dateKey) {
+    throw new BadRequestError("Booking date cannot be in the past");
+  }
+
+  const start = timeToMinutes(startTime);
+  if (dateKey === now.dateKey && start <= now.minutes) {
+    throw new BadRequestError("Booking start time has already passed");
+  }
+  const end = start + durationMinutes;
+  if (end > 24 * 60) {
+    throw new BadRequestError("A booking cannot run past midnight");
+  }
+
+  const hours = getDayHours(artist, dateKey);
+  if (!hours.open) {
+    throw new BadRequestError(`The artist is not available on ${dateKey} (${hours.reason})`);
+  }
+  if (start < timeToMinutes(hours.start) || end > timeToMinutes(hours.end)) {
+    throw new BadRequestError(
+      `The artist is only available between ${hours.start} and ${hours.end} on ${dateKey}`
+    );
+  }
+
+  const busy = (await getBookedIntervals(artist.userId, dateKey, dateKey, { excludeBookingId })).get(dateKey) || [];
+  const clash = busy.find((interval) => interval.start < end && start < interval.end);
+  if (clash) {
+    throw new ConflictError(
+      `The artist is already booked from ${minutesToTime(clash.start)} to ${minutesToTime(clash.end)} on ${dateKey}`
+    );
+  }
+
+  return { dateKey, startTime, endTime: minutesToTime(end) };
+};
+
+/**
+ * Find active time-based bookings that overlap a booking created earlier
+ * Used right after insert to settle two requests racing for the same slot:
+ * the later booking loses
+ * @param {Object} booking - Newly created Booking document
+ */
+export const findEarlierOverlap = async (booking) => {
+  const dateKey = booking.bookingDate.toISOString().slice(0, 10);
+  const start = timeToMinutes(booking.startTime);
+  const end = timeToMinutes(booking.endTime);
+
+  const busy = (await getBookedIntervals(booking.artist, dateKey, dateKey, { excludeBookingId: booking._id })).get(dateKey) || [];
+  return busy.find(
+    (interval) =>
+      interval.start < end &&
+      start < interval.end &&
+      interval.bookingId.toString() < booking._id.toString()
+  );
+};
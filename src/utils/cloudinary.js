@@ -46,6 +46,8 @@ const FOLDER_MAP = {
   admin_profile: `${BASE_FOLDER}/admin_profile`,
   customer_profile: `${BASE_FOLDER}/customer_profile`,
   artist_profile: `${BASE_FOLDER}/artist_profile`,
+  artist_portfolio: `${BASE_FOLDER}/artist_portfolio`,
+  artist_kyc: `${BASE_FOLDER}/artist_kyc`,
 };
 
 /**
@@ -121,14 +123,76 @@ export const uploadToCloudinary = async (file, imageType = "category", options =
   }
 };
 
+/**
+ * Portfolio folder for one artist (artist_portfolio/<artistId>)
+ * @param {string} artistId - Artist profile ID
+ */
+export const getPortfolioFolder = (artistId) => `${FOLDER_MAP.artist_portfolio}/${artistId}`;
+
+/**
+ * Upload portfolio media (image, video or audio) into the artist's own folder
+ * Cloudinary stores audio as resource_type "video"
+ * @param {Buffer} file - File buffer
+ * @param {string} artistId - Artist profile ID
+ * @param {string} mimeType - e.g. "video/mp4"
+ * @returns {Promise<Object>} Upload result plus media type and resource type
+ */
+export const uploadPortfolioMedia = async (file, artistId, mimeType) => {
+  const type = mimeType.split("/")[0];
+  const resourceType = type === "image" ? "image" : "video";
+
+  const result = await uploadToCloudinary(file, "artist_portfolio", {
+    mimeType,
+    folder: getPortfolioFolder(artistId),
+    resource_type: resourceType,
+  });
+
+  return { ...result, type, resourceType };
+};
+
+/**
+ * Upload an identity document or selfie as a private ("authenticated") asset
+ * in artist_kyc/<artistId>. Private assets have no public URL - use
+ * getPrivateDocumentUrl to view them.
+ * @param {Buffer} file - File buffer
+ * @param {string} artistId - Artist profile ID
+ * @param {string} mimeType - e.g. "image/jpeg"
+ * @returns {Promise<{ publicId: string, format: string, bytes: number }>}
+ */
+export const uploadPrivateDocument = async (file, artistId, mimeType) => {
+  const result = await uploadToCloudinary(file, "artist_kyc", {
+    mimeType,
+    folder: `${FOLDER_MAP.artist_kyc}/${artistId}`,
+    type: "authenticated",
+  });
+  return { publicId: result.public_id, format: result.format, bytes: result.bytes };
+};
+
+/**
+ * Short-lived signed URL for a private document
+ * @param {string} publicId - Cloudinary public ID
+ * @param {string} format - File format (jpg, png...)
+ * @param {number} expiresInSeconds - Lifetime of the URL
+ */
+export const getPrivateDocumentUrl = (publicId, format, expiresInSeconds = 300) =>
+  cloudinary.utils.private_download_url(publicId, format, {
+    type: "authenticated",
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+  });
+
 /**
  * Delete image from Cloudinary
  * @param {string} publicId - Cloudinary public ID
+ * @param {string} resourceType - "image" (default) or "video" (also used for audio)
+ * @param {string} deliveryType - "upload" (default) or "authenticated" for private documents
  * @returns {Promise<Object>} Deletion result
  */
-export const deleteFromCloudinary = async (publicId) => {
+export const deleteFromCloudinary = async (publicId, resourceType = "image", deliveryType = "upload") => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      type: deliveryType,
+    });
     return {
       success: result.result === "ok",
       result: result.result,
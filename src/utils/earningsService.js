@@ -0,0 +1,362 @@
+/**
+ * Earnings Service
+ * The artist's money view over their payments:
+ * - pending: held in escrow until the customer confirms completion
+ * - available: released to the artist, not yet transferred to their Stripe account
+ * - paidOut: released and transferred (Payment.stripeTransferId)
+ * Payouts are net of the platform commission (Payment.artistPayoutAmount).
+ * Months are calendar months in UTC, keyed "YYYY-MM".
+ */
+import mongoose from "mongoose";
+import PDFDocument from "pdfkit";
+import Payment from "../models/Payment.js";
+import Customer from "../models/Customer.js";
+import { BadRequestError } from "./errors.js";
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// Months included in the dashboard breakdown by default (and at most)
+export const DEFAULT_EARNINGS_MONTHS = 12;
+export const MAX_EARNINGS_MONTHS = 36;
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Older payments may lack the commission fields - derive them like confirmOrderCompletion
+const commissionExpression = {
+  $ifNull: [
+    "$platformCommissionAmount",
+    { $divide: [{ $multiply: ["$amount", { $ifNull: ["$platformCommissionPercent", 15] }] }, 100] },
+  ],
+};
+const payoutExpression = {
+  $ifNull: ["$artistPayoutAmount", { $subtract: ["$amount", commissionExpression] }],
+};
+
+/**
+ * Parse "YYYY-MM" into the month's UTC range
+ * @throws {BadRequestError}
+ */
+export const parseMonth = (month) => {
+  const match = MONTH_PATTERN.exec(String(month || ""));
+  if (!match) {
+    throw new BadRequestError("month must be in YYYY-MM format");
+  }
+  const start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+  const end = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+  return { month: match[0], start, end };
+};
+
+/**
+ * Earnings totals with monthly and per-service breakdowns
+ * @param {string} artistUserId - The artist's User ID (Payment.artist)
+ * @param {Object} options - { months } - how many months back the monthly breakdown goes
+ */
+export const getEarningsSummary = async (artistUserId, { months = DEFAULT_EARNINGS_MONTHS } = {}) => {
+  const monthCount = Math.min(Math.max(parseInt(months, 10) || DEFAULT_EARNINGS_MONTHS, 1), MAX_EARNINGS_MONTHS);
+  const now = new Date();
+  const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (monthCount - 1), 1));
+
+  const artistId = new mongoose.Types.ObjectId(String(artistUserId));
+  const [result] = await Payment.aggregate([
+    { $match: { artist: artistId, status: { $in: ["held", "succeeded"] } } },
+    {
+      $addFields: {
+        commission: commissionExpression,
+        payout: payoutExpression,
+        released: { $eq: ["$releasedToArtist", true] },
+        transferred: { $gt: [{ $ifNull: ["$stripeTransferId", ""] }, ""] },
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              gross: { $sum: "$amount" },
+              commission: { $sum: "$commission" },
+              pending: { $sum: { $cond: ["$released", 0, "$payout"] } },
+              available: {
+                $sum: { $cond: [{ $and: ["$released", { $not: ["$transferred"] }] }, "$payout", 0] },
+              },
+              paidOut: {
+                $sum: { $cond: [{ $and: ["$released", "$transferred"] }, "$payout", 0] },
+              },
+              pendingCount: { $sum: { $cond: ["$released", 0, 1] } },
+              releasedCount: { $sum: { $cond: ["$released", 1, 0] } },
+            },
+          },
+        ],
+        // Released payments by the month they were released
+        byMonth: [
+          { $match: { released: true, releasedAt: { $gte: since } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m", date: "$releasedAt" } },
+              gross: { $sum: "$amount" },
+              commission: { $sum: "$commission" },
+              net: { $sum: "$payout" },
+              bookings: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: -1 } },
+        ],
+        byService: [
+          {
+            $lookup: {
+              from: "bookings",
+              localField: "booking",
+              foreignField: "_id",
+              pipeline: [{ $project: { service: 1, "packageSnapshot.serviceName": 1 } }],
+              as: "booking",
+            },
+          },
+          { $unwind: { path: "$booking", preserveNullAndEmptyArrays: true } },
+          {
+            $group: {
+              _id: {
+                $ifNull: ["$booking.packageSnapshot.serviceName", { $ifNull: ["$booking.service", "Other"] }],
+              },
+              gross: { $sum: "$amount" },
+              commission: { $sum: "$commission" },
+              net: { $sum: "$payout" },
+              pending: { $sum: { $cond: ["$released", 0, "$payout"] } },
+              bookings: { $sum: 1 },
+            },
+          },
+          { $sort: { net: -1 } },
+        ],
+        currencies: [{ $group: { _id: { $toUpper: "$currency" } } }],
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || {};
+
+  // Every month in the range, including the ones without earnings
+  const byMonth = [];
+  for (let i = 0; i < monthCount; i++) {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    const month = date.toISOString().slice(0, 7);
+    const row = result.byMonth.find((entry) => entry._id === month);
+    byMonth.push({
+      month,
+      gross: round(row?.gross),
+      commission: round(row?.commission),
+      net: round(row?.net),
+      bookings: row?.bookings || 0,
+    });
+  }
+
+  return {
+    currency: result.currencies.map((entry) => entry._id).filter(Boolean).join(", ") || "USD",
+    totals: {
+      pending: round(totals.pending),
+      available: round(totals.available),
+      paidOut: round(totals.paidOut),
+      lifetimeNet: round((totals.available || 0) + (totals.paidOut || 0)),
+      gross: round(totals.gross),
+      commission: round(totals.commission),
+      pendingBookings: totals.pendingCount || 0,
+      completedBookings: totals.releasedCount || 0,
+    },
+    byMonth,
+    byService: result.byService.map(({ _id, ...row }) => ({
+      service: _id,
+      gross: round(row.gross),
+      commission: round(row.commission),
+      net: round(row.net),
+      pending: round(row.pending),
+      bookings: row.bookings,
+    })),
+  };
+};
+
+/**
+ * Payments released to an artist in one month
+ * @param {string} artistUserId - The artist's User ID
+ * @param {string} month - "YYYY-MM"
+ * @returns {Promise<Object>} { month, start, end, currency, lines, totals }
+ */
+export const getMonthlyStatement = async (artistUserId, month) => {
+  const period = parseMonth(month);
+
+  const payments = await Payment.find({
+    artist: artistUserId,
+    releasedToArtist: true,
+    status: "succeeded",
+    releasedAt: { $gte: period.start, $lt: period.end },
+  })
+    .populate("booking", "service packageSnapshot.serviceName")
+    .sort({ releasedAt: 1 });
+
+  // Names live on the customer profiles (Payment.customer is the User ID)
+  const customers = await Customer.find({ userId: { $in: payments.map((payment) => payment.customer) } }).select(
+    "userId name"
+  );
+  const customerNames = new Map(customers.map((customer) => [customer.userId.toString(), customer.name]));
+
+  const lines = payments.map((payment) => {
+    const commissionPercent = payment.platformCommissionPercent ?? 15;
+    const commission = payment.platformCommissionAmount ?? (payment.amount * commissionPercent) / 100;
+    return {
+      date: payment.releasedAt.toISOString().slice(0, 10),
+      paymentId: payment._id.toString(),
+      bookingId: payment.booking?._id?.toString() || "",
+      service: payment.booking?.packageSnapshot?.serviceName || payment.booking?.service || "",
+      customer: customerNames.get(payment.customer?.toString()) || "",
+      gross: round(payment.amount),
+      commissionPercent,
+      commission: round(commission),
+      net: round(payment.artistPayoutAmount ?? payment.amount - commission),
+      payoutStatus: payment.stripeTransferId ? "paid_out" : "available",
+    };
+  });
+
+  const sum = (field) => round(lines.reduce((total, line) => total + line[field], 0));
+
+  return {
+    ...period,
+    currency: (payments[0]?.currency || "usd").toUpperCase(),
+    lines,
+    totals: {
+      bookings: lines.length,
+      gross: sum("gross"),
+      commission: sum("commission"),
+      net: sum("net"),
+    },
+  };
+};
+
+// Quote CSV fields that contain separators, quotes or line breaks
+const csvField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a statement as CSV
+ * @param {Object} statement - From getMonthlyStatement
+ * @param {Object} artist - { name }
+ */
+export const statementToCsv = (statement, artist) => {
+  const rows = [
+    ["Artzyra earnings statement"],
+    ["Artist", artist.name],
+    ["Period", statement.month],
+    ["Currency", statement.currency],
+    [],
+    ["Date", "Payment ID", "Booking ID", "Service", "Customer", "Gross", "Commission %", "Commission", "Net", "Payout status"],
+    ...statement.lines.map((line) => [
+      line.date,
+      line.paymentId,
+      line.bookingId,
+      line.service,
+      line.customer,
+      line.gross.toFixed(2),
+      line.commissionPercent,
+      line.commission.toFixed(2),
+      line.net.toFixed(2),
+      line.payoutStatus,
+    ]),
+    [],
+    [
+      "Total",
+      "",
+      "",
+      "",
+      "",
+      statement.totals.gross.toFixed(2),
+      "",
+      statement.totals.commission.toFixed(2),
+      statement.totals.net.toFixed(2),
+      "",
+    ],
+  ];
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n");
+};
+
+/**
+ * Render a statement as a PDF
+ * @param {Object} statement - From getMonthlyStatement
+ * @param {Object} artist - { name }
+ * @returns {Promise<Buffer>}
+ */
+export const statementToPdf = (statement, artist) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const money = (value) => `${statement.currency} ${value.toFixed(2)}`;
+    const columns = [
+      { label: "Date", x: 50, width: 65 },
+      { label: "Service", x: 115, width: 130 },
+      { label: "Customer", x: 245, width: 100 },
+      { label: "Gross", x: 345, width: 70, align: "right" },
+      { label: "Commission", x: 415, width: 70, align: "right" },
+      { label: "Net", x: 485, width: 60, align: "right" },
+    ];
+    const row = (values, options = {}) => {
+      const y = doc.y;
+      doc.font(options.bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+      columns.forEach((column, index) => {
+        doc.text(values[index], column.x, y, {
+          width: column.width,
+          align: column.align || "left",
+          lineBreak: false,
+          ellipsis: true,
+        });
+      });
+      doc.moveDown(0.6);
+    };
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(18).text("Earnings Statement");
+    doc.font("Helvetica").fontSize(10).moveDown(0.5);
+    doc.text(`Artist: ${artist.name}`);
+    const lastDay = new Date(statement.end.getTime() - 1);
+    doc.text(
+      `Period: ${statement.month} (${statement.start.toISOString().slice(0, 10)} to ${lastDay.toISOString().slice(0, 10)}, UTC)`
+    );
+    doc.text(`Generated: ${new Date().toISOString().slice(0, 10)}`);
+    doc.moveDown();
+
+    // Summary
+    doc.font("Helvetica-Bold").fontSize(12).text("Summary");
+    doc.font("Helvetica").fontSize(10);
+    doc.text(`Completed bookings: ${statement.totals.bookings}`);
+    doc.text(`Gross: ${money(statement.totals.gross)}`);
+    doc.text(`Platform commission: ${money(statement.totals.commission)}`);
+    doc.font("Helvetica-Bold").text(`Net earnings: ${money(statement.totals.net)}`);
+    doc.moveDown();
+
+    // Lines
+    doc.font("Helvetica-Bold").fontSize(12).text("Payments", 50);
+    doc.moveDown(0.4);
+    row(columns.map((column) => column.label), { bold: true });
+    if (statement.lines.length === 0) {
+      doc.font("Helvetica").fontSize(9).text("No payments were released this month.", 50);
+    }
+    statement.lines.forEach((line) => {
+      if (doc.y > doc.page.height - 80) {
+        doc.addPage();
+      }
+      row([
+        line.date,
+        line.service,
+        line.customer,
+        line.gross.toFixed(2),
+        `${line.commission.toFixed(2)} (${line.commissionPercent}%)`,
+        line.net.toFixed(2),
+      ]);
+    });
+    if (statement.lines.length > 0) {
+      const { gross, commission, net } = statement.totals;
+      row(["Total", "", "", gross.toFixed(2), commission.toFixed(2), net.toFixed(2)], { bold: true });
+    }
+
+    doc.end();
+  });
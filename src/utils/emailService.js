@@ -105,9 +105,92 @@ const sendBookingNotificationEmail = async (userEmail, userName, bookingDetails)
   return await sendEmail(userEmail, subject, message);
 };
 
+const sendPasswordResetEmail = async (userEmail, resetUrl, expiresInMinutes = 30) => {
+  const subject = 'Password Reset Request - Artzyra Platform';
+  const message = `Hello,\n\nWe received a request to reset the password for your account.\n\nReset your password using the link below (valid for ${expiresInMinutes} minutes, single use):\n${resetUrl}\n\nIf you did not request this, you can safely ignore this email.\n\nBest regards,\nArtzyra Platform`;
+
+  return await sendEmail(userEmail, subject, message);
+};
+
+const sendVerificationEmail = async (userEmail, userName, verifyUrl) => {
+  const subject = 'Verify Your Email - Artzyra Platform';
+  const message = `Hello ${userName || 'there'},\n\nThanks for registering. Please confirm your email address using the link below (valid for 24 hours):\n${verifyUrl}\n\nIf you did not create an account, you can safely ignore this email.\n\nBest regards,\nArtzyra Platform`;
+
+  return await sendEmail(userEmail, subject, message);
+};
+
+const sendAccountLockedEmail = async (userEmail, lockUntil, ipAddress) => {
+  const subject = 'Account Temporarily Locked - Artzyra Platform';
+  const message = `Hello,\n\nYour account was temporarily locked after several failed login attempts${ipAddress ? ` (last attempt from IP ${ipAddress})` : ''}.\n\nYou can try again after ${lockUntil.toUTCString()}.\n\nIf this wasn't you, we recommend resetting your password. Contact support if you need the account unlocked sooner.\n\nBest regards,\nArtzyra Platform`;
+
+  return await sendEmail(userEmail, subject, message);
+};
+
+const sendAccountSuspendedEmail = async (userEmail, userName, reason, suspendedUntil = null) => {
+  const subject = 'Account Suspended - Artzyra Platform';
+  const period = suspendedUntil
+    ? `until ${suspendedUntil.toUTCString()}`
+    : 'until further notice';
+  const message = `Hello ${userName || 'there'},\n\nYour account has been suspended ${period}.\n\nReason: ${reason}\n\nIf you believe this is a mistake, please contact support.\n\nBest regards,\nArtzyra Platform`;
+
+  return await sendEmail(userEmail, subject, message);
+};
+
+const sendAccountReactivatedEmail = async (userEmail, userName) => {
+  const subject = 'Account Reactivated - Artzyra Platform';
+  const message = `Hello ${userName || 'there'},\n\nGood news - your account has been reactivated and you can log in again.\n\nBest regards,\nArtzyra Platform`;
+
+  return await sendEmail(userEmail, subject, message);
+};
+
+const sendAccountBannedEmail = async (userEmail, userName, reason) => {
+  const subject = 'Account Closed - Artzyra Platform';
+  const message = `Hello ${userName || 'there'},\n\nYour account has been permanently closed for violating our terms.\n\nReason: ${reason}\n\nBest regards,\nArtzyra Platform`;
+
+  return await sendEmail(userEmail, subject, message);
+};
+
+const sendArtistUnavailableEmail = async (customerEmail, customerName, artistName, bookingUrl) => {
+  const subject = 'Update on Your Booking - Artzyra Platform';
+  const message = `Hello ${customerName || 'there'},\n\n${artistName || 'The artist'} on one of your bookings is no longer available on Artzyra.\n\nYou can cancel the booking for a full refund of any amount paid, or wait in case the artist returns:\n${bookingUrl}\n\nWe're sorry for the inconvenience.\n\nBest regards,\nArtzyra Platform`;
+
+  return await sendEmail(customerEmail, subject, message);
+};
+
+const sendIdentityVerificationEmail = async (userEmail, userName, isApproved, reason = null) => {
+  const subject = isApproved
+    ? 'Identity Verified - Artzyra Platform'
+    : 'Identity Verification Update - Artzyra Platform';
+  const message = isApproved
+    ? `Hello ${userName || 'there'},\n\nYour identity has been verified. Your profile now shows the verified badge.\n\nBest regards,\nArtzyra Platform`
+    : `Hello ${userName || 'there'},\n\nWe couldn't verify your identity with the documents you sent.\n\nReason: ${reason}\n\nYou can submit new documents from your profile.\n\nBest regards,\nArtzyra Platform`;
+
+  return await sendEmail(userEmail, subject, message);
+};
+
+const sendProfileRevisionEmail = async (userEmail, userName, isApproved, reason = null) => {
+  const subject = isApproved
+    ? 'Profile Changes Approved - Artzyra Platform'
+    : 'Profile Changes Not Approved - Artzyra Platform';
+  const message = isApproved
+    ? `Hello ${userName || 'there'},\n\nThe changes you made to your profile have been approved and are now live.\n\nBest regards,\nArtzyra Platform`
+    : `Hello ${userName || 'there'},\n\nThe changes you made to your profile were not approved, so your profile stays as it was.\n\nReason: ${reason}\n\nYou can edit your profile and submit the changes again.\n\nBest regards,\nArtzyra Platform`;
+
+  return await sendEmail(userEmail, subject, message);
+};
+
 export {
   sendEmail,
   sendApprovalEmail,
   sendBookingNotificationEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendAccountSuspendedEmail,
+  sendAccountReactivatedEmail,
+  sendAccountBannedEmail,
+  sendArtistUnavailableEmail,
+  sendIdentityVerificationEmail,
+  sendProfileRevisionEmail,
 };
 
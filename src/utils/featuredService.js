@@ -0,0 +1,149 @@
+/**
+ * Featured Service
+ * Admin-run placements (FeaturedPlacement) that promote artists on the homepage,
+ * in search results and on category pages. Listings return promoted artists in a
+ * separate promoted list next to the paginated results, marked (promoted: true,
+ * placementId), and each placement counts its impressions and clicks.
+ */
+import mongoose from "mongoose";
+import FeaturedPlacement from "../models/FeaturedPlacement.js";
+import { BadRequestError, NotFoundError } from "./errors.js";
+
+export const PLACEMENT_SLOTS = ["homepage", "search", "category"];
+
+// Promoted artists returned with the first page of a listing
+export const MAX_PROMOTED_RESULTS = 2;
+
+// Artists returned by GET /api/artists/featured by default (and at most)
+export const DEFAULT_FEATURED_LIMIT = 12;
+export const MAX_FEATURED_LIMIT = 24;
+
+/**
+ * Filter for placements running now
+ */
+export const activePlacementQuery = (now = new Date()) => ({
+  isActive: true,
+  startDate: { $lte: now },
+  endDate: { $gt: now },
+});
+
+/**
+ * Placements running now in a slot, highest priority first, one per artist
+ * @param {Object} options - { slot, category }
+ *   category: the category page (category slot) or the category a search is filtered on
+ * @returns {Promise<Array>} Lean FeaturedPlacement objects
+ */
+export const findActivePlacements = async ({ slot, category = null }) => {
+  if (!PLACEMENT_SLOTS.includes(slot)) {
+    throw new BadRequestError(`slot must be one of: ${PLACEMENT_SLOTS.join(", ")}`);
+  }
+  if (category && !mongoose.Types.ObjectId.isValid(String(category))) {
+    throw new BadRequestError("Invalid category id");
+  }
+
+  const query = { ...activePlacementQuery(), slot };
+  if (slot === "category") {
+    if (!category) {
+      throw new BadRequestError("category is required for the category slot");
+    }
+    query.category = category;
+  } else if (slot === "search") {
+    // Untargeted placements, plus those for the category being browsed
+    query.category = category ? { $in: [null, category] } : null;
+  }
+
+  const placements = await FeaturedPlacement.find(query)
+    .sort({ priority: -1, startDate: 1 })
+    .lean();
+
+  const seen = new Set();
+  return placements.filter((placement) => {
+    const artistId = placement.artist.toString();
+    if (seen.has(artistId)) {
+      return false;
+    }
+    seen.add(artistId);
+    return true;
+  });
+};
+
+/**
+ * Promoted artists to show, in placement order and marked
+ * They are kept apart from the organic results so pagination is unaffected
+ * @param {Array} placements - From findActivePlacements (in display order)
+ * @param {Array} candidates - Plain artist objects eligible for promotion (any order)
+ * @param {number} limit - Most promoted artists to show
+ * @returns {{ artists: Array, placementIds: Array }}
+ */
+export const pickPromotedArtists = (placements, candidates, limit = MAX_PROMOTED_RESULTS) => {
+  const byId = new Map(candidates.map((artist) => [artist._id.toString(), artist]));
+  const shown = placements.filter((placement) => byId.has(placement.artist.toString())).slice(0, limit);
+
+  return {
+    artists: shown.map((placement) => ({
+      ...byId.get(placement.artist.toString()),
+      promoted: true,
+      placementId: placement._id,
+    })),
+    placementIds: shown.map((placement) => placement._id),
+  };
+};
+
+/**
+ * Count an impression for each placement shown (fire and forget)
+ * @returns {Promise<void>} Errors are logged, not thrown
+ */
+export const recordPlacementImpressions = (placementIds) => {
+  if (placementIds.length === 0) {
+    return Promise.resolve();
+  }
+  return FeaturedPlacement.updateMany({ _id: { $in: placementIds } }, { $inc: { impressions: 1 } })
+    .then(() => undefined)
+    .catch((error) => {
+      console.error("Failed to record placement impressions:", error.message);
+    });
+};
+
+/**
+ * Count a click on a running placement
+ * @returns {Promise<Object>} The placement, with the artist's slug
+ * @throws {NotFoundError} If the placement doesn't exist or isn't running
+ */
+export const recordPlacementClick = async (placementId) => {
+  if (!mongoose.Types.ObjectId.isValid(String(placementId))) {
+    throw new BadRequestError("Invalid placement id");
+  }
+
+  const placement = await FeaturedPlacement.findOneAndUpdate(
+    { _id: placementId, ...activePlacementQuery() },
+    { $inc: { clicks: 1 } },
+    { new: true }
+  ).populate("artist", "slug");
+  if (!placement) {
+    throw new NotFoundError("Placement");
+  }
+  return placement;
+};
+
+/**
+ * Placement as returned to admins, with its schedule state and click-through rate
+ * @param {Object} placement - FeaturedPlacement document
+ */
+export const formatPlacement = (placement, now = new Date()) => {
+  const { impressions, clicks, isActive, startDate, endDate } = placement;
+  let state = "active";
+  if (!isActive) {
+    state = "inactive";
+  } else if (startDate > now) {
+    state = "scheduled";
+  } else if (endDate <= now) {
+    state = "expired";
+  }
+
+  return {
+    ...placement.toObject(),
+    state,
+    // Percentage with 2 decimals
+    clickThroughRate: impressions > 0 ? Math.round((clicks / impressions) * 10000) / 100 : null,
+  };
+};
@@ -0,0 +1,137 @@
+/**
+ * Geocoder
+ * Turns a city name into coordinates for geo-radius search.
+ * The default provider is an offline table of Sri Lankan cities; another
+ * provider (e.g. a hosted geocoding API) can be plugged in with setGeocoder().
+ * A provider is { name, geocode: async (query) => { lat, lng, label } | null }.
+ */
+import { SRI_LANKA_CITIES } from "../config/sriLankaCities.js";
+import { BadRequestError } from "./errors.js";
+
+const normalize = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Lookup of every city name and alias
+const cityIndex = new Map();
+for (const [name, district, lat, lng, aliases] of SRI_LANKA_CITIES) {
+  const entry = { lat, lng, label: `${name}, ${district}, Sri Lanka` };
+  for (const key of [name, ...aliases]) {
+    cityIndex.set(normalize(key), entry);
+  }
+}
+
+/**
+ * Offline geocoder backed by the Sri Lankan city table
+ * Handles "Colombo 07", "Nugegoda, Colombo" and "Kandy, Sri Lanka"
+ */
+export const offlineGeocoder = {
+  name: "offline",
+  geocode: async (query) => {
+    const candidates = String(query || "")
+      .split(",")
+      .map(normalize)
+      .filter((part) => part && part !== "sri lanka");
+
+    for (const candidate of candidates) {
+      // Postal zones: "colombo 07" -> "colombo"
+      const match = cityIndex.get(candidate) || cityIndex.get(candidate.replace(/\s*\d+$/, ""));
+      if (match) {
+        return { ...match };
+      }
+    }
+    return null;
+  },
+};
+
+let activeGeocoder = offlineGeocoder;
+
+/**
+ * Replace the geocoding provider
+ * @param {Object} provider - { name, geocode } (null restores the offline provider)
+ */
+export const setGeocoder = (provider) => {
+  if (provider && typeof provider.geocode !== "function") {
+    throw new Error("Geocoder provider must implement geocode(query)");
+  }
+  activeGeocoder = provider || offlineGeocoder;
+};
+
+export const getGeocoder = () => activeGeocoder;
+
+/**
+ * Geocode a place name
+ * Falls back to the offline table when a plugged-in provider fails or finds nothing
+ * @param {string} query - City name, optionally with state/district
+ * @returns {Promise<{ lat: number, lng: number, label: string }|null>}
+ */
+export const geocode = async (query) => {
+  if (!query || !String(query).trim()) {
+    return null;
+  }
+
+  if (activeGeocoder !== offlineGeocoder) {
+    try {
+      const result = await activeGeocoder.geocode(query);
+      if (result) {
+        return result;
+      }
+    } catch (error) {
+      console.error(`Geocoder "${activeGeocoder.name}" failed:`, error.message);
+    }
+  }
+
+  return offlineGeocoder.geocode(query);
+};
+
+/**
+ * Validate a { lat, lng } pair
+ * @throws {BadRequestError}
+ */
+export const assertCoordinates = ({ lat, lng }) => {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (
+    lat === "" || lng === "" || lat === null || lng === null ||
+    Number.isNaN(latitude) || Number.isNaN(longitude) ||
+    latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180
+  ) {
+    throw new BadRequestError("Please provide valid coordinates (lat -90..90, lng -180..180)");
+  }
+  return { lat: latitude, lng: longitude };
+};
+
+/**
+ * Parse "lat,lng"; returns null for anything that is not a coordinate pair
+ */
+export const parseCoordinates = (value) => {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value || ""));
+  return match ? assertCoordinates({ lat: match[1], lng: match[2] }) : null;
+};
+
+// GeoJSON stores [longitude, latitude]
+export const toGeoPoint = ({ lat, lng }) => ({ type: "Point", coordinates: [lng, lat] });
+
+/**
+ * Build an artist location with GeoJSON coordinates
+ * Explicit coordinates win; otherwise city/state is geocoded
+ * @param {Object} location - { city, state, country, zipCode, coordinates: { lat, lng } }
+ * @returns {Promise<Object>} Location to store on Artist (geo omitted if the city is unknown)
+ */
+export const resolveArtistLocation = async (location) => {
+  const { coordinates, geo, geoSource, ...address } = location || {};
+
+  if (coordinates) {
+    return { ...address, geo: toGeoPoint(assertCoordinates(coordinates)), geoSource: "manual" };
+  }
+
+  const query = [address.city, address.state].filter(Boolean).join(", ");
+  const result = await geocode(query);
+  if (!result) {
+    return address;
+  }
+  return { ...address, geo: toGeoPoint(result), geoSource: "geocoded" };
+};
@@ -0,0 +1,251 @@
+/**
+ * Identity Verification Service
+ * Artist KYC: artists submit an NIC (front and back) or passport plus a selfie,
+ * admins approve or reject, and approved artists get the public "verified" badge.
+ * Files are private Cloudinary assets; admins see them through signed URLs that
+ * expire after KYC_DOCUMENT_URL_TTL_SECONDS.
+ */
+import crypto from "crypto";
+import Artist from "../models/Artist.js";
+import User from "../models/User.js";
+import IdentityVerification from "../models/IdentityVerification.js";
+import Notification from "../models/Notification.js";
+import { createNotification } from "./helpers.js";
+import { uploadPrivateDocument, getPrivateDocumentUrl, deleteFromCloudinary } from "./cloudinary.js";
+import { sendIdentityVerificationEmail } from "./emailService.js";
+import { BadRequestError, ConflictError, NotFoundError } from "./errors.js";
+
+export const DOCUMENT_TYPES = ["nic", "passport"];
+
+// Lifetime of the signed document links shown to admins
+const DOCUMENT_URL_TTL_SECONDS = parseInt(process.env.KYC_DOCUMENT_URL_TTL_SECONDS, 10) || 300;
+
+// Old NIC: 9 digits + V/X, new NIC: 12 digits; passports: 6-9 letters/digits
+const DOCUMENT_NUMBER_PATTERNS = {
+  nic: /^(\d{9}[VX]|\d{12})$/,
+  passport: /^[A-Z0-9]{6,9}$/,
+};
+
+// Public "verified" badge
+export const isIdentityVerified = (artist) => artist?.identityVerification?.status === "verified";
+
+/**
+ * Validate and normalise a document number (uppercase, no spaces or dashes)
+ * @throws {BadRequestError}
+ */
+export const normalizeDocumentNumber = (documentType, documentNumber) => {
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    throw new BadRequestError(`documentType must be one of: ${DOCUMENT_TYPES.join(", ")}`);
+  }
+  const number = String(documentNumber || "").replace(/[\s-]/g, "").toUpperCase();
+  if (!DOCUMENT_NUMBER_PATTERNS[documentType].test(number)) {
+    throw new BadRequestError(
+      documentType === "nic"
+        ? "Please provide a valid NIC number (e.g., 901234567V or 199012345678)"
+        : "Please provide a valid passport number"
+    );
+  }
+  return number;
+};
+
+// Keyed hash so document numbers can be compared without being stored
+const hashDocumentNumber = (number) =>
+  crypto
+    .createHmac("sha256", process.env.KYC_HASH_SECRET || process.env.JWT_SECRET || "artzyra-kyc")
+    .update(number)
+    .digest("hex");
+
+/**
+ * Submit identity documents for review
+ * @param {Object} artist - Artist document
+ * @param {Object} input - { documentType, documentNumber }
+ * @param {Object} files - multer files: { documentFront: [file], documentBack: [file], selfie: [file] }
+ * @returns {Promise<Object>} IdentityVerification document
+ * @throws {ConflictError} Already verified or a submission is waiting for review
+ */
+export const submitVerification = async (artist, { documentType, documentNumber }, files = {}) => {
+  const status = artist.identityVerification?.status;
+  if (status === "verified") {
+    throw new ConflictError("Your identity is already verified");
+  }
+  if (status === "pending") {
+    throw new ConflictError("Your documents are already waiting for review");
+  }
+
+  const number = normalizeDocumentNumber(documentType, documentNumber);
+
+  // Step 1: Check the required files are there
+  const required = documentType === "nic" ? ["documentFront", "documentBack", "selfie"] : ["documentFront", "selfie"];
+  const missing = required.filter((field) => !files[field]?.[0]);
+  if (missing.length > 0) {
+    throw new BadRequestError(`Please upload: ${missing.join(", ")}`);
+  }
+
+  // Step 2: Upload the files as private assets
+  const uploaded = {};
+  for (const field of ["documentFront", "documentBack", "selfie"]) {
+    const file = files[field]?.[0];
+    if (!file) continue;
+    try {
+      uploaded[field] = await uploadPrivateDocument(file.buffer, artist._id.toString(), file.mimetype);
+    } catch (error) {
+      throw new BadRequestError(error.message);
+    }
+  }
+
+  // Step 3: Record the submission and mark the artist as pending
+  const verification = await IdentityVerification.create({
+    artist: artist._id,
+    user: artist.userId,
+    documentType,
+    documentNumberLast4: number.slice(-4),
+    documentNumberHash: hashDocumentNumber(number),
+    files: uploaded,
+  });
+
+  await Artist.updateOne(
+    { _id: artist._id },
+    {
+      $set: {
+        "identityVerification.status": "pending",
+        "identityVerification.submittedAt": verification.createdAt,
+      },
+      $unset: { "identityVerification.rejectionReason": 1 },
+    }
+  );
+
+  return verification;
+};
+
+/**
+ * Signed, short-lived links to a submission's files (admins only)
+ * @param {Object} verification - IdentityVerification document
+ * @returns {{ expiresInSeconds: number, documentFront?: string, documentBack?: string, selfie?: string }}
+ */
+export const getDocumentLinks = (verification) => {
+  const links = { expiresInSeconds: DOCUMENT_URL_TTL_SECONDS };
+  for (const [field, file] of Object.entries(verification.files?.toObject?.() || verification.files || {})) {
+    if (file?.publicId) {
+      links[field] = getPrivateDocumentUrl(file.publicId, file.format, DOCUMENT_URL_TTL_SECONDS);
+    }
+  }
+  return links;
+};
+
+/**
+ * Delete an artist's submissions and their private files (account deletion)
+ * A submission is only removed once all its files are gone, so a Cloudinary
+ * failure never leaves documents behind without a record of them.
+ * @param {string} artistId - Artist profile ID
+ * @returns {Promise<number>} Number of submissions deleted
+ */
+export const deleteArtistVerifications = async (artistId) => {
+  const verifications = await IdentityVerification.find({ artist: artistId });
+  const removedIds = [];
+
+  for (const verification of verifications) {
+    const files = Object.values(verification.files?.toObject?.() || {}).filter((file) => file?.publicId);
+    try {
+      const results = await Promise.all(
+        files.map((file) => deleteFromCloudinary(file.publicId, "image", "authenticated"))
+      );
+      // "not found" means the file was already removed
+      if (results.every((result) => result.success || result.result === "not found")) {
+        removedIds.push(verification._id);
+      }
+    } catch (error) {
+      console.error("Failed to delete identity documents:", error.message);
+    }
+  }
+
+  if (removedIds.length === 0) {
+    return 0;
+  }
+  const { deletedCount } = await IdentityVerification.deleteMany({ _id: { $in: removedIds } });
+  return deletedCount;
+};
+
+/**
+ * Other artists' submissions made with the same document number
+ * @param {string} verificationId
+ */
+export const findDuplicateSubmissions = async (verificationId) => {
+  const verification = await IdentityVerification.findById(verificationId).select("+documentNumberHash");
+  if (!verification) {
+    return [];
+  }
+  return IdentityVerification.find({
+    documentNumberHash: verification.documentNumberHash,
+    artist: { $ne: verification.artist },
+  })
+    .select("artist status createdAt")
+    .populate("artist", "name slug");
+};
+
+/**
+ * Approve or reject a pending submission
+ * @param {string} verificationId
+ * @param {Object} decision - { approve, reason, adminId }
+ * @returns {Promise<Object>} Updated IdentityVerification document
+ */
+export const reviewVerification = async (verificationId, { approve, reason, adminId }) => {
+  if (!approve && !String(reason || "").trim()) {
+    throw new BadRequestError("Please provide a reason for rejecting the documents");
+  }
+
+  const verification = await IdentityVerification.findById(verificationId);
+  if (!verification) {
+    throw new NotFoundError("Verification");
+  }
+  if (verification.status !== "pending") {
+    throw new ConflictError(`This submission was already ${verification.status}`);
+  }
+
+  const now = new Date();
+  verification.status = approve ? "approved" : "rejected";
+  verification.reviewedBy = adminId;
+  verification.reviewedAt = now;
+  verification.rejectionReason = approve ? undefined : String(reason).trim();
+  await verification.save();
+
+  const artist = await Artist.findByIdAndUpdate(
+    verification.artist,
+    approve
+      ? {
+          $set: { "identityVerification.status": "verified", "identityVerification.verifiedAt": now },
+          $unset: { "identityVerification.rejectionReason": 1 },
+        }
+      : {
+          $set: {
+            "identityVerification.status": "rejected",
+            "identityVerification.rejectionReason": verification.rejectionReason,
+          },
+        },
+    { new: true }
+  );
+
+  // Let the artist know (failures don't undo the decision)
+  if (artist) {
+    await createNotification(
+      Notification,
+      artist.userId,
+      "Artist",
+      "approval_status",
+      approve ? "Identity Verified" : "Identity Verification Rejected",
+      approve
+        ? "Your identity has been verified. Your profile now shows the verified badge."
+        : `Your identity documents were rejected: ${verification.rejectionReason}. You can submit new documents.`
+    );
+
+    const user = await User.findById(verification.user).select("email");
+    if (user) {
+      try {
+        await sendIdentityVerificationEmail(user.email, artist.name, approve, verification.rejectionReason);
+      } catch (error) {
+        console.error("Failed to send identity verification email:", error.message);
+      }
+    }
+  }
+
+  return verification;
+};
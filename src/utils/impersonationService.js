@@ -0,0 +1,209 @@
+/**
+ * Impersonation Service
+ * Lets support admins act as a customer or artist with a short-lived, flagged
+ * token. Every impersonated request is written to the audit log.
+ */
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import Admin from "../models/Admin.js";
+import Impersonation from "../models/Impersonation.js";
+import AuditLog from "../models/AuditLog.js";
+import { generateImpersonationToken } from "../config/jwt.js";
+import { PERMISSIONS, hasPermission } from "../config/permissions.js";
+import { getClientInfo } from "./sessionService.js";
+import { BadRequestError, NotFoundError, UnauthorizedError } from "./errors.js";
+
+/**
+ * Write an audit log entry
+ * Never throws - an audit write failure is logged but must not break the request
+ */
+export const writeAuditLog = async (entry) => {
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error("Failed to write audit log:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Start impersonating a user
+ * @param {Object} req - Express request from the admin (needs userId and sessionId)
+ * @param {string} targetUserId - User to act as
+ * @param {string} reason - Why support needs to act as the user
+ * @param {string} role - Role to act as (defaults to the user's default role)
+ * @returns {Promise<{ token: string, impersonation: Object, targetUser: Object, role: string }>}
+ */
+export const startImpersonation = async (req, targetUserId, reason, role) => {
+  if (!reason || !reason.trim()) {
+    throw new BadRequestError("Please provide a reason for impersonating this user");
+  }
+
+  if (req.impersonator) {
+    throw new BadRequestError("You are already impersonating a user");
+  }
+
+  const targetUser = await User.findById(targetUserId).select("email role roles isActive");
+  if (!targetUser) {
+    throw new NotFoundError("User");
+  }
+
+  // Only customers and artists can be impersonated
+  const actingRole = role || targetUser.role;
+  if (!["customer", "artist"].includes(actingRole) || targetUser.hasRole("admin")) {
+    throw new BadRequestError("Only customer and artist accounts can be impersonated");
+  }
+  if (!targetUser.hasRole(actingRole)) {
+    throw new BadRequestError(
+      `This account does not have the ${actingRole} role. Available roles: ${targetUser.getRoles().join(", ")}`
+    );
+  }
+
+  if (targetUser.isActive === false) {
+    throw new BadRequestError("Cannot impersonate a deactivated account");
+  }
+
+  const clientInfo = getClientInfo(req);
+  const impersonation = new Impersonation({
+    impersonator: req.userId,
+    targetUser: targetUser._id,
+    role: actingRole,
+    session: req.sessionId,
+    reason: reason.trim(),
+    expiresAt: new Date(), // Replaced with the token expiry below
+    ...clientInfo,
+  });
+
+  const token = generateImpersonationToken({
+    id: targetUser._id,
+    role: actingRole,
+    sid: req.sessionId,
+    imp: req.userId,
+    impId: impersonation._id,
+  });
+  impersonation.expiresAt = new Date(jwt.decode(token).exp * 1000);
+  await impersonation.save();
+
+  await writeAuditLog({
+    action: "impersonation_start",
+    impersonation: impersonation._id,
+    actor: req.userId,
+    targetUser: targetUser._id,
+    details: impersonation.reason,
+    ...clientInfo,
+  });
+
+  return { token, impersonation, targetUser, role: actingRole };
+};
+
+/**
+ * Resolve the impersonation behind a decoded impersonation token
+ * Checks it has not ended and that the admin still may impersonate
+ * @param {Object} decoded - Decoded JWT payload (with imp and impId)
+ * @returns {Promise<Object>} Impersonator details to expose on req
+ */
+export const resolveImpersonation = async (decoded) => {
+  const impersonation = await Impersonation.findById(decoded.impId);
+  if (
+    !impersonation ||
+    !impersonation.isActive() ||
+    impersonation.impersonator.toString() !== String(decoded.imp) ||
+    impersonation.targetUser.toString() !== String(decoded.id)
+  ) {
+    throw new UnauthorizedError("Impersonation session has ended. Please start a new one.");
+  }
+
+  const admin = await User.findById(decoded.imp).select("email role isActive");
+  const adminProfile = await Admin.findOne({ userId: decoded.imp }).select("name permissions");
+
+  if (
+    !admin ||
+    admin.role !== "admin" ||
+    admin.isActive === false ||
+    !hasPermission(adminProfile?.permissions, PERMISSIONS.USERS_IMPERSONATE)
+  ) {
+    throw new UnauthorizedError("Impersonation is no longer permitted for this admin.");
+  }
+
+  return {
+    id: admin._id,
+    email: admin.email,
+    name: adminProfile?.name || "",
+    impersonationId: impersonation._id,
+    expiresAt: impersonation.expiresAt,
+  };
+};
+
+/**
+ * Record the request in the audit log once the response has been sent
+ * @param {Object} req - Express request (req.impersonator must be set)
+ * @param {Object} res - Express response
+ */
+export const auditImpersonatedRequest = (req, res) => {
+  res.on("finish", () => {
+    writeAuditLog({
+      action: "impersonated_request",
+      impersonation: req.impersonator.impersonationId,
+      actor: req.impersonator.id,
+      targetUser: req.userId,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      blocked: Boolean(req.impersonationBlocked),
+      ...getClientInfo(req),
+    });
+  });
+};
+
+/**
+ * End an impersonation session
+ * @param {string} impersonationId - Impersonation ID
+ * @param {string} actorId - Admin ending it
+ * @param {string} reason - Why it ended
+ * @returns {Promise<Object|null>} The ended impersonation, or null if it was not active
+ */
+export const endImpersonation = async (impersonationId, actorId, reason = "ended") => {
+  const impersonation = await Impersonation.findOneAndUpdate(
+    { _id: impersonationId, endedAt: { $exists: false } },
+    { endedAt: new Date(), endedReason: reason },
+    { new: true }
+  );
+
+  if (impersonation) {
+    await writeAuditLog({
+      action: "impersonation_end",
+      impersonation: impersonation._id,
+      actor: actorId,
+      targetUser: impersonation.targetUser,
+      details: reason,
+    });
+  }
+
+  return impersonation;
+};
+
+/**
+ * End the impersonation behind an access token whose session was just refreshed
+ * Impersonation tokens share the admin's session, and a refresh hands back the
+ * admin's own token - the impersonation must not stay active behind it.
+ * @param {string} accessToken - Access token sent with the refresh (may have expired)
+ * @param {Object} session - The refreshed session
+ * @returns {Promise<Object|null>} The ended impersonation, if there was one
+ */
+export const endImpersonationOnRefresh = async (accessToken, session) => {
+  if (!accessToken) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+  } catch (error) {
+    return null;
+  }
+  if (!decoded.imp || String(decoded.sid) !== session._id.toString()) {
+    return null;
+  }
+
+  return endImpersonation(decoded.impId, decoded.imp, "session_refreshed");
+};
@@ -0,0 +1,151 @@
+/**
+ * Login Security
+ * Per-account failed-attempt counters with progressive lockout, plus the
+ * login-attempt history. Complements the IP-based authRateLimiter.
+ */
+import User from "../models/User.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import { getClientInfo } from "./sessionService.js";
+import { sendAccountLockedEmail } from "./emailService.js";
+import { TooManyRequestsError } from "./errors.js";
+
+// Failed attempts allowed before the account is locked
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+
+// First lockout lasts 15 minutes, doubling for each consecutive lockout up to 24 hours
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the error returned while an account is locked
+ * @param {Date} lockUntil - When the lock expires
+ */
+export const accountLockedError = (lockUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 60000));
+  return new TooManyRequestsError(
+    `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute(s) or reset your password.`
+  );
+};
+
+/**
+ * Record a login attempt in the history
+ * Never throws - a history write failure must not break login
+ * @param {Object} req - Express request (for IP and user agent)
+ * @param {Object} attempt - { user, email, outcome, lockedUntil }
+ */
+export const recordLoginAttempt = async (req, { user, email, outcome, lockedUntil }) => {
+  try {
+    const clientInfo = getClientInfo(req);
+
+    // Flag successful logins from an IP this account has never signed in from
+    let suspicious = false;
+    if (outcome === "success" && user) {
+      const previousSuccess = await LoginAttempt.exists({ user: user._id, outcome: "success" });
+      if (previousSuccess) {
+        const knownIp = await LoginAttempt.exists({
+          user: user._id,
+          outcome: "success",
+          ipAddress: clientInfo.ipAddress,
+        });
+        suspicious = !knownIp;
+      }
+    }
+
+    return await LoginAttempt.create({
+      user: user?._id,
+      email: email || user?.email,
+      outcome,
+      suspicious,
+      lockedUntil,
+      ...clientInfo,
+    });
+  } catch (error) {
+    console.error("Failed to record login attempt:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Count a failed password or 2FA attempt and lock the account once the limit is reached
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Date|null} lockUntil if this attempt locked the account
+ */
+export const registerFailedLogin = async (user, req) => {
+  // Atomic increment so parallel attempts are all counted
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select("email failedLoginAttempts lockoutCount");
+
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+    return null;
+  }
+
+  const lockoutMs = Math.min(
+    BASE_LOCKOUT_MS * 2 ** (updated.lockoutCount || 0),
+    MAX_LOCKOUT_MS
+  );
+  const lockUntil = new Date(Date.now() + lockoutMs);
+
+  // Only the attempt that crosses the limit applies the lock
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+    {
+      $set: { lockUntil, failedLoginAttempts: 0 },
+      $inc: { lockoutCount: 1 },
+    },
+    { new: true }
+  );
+
+  if (!locked) {
+    return null;
+  }
+
+  const { ipAddress } = getClientInfo(req);
+  const emailResult = await sendAccountLockedEmail(updated.email, lockUntil, ipAddress);
+  if (!emailResult.success) {
+    console.error("Failed to send account locked email:", emailResult.error);
+  }
+
+  return lockUntil;
+};
+
+/**
+ * Record a login for an email with no account and throttle it like a real one
+ * Without this, a locked account (429) and an unknown email (401) would answer
+ * differently and reveal which emails are registered.
+ * @param {Object} req - Express request
+ * @param {string} email - Normalised email
+ * @returns {Promise<Date|null>} lockUntil once the email has used up its attempts
+ */
+export const registerUnknownLogin = async (req, email) => {
+  await recordLoginAttempt(req, { email, outcome: "unknown_account" });
+
+  const attempts = await LoginAttempt.find({
+    email,
+    outcome: "unknown_account",
+    createdAt: { $gte: new Date(Date.now() - BASE_LOCKOUT_MS) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(MAX_FAILED_ATTEMPTS)
+    .select("createdAt");
+
+  if (attempts.length < MAX_FAILED_ATTEMPTS) {
+    return null;
+  }
+  // Locked from the attempt that reached the limit, for the first lockout's duration
+  return new Date(attempts[MAX_FAILED_ATTEMPTS - 1].createdAt.getTime() + BASE_LOCKOUT_MS);
+};
+
+/**
+ * Reset failed-attempt counters and any lock (successful login or admin unlock)
+ * @param {string} userId - User ID
+ */
+export const clearFailedLogins = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
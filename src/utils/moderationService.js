@@ -0,0 +1,242 @@
+/**
+ * Moderation Service
+ * Suspending, reactivating and banning user accounts.
+ * A suspended or banned artist is hidden from listings (Artist.status) and the
+ * customers on their open bookings are told they can cancel for a full refund.
+ */
+import User from "../models/User.js";
+import Customer from "../models/Customer.js";
+import Artist from "../models/Artist.js";
+import Booking from "../models/Booking.js";
+import Notification from "../models/Notification.js";
+import { createNotification } from "./helpers.js";
+import { revokeAllSessions } from "./sessionService.js";
+import {
+  sendAccountSuspendedEmail,
+  sendAccountReactivatedEmail,
+  sendAccountBannedEmail,
+  sendArtistUnavailableEmail,
+} from "./emailService.js";
+import { OPEN_BOOKING_STATUSES } from "./accountService.js";
+import { BadRequestError, NotFoundError } from "./errors.js";
+
+// Artist statuses that make their open bookings cancellable with a full refund
+export const UNAVAILABLE_ARTIST_STATUSES = ["suspended", "banned", "deleted"];
+
+const getDisplayName = async (user) => {
+  const ProfileModel = user.hasRole("artist") ? Artist : Customer;
+  const profile = await ProfileModel.findOne({ userId: user._id }).select("name");
+  return profile?.name || "";
+};
+
+const logEmailFailure = (result, label) => {
+  if (!result.success) {
+    console.error(`Failed to send ${label} email:`, result.error);
+  }
+};
+
+/**
+ * Notify customers with open bookings that their artist is no longer available
+ * @param {Object} artistUser - Artist's User document
+ * @returns {Promise<number>} Number of bookings affected
+ */
+export const notifyArtistOpenBookings = async (artistUser) => {
+  const artistName = await getDisplayName(artistUser);
+  const bookings = await Booking.find({
+    artist: artistUser._id,
+    status: { $in: OPEN_BOOKING_STATUSES },
+  }).populate("customer", "email");
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+
+  for (const booking of bookings) {
+    await createNotification(
+      Notification,
+      booking.customer._id,
+      "Customer",
+      "booking_status",
+      "Artist Unavailable",
+      `${artistName || "The artist"} is no longer available. You can cancel this booking for a full refund.`,
+      booking._id,
+      "Booking"
+    );
+
+    const customerName = await Customer.findOne({ userId: booking.customer._id }).select("name");
+    const emailResult = await sendArtistUnavailableEmail(
+      booking.customer.email,
+      customerName?.name,
+      artistName,
+      `${clientUrl}/bookings/${booking._id}`
+    );
+    logEmailFailure(emailResult, "artist unavailable");
+  }
+
+  return bookings.length;
+};
+
+/**
+ * Suspend a user, optionally until a given date
+ * @param {Object} user - User document
+ * @param {Object} options - { reason, until, adminId }
+ * @returns {Promise<Object>} Summary of side effects
+ */
+export const suspendUser = async (user, { reason, until = null, adminId }) => {
+  user.isActive = false;
+  user.suspension = {
+    reason,
+    suspendedAt: new Date(),
+    suspendedUntil: until || undefined,
+    suspendedBy: adminId,
+  };
+  await user.save({ validateBeforeSave: false });
+
+  const sessionsRevoked = await revokeAllSessions(user._id, "account_suspended");
+
+  let bookingsAffected = 0;
+  if (user.hasRole("artist")) {
+    await Artist.updateOne({ userId: user._id }, { status: "suspended", reason });
+    bookingsAffected = await notifyArtistOpenBookings(user);
+  }
+
+  const emailResult = await sendAccountSuspendedEmail(
+    user.email,
+    await getDisplayName(user),
+    reason,
+    until
+  );
+  logEmailFailure(emailResult, "account suspended");
+
+  return { sessionsRevoked, bookingsAffected };
+};
+
+/**
+ * Lift a suspension and restore access
+ * @param {Object} user - User document
+ * @param {Object} options - { notify } - send the reactivation email (default true)
+ */
+export const reactivateUser = async (user, { notify = true } = {}) => {
+  user.isActive = true;
+  user.suspension = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  // Only artists hidden by a suspension go back to approved
+  if (user.hasRole("artist")) {
+    await Artist.updateOne(
+      { userId: user._id, status: "suspended" },
+      { status: "approved", $unset: { reason: 1 } }
+    );
+  }
+
+  if (notify) {
+    const emailResult = await sendAccountReactivatedEmail(user.email, await getDisplayName(user));
+    logEmailFailure(emailResult, "account reactivated");
+  }
+};
+
+/**
+ * Permanently ban a user
+ * @param {Object} user - User document
+ * @param {Object} options - { reason, adminId }
+ * @returns {Promise<Object>} Summary of side effects
+ */
+export const banUser = async (user, { reason, adminId }) => {
+  user.isActive = false;
+  user.suspension = undefined;
+  user.ban = {
+    reason,
+    bannedAt: new Date(),
+    bannedBy: adminId,
+  };
+  await user.save({ validateBeforeSave: false });
+
+  const sessionsRevoked = await revokeAllSessions(user._id, "account_banned");
+
+  let bookingsAffected = 0;
+  if (user.hasRole("artist")) {
+    await Artist.updateOne({ userId: user._id }, { status: "banned", reason });
+    bookingsAffected = await notifyArtistOpenBookings(user);
+  }
+
+  const emailResult = await sendAccountBannedEmail(user.email, await getDisplayName(user), reason);
+  logEmailFailure(emailResult, "account banned");
+
+  return { sessionsRevoked, bookingsAffected };
+};
+
+/**
+ * Reactivate a user whose timed suspension has ended
+ * Checked at login and by `npm run lift:suspensions`
+ * @param {Object} user - User document
+ * @param {Object} options - { notify } - send the reactivation email (default false)
+ * @returns {Promise<boolean>} Whether the suspension was lifted
+ */
+export const liftExpiredSuspension = async (user, { notify = false } = {}) => {
+  if (user.isActive !== false || user.isBanned() || !user.suspension?.suspendedUntil) {
+    return false;
+  }
+  if (user.isSuspended()) {
+    return false;
+  }
+
+  await reactivateUser(user, { notify });
+  return true;
+};
+
+/**
+ * Users whose timed suspension has ended but who are still inactive
+ * (their artist profile stays hidden until the suspension is lifted)
+ */
+export const findExpiredSuspensions = () =>
+  User.find({
+    isActive: false,
+    "suspension.suspendedUntil": { $lte: new Date() },
+    "ban.bannedAt": { $exists: false },
+  });
+
+/**
+ * Explain why an inactive account cannot sign in
+ * @param {Object} user - User document with isActive false
+ */
+export const getInactiveAccountMessage = (user) => {
+  if (user.isBanned()) {
+    return "Your account has been permanently banned. Please contact support.";
+  }
+  if (user.isSuspended()) {
+    const until = user.suspension.suspendedUntil
+      ? ` until ${user.suspension.suspendedUntil.toUTCString()}`
+      : "";
+    return `Your account is suspended${until}. Reason: ${user.suspension.reason}`;
+  }
+  return "Your account has been deactivated. Please contact support.";
+};
+
+/**
+ * Check whether a booking's artist has been suspended, banned or deleted
+ * @param {string} artistUserId - Booking.artist (User ID)
+ */
+export const isArtistUnavailable = async (artistUserId) => {
+  const artist = await Artist.findOne({ userId: artistUserId }).select("status");
+  return Boolean(artist && UNAVAILABLE_ARTIST_STATUSES.includes(artist.status));
+};
+
+/**
+ * Load a user that an admin is allowed to moderate
+ * @param {string} userId - User ID
+ * @param {string} adminId - Acting admin's User ID
+ */
+export const findModeratableUser = async (userId, adminId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError("User");
+  }
+  if (user._id.toString() === adminId.toString()) {
+    throw new BadRequestError("You cannot moderate your own account");
+  }
+  if (user.hasRole("admin")) {
+    throw new BadRequestError("Admin accounts cannot be suspended or banned");
+  }
+  if (user.deletedAt) {
+    throw new BadRequestError("This account has been deleted");
+  }
+  return user;
+};
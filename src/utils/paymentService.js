@@ -25,7 +25,16 @@ const getStripe = () => {
 export const processPayment = async (paymentData) => {
   const stripe = getStripe();
   try {
-    const { amount, currency = "usd", paymentMethodId, bookingId, customerId, artistId, artistStripeAccountId } = paymentData;
+    const {
+      amount,
+      currency = "usd",
+      paymentMethodId,
+      bookingId,
+      customerId,
+      artistId,
+      artistStripeAccountId,
+      platformFeePercent = 10,
+    } = paymentData;
 
     // Validate required fields
     if (!amount || amount <= 0) {
@@ -48,9 +57,8 @@ export const processPayment = async (paymentData) => {
       hasPaymentMethod: !!paymentMethodId,
     });
 
-    // Calculate platform fee (e.g., 10%)
-    const platformFeePercent = 0.10;
-    const applicationFeeAmount = Math.round(amount * 100 * platformFeePercent);
+    // Calculate platform fee (the artist's plan commission, e.g. 15%)
+    const applicationFeeAmount = Math.round((amount * 100 * platformFeePercent) / 100);
 
     const paymentIntentData = {
       amount: Math.round(amount * 100), // Convert to cents
@@ -59,6 +67,7 @@ export const processPayment = async (paymentData) => {
         bookingId: bookingId.toString(),
         customerId: customerId.toString(),
         artistId: artistId.toString(),
+        platformCommissionPercent: String(platformFeePercent),
       },
       automatic_payment_methods: {
         enabled: true,
@@ -155,3 +164,137 @@ export const verifyPayment = async (transactionId) => {
     };
   }
 };
+
+// Stripe timestamps are in seconds
+const fromStripeTime = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// Subscription fields the app stores (period end moved onto the items in newer API versions)
+const formatSubscription = (subscription) => ({
+  subscriptionId: subscription.id,
+  customerId: typeof subscription.customer === "string" ? subscription.customer : subscription.customer?.id,
+  status: subscription.status,
+  priceId: subscription.items?.data?.[0]?.price?.id,
+  currentPeriodEnd: fromStripeTime(
+    subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end
+  ),
+  cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+  clientSecret: subscription.latest_invoice?.confirmation_secret?.client_secret,
+  metadata: subscription.metadata || {},
+});
+
+/**
+ * Create the Stripe product and monthly price for a subscription plan
+ * Prices can't be edited in Stripe, so a price change creates a new price
+ * @param {Object} plan - { key, name, monthlyPrice, currency, stripeProductId }
+ * @returns {Object} { success, productId, priceId }
+ */
+export const createPlanPrice = async (plan) => {
+  const stripe = getStripe();
+  try {
+    let productId = plan.stripeProductId;
+    if (!productId) {
+      const product = await stripe.products.create({
+        name: `Artzyra ${plan.name}`,
+        metadata: { planKey: plan.key },
+      });
+      productId = product.id;
+    }
+
+    const price = await stripe.prices.create({
+      product: productId,
+      unit_amount: Math.round(plan.monthlyPrice * 100),
+      currency: plan.currency || "usd",
+      recurring: { interval: "month" },
+      metadata: { planKey: plan.key },
+    });
+
+    return { success: true, productId, priceId: price.id };
+  } catch (error) {
+    console.error("Plan price error:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Start a monthly subscription
+ * The first invoice is left open; the client pays it with the returned clientSecret
+ * @param {Object} data - { customerId, email, name, priceId, metadata }
+ *   customerId is the artist's existing Stripe customer, if any
+ * @returns {Object} { success, subscriptionId, customerId, status, currentPeriodEnd, clientSecret }
+ */
+export const createSubscription = async ({ customerId, email, name, priceId, metadata = {} }) => {
+  const stripe = getStripe();
+  try {
+    let stripeCustomerId = customerId;
+    if (!stripeCustomerId) {
+      const customer = await stripe.customers.create({ email, name, metadata });
+      stripeCustomerId = customer.id;
+    }
+
+    const subscription = await stripe.subscriptions.create({
+      customer: stripeCustomerId,
+      items: [{ price: priceId }],
+      payment_behavior: "default_incomplete",
+      payment_settings: { save_default_payment_method: "on_subscription" },
+      expand: ["latest_invoice.confirmation_secret"],
+      metadata,
+    });
+
+    return { success: true, ...formatSubscription(subscription), customerId: stripeCustomerId };
+  } catch (error) {
+    console.error("Subscription error:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Move a subscription to another price (prorated)
+ * @param {string} subscriptionId
+ * @param {string} priceId
+ */
+export const changeSubscriptionPrice = async (subscriptionId, priceId, metadata = {}) => {
+  const stripe = getStripe();
+  try {
+    const current = await stripe.subscriptions.retrieve(subscriptionId);
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      items: [{ id: current.items.data[0].id, price: priceId }],
+      proration_behavior: "create_prorations",
+      cancel_at_period_end: false,
+      metadata,
+    });
+
+    return { success: true, ...formatSubscription(subscription) };
+  } catch (error) {
+    console.error("Subscription change error:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const retrieveSubscription = async (subscriptionId) => {
+  const stripe = getStripe();
+  try {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    return { success: true, ...formatSubscription(subscription) };
+  } catch (error) {
+    console.error("Subscription retrieval error:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Cancel a subscription
+ * @param {string} subscriptionId
+ * @param {Object} options - { atPeriodEnd } - keep it running until the paid period ends
+ */
+export const cancelSubscription = async (subscriptionId, { atPeriodEnd = true } = {}) => {
+  const stripe = getStripe();
+  try {
+    const subscription = atPeriodEnd
+      ? await stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true })
+      : await stripe.subscriptions.cancel(subscriptionId);
+    return { success: true, ...formatSubscription(subscription) };
+  } catch (error) {
+    console.error("Subscription cancellation error:", error);
+    return { success: false, error: error.message };
+  }
+};
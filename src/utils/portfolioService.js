@@ -0,0 +1,165 @@
+/**
+ * Portfolio Service
+ * Validates artist portfolio items (title, description, category, tags,
+ * image/video/audio media, cover image and display order).
+ */
+import mongoose from "mongoose";
+import Category from "../models/Category.js";
+import { getPortfolioFolder, deleteFromCloudinary } from "./cloudinary.js";
+import { BadRequestError } from "./errors.js";
+
+export const MEDIA_TYPES = ["image", "video", "audio"];
+export const MAX_PORTFOLIO_ITEMS = 50;
+const MAX_MEDIA_PER_ITEM = 20;
+const MAX_TAGS = 15;
+
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+const normalizeUrl = (url, label) => {
+  const value = String(url || "").trim();
+  if (!URL_PATTERN.test(value)) {
+    throw new BadRequestError(`${label} must be an http(s) URL`);
+  }
+  return value;
+};
+
+// Only keep Cloudinary IDs from the artist's own folder, so deleting an item
+// can never remove someone else's upload
+const ownPublicId = (publicId, artistId) =>
+  publicId && String(publicId).startsWith(`${getPortfolioFolder(artistId)}/`)
+    ? String(publicId)
+    : undefined;
+
+const normalizeMedia = (media, artistId) => {
+  if (!Array.isArray(media)) {
+    throw new BadRequestError("media must be an array");
+  }
+  if (media.length > MAX_MEDIA_PER_ITEM) {
+    throw new BadRequestError(`A portfolio item can have at most ${MAX_MEDIA_PER_ITEM} media files`);
+  }
+
+  return media.map((item, index) => {
+    if (!MEDIA_TYPES.includes(item?.type)) {
+      throw new BadRequestError(`media[${index}].type must be one of: ${MEDIA_TYPES.join(", ")}`);
+    }
+    return {
+      type: item.type,
+      url: normalizeUrl(item.url, `media[${index}].url`),
+      publicId: ownPublicId(item.publicId, artistId),
+      caption: item.caption ? String(item.caption).trim() : "",
+    };
+  });
+};
+
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    throw new BadRequestError("tags must be an array");
+  }
+  const unique = [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+  if (unique.length > MAX_TAGS) {
+    throw new BadRequestError(`A portfolio item can have at most ${MAX_TAGS} tags`);
+  }
+  return unique;
+};
+
+/**
+ * Validate a portfolio item from a request body
+ * @param {Object} input - { title, description, category, tags, media, coverImage }
+ * @param {Object} options - { artistId, partial } - partial for updates (only given fields)
+ * @returns {Promise<Object>} Fields ready to store on Artist.portfolio
+ * @throws {BadRequestError}
+ */
+export const normalizePortfolioItem = async (input, { artistId, partial = false }) => {
+  const item = {};
+
+  if (!partial || input.title !== undefined) {
+    item.title = input.title ? String(input.title).trim() : "";
+    if (!item.title) {
+      throw new BadRequestError("Portfolio item title is required");
+    }
+  }
+  if (input.description !== undefined) {
+    item.description = input.description ? String(input.description).trim() : "";
+  }
+  if (input.category !== undefined) {
+    if (input.category) {
+      if (!mongoose.Types.ObjectId.isValid(input.category) || !(await Category.exists({ _id: input.category }))) {
+        throw new BadRequestError("Category not found");
+      }
+      item.category = input.category;
+    } else {
+      item.category = null;
+    }
+  }
+  if (input.tags !== undefined) {
+    item.tags = normalizeTags(input.tags);
+  }
+  if (!partial || input.media !== undefined) {
+    item.media = normalizeMedia(input.media || [], artistId);
+    if (item.media.length === 0) {
+      throw new BadRequestError("A portfolio item needs at least one media file");
+    }
+  }
+  if (input.coverImage !== undefined) {
+    const cover = typeof input.coverImage === "string" ? { url: input.coverImage } : input.coverImage;
+    item.coverImage = cover?.url
+      ? { url: normalizeUrl(cover.url, "coverImage"), publicId: ownPublicId(cover.publicId, artistId) }
+      : null;
+  }
+
+  return item;
+};
+
+/**
+ * Keep the cover in step with the media
+ * A cover that was one of the old media files but is gone from the new media
+ * falls back to the first image; a separately uploaded cover is kept
+ * @param {Object} item - Portfolio item after the update
+ * @param {Array} previousMedia - Media before the update
+ */
+export const resolveCoverImage = (item, previousMedia = []) => {
+  const cover = item.coverImage?.url ? item.coverImage : null;
+  const mediaUrls = (item.media || []).map((media) => media.url);
+  const wasMedia = cover && previousMedia.some((media) => media.url === cover.url);
+
+  if (cover && (mediaUrls.includes(cover.url) || !wasMedia)) {
+    return { url: cover.url, publicId: cover.publicId };
+  }
+  const firstImage = (item.media || []).find((media) => media.type === "image");
+  return firstImage ? { url: firstImage.url, publicId: firstImage.publicId } : null;
+};
+
+/**
+ * Portfolio items in display order
+ * @param {Array} portfolio - Artist.portfolio
+ */
+export const sortPortfolio = (portfolio = []) =>
+  [...portfolio].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+/**
+ * Cloudinary assets an item owns (media and cover), for cleanup on delete
+ * @returns {Array<{ publicId: string, resourceType: string }>}
+ */
+export const getItemAssets = (item) => {
+  const assets = (item.media || [])
+    .filter((media) => media.publicId)
+    .map((media) => ({ publicId: media.publicId, resourceType: media.type === "image" ? "image" : "video" }));
+  if (item.coverImage?.publicId && !assets.some((asset) => asset.publicId === item.coverImage.publicId)) {
+    assets.push({ publicId: item.coverImage.publicId, resourceType: "image" });
+  }
+  return assets;
+};
+
+/**
+ * Delete Cloudinary assets (best effort - a failed delete never fails the request)
+ * @param {Array<{ publicId: string, resourceType: string }>} assets
+ */
+export const removePortfolioAssets = async (assets) => {
+  await Promise.all(
+    assets.map(({ publicId, resourceType }) =>
+      deleteFromCloudinary(publicId, resourceType).catch((error) => {
+        console.error(`Failed to delete portfolio asset ${publicId}:`, error.message);
+      })
+    )
+  );
+};
@@ -0,0 +1,236 @@
+/**
+ * Pricing Engine
+ * Computes booking prices on the server from the artist's service tier,
+ * express surcharge, extras, coupons and tax, with an itemised breakdown.
+ * Used by POST /api/bookings/quote and createBooking, so client-sent totals are never used.
+ */
+import Coupon from "../models/Coupon.js";
+import Booking from "../models/Booking.js";
+import {
+  findArtistService,
+  buildPackageSnapshot,
+  buildExtrasSnapshot,
+} from "./servicePackages.js";
+import { BadRequestError, ConflictError } from "./errors.js";
+
+const parsePercent = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) || number < 0 ? fallback : number;
+};
+
+// Express delivery costs this much more and halves the delivery days
+export const EXPRESS_SURCHARGE_PERCENT = parsePercent(process.env.EXPRESS_SURCHARGE_PERCENT, 25);
+
+// Tax added on top of the discounted subtotal (0 disables the tax line)
+export const TAX_RATE_PERCENT = parsePercent(process.env.TAX_RATE_PERCENT, 0);
+const TAX_LABEL = process.env.TAX_LABEL || "VAT";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Find a coupon and check it applies to this order
+ * @throws {BadRequestError} Unknown, expired, used up or not applicable
+ */
+export const findApplicableCoupon = async (code, { subtotal, customerId, artistUserId }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  const now = new Date();
+
+  if (!coupon || !coupon.isActive) {
+    throw new BadRequestError("Invalid coupon code");
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new BadRequestError("This coupon is not active yet");
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new BadRequestError("This coupon has expired");
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new BadRequestError("This coupon has been fully redeemed");
+  }
+  if (coupon.artist && coupon.artist.toString() !== String(artistUserId)) {
+    throw new BadRequestError("This coupon cannot be used with this artist");
+  }
+  if (subtotal < (coupon.minSubtotal || 0)) {
+    throw new BadRequestError(`This coupon needs a minimum order of ${coupon.minSubtotal}`);
+  }
+
+  if (coupon.perCustomerLimit && customerId) {
+    const timesUsed = await Booking.countDocuments({
+      customer: customerId,
+      "pricing.coupon.couponId": coupon._id,
+      status: { $nin: ["cancelled", "declined"] },
+    });
+    if (timesUsed >= coupon.perCustomerLimit) {
+      throw new BadRequestError("You have already used this coupon");
+    }
+  }
+
+  return coupon;
+};
+
+const getCouponDiscount = (coupon, subtotal) => {
+  let discount =
+    coupon.discountType === "percent" ? (subtotal * coupon.value) / 100 : coupon.value;
+  if (coupon.discountType === "percent" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return roundMoney(Math.min(discount, subtotal));
+};
+
+/**
+ * Build an itemised price
+ * @param {Object} input
+ * @param {Object} input.base - { label, amount }
+ * @param {number} input.deliveryDays - Base delivery days (optional)
+ * @param {string} input.urgency - "normal" or "express"
+ * @param {Array} input.extras - Extras snapshot (see buildExtrasSnapshot)
+ * @param {string} input.couponCode - Optional coupon code
+ * @param {string} input.customerId - Customer (User ID), for per-customer coupon limits
+ * @param {string} input.artistUserId - Artist (User ID), for artist-only coupons
+ * @param {string} input.currency - Defaults to LKR
+ * @returns {Promise<Object>} { currency, lines, subtotal, discount, taxRate, tax, total, deliveryDays, coupon }
+ */
+export const calculatePricing = async ({
+  base,
+  deliveryDays,
+  urgency = "normal",
+  extras = [],
+  couponCode,
+  customerId,
+  artistUserId,
+  currency = "LKR",
+}) => {
+  if (!["normal", "express"].includes(urgency)) {
+    throw new BadRequestError("urgency must be normal or express");
+  }
+
+  // Step 1: Base price, express surcharge and extras make the subtotal
+  const lines = [{ type: "base", label: base.label, quantity: 1, unitPrice: base.amount, amount: roundMoney(base.amount) }];
+  let days = deliveryDays;
+
+  if (urgency === "express") {
+    lines.push({
+      type: "urgency",
+      label: `Express delivery (+${EXPRESS_SURCHARGE_PERCENT}%)`,
+      amount: roundMoney((base.amount * EXPRESS_SURCHARGE_PERCENT) / 100),
+    });
+    if (days) {
+      days = Math.max(1, Math.ceil(days / 2));
+    }
+  }
+
+  for (const extra of extras) {
+    lines.push({
+      type: "extra",
+      label: extra.title,
+      quantity: extra.quantity,
+      unitPrice: extra.price,
+      amount: extra.amount,
+    });
+    if (days) {
+      days = Math.max(1, days + extra.deliveryDays);
+    }
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  // Step 2: Coupon discount
+  let discount = 0;
+  let coupon = null;
+  if (couponCode) {
+    coupon = await findApplicableCoupon(couponCode, { subtotal, customerId, artistUserId });
+    discount = getCouponDiscount(coupon, subtotal);
+    lines.push({ type: "discount", label: `Coupon ${coupon.code}`, amount: -discount });
+  }
+
+  // Step 3: Tax on the discounted subtotal
+  const taxable = roundMoney(subtotal - discount);
+  const tax = roundMoney((taxable * TAX_RATE_PERCENT) / 100);
+  if (tax > 0) {
+    lines.push({ type: "tax", label: `${TAX_LABEL} (${TAX_RATE_PERCENT}%)`, amount: tax });
+  }
+
+  return {
+    currency,
+    lines,
+    subtotal,
+    discount,
+    taxRate: TAX_RATE_PERCENT,
+    tax,
+    total: roundMoney(taxable + tax),
+    deliveryDays: days,
+    coupon: coupon ? { couponId: coupon._id, code: coupon.code } : undefined,
+    quotedAt: new Date(),
+  };
+};
+
+/**
+ * Quote a package booking
+ * @param {Object} artistProfile - Artist document
+ * @param {Object} request - { serviceId, service, tier, urgency, extras, couponCode, customerId }
+ * @returns {Promise<{ packageSnapshot: Object, extras: Array, pricing: Object }>}
+ */
+export const quotePackage = async (artistProfile, { serviceId, service, tier, urgency, extras, couponCode, customerId }) => {
+  const artistService = findArtistService(artistProfile, { serviceId, service });
+  if (!artistService) {
+    throw new BadRequestError(
+      `This artist does not offer "${service || serviceId}". Choose one of: ${artistProfile.services.map((s) => s.name).join(", ") || "none"}`
+    );
+  }
+
+  const packageSnapshot = buildPackageSnapshot(artistService, tier || "basic");
+  const extrasSnapshot = buildExtrasSnapshot(artistService, extras);
+  const pricing = await calculatePricing({
+    base: {
+      label: `${packageSnapshot.serviceName} - ${packageSnapshot.name || packageSnapshot.tier}`,
+      amount: packageSnapshot.price,
+    },
+    deliveryDays: packageSnapshot.deliveryDays,
+    urgency,
+    extras: extrasSnapshot,
+    couponCode,
+    customerId,
+    artistUserId: artistProfile.userId,
+    currency: packageSnapshot.currency,
+  });
+
+  return { packageSnapshot, extras: extrasSnapshot, pricing };
+};
+
+/**
+ * Price an approved custom quote (tax applies, no surcharge or coupon)
+ * @param {number} amount - Quote amount set by the artist
+ */
+export const priceCustomQuote = (amount) =>
+  calculatePricing({ base: { label: "Custom quote", amount } });
+
+/**
+ * Count a coupon redemption; fails if the last use was taken meanwhile
+ * @throws {ConflictError}
+ */
+export const redeemCoupon = async (couponId) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!coupon) {
+    throw new ConflictError("This coupon has just been fully redeemed. Please request a new quote.");
+  }
+  return coupon;
+};
+
+/**
+ * Give back a redemption (booking was not created after all)
+ */
+export const releaseCoupon = async (couponId) => {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
@@ -0,0 +1,259 @@
+/**
+ * Profile Revision Service
+ * Approved artists' edits to sensitive fields (name, bio, category, profile image
+ * and prices), their services and new portfolio items are staged as a
+ * ProfileRevision for admin review instead of going live. Other profile fields
+ * still update immediately.
+ */
+import Artist from "../models/Artist.js";
+import Category from "../models/Category.js";
+import User from "../models/User.js";
+import ProfileRevision from "../models/ProfileRevision.js";
+import Notification from "../models/Notification.js";
+import { createNotification } from "./helpers.js";
+import { sendProfileRevisionEmail } from "./emailService.js";
+import { changeArtistSlug, generateUniqueSlug } from "./slugService.js";
+import { getItemAssets, removePortfolioAssets } from "./portfolioService.js";
+import { BadRequestError, ConflictError, NotFoundError } from "./errors.js";
+
+// Fields that need an admin's approval to change
+export const SENSITIVE_PROFILE_FIELDS = ["name", "bio", "category", "profileImage", "hourlyRate", "pricing"];
+
+/**
+ * Whether service and portfolio edits need an admin's approval
+ * Artists who aren't approved yet are reviewed as a whole when they are
+ */
+export const requiresProfileReview = (artist) => artist.status === "approved";
+
+export const findPendingRevision = (artist) =>
+  ProfileRevision.findOne({ artist: artist._id, status: "pending" });
+
+// Comparable form of a field value (ObjectIds and populated refs compare by id)
+const comparable = (field, value) => {
+  if (field === "category") {
+    return value?._id?.toString() ?? value?.toString() ?? null;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const currentValue = (artist, field) => {
+  const value = artist.get(field);
+  if (field === "category") {
+    return value?._id ?? value ?? null;
+  }
+  return value?.toObject ? value.toObject() : value ?? null;
+};
+
+/**
+ * Split a profile update into the part that goes live now and the part to review
+ * Sensitive values equal to the live ones are dropped.
+ * @param {Object} artist - Artist document (current values)
+ * @param {Object} update - Update built by updateProfile
+ * @returns {{ live: Object, staged: Object }}
+ */
+export const splitProfileChanges = (artist, update) => {
+  const live = {};
+  const staged = {};
+  for (const [field, value] of Object.entries(update)) {
+    if (!SENSITIVE_PROFILE_FIELDS.includes(field)) {
+      live[field] = value;
+    } else if (comparable(field, value) !== comparable(field, currentValue(artist, field))) {
+      staged[field] = value;
+    }
+  }
+  return { live, staged };
+};
+
+/**
+ * Copy of the artist to edit services on: the live services, or the proposed ones
+ * if the pending revision already changes them. Stage the result with
+ * stageProfileRevision(artist, { services }).
+ * @param {Object} artist - Artist document
+ * @param {Object|null} revision - Pending ProfileRevision
+ * @returns {Object} Unsaved Artist document
+ */
+export const buildServicesDraft = (artist, revision) => {
+  const draft = Artist.hydrate(artist.toObject());
+  if (revision?.changes?.services) {
+    draft.set("services", revision.changes.services);
+  }
+  return draft;
+};
+
+/**
+ * Stage sensitive changes for review, merging them into the pending revision if there is one
+ * Values are validated now so a revision can always be applied.
+ * @param {Object} artist - Artist document
+ * @param {Object} staged - From splitProfileChanges, or { services } (the full proposed list)
+ *   or { portfolioAdditions } (every new item waiting for review)
+ * @returns {Promise<Object>} The pending ProfileRevision
+ */
+export const stageProfileRevision = async (artist, staged) => {
+  if (staged.category && !(await Category.exists({ _id: staged.category }))) {
+    throw new NotFoundError("Category");
+  }
+
+  // Step 1: Validate against the schema without touching the live profile
+  const { portfolioAdditions, ...fields } = staged;
+  const draft = Artist.hydrate(artist.toObject());
+  draft.set(fields);
+  if (portfolioAdditions) {
+    draft.portfolio.push(...portfolioAdditions);
+  }
+  const error = draft.validateSync([...Object.keys(fields), ...(portfolioAdditions ? ["portfolio"] : [])]);
+  if (error) {
+    throw error;
+  }
+
+  // Step 2: Merge into the pending revision (or start one)
+  const previous = Object.fromEntries(
+    Object.keys(staged).map((field) => [field, currentValue(artist, field)])
+  );
+  const revision = await ProfileRevision.findOne({ artist: artist._id, status: "pending" });
+  if (revision) {
+    revision.changes = { ...revision.changes, ...staged };
+    revision.previous = { ...revision.previous, ...previous };
+    revision.submittedAt = new Date();
+    revision.markModified("changes");
+    revision.markModified("previous");
+    return revision.save();
+  }
+
+  return ProfileRevision.create({
+    artist: artist._id,
+    user: artist.userId,
+    changes: staged,
+    previous,
+  });
+};
+
+/**
+ * Delete uploads that only staged portfolio items use, once their revision is dropped
+ * @param {Object} revision - Rejected or withdrawn ProfileRevision
+ * @param {Object} artist - Artist document (live portfolio)
+ */
+export const discardStagedPortfolioAssets = async (revision, artist) => {
+  const liveIds = new Set(artist.portfolio.flatMap(getItemAssets).map((asset) => asset.publicId));
+  const assets = (revision.changes?.portfolioAdditions || [])
+    .flatMap(getItemAssets)
+    .filter((asset) => !liveIds.has(asset.publicId));
+  await removePortfolioAssets(assets);
+};
+
+/**
+ * Field-by-field comparison of a revision with the live profile (admin diff view)
+ * Categories are shown with their names.
+ * @param {Object} revision - ProfileRevision document
+ * @param {Object} artist - Artist document (live values)
+ * @returns {Promise<Array<{ field: string, current: *, proposed: * }>>}
+ */
+export const buildRevisionDiff = async (revision, artist) => {
+  const changes = revision.changes || {};
+  const diff = Object.keys(changes).map((field) => ({
+    field,
+    current: artist ? currentValue(artist, field) : revision.previous?.[field] ?? null,
+    proposed: changes[field],
+  }));
+
+  const categoryRow = diff.find((row) => row.field === "category");
+  if (categoryRow) {
+    const categories = await Category.find({
+      _id: { $in: [categoryRow.current, categoryRow.proposed].filter(Boolean) },
+    }).select("name type");
+    const describe = (id) => {
+      const category = categories.find((c) => c._id.toString() === id?.toString());
+      return id ? { _id: id, name: category?.name || null, type: category?.type || null } : null;
+    };
+    categoryRow.current = describe(categoryRow.current);
+    categoryRow.proposed = describe(categoryRow.proposed);
+  }
+
+  return diff;
+};
+
+/**
+ * Approve or reject a pending revision
+ * Approving applies the changes (category also sets artistType; a new name
+ * regenerates a non-custom slug; new portfolio items go to the end). Rejecting
+ * deletes uploads only the new portfolio items used.
+ * @param {string} revisionId
+ * @param {Object} decision - { approve, reason, adminId }
+ * @returns {Promise<Object>} Updated ProfileRevision document
+ */
+export const reviewProfileRevision = async (revisionId, { approve, reason, adminId }) => {
+  if (!approve && !String(reason || "").trim()) {
+    throw new BadRequestError("Please provide a reason for rejecting the changes");
+  }
+
+  const revision = await ProfileRevision.findById(revisionId);
+  if (!revision) {
+    throw new NotFoundError("Profile revision");
+  }
+  if (revision.status !== "pending") {
+    throw new ConflictError(`This revision was already ${revision.status}`);
+  }
+
+  const artist = await Artist.findById(revision.artist);
+  if (!artist) {
+    throw new NotFoundError("Artist");
+  }
+
+  // Step 1: Apply the changes to the live profile
+  if (approve) {
+    const { portfolioAdditions, ...changes } = revision.changes;
+    if (changes.category) {
+      const category = await Category.findById(changes.category);
+      if (!category) {
+        throw new ConflictError("The proposed category no longer exists. Reject the revision instead");
+      }
+      if (category.type) {
+        changes.artistType = category.type;
+      }
+    }
+
+    const nameChanged = changes.name && changes.name !== artist.name;
+    artist.set(changes);
+    if (portfolioAdditions?.length) {
+      let order = artist.portfolio.reduce((max, item) => Math.max(max, item.order ?? 0), -1);
+      artist.portfolio.push(...portfolioAdditions.map((item) => ({ ...item, order: ++order })));
+    }
+    // Generated slugs follow the name (the old one keeps redirecting); vanity slugs are kept
+    if (nameChanged && !artist.slugIsCustom) {
+      await changeArtistSlug(artist, await generateUniqueSlug(changes.name, { excludeArtistId: artist._id }));
+    }
+    await artist.save();
+  }
+
+  // Step 2: Close the revision
+  revision.status = approve ? "approved" : "rejected";
+  revision.reviewedBy = adminId;
+  revision.reviewedAt = new Date();
+  revision.rejectionReason = approve ? undefined : String(reason).trim();
+  await revision.save();
+  if (!approve) {
+    await discardStagedPortfolioAssets(revision, artist);
+  }
+
+  // Step 3: Let the artist know (failures don't undo the decision)
+  await createNotification(
+    Notification,
+    artist.userId,
+    "Artist",
+    "approval_status",
+    approve ? "Profile Changes Approved" : "Profile Changes Not Approved",
+    approve
+      ? "Your profile changes have been approved and are now live."
+      : `Your profile changes were not approved: ${revision.rejectionReason}`
+  );
+
+  const user = await User.findById(artist.userId).select("email");
+  if (user) {
+    try {
+      await sendProfileRevisionEmail(user.email, artist.name, approve, revision.rejectionReason);
+    } catch (error) {
+      console.error("Failed to send profile revision email:", error.message);
+    }
+  }
+
+  return revision;
+};
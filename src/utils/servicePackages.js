@@ -0,0 +1,249 @@
+/**
+ * Service Packages
+ * Artists can offer up to three tiers (basic/standard/premium) per service,
+ * each with its own price, delivery days, revision limit and features.
+ * Services can also sell paid extras on top of any tier.
+ * Bookings snapshot the chosen tier and extras so later edits don't change agreed terms.
+ */
+import mongoose from "mongoose";
+import { BadRequestError } from "./errors.js";
+
+export const PACKAGE_TIERS = ["basic", "standard", "premium"];
+
+// Revisions included when a service has no tiers (matches Booking.revisionCount default)
+export const DEFAULT_REVISION_LIMIT = 3;
+
+const MAX_FEATURES = 10;
+const MAX_EXTRAS = 10;
+const MAX_EXTRA_QUANTITY = 10;
+
+const toPositiveNumber = (value, label, { min = 0, integer = false } = {}) => {
+  const number = Number(value);
+  if (value === undefined || value === null || value === "" || Number.isNaN(number) || number < min) {
+    throw new BadRequestError(`${label} must be a number of at least ${min}`);
+  }
+  if (integer && !Number.isInteger(number)) {
+    throw new BadRequestError(`${label} must be a whole number`);
+  }
+  return number;
+};
+
+const normalizePackage = (pkg, serviceName) => {
+  const label = `${serviceName} (${pkg?.tier || "package"})`;
+  if (!pkg || !PACKAGE_TIERS.includes(pkg.tier)) {
+    throw new BadRequestError(`Package tier must be one of: ${PACKAGE_TIERS.join(", ")}`);
+  }
+
+  const features = Array.isArray(pkg.features)
+    ? pkg.features.map((f) => String(f).trim()).filter(Boolean)
+    : [];
+  if (features.length > MAX_FEATURES) {
+    throw new BadRequestError(`${label}: at most ${MAX_FEATURES} features`);
+  }
+
+  return {
+    tier: pkg.tier,
+    name: pkg.name ? String(pkg.name).trim() : "",
+    description: pkg.description ? String(pkg.description).trim() : "",
+    price: toPositiveNumber(pkg.price, `${label} price`, { min: 1 }),
+    deliveryTime: toPositiveNumber(pkg.deliveryTime, `${label} delivery time`, { min: 1, integer: true }),
+    revisions: pkg.revisions === undefined || pkg.revisions === ""
+      ? DEFAULT_REVISION_LIMIT
+      : toPositiveNumber(pkg.revisions, `${label} revisions`, { integer: true }),
+    features,
+  };
+};
+
+// An extra keeps its _id on update so quotes and bookings still point at it
+const normalizeExtra = (extra, serviceName) => {
+  const title = extra?.title ? String(extra.title).trim() : "";
+  if (!title) {
+    throw new BadRequestError(`${serviceName}: every extra needs a title`);
+  }
+  const label = `${serviceName} extra "${title}"`;
+
+  const deliveryDays = Number(extra.deliveryDays ?? 0);
+  if (!Number.isInteger(deliveryDays)) {
+    throw new BadRequestError(`${label} delivery days must be a whole number`);
+  }
+
+  const normalized = {
+    title,
+    description: extra.description ? String(extra.description).trim() : "",
+    price: toPositiveNumber(extra.price, `${label} price`, { min: 1 }),
+    deliveryDays,
+    revisions: extra.revisions === undefined || extra.revisions === ""
+      ? 0
+      : toPositiveNumber(extra.revisions, `${label} revisions`, { integer: true }),
+    maxQuantity: extra.maxQuantity === undefined || extra.maxQuantity === ""
+      ? 1
+      : toPositiveNumber(extra.maxQuantity, `${label} max quantity`, { min: 1, integer: true }),
+  };
+  if (normalized.maxQuantity > MAX_EXTRA_QUANTITY) {
+    throw new BadRequestError(`${label}: max quantity is ${MAX_EXTRA_QUANTITY}`);
+  }
+  if (extra._id && mongoose.Types.ObjectId.isValid(extra._id)) {
+    normalized._id = extra._id;
+  }
+  return normalized;
+};
+
+/**
+ * Validate a service (with optional packages and extras) from a request body
+ * With packages, price/deliveryTime are the cheapest/fastest tier ("from" values)
+ * @param {Object} input - { name, description, currency, price, deliveryTime, packages, extras }
+ * @returns {Object} Service ready to store on Artist.services
+ * @throws {BadRequestError}
+ */
+export const normalizeService = (input) => {
+  const name = input?.name ? String(input.name).trim() : "";
+  if (!name) {
+    throw new BadRequestError("Service name is required");
+  }
+
+  const rawPackages = Array.isArray(input.packages) ? input.packages : [];
+  if (rawPackages.length > PACKAGE_TIERS.length) {
+    throw new BadRequestError(`A service can have at most ${PACKAGE_TIERS.length} packages`);
+  }
+
+  const packages = rawPackages
+    .map((pkg) => normalizePackage(pkg, name))
+    .sort((a, b) => PACKAGE_TIERS.indexOf(a.tier) - PACKAGE_TIERS.indexOf(b.tier));
+
+  if (new Set(packages.map((pkg) => pkg.tier)).size !== packages.length) {
+    throw new BadRequestError(`${name}: each package tier can only be used once`);
+  }
+
+  const rawExtras = Array.isArray(input.extras) ? input.extras : [];
+  if (rawExtras.length > MAX_EXTRAS) {
+    throw new BadRequestError(`A service can have at most ${MAX_EXTRAS} extras`);
+  }
+  const extras = rawExtras.map((extra) => normalizeExtra(extra, name));
+  if (new Set(extras.map((extra) => extra.title.toLowerCase())).size !== extras.length) {
+    throw new BadRequestError(`${name}: extra titles must be unique`);
+  }
+
+  const service = {
+    name,
+    description: input.description ? String(input.description).trim() : "",
+    currency: input.currency || "LKR",
+    packages,
+    extras,
+  };
+
+  if (packages.length > 0) {
+    service.price = Math.min(...packages.map((pkg) => pkg.price));
+    service.deliveryTime = Math.min(...packages.map((pkg) => pkg.deliveryTime));
+  } else {
+    service.price = toPositiveNumber(input.price, `${name} price`, { min: 1 });
+    service.deliveryTime = toPositiveNumber(input.deliveryTime, `${name} delivery time`, { min: 1, integer: true });
+  }
+
+  return service;
+};
+
+/**
+ * Find a service on an artist by ID, falling back to its name
+ * @param {Object} artist - Artist document
+ * @param {Object} selector - { serviceId, service } (service = name)
+ * @returns {Object|null} Service subdocument
+ */
+export const findArtistService = (artist, { serviceId, service }) => {
+  if (serviceId) {
+    return mongoose.Types.ObjectId.isValid(serviceId) ? artist.services.id(serviceId) : null;
+  }
+  const name = String(service || "").trim().toLowerCase();
+  return artist.services.find((s) => s.name.toLowerCase() === name) || null;
+};
+
+/**
+ * Snapshot of the tier a customer picked, stored on Booking.packageSnapshot
+ * A service without tiers is sold as a single basic package
+ * @param {Object} artistService - Service subdocument
+ * @param {string} tier - basic/standard/premium
+ * @throws {BadRequestError} Tier not offered
+ */
+export const buildPackageSnapshot = (artistService, tier = "basic") => {
+  const packages = artistService.packages || [];
+
+  let pkg;
+  if (packages.length === 0) {
+    if (tier !== "basic") {
+      throw new BadRequestError(`"${artistService.name}" only has a basic package`);
+    }
+    pkg = {
+      tier: "basic",
+      name: "",
+      description: artistService.description,
+      price: artistService.price,
+      deliveryTime: artistService.deliveryTime,
+      revisions: DEFAULT_REVISION_LIMIT,
+      features: [],
+    };
+  } else {
+    pkg = packages.find((p) => p.tier === tier);
+    if (!pkg) {
+      throw new BadRequestError(
+        `"${artistService.name}" has no ${tier} package. Available: ${packages.map((p) => p.tier).join(", ")}`
+      );
+    }
+  }
+
+  return {
+    serviceId: artistService._id,
+    serviceName: artistService.name,
+    tier: pkg.tier,
+    name: pkg.name,
+    description: pkg.description,
+    price: pkg.price,
+    currency: artistService.currency || "LKR",
+    deliveryDays: pkg.deliveryTime,
+    revisions: pkg.revisions,
+    features: [...(pkg.features || [])],
+  };
+};
+
+/**
+ * Snapshot the extras a customer picked, stored on Booking.extras
+ * @param {Object} artistService - Service subdocument
+ * @param {Array} requested - Extra IDs, or [{ extraId, quantity }]
+ * @returns {Array} [{ extraId, title, price, quantity, amount, deliveryDays, revisions }]
+ * @throws {BadRequestError} Unknown extra or quantity out of range
+ */
+export const buildExtrasSnapshot = (artistService, requested = []) => {
+  if (!Array.isArray(requested)) {
+    throw new BadRequestError("extras must be an array");
+  }
+
+  const seen = new Set();
+  return requested.map((item) => {
+    const extraId = item?.extraId ?? item;
+    const extra = mongoose.Types.ObjectId.isValid(extraId)
+      ? (artistService.extras || []).find((e) => e._id.equals(extraId))
+      : null;
+    if (!extra) {
+      throw new BadRequestError(`"${artistService.name}" has no extra with ID ${extraId}`);
+    }
+    if (seen.has(extra._id.toString())) {
+      throw new BadRequestError(`Extra "${extra.title}" was selected more than once`);
+    }
+    seen.add(extra._id.toString());
+
+    const quantity = Number(item?.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > (extra.maxQuantity || 1)) {
+      throw new BadRequestError(
+        `Quantity for "${extra.title}" must be between 1 and ${extra.maxQuantity || 1}`
+      );
+    }
+
+    return {
+      extraId: extra._id,
+      title: extra.title,
+      price: extra.price,
+      quantity,
+      amount: Math.round(extra.price * quantity * 100) / 100,
+      deliveryDays: (extra.deliveryDays || 0) * quantity,
+      revisions: (extra.revisions || 0) * quantity,
+    };
+  });
+};
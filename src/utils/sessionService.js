@@ -0,0 +1,230 @@
+/**
+ * Session Service
+ * Issues short-lived access tokens plus rotating refresh tokens persisted in the
+ * Session collection, and handles cookie management and revocation
+ */
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import { generateAccessToken } from "../config/jwt.js";
+import { generateSecureToken, hashToken } from "./tokens.js";
+import { UnauthorizedError } from "./errors.js";
+
+// Refresh tokens (and their sessions) live for 30 days by default
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const getCookieBaseOptions = () => {
+  // Localhost: secure: false, sameSite: "lax"
+  // Production: secure: true, sameSite: "none"
+  const isProduction = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? "none" : "lax",
+  };
+};
+
+export const getClientInfo = (req) => ({
+  userAgent: (req.headers["user-agent"] || "").substring(0, 512),
+  ipAddress: req.ip || req.headers["x-forwarded-for"] || "",
+});
+
+export const signAccessToken = (user, session) => {
+  return generateAccessToken({
+    id: user._id,
+    role: session.activeRole || user.role,
+    sid: session._id,
+  });
+};
+
+/**
+ * Create a new session for a user (login)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for device info)
+ * @param {string} activeRole - Role to act as on this session (defaults to user.role)
+ * @returns {Promise<Object>} { accessToken, refreshToken, session }
+ */
+export const createSession = async (user, req, activeRole = user.role) => {
+  const refreshToken = generateSecureToken(48);
+
+  const session = await Session.create({
+    user: user._id,
+    activeRole,
+    refreshTokenHash: hashToken(refreshToken),
+    ...getClientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return {
+    accessToken: signAccessToken(user, session),
+    refreshToken,
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * The presented refresh token is invalidated (rotation). Presenting an already
+ * rotated token is treated as theft and revokes the whole session.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request
+ * @param {Function} loadUser - async (userId) => User document
+ * @returns {Promise<Object>} { accessToken, refreshToken, session, user }
+ */
+export const rotateSession = async (refreshToken, req, loadUser) => {
+  if (!refreshToken) {
+    throw new UnauthorizedError("Refresh token is required. Please log in again.");
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    // Reuse of a rotated token - revoke the session it belonged to
+    const reusedSession = await Session.findOne({
+      previousRefreshTokenHash: tokenHash,
+      revokedAt: { $exists: false },
+    });
+    if (reusedSession) {
+      reusedSession.revokedAt = new Date();
+      reusedSession.revokedReason = "refresh_token_reuse";
+      await reusedSession.save();
+    }
+    throw new UnauthorizedError("Invalid refresh token. Please log in again.");
+  }
+
+  if (!session.isActive()) {
+    throw new UnauthorizedError("Session has expired or was revoked. Please log in again.");
+  }
+
+  const user = await loadUser(session.user);
+  if (!user || user.isActive === false || !user.hasRole(session.activeRole || user.role)) {
+    session.revokedAt = new Date();
+    session.revokedReason = "user_inactive";
+    await session.save();
+    throw new UnauthorizedError("User not found or deactivated. Please log in again.");
+  }
+
+  const newRefreshToken = generateSecureToken(48);
+  session.previousRefreshTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = new Date();
+  Object.assign(session, getClientInfo(req));
+  await session.save();
+
+  return {
+    accessToken: signAccessToken(user, session),
+    refreshToken: newRefreshToken,
+    session,
+    user,
+  };
+};
+
+/**
+ * Switch the role a session acts as and issue a matching access token
+ * @param {string} sessionId - Session ID
+ * @param {Object} user - User document (must hold the role)
+ * @param {string} role - Role to switch to
+ * @returns {Promise<Object>} { accessToken, session }
+ */
+export const switchSessionRole = async (sessionId, user, role) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: user._id, revokedAt: { $exists: false } },
+    { activeRole: role },
+    { new: true }
+  );
+  if (!session || !session.isActive()) {
+    throw new UnauthorizedError("Session has expired or was revoked. Please log in again.");
+  }
+
+  return {
+    accessToken: signAccessToken(user, session),
+    session,
+  };
+};
+
+/**
+ * Revoke a single session
+ * @returns {Promise<Object|null>} The revoked session, or null if not found
+ */
+export const revokeSession = async (sessionId, userId, reason = "logout") => {
+  return await Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} exceptSessionId - Optional session to keep (e.g. current device)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason = "revoked", exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Check that the session referenced by an access token is still valid
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<boolean>}
+ */
+export const isSessionValid = async (decoded) => {
+  if (!decoded?.sid) {
+    return false;
+  }
+  const session = await Session.findById(decoded.sid);
+  // Impersonation tokens ride on the impersonating admin's session
+  const sessionOwner = decoded.imp || decoded.id;
+  return !!session && session.isActive() && session.user.toString() === String(sessionOwner);
+};
+
+/**
+ * Set the access token cookie (expires with the token)
+ */
+export const setAccessTokenCookie = (res, accessToken) => {
+  const { exp } = jwt.decode(accessToken);
+
+  res.cookie("token", accessToken, {
+    ...getCookieBaseOptions(),
+    path: "/",
+    maxAge: Math.max(exp * 1000 - Date.now(), 0),
+  });
+};
+
+/**
+ * Set access and refresh token cookies
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken, session }) => {
+  const baseOptions = getCookieBaseOptions();
+
+  setAccessTokenCookie(res, accessToken);
+  res.cookie("refreshToken", refreshToken, {
+    ...baseOptions,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: Math.max(session.expiresAt.getTime() - Date.now(), 0),
+  });
+};
+
+/**
+ * Clear access and refresh token cookies
+ */
+export const clearAuthCookies = (res) => {
+  const baseOptions = getCookieBaseOptions();
+  res.cookie("token", "", { ...baseOptions, path: "/", maxAge: 0 });
+  res.cookie("refreshToken", "", { ...baseOptions, path: REFRESH_COOKIE_PATH, maxAge: 0 });
+};
@@ -0,0 +1,157 @@
+/**
+ * Slug Service
+ * Human-readable public profile URLs for artists (/api/artists/kasun-perera).
+ * Slugs are generated from the artist name, or chosen by the artist (vanity slug).
+ * Old slugs are kept in Artist.slugHistory and redirect to the current one, so a
+ * slug stays taken for as long as it is in anyone's history.
+ */
+import Artist from "../models/Artist.js";
+import { BadRequestError, ConflictError } from "./errors.js";
+
+export const SLUG_MIN_LENGTH = 3;
+export const SLUG_MAX_LENGTH = 50;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/;
+
+// Old slugs kept per artist (the oldest is released when this is exceeded)
+const MAX_SLUG_HISTORY = 20;
+
+// Path segments used by /api/artists routes - a slug must never shadow them
+export const RESERVED_SLUGS = new Set([
+  "admin",
+  "analytics",
+  "api",
+  "approve",
+  "availability",
+  "bookings",
+  "earnings",
+  "featured",
+  "me",
+  "new",
+  "pending",
+  "profile",
+  "reject",
+  "reviews",
+  "search",
+  "services",
+  "settings",
+  "subscription",
+  "vacation",
+]);
+
+/**
+ * Turn a name into a slug ("Kasun Perera!" -> "kasun-perera")
+ * Names with no Latin letters or digits (e.g. Sinhala or Tamil) fall back to "artist"
+ * @param {string} value
+ */
+export const slugify = (value) => {
+  const slug = String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/-+$/, "");
+  return slug.length >= SLUG_MIN_LENGTH ? slug : `artist${slug ? `-${slug}` : ""}`;
+};
+
+// Whether a string has the shape of a slug (used by the public route matcher)
+export const isSlugLike = (value) =>
+  SLUG_PATTERN.test(value) && value.length <= SLUG_MAX_LENGTH && !OBJECT_ID_PATTERN.test(value);
+
+/**
+ * Check whether a slug is used by another artist (current or in history)
+ * @param {string} slug
+ * @param {string} excludeArtistId - The artist asking (their own slugs don't count)
+ */
+export const isSlugTaken = async (slug, excludeArtistId) => {
+  const query = { $or: [{ slug }, { "slugHistory.slug": slug }] };
+  if (excludeArtistId) {
+    query._id = { $ne: excludeArtistId };
+  }
+  return Boolean(await Artist.exists(query));
+};
+
+/**
+ * Generate a free slug from a name, adding -2, -3... on collisions
+ * @param {string} name - Artist name
+ * @param {Object} options - { excludeArtistId }
+ */
+export const generateUniqueSlug = async (name, { excludeArtistId } = {}) => {
+  const base = slugify(name);
+
+  for (let attempt = 1; attempt <= 50; attempt++) {
+    const suffix = attempt === 1 ? "" : `-${attempt}`;
+    const candidate = `${base.slice(0, SLUG_MAX_LENGTH - suffix.length).replace(/-+$/, "")}${suffix}`;
+    if (!RESERVED_SLUGS.has(candidate) && !(await isSlugTaken(candidate, excludeArtistId))) {
+      return candidate;
+    }
+  }
+
+  // Very common names - fall back to a random suffix
+  const random = `-${Math.random().toString(36).slice(2, 8)}`;
+  return `${base.slice(0, SLUG_MAX_LENGTH - random.length).replace(/-+$/, "")}${random}`;
+};
+
+/**
+ * Validate a vanity slug chosen by an artist
+ * @returns {string} Normalised slug
+ * @throws {BadRequestError}
+ */
+export const normalizeVanitySlug = (value) => {
+  const slug = String(value || "").trim().toLowerCase();
+  if (slug.length < SLUG_MIN_LENGTH || slug.length > SLUG_MAX_LENGTH) {
+    throw new BadRequestError(`Slug must be ${SLUG_MIN_LENGTH}-${SLUG_MAX_LENGTH} characters`);
+  }
+  if (!isSlugLike(slug)) {
+    throw new BadRequestError("Slug can only contain lowercase letters, numbers and single hyphens");
+  }
+  if (RESERVED_SLUGS.has(slug)) {
+    throw new BadRequestError(`"${slug}" is reserved. Please choose another slug`);
+  }
+  return slug;
+};
+
+/**
+ * Give an artist a new slug, moving the current one into the history
+ * Taking back one of your own old slugs removes it from the history.
+ * Does not save the artist.
+ * @param {Object} artist - Artist document
+ * @param {string} slug - New (validated) slug
+ * @param {Object} options - { custom } - true for a vanity slug
+ * @throws {ConflictError} Slug used by another artist
+ */
+export const changeArtistSlug = async (artist, slug, { custom = false } = {}) => {
+  if (await isSlugTaken(slug, artist._id)) {
+    throw new ConflictError(`The slug "${slug}" is already taken`);
+  }
+
+  if (artist.slug && artist.slug !== slug) {
+    artist.slugHistory.push({ slug: artist.slug, changedAt: new Date() });
+  }
+  artist.slugHistory = artist.slugHistory
+    .filter((entry) => entry.slug !== slug)
+    .slice(-MAX_SLUG_HISTORY);
+  artist.slug = slug;
+  artist.slugIsCustom = custom;
+  return artist;
+};
+
+/**
+ * Find an approved artist by slug
+ * @param {string} slug
+ * @returns {Promise<{ artist: Object|null, redirectTo: string|null }>}
+ *   redirectTo is the current slug when an old one was used
+ */
+export const findArtistBySlug = async (slug) => {
+  const value = String(slug).toLowerCase();
+
+  const artist = await Artist.findOne({ slug: value, status: "approved" });
+  if (artist) {
+    return { artist, redirectTo: null };
+  }
+
+  const renamed = await Artist.findOne({ "slugHistory.slug": value, status: "approved" }).select("slug");
+  return { artist: null, redirectTo: renamed?.slug || null };
+};
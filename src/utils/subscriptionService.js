@@ -0,0 +1,381 @@
+/**
+ * Subscription Service
+ * Artist plans (free/pro/premium), Stripe billing and the features each plan unlocks:
+ * service and portfolio limits, booking commission and search boost.
+ * An artist without an active, unexpired subscription is on the free plan.
+ * Stripe is the source of truth for billing; the artist's copy is refreshed on
+ * checkout, on verify, when it looks expired, and by `npm run sync:subscriptions`.
+ */
+import Artist from "../models/Artist.js";
+import User from "../models/User.js";
+import SubscriptionPlan from "../models/SubscriptionPlan.js";
+import Notification from "../models/Notification.js";
+import { createNotification } from "./helpers.js";
+import {
+  createPlanPrice,
+  createSubscription,
+  changeSubscriptionPrice,
+  retrieveSubscription,
+  cancelSubscription,
+} from "./paymentService.js";
+import { BadRequestError, ConflictError, ForbiddenError } from "./errors.js";
+
+export const PLAN_KEYS = ["free", "pro", "premium"];
+export const PAID_PLAN_KEYS = ["pro", "premium"];
+
+// Used until an admin saves the plan (null limit = unlimited)
+export const DEFAULT_PLANS = {
+  free: {
+    key: "free",
+    name: "Free",
+    description: "Get started with a basic profile",
+    monthlyPrice: 0,
+    currency: "usd",
+    maxServices: 3,
+    maxPortfolioItems: 10,
+    commissionPercent: 15,
+    searchBoost: 0,
+    isActive: true,
+  },
+  pro: {
+    key: "pro",
+    name: "Pro",
+    description: "More services, a bigger portfolio and a lower commission",
+    monthlyPrice: 9.99,
+    currency: "usd",
+    maxServices: 10,
+    maxPortfolioItems: 30,
+    commissionPercent: 12,
+    searchBoost: 1,
+    isActive: true,
+  },
+  premium: {
+    key: "premium",
+    name: "Premium",
+    description: "Unlimited services, the lowest commission and top search placement",
+    monthlyPrice: 24.99,
+    currency: "usd",
+    maxServices: null,
+    maxPortfolioItems: null,
+    commissionPercent: 10,
+    searchBoost: 2,
+    isActive: true,
+  },
+};
+
+// Plan fields admins can change
+export const EDITABLE_PLAN_FIELDS = [
+  "name",
+  "description",
+  "monthlyPrice",
+  "currency",
+  "maxServices",
+  "maxPortfolioItems",
+  "commissionPercent",
+  "searchBoost",
+  "isActive",
+];
+
+const LIMIT_LABELS = {
+  maxServices: "services",
+  maxPortfolioItems: "portfolio items",
+};
+
+// Stripe statuses that keep the plan's features on (past_due is Stripe's retry window)
+const STRIPE_ACTIVE_STATUSES = ["active", "trialing", "past_due"];
+
+/**
+ * All plans, stored values over the defaults
+ * @returns {Promise<Array>}
+ */
+export const getPlans = async () => {
+  const stored = await SubscriptionPlan.find().lean();
+  return PLAN_KEYS.map((key) => ({
+    ...DEFAULT_PLANS[key],
+    ...(stored.find((plan) => plan.key === key) || {}),
+  }));
+};
+
+// Plan fields shown to artists (Stripe ids are internal)
+export const toPublicPlan = ({ _id, __v, stripeProductId, stripePriceId, updatedBy, createdAt, updatedAt, ...plan }) =>
+  plan;
+
+/**
+ * One plan by key
+ * @throws {BadRequestError} Unknown key
+ */
+export const getPlan = async (key) => {
+  if (!PLAN_KEYS.includes(key)) {
+    throw new BadRequestError(`plan must be one of: ${PLAN_KEYS.join(", ")}`);
+  }
+  const stored = await SubscriptionPlan.findOne({ key }).lean();
+  return { ...DEFAULT_PLANS[key], ...(stored || {}) };
+};
+
+/**
+ * Whether an artist currently has a paid plan
+ * @param {Object} artist - Artist (only subscription is read)
+ */
+export const isSubscriptionActive = (artist, now = new Date()) => {
+  const subscription = artist?.subscription;
+  return (
+    subscription?.status === "active" &&
+    PAID_PLAN_KEYS.includes(subscription.plan) &&
+    Boolean(subscription.expiresAt) &&
+    new Date(subscription.expiresAt) > now
+  );
+};
+
+// Copy Stripe's view of a subscription onto the artist (does not save)
+const applyStripeSubscription = (artist, stripeSubscription) => {
+  const subscription = artist.subscription;
+  const planKey = stripeSubscription.metadata?.planKey || subscription.pendingPlan || subscription.plan;
+
+  subscription.stripeSubscriptionId = stripeSubscription.subscriptionId;
+  subscription.stripeCustomerId = stripeSubscription.customerId || subscription.stripeCustomerId;
+  subscription.cancelAtPeriodEnd = stripeSubscription.cancelAtPeriodEnd;
+
+  if (STRIPE_ACTIVE_STATUSES.includes(stripeSubscription.status)) {
+    if (subscription.status !== "active" || subscription.plan !== planKey) {
+      subscription.startedAt = new Date();
+    }
+    subscription.status = "active";
+    subscription.plan = planKey;
+    subscription.pendingPlan = undefined;
+    subscription.expiresAt = stripeSubscription.currentPeriodEnd;
+  } else if (stripeSubscription.status === "incomplete") {
+    // First invoice not paid yet - nothing changes until it is
+    if (subscription.status !== "active") {
+      subscription.status = "pending";
+    }
+  } else {
+    // canceled, incomplete_expired, unpaid
+    subscription.status = subscription.status === "active" ? "expired" : "inactive";
+    subscription.pendingPlan = undefined;
+    subscription.stripeSubscriptionId = undefined;
+    subscription.cancelAtPeriodEnd = false;
+  }
+  return artist;
+};
+
+const saveSubscription = (artist) =>
+  Artist.updateOne({ _id: artist._id }, { $set: { subscription: artist.subscription } });
+
+/**
+ * Re-read an artist's subscription from Stripe
+ * Without a Stripe subscription, a lapsed plan is simply marked expired.
+ * @param {Object} artist - Artist document
+ * @returns {Promise<Object>} The artist, updated and saved
+ */
+export const refreshSubscription = async (artist) => {
+  const wasActive = isSubscriptionActive(artist);
+  const previousStatus = artist.subscription?.status;
+  const subscriptionId = artist.subscription?.stripeSubscriptionId;
+
+  if (subscriptionId) {
+    const result = await retrieveSubscription(subscriptionId);
+    if (!result.success) {
+      throw new BadRequestError(`Subscription check failed: ${result.error}`);
+    }
+    applyStripeSubscription(artist, result);
+  } else if (previousStatus === "active" && !wasActive) {
+    artist.subscription.status = "expired";
+  }
+
+  await saveSubscription(artist);
+
+  if (previousStatus === "active" && !isSubscriptionActive(artist)) {
+    await createNotification(
+      Notification,
+      artist.userId,
+      "Artist",
+      "system",
+      "Subscription Ended",
+      "Your subscription has ended and your account is back on the Free plan. Existing services and portfolio items stay, but new ones follow the Free plan limits."
+    );
+  }
+
+  return artist;
+};
+
+/**
+ * The plan an artist is on right now
+ * A subscription that looks lapsed is checked with Stripe first (it may have renewed).
+ * @param {Object} artist - Artist document
+ */
+export const getArtistPlan = async (artist) => {
+  if (artist.subscription?.status === "active" && !isSubscriptionActive(artist)) {
+    try {
+      await refreshSubscription(artist);
+    } catch (error) {
+      console.error("Failed to refresh subscription:", error.message);
+    }
+  }
+  return getPlan(isSubscriptionActive(artist) ? artist.subscription.plan : "free");
+};
+
+/**
+ * Enforce a plan limit before adding something
+ * @param {Object} artist - Artist document
+ * @param {string} limitKey - "maxServices" or "maxPortfolioItems"
+ * @param {number} currentCount - How many the artist already has
+ * @throws {ForbiddenError} Limit reached
+ */
+export const assertPlanLimit = async (artist, limitKey, currentCount) => {
+  const plan = await getArtistPlan(artist);
+  const limit = plan[limitKey];
+  if (limit != null && currentCount >= limit) {
+    throw new ForbiddenError(
+      `Your ${plan.name} plan allows up to ${limit} ${LIMIT_LABELS[limitKey]}. Upgrade your plan to add more.`
+    );
+  }
+  return plan;
+};
+
+/**
+ * Commission (percent) charged on an artist's bookings
+ * @param {string} artistUserId - The artist's User ID (Booking.artist)
+ */
+export const getCommissionPercent = async (artistUserId) => {
+  const artist = await Artist.findOne({ userId: artistUserId }).select("userId subscription");
+  if (!artist) {
+    return DEFAULT_PLANS.free.commissionPercent;
+  }
+  const plan = await getArtistPlan(artist);
+  return plan.commissionPercent;
+};
+
+/**
+ * Search boost per paid plan, e.g. { pro: 1, premium: 2 }
+ */
+export const getSearchBoosts = async () => {
+  const plans = await getPlans();
+  return Object.fromEntries(
+    plans.filter((plan) => PAID_PLAN_KEYS.includes(plan.key)).map((plan) => [plan.key, plan.searchBoost || 0])
+  );
+};
+
+// Create the Stripe price for a plan if it doesn't have one yet
+const ensurePlanPrice = async (plan) => {
+  if (plan.stripePriceId) {
+    return plan.stripePriceId;
+  }
+
+  const result = await createPlanPrice(plan);
+  if (!result.success) {
+    throw new BadRequestError(`Subscription failed: ${result.error}`);
+  }
+
+  // Store the whole plan so the defaults it was priced from are kept
+  const { _id, createdAt, updatedAt, __v, ...fields } = plan;
+  await SubscriptionPlan.findOneAndUpdate(
+    { key: plan.key },
+    { $set: { ...fields, stripeProductId: result.productId, stripePriceId: result.priceId } },
+    { upsert: true }
+  );
+  return result.priceId;
+};
+
+/**
+ * Subscribe to (or switch to) a paid plan
+ * New subscriptions return a clientSecret; the plan starts once the first
+ * invoice is paid and confirmed with syncSubscription.
+ * Switching between paid plans is prorated and takes effect immediately.
+ * @param {Object} artist - Artist document
+ * @param {string} planKey - "pro" or "premium"
+ * @returns {Promise<{ artist: Object, clientSecret: string|null }>}
+ */
+export const startSubscription = async (artist, planKey) => {
+  // Step 1: Check the plan can be bought
+  if (!PAID_PLAN_KEYS.includes(planKey)) {
+    throw new BadRequestError(
+      `plan must be one of: ${PAID_PLAN_KEYS.join(", ")} (cancel your subscription to go back to Free)`
+    );
+  }
+  const plan = await getPlan(planKey);
+  if (!plan.isActive) {
+    throw new BadRequestError(`The ${plan.name} plan is not available`);
+  }
+
+  const subscription = artist.subscription;
+  const active = isSubscriptionActive(artist);
+  if (active && subscription.plan === planKey && !subscription.cancelAtPeriodEnd) {
+    throw new ConflictError(`You are already on the ${plan.name} plan`);
+  }
+
+  const priceId = await ensurePlanPrice(plan);
+  const metadata = { artistId: artist._id.toString(), planKey };
+
+  // Step 2: Switch an active subscription (also undoes a scheduled cancellation)
+  if (active && subscription.stripeSubscriptionId) {
+    const result = await changeSubscriptionPrice(subscription.stripeSubscriptionId, priceId, metadata);
+    if (!result.success) {
+      throw new BadRequestError(`Subscription failed: ${result.error}`);
+    }
+    applyStripeSubscription(artist, result);
+    await saveSubscription(artist);
+    return { artist, clientSecret: null };
+  }
+
+  // Step 3: Drop an unpaid checkout before starting a new one
+  if (subscription.status === "pending" && subscription.stripeSubscriptionId) {
+    await cancelSubscription(subscription.stripeSubscriptionId, { atPeriodEnd: false });
+    subscription.stripeSubscriptionId = undefined;
+  }
+
+  // Step 4: Start the subscription; the client pays the first invoice
+  const user = await User.findById(artist.userId).select("email");
+  const result = await createSubscription({
+    customerId: subscription.stripeCustomerId,
+    email: user?.email,
+    name: artist.name,
+    priceId,
+    metadata,
+  });
+  if (!result.success) {
+    throw new BadRequestError(`Subscription failed: ${result.error}`);
+  }
+
+  subscription.pendingPlan = planKey;
+  applyStripeSubscription(artist, result);
+  await saveSubscription(artist);
+
+  return { artist, clientSecret: result.clientSecret || null };
+};
+
+/**
+ * Confirm a checkout (or pick up renewals) from Stripe
+ * @param {Object} artist - Artist document
+ * @throws {BadRequestError} No subscription to check
+ */
+export const syncSubscription = async (artist) => {
+  if (!artist.subscription?.stripeSubscriptionId) {
+    throw new BadRequestError("You don't have a subscription to verify");
+  }
+  return refreshSubscription(artist);
+};
+
+/**
+ * Cancel a subscription
+ * Paid plans stay on until the end of the paid period; an unpaid checkout is dropped.
+ * @param {Object} artist - Artist document
+ */
+export const cancelArtistSubscription = async (artist) => {
+  const subscription = artist.subscription;
+  if (!subscription?.stripeSubscriptionId) {
+    throw new BadRequestError("You don't have a subscription to cancel");
+  }
+  if (subscription.cancelAtPeriodEnd) {
+    throw new ConflictError("Your subscription is already set to end");
+  }
+
+  const pending = !isSubscriptionActive(artist);
+  const result = await cancelSubscription(subscription.stripeSubscriptionId, { atPeriodEnd: !pending });
+  if (!result.success) {
+    throw new BadRequestError(`Cancellation failed: ${result.error}`);
+  }
+
+  applyStripeSubscription(artist, result);
+  await saveSubscription(artist);
+  return artist;
+};
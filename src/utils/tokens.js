@@ -0,0 +1,24 @@
+/**
+ * Token Utilities
+ * Random one-time tokens (password reset, email verification, etc.)
+ * Only the hash is ever stored in the database
+ */
+import crypto from "crypto";
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes (default 32)
+ * @returns {string} Hex encoded token
+ */
+export const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+/**
+ * Hash a token for storage/lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
@@ -0,0 +1,163 @@
+/**
+ * TOTP Utility (RFC 6238)
+ * Time-based one-time passwords compatible with Google Authenticator, Authy, etc.
+ * 30 second steps, 6 digits, HMAC-SHA1
+ */
+import crypto from "crypto";
+import { generateSecureToken, hashToken } from "./tokens.js";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string into a buffer
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in TOTP secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate the code for a given time step (HOTP, RFC 4226)
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const getCurrentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded secret (160 bits)
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the current TOTP code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Optional time in ms (defaults to now)
+ * @returns {string} 6 digit code
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => {
+  return generateCodeForStep(secret, getCurrentStep(timestamp));
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} code - Code entered by the user
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - { window: steps either side (default 1), lastUsedStep: reject steps <= this }
+ * @returns {number|null} Matched time step, or null if invalid
+ */
+export const verifyTotp = (code, secret, { window = 1, lastUsedStep = null } = {}) => {
+  const normalizedCode = String(code || "").replace(/\s/g, "");
+  if (!secret || !new RegExp(`^\\d{${DIGITS}}$`).test(normalizedCode)) {
+    return null;
+  }
+
+  const currentStep = getCurrentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    // Prevent replay of an already used code
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCodeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (usually rendered as a QR code)
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer = "Artzyra" }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+/**
+ * Normalize a recovery code for hashing/comparison
+ */
+export const normalizeRecoveryCode = (code) => {
+  return String(code || "").toLowerCase().replace(/[^0-9a-f]/g, "");
+};
+
+/**
+ * Generate a set of single-use recovery codes
+ * @param {number} count - Number of codes (default 10)
+ * @returns {Object} { codes: plain codes to show once, hashes: values to store }
+ */
+export const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateSecureToken(5); // 10 hex characters
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
@@ -0,0 +1,133 @@
+/**
+ * Vacation Service
+ * Artists can go away from startDate to endDate (inclusive, "YYYY-MM-DD" like blackouts).
+ * While away they are flagged in search, new bookings are refused with the return
+ * date and customer messages get a one-off automatic reply with the away message.
+ * Vacation mode is driven by the dates, so it switches off by itself after endDate.
+ */
+import { toDateKey, addDays } from "./availabilityService.js";
+import { BadRequestError, ConflictError } from "./errors.js";
+
+// Longest vacation that can be set in one go
+export const MAX_VACATION_DAYS = 365;
+export const MAX_AWAY_MESSAGE_LENGTH = 500;
+
+const DEFAULT_AWAY_MESSAGE = "I'm away at the moment and will reply when I'm back.";
+
+const today = () => toDateKey(new Date());
+
+/**
+ * Whether vacation mode covers a day (today by default)
+ * @param {Object} artist - Artist (only vacation is read)
+ * @param {string} dateKey - "YYYY-MM-DD"
+ */
+export const isOnVacation = (artist, dateKey = today()) => {
+  const vacation = artist?.vacation;
+  return Boolean(
+    vacation?.enabled && vacation.startDate && vacation.endDate &&
+      vacation.startDate <= dateKey && dateKey <= vacation.endDate
+  );
+};
+
+/**
+ * Whether vacation mode is on or still to come (i.e. not over)
+ */
+export const hasVacation = (artist, dateKey = today()) =>
+  Boolean(artist?.vacation?.enabled && artist.vacation.endDate && artist.vacation.endDate >= dateKey);
+
+// First day the artist is back
+export const getReturnDate = (artist) => addDays(artist.vacation.endDate, 1);
+
+/**
+ * Vacation mode as returned by the API
+ * @returns {{ enabled: boolean, active: boolean, startDate?: string, endDate?: string, returnDate?: string, message?: string }}
+ */
+export const formatVacation = (artist) => {
+  if (!hasVacation(artist)) {
+    return { enabled: false, active: false };
+  }
+  return {
+    enabled: true,
+    active: isOnVacation(artist),
+    startDate: artist.vacation.startDate,
+    endDate: artist.vacation.endDate,
+    returnDate: getReturnDate(artist),
+    message: artist.vacation.message || "",
+  };
+};
+
+/**
+ * Validate a vacation request
+ * @param {Object} input - { startDate (default today), endDate, message }
+ * @returns {{ enabled: true, startDate: string, endDate: string, message: string }}
+ * @throws {BadRequestError}
+ */
+export const normalizeVacation = ({ startDate, endDate, message } = {}) => {
+  const todayKey = today();
+  const startKey = startDate ? toDateKey(startDate, "startDate") : todayKey;
+  const endKey = toDateKey(endDate, "endDate");
+
+  if (startKey < todayKey) {
+    throw new BadRequestError("startDate cannot be in the past");
+  }
+  if (endKey < startKey) {
+    throw new BadRequestError("endDate must be on or after startDate");
+  }
+  if (endKey > addDays(startKey, MAX_VACATION_DAYS - 1)) {
+    throw new BadRequestError(`A vacation can last at most ${MAX_VACATION_DAYS} days`);
+  }
+
+  const text = message === undefined || message === null ? "" : String(message).trim();
+  if (text.length > MAX_AWAY_MESSAGE_LENGTH) {
+    throw new BadRequestError(`message can be at most ${MAX_AWAY_MESSAGE_LENGTH} characters`);
+  }
+
+  return { enabled: true, startDate: startKey, endDate: endKey, message: text };
+};
+
+/**
+ * MongoDB filter for artists away on a day (negate with $nor)
+ */
+export const onVacationQuery = (dateKey = today()) => ({
+  "vacation.enabled": true,
+  "vacation.startDate": { $lte: dateKey },
+  "vacation.endDate": { $gte: dateKey },
+});
+
+/**
+ * Refuse new bookings while the artist is away
+ * @throws {ConflictError} With the return date
+ */
+export const assertNotOnVacation = (artist) => {
+  if (isOnVacation(artist)) {
+    throw new ConflictError(
+      `${artist.name} is on vacation and not taking new bookings. They will be back on ${getReturnDate(artist)}`
+    );
+  }
+};
+
+/**
+ * The automatic chat reply for an artist on vacation, or null
+ * Sent once per chat per vacation.
+ * @param {Object} artist - Artist (vacation and name are read)
+ * @param {Array} messages - Chat messages so far
+ * @param {string} artistUserId - The artist's User ID (message sender)
+ */
+export const getAutoReply = (artist, messages, artistUserId) => {
+  if (!isOnVacation(artist)) {
+    return null;
+  }
+
+  const alreadyReplied = messages.some(
+    (m) =>
+      m.autoReply &&
+      m.sender?.toString() === artistUserId.toString() &&
+      toDateKey(m.timestamp) >= artist.vacation.startDate
+  );
+  if (alreadyReplied) {
+    return null;
+  }
+
+  const message = artist.vacation.message || DEFAULT_AWAY_MESSAGE;
+  return `${message}\n\n(Automatic reply: ${artist.name} is on vacation and will be back on ${getReturnDate(artist)})`;
+};
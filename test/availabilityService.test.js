@@ -0,0 +1,233 @@
+import { test, describe, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Booking from "../src/models/Booking.js";
+import {
+  toDateKey,
+  addDays,
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  getDayHours,
+  getFreeSlots,
+  assertSlotAvailable,
+  findEarlierOverlap,
+  getLocalNow,
+} from "../src/utils/availabilityService.js";
+
+// A Monday far enough ahead to never be in the past
+const MONDAY = "2099-06-01";
+const SATURDAY = "2099-06-06";
+
+const artist = (overrides = {}) => ({
+  userId: new mongoose.Types.ObjectId(),
+  availability: new Map(),
+  availabilityExceptions: [],
+  blackouts: [],
+  ...overrides,
+});
+
+// Booking.find(...).select(...) resolves to these bookings
+const mockBookings = (bookings) =>
+  mock.method(Booking, "find", () => ({ select: async () => bookings }));
+
+const booking = (dateKey, startTime, endTime, id = new mongoose.Types.ObjectId()) => ({
+  _id: id,
+  bookingDate: new Date(`${dateKey}T00:00:00.000Z`),
+  startTime,
+  endTime,
+});
+
+// 2030-01-07 is a Monday; 06:30 UTC is 12:00 in Colombo
+const LOCAL_MONDAY = "2030-01-07";
+const freezeLocalNoon = () =>
+  mock.timers.enable({ apis: ["Date"], now: Date.parse(`${LOCAL_MONDAY}T06:30:00.000Z`) });
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+describe("date and time helpers", () => {
+  test("toDateKey normalises dates and rejects invalid input", () => {
+    assert.equal(toDateKey("2099-06-01T15:30:00.000Z"), "2099-06-01");
+    assert.equal(toDateKey(new Date("2099-06-01T00:00:00.000Z")), "2099-06-01");
+    assert.throws(() => toDateKey("not a date"), { statusCode: 400 });
+    assert.throws(() => toDateKey(""), { statusCode: 400 });
+  });
+
+  test("addDays crosses month and year ends", () => {
+    assert.equal(addDays("2099-01-31", 1), "2099-02-01");
+    assert.equal(addDays("2099-12-31", 1), "2100-01-01");
+    assert.equal(addDays("2099-03-01", -1), "2099-02-28");
+  });
+
+  test("time parsing", () => {
+    assert.ok(isValidTime("09:30"));
+    assert.ok(isValidTime("24:00"));
+    assert.ok(!isValidTime("24:30"));
+    assert.ok(!isValidTime("9:30"));
+    assert.equal(timeToMinutes("13:45"), 825);
+    assert.equal(minutesToTime(825), "13:45");
+  });
+
+  test("getLocalNow reads the date and time in the booking timezone", () => {
+    assert.deepEqual(getLocalNow(new Date("2030-01-06T20:00:00.000Z")), {
+      dateKey: "2030-01-07",
+      minutes: 90,
+    });
+  });
+});
+
+describe("getDayHours", () => {
+  test("falls back to Mon-Fri 09:00-18:00 when no weekly hours are set", () => {
+    assert.deepEqual(getDayHours(artist(), MONDAY), {
+      open: true,
+      start: "09:00",
+      end: "18:00",
+      source: "weekly",
+    });
+    assert.equal(getDayHours(artist(), SATURDAY).open, false);
+  });
+
+  test("uses the artist's weekly hours", () => {
+    const hours = getDayHours(
+      artist({ availability: new Map([["saturday", { start: "10:00", end: "14:00", available: true }]]) }),
+      SATURDAY
+    );
+    assert.deepEqual(hours, { open: true, start: "10:00", end: "14:00", source: "weekly" });
+  });
+
+  test("blackouts win over exceptions, which win over weekly hours", () => {
+    const withException = artist({
+      availabilityExceptions: [{ date: MONDAY, start: "12:00", end: "15:00" }],
+    });
+    assert.deepEqual(getDayHours(withException, MONDAY), {
+      open: true,
+      start: "12:00",
+      end: "15:00",
+      source: "exception",
+    });
+
+    const blackedOut = artist({
+      availabilityExceptions: [{ date: MONDAY, start: "12:00", end: "15:00" }],
+      blackouts: [{ startDate: "2099-05-30", endDate: MONDAY, reason: "Travel" }],
+    });
+    assert.deepEqual(getDayHours(blackedOut, MONDAY), { open: false, source: "blackout", reason: "Travel" });
+  });
+
+  test("closes every day of an enabled vacation", () => {
+    const away = artist({ vacation: { enabled: true, startDate: "2099-05-30", endDate: MONDAY } });
+    assert.deepEqual(getDayHours(away, MONDAY), { open: false, source: "vacation", reason: "On vacation" });
+    assert.equal(getDayHours(away, "2099-06-02").open, true);
+
+    const paused = artist({ vacation: { enabled: false, startDate: "2099-05-30", endDate: MONDAY } });
+    assert.equal(getDayHours(paused, MONDAY).open, true);
+  });
+});
+
+describe("getFreeSlots", () => {
+  test("subtracts booked intervals from the opening hours", async () => {
+    mockBookings([booking(MONDAY, "10:00", "11:30"), booking(MONDAY, "14:00", "15:00")]);
+
+    const [day] = await getFreeSlots(artist(), MONDAY, MONDAY);
+    assert.equal(day.open, true);
+    assert.equal(day.booked, 2);
+    assert.deepEqual(day.slots, [
+      { start: "09:00", end: "10:00" },
+      { start: "11:30", end: "14:00" },
+      { start: "15:00", end: "18:00" },
+    ]);
+  });
+
+  test("leaves out gaps shorter than the requested duration", async () => {
+    mockBookings([booking(MONDAY, "10:00", "11:30"), booking(MONDAY, "14:00", "15:00")]);
+
+    const [day] = await getFreeSlots(artist(), MONDAY, MONDAY, { durationMinutes: 150 });
+    assert.deepEqual(day.slots, [
+      { start: "11:30", end: "14:00" },
+      { start: "15:00", end: "18:00" },
+    ]);
+  });
+
+  test("rejects reversed and over-long ranges", async () => {
+    mockBookings([]);
+    await assert.rejects(getFreeSlots(artist(), MONDAY, "2099-05-31"), { statusCode: 400 });
+    await assert.rejects(getFreeSlots(artist(), MONDAY, addDays(MONDAY, 31)), { statusCode: 400 });
+  });
+
+  test("starts today's slots after the current local time", async () => {
+    freezeLocalNoon();
+    mockBookings([booking(LOCAL_MONDAY, "14:00", "15:00")]);
+
+    const [yesterday, today] = await getFreeSlots(artist(), addDays(LOCAL_MONDAY, -1), LOCAL_MONDAY);
+    assert.equal(yesterday.reason, "Date has passed");
+    assert.deepEqual(today.slots, [
+      { start: "12:01", end: "14:00" },
+      { start: "15:00", end: "18:00" },
+    ]);
+  });
+});
+
+describe("assertSlotAvailable", () => {
+  test("accepts a free slot inside working hours", async () => {
+    mockBookings([booking(MONDAY, "10:00", "11:00")]);
+
+    const slot = await assertSlotAvailable(artist(), { bookingDate: MONDAY, startTime: "11:00", duration: 1.5 });
+    assert.deepEqual(slot, { dateKey: MONDAY, startTime: "11:00", endTime: "12:30" });
+  });
+
+  test("rejects overlapping bookings with a conflict", async () => {
+    mockBookings([booking(MONDAY, "10:00", "11:00")]);
+
+    await assert.rejects(
+      assertSlotAvailable(artist(), { bookingDate: MONDAY, startTime: "10:30", duration: 1 }),
+      { statusCode: 409 }
+    );
+  });
+
+  test("rejects slots outside working hours, on closed days or in the past", async () => {
+    mockBookings([]);
+
+    await assert.rejects(
+      assertSlotAvailable(artist(), { bookingDate: MONDAY, startTime: "17:30", duration: 1 }),
+      { statusCode: 400 }
+    );
+    await assert.rejects(
+      assertSlotAvailable(artist(), { bookingDate: SATURDAY, startTime: "10:00", duration: 1 }),
+      { statusCode: 400 }
+    );
+    await assert.rejects(
+      assertSlotAvailable(artist(), { bookingDate: "2000-01-03", startTime: "10:00", duration: 1 }),
+      { statusCode: 400 }
+    );
+  });
+
+  test("rejects start times today at or before the current local time", async () => {
+    freezeLocalNoon();
+    mockBookings([]);
+
+    await assert.rejects(
+      assertSlotAvailable(artist(), { bookingDate: LOCAL_MONDAY, startTime: "12:00", duration: 1 }),
+      { statusCode: 400, message: "Booking start time has already passed" }
+    );
+    const slot = await assertSlotAvailable(artist(), { bookingDate: LOCAL_MONDAY, startTime: "12:30", duration: 1 });
+    assert.equal(slot.endTime, "13:30");
+  });
+});
+
+describe("findEarlierOverlap", () => {
+  test("only the later of two overlapping bookings loses", async () => {
+    const earlierId = new mongoose.Types.ObjectId();
+    const laterId = new mongoose.Types.ObjectId();
+    const artistId = new mongoose.Types.ObjectId();
+    const earlier = { ...booking(MONDAY, "10:00", "11:00", earlierId), artist: artistId };
+    const later = { ...booking(MONDAY, "10:30", "11:30", laterId), artist: artistId };
+
+    mockBookings([earlier]);
+    assert.ok(await findEarlierOverlap(later));
+
+    mockBookings([later]);
+    assert.equal(await findEarlierOverlap(earlier), undefined);
+  });
+});
@@ -0,0 +1,200 @@
+import { test, describe, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+// Rates are read when the engine is loaded
+process.env.TAX_RATE_PERCENT = "10";
+process.env.EXPRESS_SURCHARGE_PERCENT = "25";
+
+const { default: Coupon } = await import("../src/models/Coupon.js");
+const { default: Booking } = await import("../src/models/Booking.js");
+const { default: Artist } = await import("../src/models/Artist.js");
+const {
+  calculatePricing,
+  findApplicableCoupon,
+  quotePackage,
+  priceCustomQuote,
+  redeemCoupon,
+} = await import("../src/utils/pricingEngine.js");
+
+const coupon = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  code: "SAVE10",
+  discountType: "percent",
+  value: 10,
+  minSubtotal: 0,
+  usedCount: 0,
+  isActive: true,
+  ...overrides,
+});
+
+const mockCoupon = (found) => mock.method(Coupon, "findOne", async () => found);
+
+afterEach(() => mock.restoreAll());
+
+describe("calculatePricing", () => {
+  test("adds tax on top of the base price", async () => {
+    const pricing = await calculatePricing({ base: { label: "Logo - Basic", amount: 1000 }, deliveryDays: 4 });
+
+    assert.equal(pricing.subtotal, 1000);
+    assert.equal(pricing.discount, 0);
+    assert.equal(pricing.tax, 100);
+    assert.equal(pricing.total, 1100);
+    assert.equal(pricing.deliveryDays, 4);
+    assert.deepEqual(
+      pricing.lines.map((line) => [line.type, line.amount]),
+      [["base", 1000], ["tax", 100]]
+    );
+  });
+
+  test("express adds the surcharge and halves delivery days (rounded up)", async () => {
+    const pricing = await calculatePricing({
+      base: { label: "Logo - Basic", amount: 1000 },
+      deliveryDays: 5,
+      urgency: "express",
+    });
+
+    assert.equal(pricing.subtotal, 1250);
+    assert.equal(pricing.total, 1375);
+    assert.equal(pricing.deliveryDays, 3);
+  });
+
+  test("rejects unknown urgency", async () => {
+    await assert.rejects(
+      calculatePricing({ base: { label: "Logo", amount: 1000 }, urgency: "asap" }),
+      { statusCode: 400 }
+    );
+  });
+
+  test("extras add to the subtotal and delivery days", async () => {
+    const pricing = await calculatePricing({
+      base: { label: "Logo - Basic", amount: 1000 },
+      deliveryDays: 4,
+      extras: [
+        { title: "Source files", price: 200, quantity: 2, amount: 400, deliveryDays: 2, revisions: 0 },
+        { title: "Rush", price: 100, quantity: 1, amount: 100, deliveryDays: -10, revisions: 0 },
+      ],
+    });
+
+    assert.equal(pricing.subtotal, 1500);
+    assert.equal(pricing.total, 1650);
+    // Never below one day
+    assert.equal(pricing.deliveryDays, 1);
+  });
+
+  test("percent coupons are capped and taxed after the discount", async () => {
+    mockCoupon(coupon({ value: 50, maxDiscount: 300 }));
+
+    const pricing = await calculatePricing({ base: { label: "Logo", amount: 1000 }, couponCode: " save10 " });
+
+    assert.equal(pricing.discount, 300);
+    assert.equal(pricing.tax, 70);
+    assert.equal(pricing.total, 770);
+    assert.equal(pricing.coupon.code, "SAVE10");
+    assert.deepEqual(pricing.lines.find((line) => line.type === "discount").amount, -300);
+  });
+
+  test("fixed coupons never take the total below zero", async () => {
+    mockCoupon(coupon({ discountType: "fixed", value: 5000 }));
+
+    const pricing = await calculatePricing({ base: { label: "Logo", amount: 1000 }, couponCode: "SAVE10" });
+
+    assert.equal(pricing.discount, 1000);
+    assert.equal(pricing.total, 0);
+  });
+});
+
+describe("findApplicableCoupon", () => {
+  const order = { subtotal: 1000, customerId: new mongoose.Types.ObjectId(), artistUserId: new mongoose.Types.ObjectId() };
+
+  test("rejects unknown, inactive, expired, not-yet-valid and used-up coupons", async () => {
+    const cases = [
+      null,
+      coupon({ isActive: false }),
+      coupon({ expiresAt: new Date(Date.now() - 1000) }),
+      coupon({ startsAt: new Date(Date.now() + 60000) }),
+      coupon({ usageLimit: 5, usedCount: 5 }),
+      coupon({ minSubtotal: 5000 }),
+      coupon({ artist: new mongoose.Types.ObjectId() }),
+    ];
+    for (const found of cases) {
+      mockCoupon(found);
+      await assert.rejects(findApplicableCoupon("SAVE10", order), { statusCode: 400 });
+      mock.restoreAll();
+    }
+  });
+
+  test("enforces the per-customer limit", async () => {
+    mockCoupon(coupon({ perCustomerLimit: 1 }));
+    mock.method(Booking, "countDocuments", async () => 1);
+
+    await assert.rejects(findApplicableCoupon("SAVE10", order), /already used/);
+  });
+
+  test("accepts a coupon limited to this artist", async () => {
+    const found = coupon({ artist: order.artistUserId });
+    mockCoupon(found);
+
+    assert.equal(await findApplicableCoupon("SAVE10", order), found);
+  });
+});
+
+describe("quotePackage", () => {
+  const artist = Artist.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    services: [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        name: "Logo Design",
+        price: 1000,
+        deliveryTime: 4,
+        packages: [
+          { tier: "basic", price: 1000, deliveryTime: 4, revisions: 1 },
+          { tier: "premium", name: "Brand kit", price: 4000, deliveryTime: 10, revisions: 5 },
+        ],
+        extras: [{ _id: new mongoose.Types.ObjectId(), title: "Source files", price: 500, maxQuantity: 1 }],
+      },
+    ],
+  });
+
+  test("prices the chosen tier and snapshots it", async () => {
+    const { packageSnapshot, pricing } = await quotePackage(artist, { service: "logo design", tier: "premium" });
+
+    assert.equal(packageSnapshot.tier, "premium");
+    assert.equal(packageSnapshot.price, 4000);
+    assert.equal(pricing.lines[0].label, "Logo Design - Brand kit");
+    assert.equal(pricing.total, 4400);
+  });
+
+  test("prices extras chosen by ID", async () => {
+    const [service] = artist.services;
+    const { extras, pricing } = await quotePackage(artist, {
+      serviceId: service._id.toString(),
+      extras: [{ extraId: service.extras[0]._id.toString(), quantity: 1 }],
+    });
+
+    assert.equal(extras[0].amount, 500);
+    assert.equal(pricing.subtotal, 1500);
+  });
+
+  test("rejects services and tiers the artist doesn't offer", async () => {
+    await assert.rejects(quotePackage(artist, { service: "Video" }), { statusCode: 400 });
+    await assert.rejects(quotePackage(artist, { service: "Logo Design", tier: "standard" }), { statusCode: 400 });
+  });
+});
+
+describe("priceCustomQuote", () => {
+  test("adds tax only", async () => {
+    const pricing = await priceCustomQuote(2000);
+    assert.equal(pricing.total, 2200);
+    assert.equal(pricing.lines[0].label, "Custom quote");
+  });
+});
+
+describe("redeemCoupon", () => {
+  test("fails with a conflict when the last use was just taken", async () => {
+    mock.method(Coupon, "findOneAndUpdate", async () => null);
+    await assert.rejects(redeemCoupon(new mongoose.Types.ObjectId()), { statusCode: 409 });
+  });
+});
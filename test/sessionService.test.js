@@ -0,0 +1,114 @@
+import { test, describe, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+process.env.JWT_SECRET = "test-secret";
+
+const { default: Session } = await import("../src/models/Session.js");
+const { default: User } = await import("../src/models/User.js");
+const { hashToken } = await import("../src/utils/tokens.js");
+const { createSession, rotateSession, isSessionValid } = await import("../src/utils/sessionService.js");
+
+const req = { headers: { "user-agent": "node-test" }, ip: "127.0.0.1" };
+
+// Sessions live in memory; Session.findOne matches on the fields used by the service
+let sessions;
+const matches = (session, query) =>
+  Object.entries(query).every(([field, value]) => {
+    if (value && typeof value === "object" && "$exists" in value) {
+      return (session[field] !== undefined) === value.$exists;
+    }
+    return String(session[field]) === String(value);
+  });
+
+beforeEach(() => {
+  sessions = [];
+  mock.method(Session, "create", async (data) => {
+    const session = new Session(data);
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Session, "findOne", async (query) => sessions.find((s) => matches(s, query)) || null);
+  mock.method(Session, "findById", async (id) => sessions.find((s) => s._id.equals(id)) || null);
+  mock.method(Session.prototype, "save", async function () {
+    return this;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const makeUser = (overrides = {}) =>
+  new User({ email: "artist@example.com", password: "Password123", role: "customer", ...overrides });
+
+describe("createSession", () => {
+  test("stores only the hash of the refresh token and binds the access token to the session", async () => {
+    const user = makeUser();
+    const { accessToken, refreshToken, session } = await createSession(user, req);
+
+    assert.equal(session.refreshTokenHash, hashToken(refreshToken));
+    assert.notEqual(session.refreshTokenHash, refreshToken);
+    assert.equal(session.userAgent, "node-test");
+    assert.ok(session.expiresAt > new Date());
+
+    const payload = jwt.verify(accessToken, process.env.JWT_SECRET);
+    assert.equal(payload.id, user._id.toString());
+    assert.equal(payload.sid, session._id.toString());
+  });
+});
+
+describe("rotateSession", () => {
+  test("issues a new refresh token and invalidates the old one", async () => {
+    const user = makeUser();
+    const first = await createSession(user, req);
+
+    const second = await rotateSession(first.refreshToken, req, async () => user);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(second.session.refreshTokenHash, hashToken(second.refreshToken));
+    assert.equal(second.session.previousRefreshTokenHash, hashToken(first.refreshToken));
+  });
+
+  test("reusing a rotated refresh token revokes the session", async () => {
+    const user = makeUser();
+    const first = await createSession(user, req);
+    const second = await rotateSession(first.refreshToken, req, async () => user);
+
+    await assert.rejects(rotateSession(first.refreshToken, req, async () => user), { statusCode: 401 });
+    assert.equal(second.session.revokedReason, "refresh_token_reuse");
+    // The thief's copy of the new token is dead too
+    await assert.rejects(rotateSession(second.refreshToken, req, async () => user), { statusCode: 401 });
+  });
+
+  test("rejects unknown, missing and expired refresh tokens", async () => {
+    const user = makeUser();
+    await assert.rejects(rotateSession("", req, async () => user), { statusCode: 401 });
+    await assert.rejects(rotateSession("unknown", req, async () => user), { statusCode: 401 });
+
+    const { refreshToken, session } = await createSession(user, req);
+    session.expiresAt = new Date(Date.now() - 1000);
+    await assert.rejects(rotateSession(refreshToken, req, async () => user), { statusCode: 401 });
+  });
+
+  test("revokes the session of a deactivated user", async () => {
+    const user = makeUser();
+    const { refreshToken, session } = await createSession(user, req);
+    user.isActive = false;
+
+    await assert.rejects(rotateSession(refreshToken, req, async () => user), { statusCode: 401 });
+    assert.equal(session.revokedReason, "user_inactive");
+  });
+});
+
+describe("isSessionValid", () => {
+  test("accepts the session's own user and rejects revoked sessions", async () => {
+    const user = makeUser();
+    const { session } = await createSession(user, req);
+
+    assert.equal(await isSessionValid({ id: user._id.toString(), sid: session._id }), true);
+    assert.equal(await isSessionValid({ id: new mongoose.Types.ObjectId().toString(), sid: session._id }), false);
+    assert.equal(await isSessionValid({ id: user._id.toString() }), false);
+
+    session.revokedAt = new Date();
+    assert.equal(await isSessionValid({ id: user._id.toString(), sid: session._id }), false);
+  });
+});
@@ -0,0 +1,92 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  normalizeRecoveryCode,
+  generateRecoveryCodes,
+} from "../src/utils/totp.js";
+import { hashToken } from "../src/utils/tokens.js";
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("generateTotp", () => {
+  test("matches the RFC 6238 SHA-1 test vectors (last 6 digits)", () => {
+    assert.equal(generateTotp(RFC_SECRET, 59 * 1000), "287082");
+    assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000), "081804");
+    assert.equal(generateTotp(RFC_SECRET, 1234567890 * 1000), "005924");
+    assert.equal(generateTotp(RFC_SECRET, 2000000000 * 1000), "279037");
+  });
+
+  test("generates 160-bit base32 secrets", () => {
+    const secret = generateTotpSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateTotpSecret());
+  });
+});
+
+describe("verifyTotp", () => {
+  test("accepts the current code and returns its time step", () => {
+    const secret = generateTotpSecret();
+    const step = verifyTotp(generateTotp(secret), secret);
+    assert.equal(typeof step, "number");
+  });
+
+  test("allows one step of clock drift but not more", () => {
+    const secret = generateTotpSecret();
+    assert.notEqual(verifyTotp(generateTotp(secret, Date.now() - 30 * 1000), secret), null);
+    assert.equal(verifyTotp(generateTotp(secret, Date.now() - 120 * 1000), secret), null);
+  });
+
+  test("rejects a code that was already used", () => {
+    const secret = generateTotpSecret();
+    const code = generateTotp(secret);
+    const step = verifyTotp(code, secret);
+    assert.equal(verifyTotp(code, secret, { lastUsedStep: step }), null);
+  });
+
+  test("rejects malformed codes and missing secrets", () => {
+    const secret = generateTotpSecret();
+    assert.equal(verifyTotp("12345", secret), null);
+    assert.equal(verifyTotp("abcdef", secret), null);
+    assert.equal(verifyTotp(generateTotp(secret), ""), null);
+  });
+
+  test("ignores spaces in the entered code", () => {
+    const secret = generateTotpSecret();
+    const code = generateTotp(secret);
+    assert.notEqual(verifyTotp(`${code.slice(0, 3)} ${code.slice(3)}`, secret), null);
+  });
+});
+
+describe("buildOtpauthUri", () => {
+  test("includes the secret, issuer and parameters", () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: "admin@example.com" }));
+    assert.equal(uri.protocol, "otpauth:");
+    assert.equal(uri.host, "totp");
+    assert.equal(decodeURIComponent(uri.pathname), "/Artzyra:admin@example.com");
+    assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+    assert.equal(uri.searchParams.get("issuer"), "Artzyra");
+    assert.equal(uri.searchParams.get("digits"), "6");
+    assert.equal(uri.searchParams.get("period"), "30");
+  });
+});
+
+describe("recovery codes", () => {
+  test("are unique and stored as hashes of the normalised code", () => {
+    const { codes, hashes } = generateRecoveryCodes(10);
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach((code, index) => {
+      assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      assert.equal(hashes[index], hashToken(normalizeRecoveryCode(code)));
+    });
+  });
+
+  test("normalisation ignores case, dashes and spaces", () => {
+    assert.equal(normalizeRecoveryCode(" AB12C-3d4E5 "), "ab12c3d4e5");
+  });
+});